@@ -0,0 +1,157 @@
+/**
+ * Google OAuth 共用工具（Vercel Serverless Functions）
+ * refresh token 只保存在 HttpOnly cookie，永遠不回傳給瀏覽器端的 JavaScript。
+ *
+ * 環境變數：
+ * - GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET：與組件 client-id 相同的 OAuth 用戶端
+ * - AUTH_ALLOWED_ORIGINS：允許跨網域呼叫的來源（逗號分隔，同網域呼叫不需設定）
+ */
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+export const REFRESH_COOKIE_NAME = 'inf_google_rt';
+const REFRESH_COOKIE_PATH = '/api/auth';
+const REFRESH_COOKIE_MAX_AGE = 180 * 24 * 60 * 60; // 180 天
+
+// 組件通常嵌在商家網站的 iframe 中，cookie 需 SameSite=None 並使用分區（CHIPS）
+function serializeRefreshCookie(value, maxAge) {
+    return [
+        `${REFRESH_COOKIE_NAME}=${encodeURIComponent(value)}`,
+        `Path=${REFRESH_COOKIE_PATH}`,
+        `Max-Age=${maxAge}`,
+        'HttpOnly',
+        'Secure',
+        'SameSite=None',
+        'Partitioned'
+    ].join('; ');
+}
+
+export function parseCookies(req) {
+    const header = req.headers.cookie || '';
+    return header.split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+        return cookies;
+    }, {});
+}
+
+export function getRefreshToken(req) {
+    return parseCookies(req)[REFRESH_COOKIE_NAME] || null;
+}
+
+export function setRefreshCookie(res, refreshToken) {
+    res.setHeader('Set-Cookie', serializeRefreshCookie(refreshToken, REFRESH_COOKIE_MAX_AGE));
+}
+
+export function clearRefreshCookie(res) {
+    res.setHeader('Set-Cookie', serializeRefreshCookie('', 0));
+}
+
+// 處理 CORS，OPTIONS 預檢請求時回傳 true
+export function applyCors(req, res) {
+    const origin = req.headers.origin;
+    const allowedOrigins = (process.env.AUTH_ALLOWED_ORIGINS || '')
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean);
+
+    if (origin && allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.status(204).end();
+        return true;
+    }
+    return false;
+}
+
+// 只接受 POST，其他方法回傳 405
+export function rejectNonPost(req, res) {
+    if (req.method === 'POST') {
+        return false;
+    }
+    res.setHeader('Allow', 'POST, OPTIONS');
+    res.status(405).json({ success: false, error: 'Method Not Allowed' });
+    return true;
+}
+
+export function readJsonBody(req) {
+    if (!req.body) return {};
+    if (typeof req.body === 'string') {
+        try {
+            return JSON.parse(req.body);
+        } catch (error) {
+            return {};
+        }
+    }
+    return req.body;
+}
+
+// 呼叫 Google token 端點（authorization_code 或 refresh_token）
+export async function requestGoogleToken(params) {
+    const clientId = process.env.GOOGLE_CLIENT_ID;
+    const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
+    if (!clientId || !clientSecret) {
+        const error = new Error('Missing GOOGLE_CLIENT_ID or GOOGLE_CLIENT_SECRET');
+        error.status = 500;
+        throw error;
+    }
+
+    const response = await fetch(GOOGLE_TOKEN_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+            client_id: clientId,
+            client_secret: clientSecret,
+            ...params
+        })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error_description || data.error || `Token request failed: ${response.status}`);
+        error.status = response.status;
+        error.code = data.error;
+        throw error;
+    }
+    return data;
+}
+
+// 從 id_token 取得用戶資訊（token 直接來自 Google token 端點，不需再驗證簽章）
+export function decodeIdToken(idToken) {
+    if (!idToken) return null;
+    try {
+        const payload = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+        return {
+            sub: payload.sub,
+            name: payload.name,
+            given_name: payload.given_name,
+            family_name: payload.family_name,
+            picture: payload.picture,
+            email: payload.email,
+            email_verified: payload.email_verified
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// 回傳給前端的 token 資訊（不含 refresh token）
+export function toClientTokens(tokens) {
+    return {
+        success: true,
+        access_token: tokens.access_token,
+        id_token: tokens.id_token,
+        expires_in: tokens.expires_in,
+        user: decodeIdToken(tokens.id_token)
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * POST /api/auth/google
+ * 以授權碼 + PKCE code_verifier 向 Google 交換 tokens。
+ * refresh token 寫入 HttpOnly cookie，回應只包含 access_token、id_token 與用戶資訊。
+ *
+ * Body: { code, code_verifier, redirect_uri }
+ */
+import {
+    applyCors,
+    rejectNonPost,
+    readJsonBody,
+    requestGoogleToken,
+    setRefreshCookie,
+    toClientTokens
+} from '../_lib/google-oauth.js';
+
+export default async function handler(req, res) {
+    if (applyCors(req, res) || rejectNonPost(req, res)) {
+        return;
+    }
+
+    const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = readJsonBody(req);
+    if (!code || !codeVerifier || !redirectUri) {
+        res.status(400).json({ success: false, error: 'Missing code, code_verifier or redirect_uri' });
+        return;
+    }
+
+    try {
+        const tokens = await requestGoogleToken({
+            grant_type: 'authorization_code',
+            code: code,
+            code_verifier: codeVerifier,
+            redirect_uri: redirectUri
+        });
+
+        if (tokens.refresh_token) {
+            setRefreshCookie(res, tokens.refresh_token);
+        }
+
+        res.status(200).json(toClientTokens(tokens));
+    } catch (error) {
+        res.status(error.status === 400 ? 400 : 500).json({ success: false, error: error.message });
+    }
+}
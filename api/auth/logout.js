@@ -0,0 +1,14 @@
+/**
+ * POST /api/auth/logout
+ * 清除 refresh token cookie，結束伺服器端登入會話。
+ */
+import { applyCors, rejectNonPost, clearRefreshCookie } from '../_lib/google-oauth.js';
+
+export default async function handler(req, res) {
+    if (applyCors(req, res) || rejectNonPost(req, res)) {
+        return;
+    }
+
+    clearRefreshCookie(res);
+    res.status(200).json({ success: true });
+}
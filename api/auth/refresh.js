@@ -0,0 +1,47 @@
+/**
+ * POST /api/auth/refresh
+ * 以 HttpOnly cookie 中的 refresh token 取得新的 access_token 與 id_token。
+ * 沒有 cookie 或 refresh token 已失效時回傳 401，前端需重新登入。
+ */
+import {
+    applyCors,
+    rejectNonPost,
+    getRefreshToken,
+    requestGoogleToken,
+    setRefreshCookie,
+    clearRefreshCookie,
+    toClientTokens
+} from '../_lib/google-oauth.js';
+
+export default async function handler(req, res) {
+    if (applyCors(req, res) || rejectNonPost(req, res)) {
+        return;
+    }
+
+    const refreshToken = getRefreshToken(req);
+    if (!refreshToken) {
+        res.status(401).json({ success: false, error: 'No refresh session' });
+        return;
+    }
+
+    try {
+        const tokens = await requestGoogleToken({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        });
+
+        // Google 輪替 refresh token 時更新 cookie
+        if (tokens.refresh_token) {
+            setRefreshCookie(res, tokens.refresh_token);
+        }
+
+        res.status(200).json(toClientTokens(tokens));
+    } catch (error) {
+        if (error.code === 'invalid_grant') {
+            clearRefreshCookie(res);
+            res.status(401).json({ success: false, error: 'Refresh token expired or revoked' });
+            return;
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * infFITS API 端點註冊表
+ * inf-google-login.js、no-media/js/iframe.js、no-media/js/embedded.js 共用同一份端點設定。
+ *
+ * 覆寫方式（優先順序由高到低）：
+ * 1. InfFitsEndpoints.configure({ account: 'https://staging.example.com/model' })
+ * 2. 全域設定（需在此腳本之前定義）：
+ *    window.INFFITS_ENDPOINTS = { mockOrigin: 'http://localhost:8787', endpoints: { account: '...' } }
+ * 3. 載入此腳本的 <script> 屬性：
+ *    <script src="/inf-endpoints.js" data-mock-origin="http://localhost:8787" data-endpoint-account="..."></script>
+ * 4. 網址參數 ?inf_mock=1（使用預設的本機 mock server）或 ?inf_mock=http://localhost:port
+ *    只在本機頁面（localhost、127.0.0.1）或 <script data-mock-origin> 明確啟用時生效，
+ *    網址參數只接受本機位址，避免連結把帶有 credential 的請求導向任意主機
+ *
+ * Mock 模式下所有端點改為「mock origin + 原本的路徑」，對應 mock-server/server.js 的路由。
+ */
+(function () {
+    // 預設端點（origin + path）
+    const DEFAULT_ENDPOINTS = {
+        // infFITS 帳號：登入、BodyData 更新與刪除
+        account: {
+            origin: 'https://api.inffits.com',
+            path: '/inffits_account_register_and_retrieve_data/model'
+        },
+        // 路線問答結果推薦商品
+        recomProduct: {
+            origin: 'https://api.inffits.com',
+            path: '/http_mkt_extensions_recom/recom_product'
+        },
+        // 行為推薦商品（無符合結果時的熱門商品）
+        bhvRecomProduct: {
+            origin: 'https://api.inffits.com',
+            path: '/HTTP_inf_bhv_cdp_product_recommendation/extension/recom_product'
+        },
+        // 品牌模組設定（優惠券等）
+        brandConfig: {
+            origin: 'https://api.inffits.com',
+            path: '/mkt_brand_config_proc/GetItems'
+        },
+        // 路線問答題目
+        routeProduct: {
+            origin: 'https://xjsoc4o2ci.execute-api.ap-northeast-1.amazonaws.com',
+            path: '/v0/extension/run_routeproduct'
+        },
+        // 嵌入式推薦廣告（含尺寸標籤）
+        embeddedRecomProduct: {
+            origin: 'https://gha6kqf5ff.execute-api.ap-northeast-1.amazonaws.com',
+            path: '/v0/extension/recom_product'
+        },
+        // Google 授權碼交換（同網域的 Serverless Function，refresh token 存於 HttpOnly cookie）
+        authGoogle: {
+            origin: '',
+            path: '/api/auth/google'
+        },
+        // 以 HttpOnly cookie 中的 refresh token 取得新憑證
+        authRefresh: {
+            origin: '',
+            path: '/api/auth/refresh'
+        },
+        // 清除伺服器端登入會話（refresh token cookie）
+        authLogout: {
+            origin: '',
+            path: '/api/auth/logout'
+        }
+    };
+
+    const DEFAULT_MOCK_ORIGIN = 'http://localhost:8787';
+    const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+    const overrides = {};
+    let mockOrigin = null;
+
+    // 將 data-endpoint-bhv-recom-product 轉為 bhvRecomProduct
+    function toEndpointName(attributeName) {
+        return attributeName
+            .replace(/^data-endpoint-/, '')
+            .replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    // 是否為本機位址（mock server 只能在本機執行）
+    function isLoopbackUrl(value) {
+        try {
+            return LOOPBACK_HOSTNAMES.indexOf(new URL(value).hostname) !== -1;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // 讀取全域設定、<script> 屬性與網址參數
+    function readInitialConfig() {
+        const globalConfig = window.INFFITS_ENDPOINTS || {};
+        if (globalConfig.mockOrigin) {
+            mockOrigin = globalConfig.mockOrigin;
+        }
+        Object.assign(overrides, globalConfig.endpoints || {});
+
+        const script = document.currentScript;
+        const mockOptIn = !!(script && script.hasAttribute('data-mock-origin'));
+        if (script) {
+            if (mockOptIn) {
+                mockOrigin = script.getAttribute('data-mock-origin') || DEFAULT_MOCK_ORIGIN;
+            }
+            Array.from(script.attributes).forEach((attribute) => {
+                if (attribute.name.indexOf('data-endpoint-') === 0) {
+                    overrides[toEndpointName(attribute.name)] = attribute.value;
+                }
+            });
+        }
+
+        try {
+            const mockParam = new URLSearchParams(window.location.search).get('inf_mock');
+            if (mockParam && (mockOptIn || isLoopbackUrl(window.location.href))) {
+                if (/^https?:\/\//.test(mockParam) && isLoopbackUrl(mockParam)) {
+                    mockOrigin = mockParam;
+                } else {
+                    mockOrigin = mockOrigin || DEFAULT_MOCK_ORIGIN;
+                }
+            }
+        } catch (error) {
+            // 靜默處理錯誤
+        }
+    }
+
+    // 組合查詢參數
+    function buildQuery(query) {
+        if (!query) return '';
+        const parts = Object.keys(query)
+            .filter((key) => query[key] !== undefined && query[key] !== null)
+            .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`);
+        return parts.length > 0 ? `?${parts.join('&')}` : '';
+    }
+
+    // 取得端點網址
+    function url(name, query) {
+        const endpoint = DEFAULT_ENDPOINTS[name];
+        if (!endpoint && !overrides[name]) {
+            throw new Error(`未知的 API 端點: ${name}`);
+        }
+
+        let base;
+        if (overrides[name]) {
+            base = overrides[name];
+        } else if (mockOrigin) {
+            base = mockOrigin.replace(/\/$/, '') + endpoint.path;
+        } else {
+            base = endpoint.origin + endpoint.path;
+        }
+        return base + buildQuery(query);
+    }
+
+    // 覆寫端點（傳入 null 還原預設值）
+    function configure(endpoints) {
+        Object.keys(endpoints || {}).forEach((name) => {
+            if (endpoints[name]) {
+                overrides[name] = endpoints[name];
+            } else {
+                delete overrides[name];
+            }
+        });
+    }
+
+    // 啟用或停用 mock 模式
+    function setMockOrigin(origin) {
+        mockOrigin = origin === true ? DEFAULT_MOCK_ORIGIN : (origin || null);
+    }
+
+    // 列出目前生效的所有端點（除錯用）
+    function list() {
+        return Object.keys(DEFAULT_ENDPOINTS).reduce((result, name) => {
+            result[name] = url(name);
+            return result;
+        }, {});
+    }
+
+    readInitialConfig();
+
+    window.InfFitsEndpoints = {
+        url: url,
+        configure: configure,
+        setMockOrigin: setMockOrigin,
+        isMock: () => !!mockOrigin,
+        list: list
+    };
+})();
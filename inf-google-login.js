@@ -1,8 +1,3828 @@
+/**
+ * infFITS 身份提供者（Identity Provider）註冊表
+ * 所有登入方式共用同一套頭像、個人資訊與 BodyData 流程，
+ * 透過 <inf-google-login provider="line"> 屬性選擇提供者。
+ *
+ * 提供者介面：
+ * - name / idType / label：識別名稱、infFITS 帳號 API 的 IDTYPE、顯示名稱
+ * - defaultClientId：未設定 client-id 屬性時使用的預設值
+ * - tokenPrefix：保存至 google_access_token 時的前綴
+ * - icon(className) / buttonText：登入按鈕圖示與文字
+ * - load(component)：載入 SDK，完成後呼叫 component.onProviderLoaded()
+ * - signIn(component)：觸發登入，成功後呼叫 component.handleCredentialResponse()
+ * - refresh(component)：無聲取得新憑證（可選，回傳 null 表示需重新登入）
+ * - signOut(component)：登出提供者會話（可選）
+ */
+const INF_LOGIN_PROVIDERS = {};
+const INF_LOGIN_PROVIDER_STORAGE_KEY = 'inf_login_provider';
+const INF_LOGIN_DEFAULT_PROVIDER = 'google';
+
+// 註冊身份提供者
+function registerInfLoginProvider(name, provider) {
+    const key = (name || '').toLowerCase();
+    if (!key || !provider || typeof provider.signIn !== 'function' || typeof provider.load !== 'function') {
+        throw new Error('身份提供者必須包含名稱以及 load、signIn 方法');
+    }
+    INF_LOGIN_PROVIDERS[key] = Object.assign({ name: key, tokenPrefix: 'gid_' }, provider);
+    return INF_LOGIN_PROVIDERS[key];
+}
+
+// 取得身份提供者（找不到時回退為 Google；mock 模式下未指定時使用 mock 提供者）
+function getInfLoginProvider(name) {
+    const key = (name || '').toLowerCase();
+    if (!key && window.InfFitsEndpoints && window.InfFitsEndpoints.isMock()) {
+        return INF_LOGIN_PROVIDERS.mock;
+    }
+    return INF_LOGIN_PROVIDERS[key] || INF_LOGIN_PROVIDERS[INF_LOGIN_DEFAULT_PROVIDER];
+}
+
+// 取得目前登入使用的 IDTYPE（供全域函數使用）
+function getCurrentIdType() {
+    try {
+        return getInfLoginProvider(getInfTokenStore().getItem(INF_LOGIN_PROVIDER_STORAGE_KEY)).idType;
+    } catch (error) {
+        return getInfLoginProvider(INF_LOGIN_DEFAULT_PROVIDER).idType;
+    }
+}
+
+// 載入第三方 SDK 腳本（同一個網址只載入一次）
+const infLoginScriptPromises = {};
+function loadInfLoginScript(src) {
+    if (!infLoginScriptPromises[src]) {
+        infLoginScriptPromises[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.defer = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                delete infLoginScriptPromises[src];
+                reject(new Error(`無法載入 ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return infLoginScriptPromises[src];
+}
+
+// Google Identity Services
+registerInfLoginProvider('google', {
+    idType: 'Google',
+    label: 'Google',
+    buttonText: '繼續使用 Google 登入',
+    defaultClientId: '265821704236-fkdt4rrvpmuhf442c7r2dfg16i71c6qg.apps.googleusercontent.com',
+    icon(className) {
+        return `
+            <svg class="${className}" width="16" height="17" viewBox="0 0 16 17" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <g clip-path="url(#clip0_7461_9318)">
+                    <path d="M15.8099 8.17192C15.8099 7.5164 15.7567 7.03805 15.6416 6.54199H8.15625V9.50065H12.55C12.4614 10.2359 11.9831 11.3432 10.92 12.0873L10.9051 12.1863L13.2719 14.0198L13.4358 14.0362C14.9417 12.6454 15.8099 10.5991 15.8099 8.17192Z" fill="#4285F4"/>
+                    <path d="M8.15534 15.9675C10.3079 15.9675 12.115 15.2588 13.4349 14.0364L10.9191 12.0875C10.2459 12.557 9.34233 12.8848 8.15534 12.8848C6.04707 12.8848 4.25769 11.494 3.61983 9.57178L3.52633 9.57972L1.06539 11.4843L1.0332 11.5737C2.34423 14.1781 5.03717 15.9675 8.15534 15.9675Z" fill="#34A853"/>
+                    <path d="M3.6206 9.57182C3.4523 9.07576 3.35489 8.54422 3.35489 7.99503C3.35489 7.44578 3.4523 6.9143 3.61175 6.41824L3.60729 6.31259L1.1155 4.37744L1.03398 4.41622C0.49364 5.49695 0.183594 6.71057 0.183594 7.99503C0.183594 9.27949 0.49364 10.493 1.03398 11.5738L3.6206 9.57182Z" fill="#FBBC05"/>
+                    <path d="M8.15534 3.10515C9.65238 3.10515 10.6622 3.7518 11.238 4.2922L13.488 2.09532C12.1062 0.810858 10.3079 0.0224609 8.15534 0.0224609C5.03717 0.0224609 2.34423 1.81184 1.0332 4.41617L3.61097 6.41819C4.25769 4.49593 6.04707 3.10515 8.15534 3.10515Z" fill="#EB4335"/>
+                </g>
+                <defs>
+                    <clipPath id="clip0_7461_9318">
+                        <rect width="16" height="16" fill="white" transform="translate(0 0.0224609)"/>
+                    </clipPath>
+                </defs>
+            </svg>
+        `;
+    },
+    load(component) {
+        return component.loadGoogleIdentityServices();
+    },
+    signIn(component) {
+        component.initiateOAuth2Flow();
+    }
+});
+
+// LINE Login（透過 LIFF SDK，client-id 為 LIFF ID）
+registerInfLoginProvider('line', {
+    idType: 'LINE',
+    label: 'LINE',
+    buttonText: '繼續使用 LINE 登入',
+    defaultClientId: null,
+    sdkUrl: 'https://static.line-scdn.net/liff/edge/2/sdk.js',
+    icon(className) {
+        return `
+            <svg class="${className}" width="16" height="17" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <rect width="16" height="16" rx="3.5" fill="#06C755"/>
+                <path d="M13.3 7.36C13.3 4.99 10.93 3.06 8 3.06C5.07 3.06 2.7 4.99 2.7 7.36C2.7 9.49 4.58 11.27 7.13 11.6C7.3 11.64 7.54 11.72 7.6 11.87C7.65 12 7.63 12.2 7.62 12.34L7.54 12.79C7.51 12.93 7.43 13.32 8 13.08C8.57 12.84 11.05 11.28 12.16 10C12.93 9.16 13.3 8.31 13.3 7.36Z" fill="white"/>
+            </svg>
+        `;
+    },
+    async load(component) {
+        await loadInfLoginScript(this.sdkUrl);
+        await window.liff.init({ liffId: component.clientId });
+        component.onProviderLoaded();
+
+        // LINE 登入為重新導向流程，返回頁面後在此完成登入
+        if (window.liff.isLoggedIn() && !component.isAuthenticated) {
+            const idToken = window.liff.getIDToken();
+            if (idToken) {
+                await component.handleCredentialResponse({ credential: idToken });
+            }
+        }
+    },
+    signIn(component) {
+        if (!window.liff) {
+            component.handleLoginFailure(InfI18n.t('login.error.notLoaded', { provider: 'LINE' }));
+            return;
+        }
+        if (window.liff.isLoggedIn() && window.liff.getIDToken()) {
+            component.handleCredentialResponse({ credential: window.liff.getIDToken() });
+            return;
+        }
+        window.liff.login({ redirectUri: window.location.href });
+    },
+    refresh() {
+        if (window.liff && window.liff.isLoggedIn()) {
+            return window.liff.getIDToken();
+        }
+        return null;
+    },
+    signOut() {
+        if (window.liff && window.liff.isLoggedIn()) {
+            window.liff.logout();
+        }
+    }
+});
+
+// Facebook Login（client-id 為 App ID）
+registerInfLoginProvider('facebook', {
+    idType: 'Facebook',
+    label: 'Facebook',
+    buttonText: '繼續使用 Facebook 登入',
+    defaultClientId: null,
+    tokenPrefix: 'fb_',
+    sdkUrl: 'https://connect.facebook.net/zh_TW/sdk.js',
+    icon(className) {
+        return `
+            <svg class="${className}" width="16" height="17" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <circle cx="8" cy="8" r="8" fill="#1877F2"/>
+                <path d="M11.11 10.31L11.47 8H9.25V6.5C9.25 5.87 9.56 5.25 10.55 5.25H11.56V3.28C11.56 3.28 10.64 3.13 9.77 3.13C7.94 3.13 6.75 4.23 6.75 6.24V8H4.72V10.31H6.75V16H9.25V10.31H11.11Z" fill="white"/>
+            </svg>
+        `;
+    },
+    async load(component) {
+        await loadInfLoginScript(this.sdkUrl);
+        window.FB.init({
+            appId: component.clientId,
+            cookie: true,
+            xfbml: false,
+            version: 'v19.0'
+        });
+        component.onProviderLoaded();
+    },
+    signIn(component) {
+        if (!window.FB) {
+            component.handleLoginFailure(InfI18n.t('login.error.notLoaded', { provider: 'Facebook' }));
+            return;
+        }
+        window.FB.login((response) => {
+            if (response && response.authResponse) {
+                this.completeLogin(component, response.authResponse);
+            } else {
+                component.handleLoginFailure(InfI18n.t('login.error.cancelled', { provider: 'Facebook' }));
+            }
+        }, { scope: 'public_profile,email' });
+    },
+    // Facebook access token 不是 JWT，需另外取得用戶資訊
+    completeLogin(component, authResponse) {
+        window.FB.api('/me', { fields: 'id,name,first_name,last_name,email,picture.width(200)' }, (me) => {
+            if (!me || me.error) {
+                component.handleLoginFailure(InfI18n.t('login.error.noUserInfo', { provider: 'Facebook' }));
+                return;
+            }
+            component.handleCredentialResponse({
+                credential: authResponse.accessToken,
+                expiresAt: Date.now() + (authResponse.expiresIn || 3600) * 1000,
+                user: {
+                    sub: me.id,
+                    name: me.name,
+                    given_name: me.first_name,
+                    family_name: me.last_name,
+                    picture: me.picture && me.picture.data ? me.picture.data.url : null,
+                    email: me.email,
+                    email_verified: !!me.email
+                }
+            });
+        });
+    },
+    refresh() {
+        if (!window.FB) return null;
+        return new Promise((resolve) => {
+            window.FB.getLoginStatus((response) => {
+                resolve(response && response.status === 'connected' ? response.authResponse.accessToken : null);
+            }, true);
+        });
+    },
+    signOut() {
+        if (window.FB) {
+            window.FB.logout();
+        }
+    }
+});
+
+// Sign in with Apple（client-id 為 Services ID）
+registerInfLoginProvider('apple', {
+    idType: 'Apple',
+    label: 'Apple',
+    buttonText: '繼續使用 Apple 登入',
+    defaultClientId: null,
+    sdkUrl: 'https://appleid.cdn-apple.com/appleauth/static/jsapi/appleid/1/zh_TW/appleid.auth.js',
+    icon(className) {
+        return `
+            <svg class="${className}" width="16" height="17" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M11.04 8.5C11.03 7.22 12.09 6.6 12.13 6.57C11.54 5.7 10.61 5.58 10.28 5.57C9.5 5.49 8.74 6.04 8.34 6.04C7.93 6.04 7.31 5.58 6.65 5.59C5.8 5.61 5.01 6.09 4.58 6.85C3.68 8.41 4.35 10.71 5.22 11.97C5.65 12.59 6.15 13.28 6.81 13.26C7.46 13.23 7.7 12.84 8.48 12.84C9.26 12.84 9.48 13.26 10.15 13.25C10.84 13.23 11.28 12.63 11.69 12.01C12.18 11.3 12.38 10.6 12.39 10.57C12.37 10.56 11.05 10.05 11.04 8.5ZM9.77 4.75C10.12 4.32 10.36 3.73 10.29 3.14C9.79 3.16 9.17 3.48 8.81 3.9C8.48 4.28 8.2 4.89 8.27 5.46C8.83 5.5 9.41 5.18 9.77 4.75Z" fill="#000000"/>
+            </svg>
+        `;
+    },
+    async load(component) {
+        await loadInfLoginScript(this.sdkUrl);
+        window.AppleID.auth.init({
+            clientId: component.clientId,
+            scope: 'name email',
+            redirectURI: component.loginUri || window.location.origin,
+            usePopup: true
+        });
+        component.onProviderLoaded();
+    },
+    async signIn(component) {
+        if (!window.AppleID) {
+            component.handleLoginFailure(InfI18n.t('login.error.notLoaded', { provider: 'Apple' }));
+            return;
+        }
+        try {
+            const data = await window.AppleID.auth.signIn();
+            const idToken = data && data.authorization ? data.authorization.id_token : null;
+            if (!idToken) {
+                component.handleLoginFailure(InfI18n.t('login.error.noCredential', { provider: 'Apple' }));
+                return;
+            }
+
+            // Apple 只在首次授權時回傳姓名，且 id_token 中沒有姓名與頭像
+            const user = component.parseCredential(idToken);
+            if (user && data.user && data.user.name) {
+                user.given_name = data.user.name.firstName;
+                user.family_name = data.user.name.lastName;
+                user.name = `${data.user.name.lastName || ''}${data.user.name.firstName || ''}`;
+            }
+            await component.handleCredentialResponse({ credential: idToken, user: user });
+        } catch (error) {
+            // 使用者關閉彈出視窗時不顯示錯誤
+            if (error && error.error === 'popup_closed_by_user') {
+                return;
+            }
+            component.handleLoginFailure(InfI18n.t('login.error.failed', {
+                provider: 'Apple',
+                message: (error && (error.error || error.message)) || InfI18n.t('login.error.unknown')
+            }));
+        }
+    }
+});
+
+// 離線開發用的假登入（搭配 mock-server/server.js，不需載入任何 SDK）
+registerInfLoginProvider('mock', {
+    idType: 'Mock',
+    label: 'Mock',
+    buttonText: '使用測試帳號登入',
+    defaultClientId: null,
+    tokenPrefix: 'mock_',
+    icon(className) {
+        return `
+            <svg class="${className}" width="16" height="17" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <circle cx="8" cy="8" r="8" fill="#9CA3AF"/>
+                <circle cx="8" cy="6.5" r="2.5" fill="white"/>
+                <path d="M3.5 13C4.3 11 6 10 8 10C10 10 11.7 11 12.5 13" stroke="white" stroke-width="1.5" stroke-linecap="round"/>
+            </svg>
+        `;
+    },
+    load(component) {
+        component.onProviderLoaded();
+    },
+    signIn(component) {
+        component.handleCredentialResponse({
+            credential: `mock-credential-${Date.now()}`,
+            expiresAt: Date.now() + 3600 * 1000,
+            user: {
+                sub: 'mock-user-0001',
+                name: '測試使用者',
+                given_name: '使用者',
+                family_name: '測試',
+                picture: null,
+                email: 'mock.user@example.com',
+                email_verified: true
+            }
+        });
+    },
+    refresh() {
+        return `mock-credential-${Date.now()}`;
+    }
+});
+
+/**
+ * infFITS 帳號 API 客戶端
+ * 統一 inffits_account_register_and_retrieve_data 的請求建構、401 處理與回應正規化。
+ *
+ * 401 處理策略（所有呼叫一致）：
+ * 1. 呼叫 refreshCredential() 取得新憑證並以新憑證重試一次
+ * 2. 無法刷新或重試仍為 401 時呼叫 onCredentialExpired()，並拋出 InfFitsApiError（status 401）
+ */
+class InfFitsApiError extends Error {
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = 'InfFitsApiError';
+        this.status = status;
+        this.data = data;
+    }
+
+    // 是否為憑證失效錯誤
+    get isCredentialExpired() {
+        return this.status === 401;
+    }
+}
+
+class InfFitsApiClient {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || InfFitsApiClient.getDefaultBaseUrl();
+        this.getIdType = options.getIdType || getCurrentIdType;
+        this.refreshCredential = options.refreshCredential || null; // async () => 新憑證或 null
+        this.onCredentialExpired = options.onCredentialExpired || null; // (detail) => void
+    }
+
+    // 取得目前保存的憑證與 sub
+    getCredentialContext() {
+        const credential = getInfTokenStore().getItem('google_auth_credential');
+        let sub = '';
+        try {
+            const userInfo = JSON.parse(getInfTokenStore().getItem('google_user_info') || '{}');
+            sub = userInfo.sub || userInfo.id || '';
+        } catch (error) {
+        }
+        return { credential, sub };
+    }
+
+    // 建立帶有憑證的基本 payload
+    buildAuthPayload(overrides = {}) {
+        const context = this.getCredentialContext();
+        const credential = overrides.credential || context.credential;
+        if (!credential) {
+            throw new InfFitsApiError('沒有可用的憑證');
+        }
+        return {
+            credential: credential,
+            sub: overrides.sub !== undefined ? overrides.sub : context.sub,
+            IDTYPE: this.getIdType() // ✅ 關鍵欄位：Lambda 會根據它分辨平台
+        };
+    }
+
+    // 登入／取得帳號資料
+    buildRetrievePayload(credential) {
+        return {
+            credential: credential,
+            IDTYPE: this.getIdType()
+        };
+    }
+
+    // 更新 BodyData（bodyDataPtr 為空時不變更預設使用者；overrides.history 為伺服器支援時一併上傳的變更歷史）
+    buildUpdateBodyDataPayload(bodyData, bodyDataPtr = null, overrides = {}) {
+        const payload = {
+            BodyData: bodyData,
+            update_bodydata: true,
+            ...this.buildAuthPayload(overrides)
+        };
+        if (bodyDataPtr) {
+            payload.BodyData_ptr = bodyDataPtr;
+        }
+        if (overrides.history) {
+            payload.BodyData_history = overrides.history;
+        }
+        return payload;
+    }
+
+    // 刪除單一使用者的 BodyData
+    buildDeleteBodyDataPayload(userKey, overrides = {}) {
+        return {
+            BodyData_ptr: userKey,
+            delete_bodydata: true,
+            ...this.buildAuthPayload(overrides)
+        };
+    }
+
+    // 更新路線問答進度（RouteProgress 依品牌保存，只覆寫指定品牌）
+    buildUpdateRouteProgressPayload(brand, progress, overrides = {}) {
+        return {
+            Brand: brand,
+            RouteProgress: { [brand]: progress },
+            update_route_progress: true,
+            ...this.buildAuthPayload(overrides)
+        };
+    }
+
+    // 刪除整個帳號
+    buildDeleteUserPayload(overrides = {}) {
+        return {
+            delete_user: true,
+            ...this.buildAuthPayload(overrides)
+        };
+    }
+
+    // 正規化 API 回應，確保 BodyData / BodyData_ptr 結構一致
+    static normalizeResponse(data) {
+        const normalized = data && typeof data === 'object' ? { ...data } : {};
+        if (!normalized.BodyData || typeof normalized.BodyData !== 'object') {
+            normalized.BodyData = {};
+        }
+        if (typeof normalized.BodyData_ptr !== 'string') {
+            normalized.BodyData_ptr = normalized.BodyData_ptr ? String(normalized.BodyData_ptr) : '';
+        }
+        return normalized;
+    }
+
+    // 判斷更新類請求是否成功
+    static isUpdateSuccess(data) {
+        return !!data && (data.success === true || data.message === 'Existing user updated');
+    }
+
+    // 發送請求（包含 401 → 刷新 → 重試 → credential-expired 流程）
+    async request(payload, allowRetry = true) {
+        const response = await fetch(`${this.baseUrl}?IDTYPE=${encodeURIComponent(payload.IDTYPE || this.getIdType())}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        if (response.status === 401) {
+            if (allowRetry && this.refreshCredential) {
+                let newCredential = null;
+                try {
+                    newCredential = await this.refreshCredential();
+                } catch (error) {
+                    // 刷新失敗，視為憑證失效
+                }
+                if (newCredential) {
+                    return this.request({ ...payload, credential: newCredential }, false);
+                }
+            }
+
+            const detail = {
+                status: response.status,
+                statusText: response.statusText,
+                timestamp: new Date().toISOString()
+            };
+            if (this.onCredentialExpired) {
+                this.onCredentialExpired(detail);
+            }
+            throw new InfFitsApiError(`憑證已失效，已自動登出 (${response.status}: ${response.statusText})`, response.status);
+        }
+
+        if (!response.ok) {
+            let errorText = response.statusText;
+            try {
+                errorText = (await response.text()) || response.statusText;
+            } catch (error) {
+            }
+            throw new InfFitsApiError(`HTTP error ${response.status}: ${errorText}`, response.status);
+        }
+
+        const data = await response.json();
+        return InfFitsApiClient.normalizeResponse(data);
+    }
+
+    // 取得帳號資料（登入時呼叫）
+    retrieve(credential) {
+        return this.request(this.buildRetrievePayload(credential));
+    }
+
+    // 更新 BodyData
+    updateBodyData(bodyData, bodyDataPtr = null, overrides = {}) {
+        return this.request(this.buildUpdateBodyDataPayload(bodyData, bodyDataPtr, overrides));
+    }
+
+    // 刪除單一使用者
+    deleteBodyData(userKey, overrides = {}) {
+        return this.request(this.buildDeleteBodyDataPayload(userKey, overrides));
+    }
+
+    // 更新路線問答進度
+    updateRouteProgress(brand, progress, overrides = {}) {
+        return this.request(this.buildUpdateRouteProgressPayload(brand, progress, overrides));
+    }
+
+    // 刪除帳號
+    deleteUser(overrides = {}) {
+        return this.request(this.buildDeleteUserPayload(overrides));
+    }
+}
+
+InfFitsApiClient.defaultBaseUrl = 'https://api.inffits.com/inffits_account_register_and_retrieve_data/model';
+
+// 預設 API 位址：優先使用端點註冊表（inf-endpoints.js），未載入時使用內建位址
+InfFitsApiClient.getDefaultBaseUrl = function () {
+    if (window.InfFitsEndpoints) {
+        return window.InfFitsEndpoints.url('account');
+    }
+    return InfFitsApiClient.defaultBaseUrl;
+};
+
+// 取得共用的 API 客戶端（優先使用頁面上組件的客戶端，以套用相同的 401 處理）
+function getInfFitsApiClient() {
+    const component = document.querySelector('inf-google-login');
+    if (component && typeof component.getApiClient === 'function') {
+        return component.getApiClient();
+    }
+    if (!getInfFitsApiClient.fallbackClient) {
+        getInfFitsApiClient.fallbackClient = new InfFitsApiClient();
+    }
+    return getInfFitsApiClient.fallbackClient;
+}
+
+/**
+ * infFITS Token 存儲（TokenStore）
+ * 集中管理登入狀態相關的鍵值，透過 <inf-google-login storage="memory|session|local|cookie"> 選擇後端。
+ *
+ * - 介面與 Web Storage 相同：getItem / setItem / removeItem，另提供 clear() 清除所有登入相關鍵值
+ * - 所選後端無法使用時自動依序回退（cookie → local → session → memory）
+ * - 無痕模式（detectIncognitoMode）下不使用持久化後端，local / cookie 直接回退為 session
+ * - 寫入失敗（容量不足、cookie 超過 4KB）時改存於記憶體，避免登入流程中斷
+ * - INF_ENCRYPTED_KEYS 中的鍵值以 AES-GCM 加密後才寫入後端（見 InfEncryption）
+ */
+const INF_TOKEN_STORE_KEYS = [
+    'google_auth_credential',
+    'google_access_token',
+    'google_refresh_token',
+    'google_token_expires_at',
+    'google_token_info',
+    'google_user_info',
+    'inffits_api_response',
+    'inffits_bodydata_history',
+    'inf_bodydata_sync_base',
+    INF_LOGIN_PROVIDER_STORAGE_KEY
+];
+const INF_TOKEN_STORE_DEFAULT_TYPE = 'local';
+
+// 記憶體後端（同一頁面的所有組件共用，重新整理後清空）
+class InfMemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// Cookie 後端（組件嵌在 iframe 中時使用分區 cookie）
+class InfCookieStorage {
+    constructor(prefix = 'inf_ts_') {
+        this.prefix = prefix;
+        this.maxAge = 30 * 24 * 60 * 60; // 30 天
+    }
+
+    getAttributes(maxAge) {
+        const sameSite = window.location.protocol === 'https:' ? 'SameSite=None; Secure; Partitioned' : 'SameSite=Lax';
+        return `Path=/; Max-Age=${maxAge}; ${sameSite}`;
+    }
+
+    getItem(key) {
+        const name = `${this.prefix}${key}=`;
+        const cookie = document.cookie.split(';').map(part => part.trim()).find(part => part.indexOf(name) === 0);
+        return cookie ? decodeURIComponent(cookie.substring(name.length)) : null;
+    }
+
+    setItem(key, value) {
+        const encoded = encodeURIComponent(String(value));
+        if (encoded.length > 3800) {
+            throw new Error('Cookie 容量不足');
+        }
+        document.cookie = `${this.prefix}${key}=${encoded}; ${this.getAttributes(this.maxAge)}`;
+    }
+
+    removeItem(key) {
+        document.cookie = `${this.prefix}${key}=; ${this.getAttributes(0)}`;
+    }
+}
+
+/**
+ * 靜態加密（encrypted at rest）
+ * 含身體數據與 email 的 inffits_api_response、inffits_bodydata_history、inf_bodydata_sync_base、google_user_info
+ * 以 AES-GCM 加密後才寫入存儲。
+ * BodyData 離線佇列（IndexedDB inf_outbox）的變更紀錄需在重新開啟瀏覽器後重送，以不隨會話更換的 local 金鑰加密。
+ *
+ * - 金鑰為不可匯出（non-extractable）的 CryptoKey，只以結構化複製保存在 IndexedDB，頁面腳本無法讀出金鑰內容
+ * - 金鑰以瀏覽器會話為單位（會話 ID 存於 session cookie），關閉瀏覽器後產生新金鑰，舊密文視為不存在並重新向 API 取得
+ * - IndexedDB 無法使用時（例如無痕模式）session 金鑰只存在於記憶體；持久範圍（local）的金鑰無法保存，該範圍的資料改存明文
+ * - 未登入也會保存的本地身體資料（INF_LOCAL_BODY_KEYS）經 getInfLocalBodyStore() 讀寫，預設維持明文，
+ *   因為尺寸推薦引擎（inf_main 腳本）仍直接讀取 localStorage；
+ *   inf_main 改以 window.InfFitsLocalBodyData 讀取後，呼叫 InfFitsLocalBodyData.enableEncryption() 開啟加密，
+ *   此資料無法向 API 重新取得，使用不隨會話更換的 local 金鑰
+ */
+const INF_ENCRYPTED_KEYS = ['inffits_api_response', 'inffits_bodydata_history', 'inf_bodydata_sync_base', 'google_user_info'];
+const INF_LOCAL_BODY_KEYS = ['BodyID_size', 'BodyID_Foot_size'];
+
+class InfEncryption {
+    // 是否支援 WebCrypto（非安全來源時 crypto.subtle 不存在）
+    static isSupported() {
+        return !!(window.crypto && window.crypto.subtle && window.isSecureContext !== false);
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.indexOf(InfEncryption.prefix) === 0;
+    }
+
+    // 取得瀏覽器會話 ID（session cookie 被封鎖時退回 sessionStorage）
+    static getSessionId() {
+        const name = 'inf_enc_sid=';
+        const existing = document.cookie.split(';').map(part => part.trim()).find(part => part.indexOf(name) === 0);
+        if (existing) {
+            return existing.substring(name.length);
+        }
+
+        const sessionId = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        const sameSite = window.location.protocol === 'https:' ? 'SameSite=None; Secure; Partitioned' : 'SameSite=Lax';
+        document.cookie = `${name}${sessionId}; Path=/; ${sameSite}`;
+        if (document.cookie.indexOf(`${name}${sessionId}`) !== -1) {
+            return sessionId;
+        }
+
+        try {
+            const stored = sessionStorage.getItem('inf_enc_sid');
+            if (stored) return stored;
+            sessionStorage.setItem('inf_enc_sid', sessionId);
+        } catch (error) {
+            // 靜默處理錯誤
+        }
+        return sessionId;
+    }
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('inf_encryption', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('keys');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static async generateKey() {
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+
+    // 讀取金鑰，不存在時產生新金鑰；session 金鑰以會話 ID 保存，產生時移除其他會話的舊金鑰
+    static async loadOrCreateKey(scope = 'session') {
+        const keyId = scope === 'session' ? InfEncryption.getSessionId() : `${InfEncryption.persistentKeyPrefix}${scope}`;
+        let db;
+        try {
+            db = await InfEncryption.openDatabase();
+        } catch (error) {
+            // 持久範圍的金鑰無法保存，重新載入後舊密文無法解密，回傳 null 由呼叫端改存明文
+            return scope === 'session' ? InfEncryption.generateKey() : null;
+        }
+
+        const existingKey = await new Promise((resolve) => {
+            const request = db.transaction('keys', 'readonly').objectStore('keys').get(keyId);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+        if (existingKey) {
+            return existingKey;
+        }
+
+        const key = await InfEncryption.generateKey();
+        const saved = await new Promise((resolve) => {
+            const transaction = db.transaction('keys', 'readwrite');
+            const store = transaction.objectStore('keys');
+            if (scope === 'session') {
+                const request = store.getAllKeys();
+                request.onsuccess = () => request.result
+                    .filter(id => String(id).indexOf(InfEncryption.persistentKeyPrefix) !== 0)
+                    .forEach(id => store.delete(id));
+            }
+            store.put(key, keyId);
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => resolve(false);
+        });
+        return saved || scope === 'session' ? key : null;
+    }
+
+    // 同一頁面每個範圍共用一把金鑰；持久範圍的金鑰無法保存時為 null
+    static getKey(scope = 'session') {
+        if (!InfEncryption.keyPromises[scope]) {
+            InfEncryption.keyPromises[scope] = InfEncryption.loadOrCreateKey(scope);
+        }
+        return InfEncryption.keyPromises[scope];
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    static fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+
+    // 加密為 inf_enc:v1:<iv>:<密文>
+    static async encrypt(plaintext, scope = 'session') {
+        const key = await InfEncryption.getKey(scope);
+        if (!key) {
+            throw new Error('加密金鑰無法保存');
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(plaintext));
+        return `${InfEncryption.prefix}${InfEncryption.toBase64(iv)}:${InfEncryption.toBase64(ciphertext)}`;
+    }
+
+    // 解密失敗（其他會話的金鑰、資料損毀）時拋出錯誤
+    static async decrypt(value, scope = 'session') {
+        const [iv, ciphertext] = value.substring(InfEncryption.prefix.length).split(':');
+        const key = await InfEncryption.getKey(scope);
+        if (!key) {
+            throw new Error('加密金鑰無法保存');
+        }
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: InfEncryption.fromBase64(iv) }, key, InfEncryption.fromBase64(ciphertext));
+        return new TextDecoder().decode(plaintext);
+    }
+}
+
+InfEncryption.prefix = 'inf_enc:v1:';
+InfEncryption.persistentKeyPrefix = 'persistent:';
+InfEncryption.keyPromises = {};
+
+class InfTokenStore {
+    constructor(type = INF_TOKEN_STORE_DEFAULT_TYPE, options = {}) {
+        this.requestedType = InfTokenStore.backends[type] ? type : INF_TOKEN_STORE_DEFAULT_TYPE;
+        this.persistent = options.persistent !== false;
+
+        const candidates = [this.requestedType, ...InfTokenStore.fallbacks[this.requestedType]]
+            .filter(candidate => this.persistent || (candidate !== 'local' && candidate !== 'cookie'));
+        this.type = candidates.find(candidate => InfTokenStore.isUsable(InfTokenStore.getBackend(candidate))) || 'memory';
+        this.backend = InfTokenStore.getBackend(this.type);
+
+        // options.encryptedKeys / keyScope：加密的鍵值與使用的金鑰範圍（見 InfEncryption.getKey）
+        this.encryptedKeys = options.encryptedKeys || INF_ENCRYPTED_KEYS;
+        this.keyScope = options.keyScope || 'session';
+
+        // 加密鍵值的明文快取（讀取維持同步介面），以及每個鍵值的寫入版本（避免舊的非同步加密覆蓋新值）
+        this.decryptedValues = new Map();
+        this.writeVersions = {};
+        // 尚未完成的加密寫入（flush() 等待）
+        this.pendingWrites = new Set();
+        this.encrypted = this.type !== 'memory' && InfEncryption.isSupported();
+        this.ready = this.encrypted ? this.loadEncryptedValues() : Promise.resolve();
+    }
+
+    // local 與 cookie 後端由同源的所有分頁共用
+    isShared() {
+        return this.type === 'local' || this.type === 'cookie';
+    }
+
+    isEncryptedKey(key) {
+        return this.encrypted && this.encryptedKeys.includes(key);
+    }
+
+    readBackend(key) {
+        try {
+            return this.backend.getItem(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 解密既有資料；明文資料（舊版本）自動加密覆寫
+    async loadEncryptedValues() {
+        // 持久範圍的金鑰無法保存（IndexedDB 無法使用）時改存明文，避免資料在重新載入後無法解密而遺失
+        if (!(await InfEncryption.getKey(this.keyScope))) {
+            this.disableEncryption();
+            return;
+        }
+
+        for (const key of this.encryptedKeys) {
+            const raw = this.readBackend(key);
+            if (!raw || this.decryptedValues.has(key)) {
+                continue;
+            }
+
+            if (!InfEncryption.isEncrypted(raw)) {
+                this.setItem(key, raw);
+                continue;
+            }
+
+            try {
+                const plaintext = await InfEncryption.decrypt(raw, this.keyScope);
+                if (!this.decryptedValues.has(key)) {
+                    this.decryptedValues.set(key, plaintext);
+                }
+            } catch (error) {
+                // 無法解密（上一個瀏覽器會話的資料），視為不存在
+                if (this.readBackend(key) === raw) {
+                    this.removeItem(key);
+                }
+            }
+        }
+    }
+
+    // 停用加密：快取中的值以明文寫入後端，並捨棄尚未完成的加密寫入
+    disableEncryption() {
+        this.encrypted = false;
+        this.decryptedValues.forEach((value, key) => {
+            this.writeVersions[key] = (this.writeVersions[key] || 0) + 1;
+            try {
+                this.backend.setItem(key, value);
+            } catch (error) {
+                // 靜默處理錯誤
+            }
+        });
+        this.decryptedValues.clear();
+    }
+
+    // 加密後寫入後端
+    async persistEncrypted(key, value, version) {
+        try {
+            const encrypted = await InfEncryption.encrypt(value, this.keyScope);
+            if (this.writeVersions[key] === version) {
+                this.backend.setItem(key, encrypted);
+            }
+        } catch (error) {
+            // 無法加密或寫入時只保留在記憶體，不寫入明文
+        }
+    }
+
+    // 套用其他分頁或組件已寫入的值（InfAuthBus 訊息）
+    // 共用後端的資料已由發送端寫入，只需更新加密鍵值的快取；其他後端需自行寫入
+    syncItem(key, value) {
+        if (this.isShared()) {
+            if (this.isEncryptedKey(key)) {
+                this.writeVersions[key] = (this.writeVersions[key] || 0) + 1;
+                if (value === null || value === undefined) {
+                    this.decryptedValues.delete(key);
+                } else {
+                    this.decryptedValues.set(key, String(value));
+                }
+            }
+            return;
+        }
+
+        if (value === null || value === undefined) {
+            this.removeItem(key);
+        } else {
+            this.setItem(key, value);
+        }
+    }
+
+    // 其他分頁寫入加密鍵值時更新快取（不經 InfAuthBus 同步的存儲使用）
+    watchStorageEvents() {
+        window.addEventListener('storage', (event) => {
+            if (event.storageArea !== this.backend || !this.isEncryptedKey(event.key)) {
+                return;
+            }
+            const version = (this.writeVersions[event.key] || 0) + 1;
+            this.writeVersions[event.key] = version;
+            if (!event.newValue) {
+                this.decryptedValues.delete(event.key);
+                return;
+            }
+            // 明文由 getItem 讀取時採用
+            if (!InfEncryption.isEncrypted(event.newValue)) {
+                return;
+            }
+            InfEncryption.decrypt(event.newValue, this.keyScope).then(plaintext => {
+                if (this.writeVersions[event.key] === version) {
+                    this.decryptedValues.set(event.key, plaintext);
+                }
+            }).catch(() => {
+                // 無法解密時維持原本的快取
+            });
+        });
+    }
+
+    // 捨棄加密鍵值的快取並重新解密（收到不含資料的訊息時使用）
+    reload() {
+        this.decryptedValues.clear();
+        this.ready = this.encrypted ? this.loadEncryptedValues() : Promise.resolve();
+        return this.ready;
+    }
+
+    // 取得後端實例（memory 與 cookie 為頁面共用的單例）
+    static getBackend(type) {
+        try {
+            return InfTokenStore.backends[type]();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 檢查後端是否可寫入
+    static isUsable(backend) {
+        if (!backend) return false;
+        try {
+            const testKey = '__inf_token_store_test__';
+            backend.setItem(testKey, '1');
+            const usable = backend.getItem(testKey) === '1';
+            backend.removeItem(testKey);
+            return usable;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getItem(key) {
+        if (this.isEncryptedKey(key)) {
+            // 自己寫入時會移除明文，後端出現明文代表其他腳本（例如 inf_main）的新寫入，採用並加密
+            const raw = this.readBackend(key);
+            if (raw && !InfEncryption.isEncrypted(raw)) {
+                this.setItem(key, raw);
+                return raw;
+            }
+            // 密文需等待 ready 完成解密
+            return this.decryptedValues.has(key) ? this.decryptedValues.get(key) : null;
+        }
+
+        try {
+            const value = this.backend.getItem(key);
+            if (value !== null) {
+                return value;
+            }
+        } catch (error) {
+            // 靜默處理錯誤
+        }
+        return this.backend === InfTokenStore.memory ? null : InfTokenStore.memory.getItem(key);
+    }
+
+    setItem(key, value) {
+        if (this.isEncryptedKey(key)) {
+            const version = (this.writeVersions[key] || 0) + 1;
+            this.writeVersions[key] = version;
+            this.decryptedValues.set(key, String(value));
+            // 加密完成前不保留舊的明文
+            const raw = this.readBackend(key);
+            if (raw && !InfEncryption.isEncrypted(raw)) {
+                try {
+                    this.backend.removeItem(key);
+                } catch (error) {
+                    // 靜默處理錯誤
+                }
+            }
+            const write = this.persistEncrypted(key, String(value), version);
+            this.pendingWrites.add(write);
+            write.then(() => this.pendingWrites.delete(write));
+            return;
+        }
+
+        try {
+            this.backend.setItem(key, value);
+            InfTokenStore.memory.removeItem(key);
+        } catch (error) {
+            // 寫入失敗時改存於記憶體
+            InfTokenStore.memory.setItem(key, value);
+        }
+    }
+
+    removeItem(key) {
+        if (this.isEncryptedKey(key)) {
+            this.writeVersions[key] = (this.writeVersions[key] || 0) + 1;
+            this.decryptedValues.delete(key);
+        }
+
+        try {
+            this.backend.removeItem(key);
+        } catch (error) {
+            // 靜默處理錯誤
+        }
+        InfTokenStore.memory.removeItem(key);
+    }
+
+    // 等待載入與尚未完成的加密寫入，重新整理頁面前呼叫以免寫入遺失
+    async flush() {
+        await this.ready;
+        await Promise.all(Array.from(this.pendingWrites));
+    }
+
+    // 清除所有登入相關鍵值
+    clear() {
+        INF_TOKEN_STORE_KEYS.forEach(key => this.removeItem(key));
+    }
+}
+
+InfTokenStore.memory = new InfMemoryStorage();
+InfTokenStore.cookie = new InfCookieStorage();
+InfTokenStore.backends = {
+    memory: () => InfTokenStore.memory,
+    session: () => window.sessionStorage,
+    local: () => window.localStorage,
+    cookie: () => InfTokenStore.cookie
+};
+InfTokenStore.fallbacks = {
+    memory: [],
+    session: ['memory'],
+    local: ['session', 'memory'],
+    cookie: ['local', 'session', 'memory']
+};
+
+// 取得共用的 TokenStore（優先使用頁面上組件的設定，全域函數與組件讀寫同一個後端）
+function getInfTokenStore() {
+    const component = document.querySelector('inf-google-login');
+    if (component && component.tokenStore) {
+        return component.tokenStore;
+    }
+    if (!getInfTokenStore.fallbackStore) {
+        getInfTokenStore.fallbackStore = new InfTokenStore();
+    }
+    return getInfTokenStore.fallbackStore;
+}
+
+// 取得本地身體資料（INF_LOCAL_BODY_KEYS）的存儲：未登入也會保存，固定使用 localStorage，開啟加密後以 local 金鑰加密
+function getInfLocalBodyStore() {
+    if (!getInfLocalBodyStore.store) {
+        const encryptedKeys = getInfLocalBodyStore.encryptionEnabled ? INF_LOCAL_BODY_KEYS : [];
+        getInfLocalBodyStore.store = new InfTokenStore('local', { encryptedKeys: encryptedKeys, keyScope: 'local' });
+        getInfLocalBodyStore.store.watchStorageEvents();
+    }
+    return getInfLocalBodyStore.store;
+}
+
+getInfLocalBodyStore.encryptionEnabled = false;
+
+// 尺寸推薦引擎（inf_main）與其他頁面腳本讀寫本地身體資料，get() 等待解密完成後回傳明文
+window.InfFitsLocalBodyData = {
+    get: key => getInfLocalBodyStore().ready.then(() => getInfLocalBodyStore().getItem(key)),
+    set: (key, value) => getInfLocalBodyStore().setItem(key, value),
+    remove: key => getInfLocalBodyStore().removeItem(key),
+    // 同源所有頁面的 inf_main 都改經 get() 讀取後才可開啟，開啟後既有明文於載入時加密
+    enableEncryption: () => {
+        getInfLocalBodyStore.encryptionEnabled = true;
+        const store = getInfLocalBodyStore.store;
+        if (store && !store.encryptedKeys.length) {
+            store.encryptedKeys = INF_LOCAL_BODY_KEYS;
+            store.reload();
+        }
+    }
+};
+
+// 跨分頁 / iframe 同步的訊息類型
+const INF_AUTH_MESSAGES = {
+    LOGIN: 'login',
+    LOGOUT: 'logout',
+    TOKEN_REFRESHED: 'token-refreshed',
+    BODYDATA_UPDATED: 'bodydata-updated',
+    DEFAULT_USER_CHANGED: 'default-user-changed'
+};
+
+/**
+ * 登入狀態同步匯流排（頁面單例）
+ * 訊息經 BroadcastChannel 送到其他分頁與同源 iframe，同一頁面的其他組件則直接通知。
+ * 訊息格式：{ type, payload, senderId, timestamp }
+ *
+ * - 不支援 BroadcastChannel 時改用 localStorage 的 storage 事件，只傳送類型不傳送資料
+ * - 以 Web Locks 選出 leader 分頁，只有 leader 執行定期的 token 檢查
+ */
+class InfAuthBus {
+    constructor(name = 'inf-auth') {
+        this.name = name;
+        this.senderId = `${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 10)}`;
+        this.subscribers = new Map();
+        this.isLeader = false;
+        this.channel = null;
+
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(name);
+            this.channel.onmessage = (event) => this.deliver(event.data, null);
+        } else {
+            window.addEventListener('storage', (event) => {
+                if (event.key !== `${name}_message` || !event.newValue) return;
+                try {
+                    this.deliver(JSON.parse(event.newValue), null);
+                } catch (error) {
+                    // 忽略無法解析的訊息
+                }
+            });
+        }
+
+        this.electLeader();
+    }
+
+    static getInstance() {
+        if (!InfAuthBus.instance) {
+            InfAuthBus.instance = new InfAuthBus();
+        }
+        return InfAuthBus.instance;
+    }
+
+    // 取得 leader 鎖後持有到分頁關閉，鎖釋放時由下一個等待中的分頁接手
+    electLeader() {
+        if (!navigator.locks || typeof navigator.locks.request !== 'function') {
+            // 無法協調時每個分頁各自執行定期檢查
+            this.isLeader = true;
+            return;
+        }
+
+        navigator.locks.request(`${this.name}_leader`, () => {
+            this.isLeader = true;
+            return new Promise(() => {});
+        }).catch(() => {
+            this.isLeader = true;
+        });
+    }
+
+    // owner 為訂閱的組件，同一頁面發送的訊息不會回送給發送的組件
+    subscribe(owner, handler) {
+        this.subscribers.set(handler, owner);
+        return () => this.subscribers.delete(handler);
+    }
+
+    publish(type, payload = {}, source = null) {
+        const message = {
+            type: type,
+            payload: payload,
+            senderId: this.senderId,
+            timestamp: Date.now()
+        };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else {
+            try {
+                const key = `${this.name}_message`;
+                localStorage.setItem(key, JSON.stringify({ ...message, payload: null }));
+                localStorage.removeItem(key);
+            } catch (error) {
+                // 無法寫入時只通知同一頁面
+            }
+        }
+
+        this.deliver(message, source);
+    }
+
+    deliver(message, source) {
+        if (!message || !Object.values(INF_AUTH_MESSAGES).includes(message.type)) {
+            return;
+        }
+        this.subscribers.forEach((owner, handler) => {
+            if (source && owner === source) return;
+            try {
+                handler(message);
+            } catch (error) {
+                // 單一訂閱者錯誤不影響其他訂閱者
+            }
+        });
+    }
+}
+
+InfAuthBus.instance = null;
+
+/**
+ * 頁面層級的登入會話（單例）
+ * 同一頁面的所有 <inf-google-login> 共用一組 token 檢查計時器與可見性監聽，
+ * 同一時間只有一個 token 刷新請求，等待中的組件取得同一個 Promise。
+ */
+class InfAuthSession {
+    constructor() {
+        this.components = new Set();
+        this.inFlight = new Map();
+        this.intervals = [];
+        this.visibilityHandler = null;
+        this.lastApiRefreshTime = 0; // 全局 API 刷新節流（所有實例共享）
+    }
+
+    static getInstance() {
+        if (!InfAuthSession.instance) {
+            InfAuthSession.instance = new InfAuthSession();
+        }
+        return InfAuthSession.instance;
+    }
+
+    // 組件掛載時加入，第一個組件加入時啟動計時器
+    attach(component) {
+        this.components.add(component);
+        if (this.intervals.length === 0) {
+            this.start();
+        }
+    }
+
+    // 組件移除時退出，最後一個組件移除時停止計時器
+    detach(component) {
+        this.components.delete(component);
+        if (this.components.size === 0) {
+            this.stop();
+        }
+    }
+
+    // 由第一個已登入的組件代表頁面執行檢查，結果經 InfAuthBus 同步給其他組件
+    getActiveComponent() {
+        for (const component of this.components) {
+            if (component.isAuthenticated) {
+                return component;
+            }
+        }
+        return null;
+    }
+
+    start() {
+        // 每 30 分鐘檢查一次 token 狀態（只由 leader 分頁執行）
+        this.intervals.push(setInterval(() => {
+            const component = this.getActiveComponent();
+            if (component && InfAuthBus.getInstance().isLeader) {
+                component.checkAndRefreshToken();
+            }
+        }, 30 * 60 * 1000));
+
+        // 每 10 分鐘做一次快速檢查（僅檢查過期時間，不做網路請求）
+        this.intervals.push(setInterval(() => {
+            const component = this.getActiveComponent();
+            if (component && InfAuthBus.getInstance().isLeader) {
+                component.quickTokenValidityCheck();
+            }
+        }, 10 * 60 * 1000));
+
+        // 頁面可見性變化時檢查 token（用戶回到頁面時）
+        this.visibilityHandler = () => {
+            const component = this.getActiveComponent();
+            if (!document.hidden && component) {
+                component.checkAndRefreshToken();
+            }
+        };
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+    }
+
+    stop() {
+        this.intervals.forEach(id => clearInterval(id));
+        this.intervals = [];
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+    }
+
+    // 同一個 key 同時只執行一次，執行期間的呼叫取得同一個 Promise
+    singleFlight(key, task) {
+        if (!this.inFlight.has(key)) {
+            const promise = Promise.resolve()
+                .then(task)
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, promise);
+        }
+        return this.inFlight.get(key);
+    }
+}
+
+InfAuthSession.instance = null;
+
+/**
+ * BodyData 離線佇列（Outbox，頁面單例）
+ * 離線或網路錯誤時，BodyData 的變更保存於 IndexedDB，恢復連線（online 事件）後依序重送。
+ *
+ * - submit() 連線時直接呼叫 API，離線時加入佇列並回傳套用變更後的 API 回應（樂觀更新）
+ * - 每筆變更只記錄實際修改的使用者資料（patch）與修改前的雲端值（base）
+ * - 重送前先取得雲端最新資料，雲端值與 base 不同且與 patch 不同時視為衝突，暫停重送並等待使用者選擇
+ * - 狀態：synced（已同步）、pending（待同步）、syncing（同步中）、conflict（衝突）
+ * - 所有 BodyData 更新都經過 submit()，變更歷史（InfBodyDataHistory）也在此記錄
+ */
+class InfBodyDataOutbox {
+    constructor() {
+        this.dbPromise = null;
+        this.memoryRecords = []; // IndexedDB 無法使用時的備援
+        this.nextMemoryId = 1;
+        this.listeners = new Set();
+        this.replayPromise = null;
+        this.state = { status: 'synced', pending: 0, conflict: null };
+
+        window.addEventListener('online', () => this.replay());
+        this.ready = this.refreshState();
+    }
+
+    static getInstance() {
+        if (!InfBodyDataOutbox.instance) {
+            InfBodyDataOutbox.instance = new InfBodyDataOutbox();
+        }
+        return InfBodyDataOutbox.instance;
+    }
+
+    // fetch 無法連線時拋出 TypeError；HTTP 錯誤（InfFitsApiError）不加入佇列
+    static isNetworkError(error) {
+        return !navigator.onLine || error instanceof TypeError;
+    }
+
+    static isSameValue(a, b) {
+        return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+    }
+
+    static getCurrentSub() {
+        try {
+            const userInfo = JSON.parse(getInfTokenStore().getItem('google_user_info') || '{}');
+            return userInfo.sub || userInfo.id || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    static getLocalApiResponse() {
+        try {
+            return InfFitsApiClient.normalizeResponse(JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}'));
+        } catch (error) {
+            return InfFitsApiClient.normalizeResponse({});
+        }
+    }
+
+    // 將變更套用到 API 回應
+    static applyMutation(apiResponse, mutation) {
+        return {
+            ...apiResponse,
+            BodyData: { ...apiResponse.BodyData, ...mutation.patch },
+            BodyData_ptr: mutation.bodyDataPtr || apiResponse.BodyData_ptr
+        };
+    }
+
+    getDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                try {
+                    const request = indexedDB.open('inf_outbox', 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // IndexedDB 中的變更含身體數據，以 InfEncryption 加密，只保留 id 為明文；
+    // 變更需在關閉瀏覽器後仍可重送，使用 local 金鑰（金鑰無法保存時維持明文）
+    static async encodeRecord(record) {
+        if (!InfEncryption.isSupported() || !(await InfEncryption.getKey(InfBodyDataOutbox.keyScope))) {
+            return record;
+        }
+        const { id, ...data } = record;
+        const encoded = { data: await InfEncryption.encrypt(JSON.stringify(data), InfBodyDataOutbox.keyScope) };
+        return id === undefined ? encoded : { ...encoded, id: id };
+    }
+
+    // 解密失敗（金鑰遺失、資料損毀）時回傳 null；未加密的紀錄原樣回傳
+    static async decodeRecord(record) {
+        if (!InfEncryption.isEncrypted(record.data)) {
+            return record;
+        }
+        try {
+            return { ...JSON.parse(await InfEncryption.decrypt(record.data, InfBodyDataOutbox.keyScope)), id: record.id };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async runRequest(mode, operation) {
+        const db = await this.getDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('mutations', mode);
+            const request = operation(transaction.objectStore('mutations'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // 依加入順序取得目前使用者的變更（id 遞增）
+    async getMutations() {
+        const db = await this.getDatabase();
+        const records = db ? await this.readRecords() : this.memoryRecords.slice();
+        const sub = InfBodyDataOutbox.getCurrentSub();
+        return records.filter(record => !record.sub || record.sub === sub).sort((a, b) => a.id - b.id);
+    }
+
+    // 讀取並解密 IndexedDB 中的變更：無法解密的紀錄（金鑰遺失、資料損毀）無法重送，通知使用者後移除；
+    // 未加密的紀錄在金鑰可用時加密覆寫
+    async readRecords() {
+        const stored = await this.runRequest('readonly', store => store.getAll());
+        const records = [];
+        let unreadable = 0;
+        for (const item of stored) {
+            const record = await InfBodyDataOutbox.decodeRecord(item);
+            if (!record) {
+                unreadable++;
+                await this.deleteMutation(item.id);
+            } else {
+                if (record === item && InfEncryption.isSupported() && await InfEncryption.getKey(InfBodyDataOutbox.keyScope)) {
+                    await this.putMutation(record);
+                }
+                records.push(record);
+            }
+        }
+        if (unreadable > 0) {
+            showNotification(InfI18n.t('notify.outboxUnreadable', { count: unreadable }), 'error');
+        }
+        return records;
+    }
+
+    async addMutation(record) {
+        const db = await this.getDatabase();
+        if (!db) {
+            this.memoryRecords.push({ ...record, id: this.nextMemoryId++ });
+            return;
+        }
+        // 加密需在交易開始前完成，交易在等待期間會自動提交
+        const encoded = await InfBodyDataOutbox.encodeRecord(record);
+        await this.runRequest('readwrite', store => store.add(encoded));
+    }
+
+    async putMutation(record) {
+        const db = await this.getDatabase();
+        if (!db) {
+            this.memoryRecords = this.memoryRecords.map(item => item.id === record.id ? record : item);
+            return;
+        }
+        const encoded = await InfBodyDataOutbox.encodeRecord(record);
+        await this.runRequest('readwrite', store => store.put(encoded));
+    }
+
+    async deleteMutation(id) {
+        const db = await this.getDatabase();
+        if (!db) {
+            this.memoryRecords = this.memoryRecords.filter(item => item.id !== id);
+            return;
+        }
+        await this.runRequest('readwrite', store => store.delete(id));
+    }
+
+    // 清除所有變更（登出時呼叫，佇列屬於登入的帳號）
+    async clear() {
+        const db = await this.getDatabase();
+        if (db) {
+            await this.runRequest('readwrite', store => store.clear());
+        }
+        this.memoryRecords = [];
+        await this.refreshState();
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    setState(state) {
+        this.state = { ...this.state, ...state };
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.state);
+            } catch (error) {
+                // 單一訂閱者錯誤不影響其他訂閱者
+            }
+        });
+    }
+
+    // 依佇列內容重新計算狀態（其他分頁同步完成後也會呼叫）
+    async refreshState() {
+        if (this.replayPromise) {
+            return this.state;
+        }
+        const mutations = await this.getMutations();
+        const conflict = mutations.find(mutation => mutation.conflict) || null;
+        this.setState({
+            status: conflict ? 'conflict' : mutations.length > 0 ? 'pending' : 'synced',
+            pending: mutations.length,
+            conflict: conflict
+        });
+        return this.state;
+    }
+
+    // 更新 BodyData：連線且佇列為空時直接呼叫 API，否則加入佇列（維持變更順序）
+    // source 為變更來源，顯示於變更歷史（見 history.source.* 翻譯）
+    async submit(bodyData, bodyDataPtr = null, overrides = {}, source = 'edit') {
+        await this.ready;
+        // 送出前依 INF_MEASUREMENT_SCHEMA 檢查變更的欄位，超出範圍的資料不送出也不加入佇列
+        const invalid = InfMeasurementSchema.validateBodyData(InfBodyDataOutbox.getLocalApiResponse().BodyData, bodyData);
+        if (invalid.length > 0) {
+            throw new InfFitsApiError(InfI18n.t('validation.outOfRange', { fields: InfI18n.formatList(invalid.map(item => item.label)) }), 0, { invalid: invalid });
+        }
+        const historyIds = InfBodyDataHistory.record(InfBodyDataOutbox.getLocalApiResponse().BodyData, bodyData, source);
+
+        if (navigator.onLine && this.state.pending === 0) {
+            try {
+                const data = await getInfFitsApiClient().updateBodyData(bodyData, bodyDataPtr, {
+                    ...overrides,
+                    history: InfBodyDataHistory.getUploadPayload()
+                });
+                InfBodyDataHistory.syncFromResponse(data);
+                return { data: data, queued: false };
+            } catch (error) {
+                if (!InfBodyDataOutbox.isNetworkError(error)) {
+                    // 伺服器拒絕的變更不保留在歷史中
+                    InfBodyDataHistory.remove(historyIds);
+                    throw error;
+                }
+            }
+        }
+
+        const data = await this.enqueue(bodyData, bodyDataPtr);
+        if (navigator.onLine) {
+            this.replay();
+        }
+        return { data: data, queued: true };
+    }
+
+    // 加入佇列並回傳樂觀更新後的 API 回應
+    async enqueue(bodyData, bodyDataPtr = null) {
+        const local = InfBodyDataOutbox.getLocalApiResponse();
+        const patch = {};
+        const base = {};
+        Object.keys(bodyData || {}).forEach(userKey => {
+            if (!InfBodyDataOutbox.isSameValue(local.BodyData[userKey], bodyData[userKey])) {
+                patch[userKey] = bodyData[userKey];
+                base[userKey] = local.BodyData[userKey] === undefined ? null : local.BodyData[userKey];
+            }
+        });
+
+        const mutation = {
+            sub: InfBodyDataOutbox.getCurrentSub(),
+            patch: patch,
+            base: base,
+            bodyDataPtr: bodyDataPtr,
+            createdAt: Date.now(),
+            conflict: null
+        };
+        await this.addMutation(mutation);
+        await this.refreshState();
+        return InfBodyDataOutbox.applyMutation(local, mutation);
+    }
+
+    // 依序重送佇列（同一時間只執行一次，多個分頁以 Web Locks 協調）
+    // refresh 為 true 時即使佇列為空也重新取得雲端資料（捨棄本地變更後使用）
+    replay(refresh = false) {
+        if (!this.replayPromise) {
+            const run = () => this.replayMutations(refresh);
+            const task = navigator.locks && typeof navigator.locks.request === 'function'
+                ? navigator.locks.request('inf_outbox_replay', run)
+                : run();
+            this.replayPromise = task.catch(() => {
+                // 靜默處理錯誤，下次連線時重試
+            }).finally(() => {
+                this.replayPromise = null;
+                this.refreshState();
+            });
+        }
+        return this.replayPromise;
+    }
+
+    async replayMutations(refresh = false) {
+        let mutations = await this.getMutations();
+        if (!navigator.onLine || (mutations.length === 0 && !refresh) || (mutations.length > 0 && mutations[0].conflict)) {
+            return;
+        }
+
+        const credential = getInfTokenStore().getItem('google_auth_credential');
+        if (!credential) {
+            return;
+        }
+
+        this.setState({ status: 'syncing' });
+        const client = getInfFitsApiClient();
+        let server = await client.retrieve(credential);
+
+        while (mutations.length > 0) {
+            const mutation = mutations[0];
+            const conflictKeys = mutation.force ? [] : Object.keys(mutation.patch).filter(userKey =>
+                !InfBodyDataOutbox.isSameValue(server.BodyData[userKey], mutation.base[userKey]) &&
+                !InfBodyDataOutbox.isSameValue(server.BodyData[userKey], mutation.patch[userKey])
+            );
+
+            if (conflictKeys.length > 0) {
+                mutation.conflict = {
+                    userKeys: conflictKeys,
+                    server: conflictKeys.reduce((values, userKey) => ({ ...values, [userKey]: server.BodyData[userKey] }), {}),
+                    detectedAt: Date.now()
+                };
+                await this.putMutation(mutation);
+                break;
+            }
+
+            try {
+                server = await client.updateBodyData({ ...server.BodyData, ...mutation.patch }, mutation.bodyDataPtr, {
+                    history: InfBodyDataHistory.getUploadPayload()
+                });
+            } catch (error) {
+                // 網路錯誤、伺服器錯誤與憑證失效（登出時會清除佇列）保留變更，下次連線時重試
+                if (InfBodyDataOutbox.isNetworkError(error) || !(error instanceof InfFitsApiError) || error.isCredentialExpired || error.status >= 500) {
+                    return;
+                }
+                // 伺服器拒絕的變更（4xx）無法重送成功，移除以免阻塞佇列
+                showNotification(InfI18n.t('notify.outboxDiscarded'), 'error');
+            }
+            await this.deleteMutation(mutation.id);
+            mutations = mutations.slice(1);
+        }
+
+        InfBodyDataHistory.syncFromResponse(server);
+
+        // 本地資料 = 雲端最新資料 + 尚未同步的變更
+        const local = mutations.reduce((apiResponse, mutation) => InfBodyDataOutbox.applyMutation(apiResponse, mutation), server);
+        getInfTokenStore().setItem('inffits_api_response', JSON.stringify(local));
+        InfAuthBus.getInstance().publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: local });
+    }
+
+    // 解決衝突：local 保留本地變更並覆寫雲端，remote 捨棄本地變更
+    async resolveConflict(choice) {
+        const mutation = (await this.getMutations()).find(item => item.conflict);
+        if (!mutation) {
+            return;
+        }
+
+        if (choice === 'local') {
+            await this.putMutation({ ...mutation, conflict: null, force: true });
+        } else {
+            await this.deleteMutation(mutation.id);
+        }
+        await this.refreshState();
+        return this.replay(choice !== 'local');
+    }
+}
+
+InfBodyDataOutbox.instance = null;
+InfBodyDataOutbox.keyScope = 'local';
+
+/**
+ * 本地（BodyID_size / BodyID_Foot_size）與雲端 BodyData 的欄位層級三方合併
+ * base 為上次兩邊一致時的欄位值（同步基準）：只有一邊修改的欄位自動合併，兩邊都修改且不同時才視為衝突。
+ * 沒有同步基準的欄位：一邊為空時採用另一邊，兩邊皆有值且不同時為衝突，並依 TS 預選較新的一邊。
+ */
+const INF_MERGE_FIELDS = {
+    body: ['HV', 'WV', 'CC'],
+    foot: ['FH', 'FW', 'FCir']
+};
+
+class InfBodyDataMerge {
+    static normalize(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value).trim();
+        return text === 'null_null' ? '' : text;
+    }
+
+    // TS 可能為毫秒數字、數字字串或日期字串，無法解析時回傳 0
+    static parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return 0;
+        const number = Number(value);
+        if (!isNaN(number)) return number;
+        const date = Date.parse(value);
+        return isNaN(date) ? 0 : date;
+    }
+
+    // 取得兩邊相同的欄位作為同步基準，不同的欄位記為 null（未知）
+    static createBase(local, cloud) {
+        const base = { body: {}, foot: {} };
+        Object.entries(INF_MERGE_FIELDS).forEach(([section, fields]) => {
+            fields.forEach(field => {
+                const localValue = InfBodyDataMerge.normalize(local[section][field]);
+                base[section][field] = localValue === InfBodyDataMerge.normalize(cloud[section][field]) ? localValue : null;
+            });
+        });
+        return base;
+    }
+
+    // local / cloud / base 格式：{ body: {...}, foot: {...} }，回傳 { merged, conflicts }
+    static merge(base, local, cloud) {
+        const merged = { body: {}, foot: {} };
+        const conflicts = [];
+
+        Object.entries(INF_MERGE_FIELDS).forEach(([section, fields]) => {
+            const localTS = InfBodyDataMerge.parseTimestamp(local[section].TS);
+            const cloudTS = InfBodyDataMerge.parseTimestamp(cloud[section].TS);
+
+            fields.forEach(field => {
+                const localValue = InfBodyDataMerge.normalize(local[section][field]);
+                const cloudValue = InfBodyDataMerge.normalize(cloud[section][field]);
+                const baseEntry = base && base[section] ? base[section][field] : null;
+                const baseValue = baseEntry === undefined || baseEntry === null ? null : InfBodyDataMerge.normalize(baseEntry);
+
+                if (localValue === cloudValue) {
+                    merged[section][field] = localValue;
+                    return;
+                }
+
+                if (baseValue !== null) {
+                    if (localValue === baseValue) {
+                        merged[section][field] = cloudValue;
+                        return;
+                    }
+                    if (cloudValue === baseValue) {
+                        merged[section][field] = localValue;
+                        return;
+                    }
+                } else if (!localValue || !cloudValue) {
+                    merged[section][field] = localValue || cloudValue;
+                    return;
+                }
+
+                // 真正的衝突：先暫用雲端值，由使用者選擇
+                merged[section][field] = cloudValue;
+                conflicts.push({
+                    section: section,
+                    field: field,
+                    local: localValue,
+                    cloud: cloudValue,
+                    preferred: localTS > cloudTS ? 'local' : 'cloud'
+                });
+            });
+        });
+
+        return { merged: merged, conflicts: conflicts };
+    }
+
+    // 套用衝突選擇（choices 格式：{ 'body.HV': 'local' | 'cloud' }）
+    static resolve(result, choices) {
+        const merged = {
+            body: { ...result.merged.body },
+            foot: { ...result.merged.foot }
+        };
+        result.conflicts.forEach(conflict => {
+            const choice = choices[`${conflict.section}.${conflict.field}`] || conflict.preferred;
+            merged[conflict.section][conflict.field] = choice === 'local' ? conflict.local : conflict.cloud;
+        });
+        return merged;
+    }
+
+    // 列出合併結果與某一邊不同的欄位
+    static getChangedFields(merged, side, section) {
+        return INF_MERGE_FIELDS[section].filter(field =>
+            merged[section][field] !== InfBodyDataMerge.normalize(side[section][field])
+        );
+    }
+}
+
+/**
+ * BodyData 變更歷史（每位使用者資料各自的版本時間軸）
+ * InfBodyDataOutbox.submit() 更新前記錄變更後的版本，個人資料視窗據此顯示時間軸並一鍵還原。
+ *
+ * - 保存在 TokenStore 的 inffits_bodydata_history（加密，登出時清除），每位使用者保留最新 INF_HISTORY_LIMIT 筆
+ * - 第一次記錄某位使用者時，先補上修改前的版本作為起點，才能還原到最初的資料
+ * - API 回應包含 BodyData_history 時視為伺服器支援歷史同步：合併雲端歷史，之後的更新一併上傳
+ */
+const INF_HISTORY_STORAGE_KEY = 'inffits_bodydata_history';
+const INF_HISTORY_LIMIT = 20;
+// 記錄變更的欄位，顯示名稱見 field.* 翻譯
+const INF_HISTORY_FIELDS = ['Profile_Name', 'Gender', 'HV', 'WV', 'CC', 'FH', 'FW', 'FCir'];
+
+class InfBodyDataHistory {
+    // 格式：{ remoteSupported, users: { userKey: [{ id, at, source, values }] } }
+    static load() {
+        try {
+            const history = JSON.parse(getInfTokenStore().getItem(INF_HISTORY_STORAGE_KEY) || '{}');
+            return {
+                remoteSupported: !!history.remoteSupported,
+                users: history.users && typeof history.users === 'object' ? history.users : {}
+            };
+        } catch (error) {
+            return { remoteSupported: false, users: {} };
+        }
+    }
+
+    static save(history) {
+        getInfTokenStore().setItem(INF_HISTORY_STORAGE_KEY, JSON.stringify(history));
+    }
+
+    static createEntry(values, source, at) {
+        return {
+            id: `${at}_${Math.random().toString(36).slice(2, 8)}`,
+            at: at,
+            source: source,
+            values: values && typeof values === 'object' ? { ...values } : null
+        };
+    }
+
+    // TS 只是時間戳記，不視為資料變更
+    static isSameValues(a, b) {
+        const strip = (values) => {
+            if (!values || typeof values !== 'object') return null;
+            const { TS, ...rest } = values;
+            return rest;
+        };
+        return InfBodyDataOutbox.isSameValue(strip(a), strip(b));
+    }
+
+    // 依 id 去除重複、依時間排序並只保留最新的紀錄
+    static normalizeEntries(entries) {
+        const unique = new Map();
+        entries.filter(entry => entry && entry.id && typeof entry.at === 'number').forEach(entry => unique.set(entry.id, entry));
+        return Array.from(unique.values()).sort((a, b) => a.at - b.at).slice(-INF_HISTORY_LIMIT);
+    }
+
+    // 記錄 nextBodyData 中有變更的使用者資料，回傳新增的紀錄 id（API 拒絕時用於移除）
+    static record(previousBodyData, nextBodyData, source) {
+        const history = InfBodyDataHistory.load();
+        const now = Date.now();
+        const ids = [];
+
+        Object.keys(nextBodyData || {}).forEach(userKey => {
+            const previous = previousBodyData ? previousBodyData[userKey] : undefined;
+            const next = nextBodyData[userKey];
+            if (InfBodyDataHistory.isSameValues(previous, next)) {
+                return;
+            }
+
+            const entries = (history.users[userKey] || []).slice();
+            if (entries.length === 0 && previous) {
+                entries.push(InfBodyDataHistory.createEntry(previous, 'initial', now - 1));
+            }
+            const entry = InfBodyDataHistory.createEntry(next, source, now);
+            entries.push(entry);
+            ids.push(entry.id);
+            history.users[userKey] = InfBodyDataHistory.normalizeEntries(entries);
+        });
+
+        if (ids.length > 0) {
+            InfBodyDataHistory.save(history);
+        }
+        return ids;
+    }
+
+    static remove(ids) {
+        if (!ids || ids.length === 0) {
+            return;
+        }
+        const history = InfBodyDataHistory.load();
+        Object.keys(history.users).forEach(userKey => {
+            history.users[userKey] = history.users[userKey].filter(entry => !ids.includes(entry.id));
+        });
+        InfBodyDataHistory.save(history);
+    }
+
+    // 由新到舊列出紀錄，changes 為與前一個版本不同的欄位
+    static getTimeline(userKey) {
+        const entries = InfBodyDataHistory.load().users[userKey] || [];
+        return entries.map((entry, index) => {
+            const previous = index > 0 ? entries[index - 1].values || {} : {};
+            const current = entry.values || {};
+            const changes = INF_HISTORY_FIELDS
+                .filter(field => index > 0 && InfBodyDataMerge.normalize(previous[field]) !== InfBodyDataMerge.normalize(current[field]))
+                .map(field => ({ field: field, from: previous[field], to: current[field] }));
+            return { ...entry, changes: changes, isLatest: index === entries.length - 1 };
+        }).reverse();
+    }
+
+    static getEntry(userKey, entryId) {
+        return (InfBodyDataHistory.load().users[userKey] || []).find(entry => entry.id === entryId) || null;
+    }
+
+    // 合併 API 回應中的雲端歷史（伺服器不支援時沒有 BodyData_history）
+    static syncFromResponse(apiResponse) {
+        const remote = apiResponse && apiResponse.BodyData_history;
+        if (!remote || typeof remote !== 'object') {
+            return;
+        }
+        const history = InfBodyDataHistory.load();
+        history.remoteSupported = true;
+        Object.entries(remote).forEach(([userKey, entries]) => {
+            if (Array.isArray(entries)) {
+                history.users[userKey] = InfBodyDataHistory.normalizeEntries([...(history.users[userKey] || []), ...entries]);
+            }
+        });
+        InfBodyDataHistory.save(history);
+    }
+
+    // 伺服器支援時隨 BodyData 上傳的歷史，不支援時回傳 null（不加入 payload）
+    static getUploadPayload() {
+        const history = InfBodyDataHistory.load();
+        return history.remoteSupported ? history.users : null;
+    }
+}
+
+/**
+ * 家庭成員（多使用者資料）
+ * 每位成員是 BodyData 中的一個 userKey，名稱與頭像顏色存在該筆資料的 Profile_Name、Profile_Color，隨 BodyData 同步到雲端。
+ * 成員 key 延續既有的 User1、User2... 命名；bodyF / bodyM / shoesF / shoesM 為尺寸推薦引擎依性別寫入的帳號本人資料。
+ * BodyData_ptr 指向目前使用中的成員，切換時同步寫入 BodyID_size / Gender_Last，讓尺寸推薦 iframe 使用同一位成員的資料。
+ */
+const INF_PROFILE_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#64748B'];
+// 尺寸推薦引擎寫入的 userKey，顯示名稱見 member.default.* 翻譯
+const INF_PROFILE_DEFAULT_KEYS = ['bodyF', 'bodyM', 'shoesF', 'shoesM', 'storeNew'];
+
+class InfHouseholdProfiles {
+    static escapeHTML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // 使用者自行新增的成員（尺寸推薦引擎寫入的性別資料與 storeNew 暫存資料除外）
+    static isHouseholdKey(userKey) {
+        return !!userKey && !INF_PROFILE_DEFAULT_KEYS.includes(userKey) && !userKey.startsWith('storeNew_');
+    }
+
+    static isShoeKey(userKey) {
+        return userKey === 'shoesF' || userKey === 'shoesM';
+    }
+
+    static getDisplayName(userKey, record) {
+        if (record && typeof record.Profile_Name === 'string' && record.Profile_Name.trim() !== '') {
+            return record.Profile_Name.trim();
+        }
+        if (INF_PROFILE_DEFAULT_KEYS.includes(userKey)) {
+            return InfI18n.t(`member.default.${userKey}`);
+        }
+        if (userKey.startsWith('storeNew_')) {
+            return InfI18n.t('member.latest');
+        }
+        const match = /^User(.*)$/.exec(userKey);
+        return match ? InfI18n.t('member.user', { number: match[1] }) : userKey;
+    }
+
+    // 沒有設定顏色時依 userKey 固定挑選一個顏色
+    static getColor(userKey, record) {
+        if (record && INF_PROFILE_COLORS.includes(record.Profile_Color)) {
+            return record.Profile_Color;
+        }
+        const hash = Array.from(userKey).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        return INF_PROFILE_COLORS[hash % INF_PROFILE_COLORS.length];
+    }
+
+    // 優先挑選尚未被其他成員使用的顏色
+    static getNextColor(bodyData) {
+        const used = Object.keys(bodyData || {}).map(userKey => InfHouseholdProfiles.getColor(userKey, bodyData[userKey]));
+        return INF_PROFILE_COLORS.find(color => !used.includes(color)) || INF_PROFILE_COLORS[0];
+    }
+
+    // 下一個可用的成員 key（User1、User2...）
+    static createKey(bodyData) {
+        const numbers = Object.keys(bodyData || {})
+            .map(userKey => /^User(\d+)$/.exec(userKey))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10));
+        return `User${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+    }
+
+    static createProfile(name, color, gender = '') {
+        return {
+            Profile_Name: name,
+            Profile_Color: color,
+            Gender: gender,
+            HV: '',
+            WV: '',
+            CC: '',
+            TS: Date.now()
+        };
+    }
+
+    // 尺寸推薦引擎的測量結果寫入哪位成員：使用中的是家庭成員時寫入該成員，否則依性別寫入 bodyF / bodyM
+    static getMeasureTarget(apiResponse, gender) {
+        const bodyData = (apiResponse && apiResponse.BodyData) || {};
+        const ptr = apiResponse && apiResponse.BodyData_ptr;
+        if (ptr && bodyData[ptr] && InfHouseholdProfiles.isHouseholdKey(ptr) && !InfHouseholdProfiles.isShoeKey(ptr)) {
+            return { userKey: ptr, base: bodyData[ptr] };
+        }
+        return { userKey: gender === 'M' ? 'bodyM' : 'bodyF', base: {} };
+    }
+}
+
+/**
+ * 單位偏好（公制／英制、鞋碼制度）
+ * 身體資料一律以公制保存（cm、kg），只在顯示與選擇器中依偏好換算，API、BodyID_size 與尺寸推薦引擎不受影響。
+ *
+ * - 偏好保存在 localStorage 的 inf_unit_preference，同一瀏覽器的所有組件共用
+ * - 使用者尚未選擇時採用組件屬性 unit-system（metric / imperial）與 shoe-size-system（EU / US / UK / JP / CN）
+ */
+const INF_UNIT_STORAGE_KEY = 'inf_unit_preference';
+const INF_CM_PER_INCH = 2.54;
+const INF_LB_PER_KG = 2.20462;
+const INF_SHOE_SIZE_SYSTEMS = ['EU', 'US', 'UK', 'JP', 'CN'];
+
+
+/**
+ * 測量欄位定義（單一來源）：選擇器範圍、輸入驗證、顯示格式與送出 API 前的檢查都依此設定
+ * 數值一律為公制（unit 為 cm 或 kg），step 決定選項間隔與顯示的小數位數，imperialStep 為英制選項間隔。
+ * genders 為依性別覆寫的上下限，性別不明時使用欄位本身的 min / max；顯示名稱取自 field.* 翻譯，覆寫時可用 label 指定。
+ * 品牌可依 CONFIG_TEMPLATES 類型在 MEASUREMENT_SCHEMA_TEMPLATES 覆寫，或在 createGoogleLoginComponentsByType 的 options.measurementSchema 傳入。
+ */
+const INF_MEASUREMENT_SCHEMA = {
+    HV: { unit: 'cm', min: 120, max: 220, step: 1, imperialStep: 1, genders: { F: { min: 130, max: 200 }, M: { min: 140, max: 220 } } },
+    WV: { unit: 'kg', min: 30, max: 200, step: 1, imperialStep: 1 },
+    CC: { pattern: /^(\d+[A-G])$|^(\d+(\.\d+)?)(_\d+(\.\d+)?)?$/ },
+    UpChest: { unit: 'cm', min: 50, max: 130, step: 0.5, imperialStep: 0.5 },
+    DnChest: { unit: 'cm', min: 50, max: 120, step: 0.5, imperialStep: 0.5 },
+    FH: { unit: 'cm', min: 20, max: 32, step: 0.1, imperialStep: 0.1, genders: { F: { min: 20, max: 28 }, M: { min: 22, max: 32 } } },
+    FW: { unit: 'cm', min: 6, max: 15, step: 0.1, imperialStep: 0.1 },
+    FCir: { unit: 'cm', min: 18, max: 40, step: 0.1, imperialStep: 0.1 }
+};
+
+class InfMeasurementSchema {
+    static getDecimals(step) {
+        const text = String(step);
+        return text.includes('.') ? text.split('.')[1].length : 0;
+    }
+
+    // 合併兩份欄位定義，genders 依性別逐一合併
+    static mergeDefinition(base, override) {
+        const genders = { ...((base && base.genders) || {}) };
+        Object.entries((override && override.genders) || {}).forEach(([gender, bounds]) => {
+            genders[gender] = { ...(genders[gender] || {}), ...bounds };
+        });
+        return { ...(base || {}), ...(override || {}), genders: genders };
+    }
+
+    // 套用覆寫（後面的參數優先），只合併有提供的屬性
+    static setOverrides(...overrides) {
+        const merged = {};
+        overrides.filter(override => override && typeof override === 'object').forEach(override => {
+            Object.entries(override).forEach(([field, definition]) => {
+                merged[field] = InfMeasurementSchema.mergeDefinition(merged[field], definition);
+            });
+        });
+        InfMeasurementSchema.overrides = merged;
+    }
+
+    // 取得欄位定義（含覆寫），未定義的欄位回傳 null
+    static get(field) {
+        const base = INF_MEASUREMENT_SCHEMA[field];
+        const override = InfMeasurementSchema.overrides[field];
+        if (!base && !override) {
+            return null;
+        }
+        const definition = InfMeasurementSchema.mergeDefinition(base, override);
+        if (definition.step !== undefined) {
+            definition.metricDecimals = InfMeasurementSchema.getDecimals(definition.step);
+            definition.imperialStep = definition.imperialStep || definition.step;
+            definition.imperialDecimals = InfMeasurementSchema.getDecimals(definition.imperialStep);
+        }
+        return { field: field, ...definition };
+    }
+
+    static isNumeric(field) {
+        const definition = InfMeasurementSchema.get(field);
+        return !!definition && definition.min !== undefined && definition.max !== undefined;
+    }
+
+    // 欄位顯示名稱：覆寫的 label 優先，否則依目前語言翻譯
+    static getLabel(field) {
+        const override = InfMeasurementSchema.overrides[field];
+        return override && override.label ? override.label : InfI18n.t(`field.${field}`, {}, field);
+    }
+
+    static getBounds(field, gender) {
+        const definition = InfMeasurementSchema.get(field);
+        const genderBounds = (gender && definition.genders[gender]) || {};
+        return {
+            min: genderBounds.min !== undefined ? genderBounds.min : definition.min,
+            max: genderBounds.max !== undefined ? genderBounds.max : definition.max,
+            step: definition.step
+        };
+    }
+
+    // 從 userKey（bodyF / shoesM 等）或資料中的 Gender 判斷性別，無法判斷時回傳 null
+    static getGender(userKey, record) {
+        if (userKey === 'bodyF' || userKey === 'shoesF') return 'F';
+        if (userKey === 'bodyM' || userKey === 'shoesM') return 'M';
+        return record && (record.Gender === 'F' || record.Gender === 'M') ? record.Gender : null;
+    }
+
+    // 依本地保存的 BodyData 判斷某位使用者的性別（選擇器使用）
+    static getUserGender(userKey) {
+        return InfMeasurementSchema.getGender(userKey, InfBodyDataOutbox.getLocalApiResponse().BodyData[userKey]);
+    }
+
+    // 範圍說明（例如「130–200 cm」），用於錯誤訊息
+    static describe(field, gender) {
+        if (!InfMeasurementSchema.isNumeric(field)) {
+            return '';
+        }
+        const bounds = InfMeasurementSchema.getBounds(field, gender);
+        return `${InfUnits.format(field, bounds.min)}–${InfUnits.format(field, bounds.max)}`;
+    }
+
+    // 驗證單一欄位（空值允許；胸圍「上胸圍_下胸圍」格式另外檢查兩個數值的範圍）
+    static validate(field, value, gender) {
+        if (value === undefined || value === null || String(value).trim() === '') {
+            return true;
+        }
+        const definition = InfMeasurementSchema.get(field);
+        if (!definition) {
+            return true;
+        }
+        const text = String(value).trim();
+        if (definition.pattern && !definition.pattern.test(text)) {
+            return false;
+        }
+        if (field === 'CC' && text.includes('_')) {
+            const parts = text.split('_');
+            return InfMeasurementSchema.validate('UpChest', parts[0], gender) && InfMeasurementSchema.validate('DnChest', parts[1], gender);
+        }
+        if (!InfMeasurementSchema.isNumeric(field)) {
+            return true;
+        }
+        const number = parseFloat(text);
+        const bounds = InfMeasurementSchema.getBounds(field, gender);
+        return !isNaN(number) && number >= bounds.min - 1e-9 && number <= bounds.max + 1e-9;
+    }
+
+    // 送出前檢查：只驗證與目前資料不同的欄位（舊資料不影響其他欄位的更新），回傳不合法的欄位
+    static validateBodyData(previousBodyData, nextBodyData) {
+        const invalid = [];
+        Object.entries(nextBodyData || {}).forEach(([userKey, record]) => {
+            if (!record || typeof record !== 'object') {
+                return;
+            }
+            const previous = (previousBodyData && previousBodyData[userKey]) || {};
+            const gender = InfMeasurementSchema.getGender(userKey, record);
+            Object.keys(INF_MEASUREMENT_SCHEMA).concat(Object.keys(InfMeasurementSchema.overrides)).forEach(field => {
+                if (record[field] === previous[field] || InfMeasurementSchema.validate(field, record[field], gender)) {
+                    return;
+                }
+                if (!invalid.some(item => item.userKey === userKey && item.field === field)) {
+                    invalid.push({ userKey: userKey, field: field, value: record[field], label: InfMeasurementSchema.getLabel(field) });
+                }
+            });
+        });
+        return invalid;
+    }
+}
+
+InfMeasurementSchema.overrides = {};
+
+class InfUnits {
+    // 組件屬性提供的預設值（unit-system、shoe-size-system）
+    static setDefaults(unitSystem, shoeSizeSystem) {
+        if (unitSystem === 'metric' || unitSystem === 'imperial') {
+            InfUnits.defaults = {
+                ...InfUnits.defaults,
+                length: unitSystem === 'imperial' ? 'in' : 'cm',
+                weight: unitSystem === 'imperial' ? 'lb' : 'kg'
+            };
+        }
+        if (INF_SHOE_SIZE_SYSTEMS.includes(shoeSizeSystem)) {
+            InfUnits.defaults = { ...InfUnits.defaults, shoe: shoeSizeSystem };
+        }
+    }
+
+    static getPreference() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(INF_UNIT_STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            stored = {};
+        }
+        return {
+            length: stored.length === 'in' || stored.length === 'cm' ? stored.length : InfUnits.defaults.length,
+            weight: stored.weight === 'lb' || stored.weight === 'kg' ? stored.weight : InfUnits.defaults.weight,
+            shoe: INF_SHOE_SIZE_SYSTEMS.includes(stored.shoe) ? stored.shoe : InfUnits.defaults.shoe
+        };
+    }
+
+    // 只保存使用者選擇的項目，其餘仍跟隨組件屬性
+    static setPreference(preference) {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(INF_UNIT_STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            stored = {};
+        }
+        const next = { ...stored };
+        if (preference.length === 'cm' || preference.length === 'in') next.length = preference.length;
+        if (preference.weight === 'kg' || preference.weight === 'lb') next.weight = preference.weight;
+        if (INF_SHOE_SIZE_SYSTEMS.includes(preference.shoe)) next.shoe = preference.shoe;
+        localStorage.setItem(INF_UNIT_STORAGE_KEY, JSON.stringify(next));
+
+        const current = InfUnits.getPreference();
+        window.dispatchEvent(new CustomEvent('inf-unit-preference-changed', { detail: current }));
+        return current;
+    }
+
+    static isImperial(field) {
+        const meta = InfMeasurementSchema.get(field);
+        if (!meta || !meta.unit) return false;
+        const preference = InfUnits.getPreference();
+        return meta.unit === 'kg' ? preference.weight === 'lb' : preference.length === 'in';
+    }
+
+    static round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    // 公制 → 顯示單位
+    static toDisplay(field, metricValue) {
+        const meta = InfMeasurementSchema.get(field);
+        const value = parseFloat(metricValue);
+        if (!meta || isNaN(value) || !InfUnits.isImperial(field)) return value;
+        return meta.unit === 'kg' ? value * INF_LB_PER_KG : value / INF_CM_PER_INCH;
+    }
+
+    // 顯示單位 → 公制（保存用，身高取整數公分，其餘保留一位小數）
+    static toMetric(field, displayValue) {
+        const meta = InfMeasurementSchema.get(field);
+        const value = parseFloat(displayValue);
+        if (!meta || isNaN(value) || !InfUnits.isImperial(field)) return value;
+        const metric = meta.unit === 'kg' ? value / INF_LB_PER_KG : value * INF_CM_PER_INCH;
+        return InfUnits.round(metric, field === 'HV' ? 0 : 1);
+    }
+
+    static getUnitLabel(field) {
+        const meta = InfMeasurementSchema.get(field);
+        if (!meta || !meta.unit) return '';
+        if (meta.unit === 'kg') return InfUnits.isImperial(field) ? 'lb' : 'kg';
+        return InfUnits.isImperial(field) ? 'in' : 'cm';
+    }
+
+    // 依偏好格式化公制值；英制身高顯示為 5′7″
+    static format(field, metricValue, decimals) {
+        if (metricValue === undefined || metricValue === null || String(metricValue).trim() === '') {
+            return '';
+        }
+        const meta = InfMeasurementSchema.get(field);
+        const value = parseFloat(metricValue);
+        if (!meta || !meta.unit || isNaN(value)) {
+            return String(metricValue);
+        }
+        if (!InfUnits.isImperial(field)) {
+            return `${decimals === undefined ? metricValue : value.toFixed(decimals)} ${InfUnits.getUnitLabel(field)}`;
+        }
+        const display = InfUnits.toDisplay(field, value);
+        if (field === 'HV') {
+            const totalInches = Math.round(display);
+            return `${Math.floor(totalInches / 12)}′${totalInches % 12}″`;
+        }
+        return `${InfUnits.round(display, meta.imperialDecimals).toFixed(meta.imperialDecimals)} ${InfUnits.getUnitLabel(field)}`;
+    }
+
+    // 胸圍：罩杯尺寸（28A）維持原樣，上胸圍_下胸圍 依偏好換算
+    static formatChest(value) {
+        if (!value || String(value).trim() === '' || value === 'null_null') {
+            return '';
+        }
+        if (/^\d+[A-G]$/.test(value)) {
+            return value;
+        }
+        const parts = String(value).split('_');
+        if (parts.length >= 2) {
+            return `${InfMeasurementSchema.getLabel('UpChest')} ${InfUnits.format('UpChest', parts[0])} / ${InfMeasurementSchema.getLabel('DnChest')} ${InfUnits.format('DnChest', parts[1])}`;
+        }
+        return `${InfMeasurementSchema.getLabel('UpChest')} ${InfUnits.format('UpChest', value)}`;
+    }
+
+    // 選擇器選項：範圍取自測量欄位定義（依性別），option.value 一律為公制值，顯示文字依偏好換算
+    static getSelectorOptions(field, currentValue, gender) {
+        const meta = InfMeasurementSchema.get(field);
+        const bounds = InfMeasurementSchema.getBounds(field, gender);
+        const metricMin = bounds.min;
+        const metricMax = bounds.max;
+        const metricStep = bounds.step;
+        const options = [];
+
+        if (InfUnits.isImperial(field)) {
+            const step = meta.imperialStep;
+            const start = Math.ceil(InfUnits.toDisplay(field, metricMin) / step - 1e-9) * step;
+            const end = InfUnits.toDisplay(field, metricMax);
+            for (let display = start; display <= end + 1e-9; display += step) {
+                const rounded = InfUnits.round(display, meta.imperialDecimals);
+                const metric = InfUnits.toMetric(field, rounded);
+                options.push({ value: metric.toString(), label: InfUnits.format(field, metric) });
+            }
+        } else {
+            for (let metric = metricMin; metric <= metricMax + 1e-9; metric += metricStep) {
+                const rounded = InfUnits.round(metric, meta.metricDecimals);
+                options.push({ value: rounded.toString(), label: InfUnits.format(field, rounded, meta.metricDecimals) });
+            }
+        }
+
+        // 選取最接近目前值的選項（英制選項換算後不一定與保存值完全相同）
+        const current = parseFloat(currentValue);
+        if (!isNaN(current) && options.length > 0) {
+            const closest = options.reduce((best, option) =>
+                Math.abs(parseFloat(option.value) - current) < Math.abs(parseFloat(best.value) - current) ? option : best
+            );
+            const tolerance = InfUnits.isImperial(field)
+                ? (meta.unit === 'kg' ? meta.imperialStep / INF_LB_PER_KG : meta.imperialStep * INF_CM_PER_INCH) / 2
+                : metricStep / 2;
+            if (Math.abs(parseFloat(closest.value) - current) <= tolerance + 1e-9) {
+                closest.selected = true;
+            }
+        }
+        return options;
+    }
+}
+
+InfUnits.defaults = { length: 'cm', weight: 'kg', shoe: 'EU' };
+
+/**
+ * 鞋碼換算（依腳長對照 EU / US / UK / JP / CN 鞋碼，依腳寬／腳長比例判斷楦頭寬度）
+ * JP 即腳長（cm），CN 為腳長（mm）；腳長先無條件進位到 0.5 cm 再查表，超出對照表範圍時回傳 null。
+ * 男女對照表不同，品牌可直接替換 InfShoeSizes.tables / InfShoeSizes.widthRatios。
+ */
+class InfShoeSizes {
+    static getGender(gender) {
+        return gender === 'M' ? 'M' : 'F';
+    }
+
+    // 從 userKey（shoesF / shoesM）或資料中的 Gender 判斷性別
+    static getGenderForUser(userKey, record) {
+        if (userKey === 'shoesM' || userKey === 'bodyM') return 'M';
+        if (userKey === 'shoesF' || userKey === 'bodyF') return 'F';
+        return InfShoeSizes.getGender(record && record.Gender);
+    }
+
+    static findRow(footLength, gender) {
+        const length = parseFloat(footLength);
+        if (isNaN(length) || length <= 0) {
+            return null;
+        }
+        const rounded = Math.ceil(length * 2 - 1e-9) / 2;
+        return InfShoeSizes.tables[InfShoeSizes.getGender(gender)].find(row => row.JP === rounded) || null;
+    }
+
+    // 楦頭寬度：腳寬／腳長比例，依性別的門檻分為窄、標準、寬
+    static getWidthGrade(footLength, footWidth, gender) {
+        const length = parseFloat(footLength);
+        const width = parseFloat(footWidth);
+        if (isNaN(length) || isNaN(width) || length <= 0 || width <= 0) {
+            return null;
+        }
+        const ratio = width / length;
+        const thresholds = InfShoeSizes.widthRatios[InfShoeSizes.getGender(gender)];
+        const grade = ratio < thresholds.narrow ? 'Narrow' : ratio > thresholds.wide ? 'Wide' : 'Medium';
+        return { grade: grade, label: InfI18n.t(`shoe.width.${grade}`), ratio: Math.round(ratio * 1000) / 1000 };
+    }
+
+    // 回傳 { EU, US, UK, JP, CN, width }，腳長超出對照表時各鞋碼為 null
+    static convert(footLength, gender, footWidth) {
+        const row = InfShoeSizes.findRow(footLength, gender);
+        return {
+            EU: row ? row.EU : null,
+            US: row ? row.US : null,
+            UK: row ? row.UK : null,
+            JP: row ? row.JP : null,
+            CN: row ? row.JP * 10 : null,
+            width: InfShoeSizes.getWidthGrade(footLength, footWidth, gender)
+        };
+    }
+
+    static format(system, size) {
+        return size === null || size === undefined ? '—' : `${system} ${size}`;
+    }
+
+    // 依單位偏好的鞋碼制度顯示（例如 EU 38）
+    static formatPreferred(footLength, gender) {
+        const system = InfUnits.getPreference().shoe;
+        return InfShoeSizes.format(system, InfShoeSizes.convert(footLength, gender)[system]);
+    }
+}
+
+InfShoeSizes.tables = {
+    F: [
+        { JP: 21.5, EU: 34.5, US: 4, UK: 2 },
+        { JP: 22, EU: 35, US: 4.5, UK: 2.5 },
+        { JP: 22.5, EU: 35.5, US: 5, UK: 3 },
+        { JP: 23, EU: 36, US: 5.5, UK: 3.5 },
+        { JP: 23.5, EU: 37, US: 6, UK: 4 },
+        { JP: 24, EU: 37.5, US: 6.5, UK: 4.5 },
+        { JP: 24.5, EU: 38, US: 7, UK: 5 },
+        { JP: 25, EU: 39, US: 7.5, UK: 5.5 },
+        { JP: 25.5, EU: 39.5, US: 8, UK: 6 },
+        { JP: 26, EU: 40, US: 8.5, UK: 6.5 },
+        { JP: 26.5, EU: 41, US: 9, UK: 7 },
+        { JP: 27, EU: 41.5, US: 9.5, UK: 7.5 },
+        { JP: 27.5, EU: 42, US: 10, UK: 8 }
+    ],
+    M: [
+        { JP: 23.5, EU: 38, US: 5.5, UK: 5 },
+        { JP: 24, EU: 38.5, US: 6, UK: 5.5 },
+        { JP: 24.5, EU: 39, US: 6.5, UK: 6 },
+        { JP: 25, EU: 40, US: 7, UK: 6.5 },
+        { JP: 25.5, EU: 40.5, US: 7.5, UK: 7 },
+        { JP: 26, EU: 41, US: 8, UK: 7.5 },
+        { JP: 26.5, EU: 42, US: 8.5, UK: 8 },
+        { JP: 27, EU: 42.5, US: 9, UK: 8.5 },
+        { JP: 27.5, EU: 43, US: 9.5, UK: 9 },
+        { JP: 28, EU: 44, US: 10, UK: 9.5 },
+        { JP: 28.5, EU: 44.5, US: 10.5, UK: 10 },
+        { JP: 29, EU: 45, US: 11, UK: 10.5 },
+        { JP: 29.5, EU: 45.5, US: 11.5, UK: 11 },
+        { JP: 30, EU: 46, US: 12, UK: 11.5 }
+    ]
+};
+
+InfShoeSizes.widthRatios = {
+    F: { narrow: 0.37, wide: 0.40 },
+    M: { narrow: 0.38, wide: 0.41 }
+};
+
+/**
+ * 無障礙輔助
+ * 對話框的焦點鎖定與還原、鍵盤操作，以及提供給螢幕閱讀器的即時通知區域（aria-live）。
+ */
+const INF_A11Y_FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+class InfA11y {
+    // 目前的焦點元素（穿透 shadow DOM）
+    static getActiveElement() {
+        let active = document.activeElement;
+        while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+            active = active.shadowRoot.activeElement;
+        }
+        return active;
+    }
+
+    // 容器內可見且可取得焦點的元素
+    static getFocusable(container) {
+        return Array.from(container.querySelectorAll(INF_A11Y_FOCUSABLE))
+            .filter(element => element.getClientRects().length > 0 && !element.closest('[aria-hidden="true"]'));
+    }
+
+    // 標示為對話框；modal 為 false 時用於欄位旁的選擇器
+    static markDialog(element, label, modal = true) {
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-label', label);
+        if (modal) {
+            element.setAttribute('aria-modal', 'true');
+        }
+        if (!element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+        }
+    }
+
+    // 讓 div 等元素可用鍵盤操作（Enter / 空白鍵觸發 click）
+    static makeButton(element, label) {
+        element.setAttribute('role', 'button');
+        element.setAttribute('tabindex', '0');
+        if (label) {
+            element.setAttribute('aria-label', label);
+        }
+        element.addEventListener('keydown', event => InfA11y.handleActivationKey(event, element));
+    }
+
+    // 供 inline onkeydown 使用；只處理元素本身的按鍵，避免子元素（例如選擇器）冒泡觸發
+    static handleActivationKey(event, element) {
+        if (event.target !== element || (event.key !== 'Enter' && event.key !== ' ')) {
+            return;
+        }
+        event.preventDefault();
+        element.click();
+    }
+
+    // 鎖定焦點在容器內（Tab / Shift+Tab 循環），Escape 呼叫 onEscape；回傳解除鎖定並還原焦點的函式
+    static trapFocus(container, { onEscape = null, initialFocus = null, returnFocus = null } = {}) {
+        const previous = returnFocus || InfA11y.getActiveElement();
+        const handleKeydown = (event) => {
+            if (event.key === 'Escape' && onEscape) {
+                event.preventDefault();
+                event.stopPropagation();
+                onEscape();
+                return;
+            }
+            if (event.key !== 'Tab') {
+                return;
+            }
+            const focusable = InfA11y.getFocusable(container);
+            if (focusable.length === 0) {
+                event.preventDefault();
+                container.focus();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = InfA11y.getActiveElement();
+            if (event.shiftKey && (active === first || active === container)) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && active === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        };
+        container.addEventListener('keydown', handleKeydown);
+
+        setTimeout(() => {
+            const target = initialFocus || InfA11y.getFocusable(container)[0] || container;
+            if (target.isConnected) {
+                target.focus();
+            }
+        }, 0);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            container.removeEventListener('keydown', handleKeydown);
+            if (previous && previous.isConnected && typeof previous.focus === 'function') {
+                previous.focus();
+            }
+        };
+    }
+
+    // 元素被移除時自動解除焦點鎖定（選擇器在多處直接以 remove() 關閉）
+    static releaseOnRemove(element, release) {
+        if (!element.parentNode) {
+            release();
+            return;
+        }
+        const observer = new MutationObserver(() => {
+            if (!element.isConnected) {
+                observer.disconnect();
+                release();
+            }
+        });
+        observer.observe(element.parentNode, { childList: true });
+    }
+
+    // 測量欄位選擇器：對話框語意、焦點鎖定、Escape 取消，關閉後焦點回到欄位
+    static setupSelector(selectorContainer, { label, fieldContainer, cancelButton }) {
+        InfA11y.markDialog(selectorContainer, label, false);
+        selectorContainer.querySelectorAll('select').forEach(select => {
+            if (!select.hasAttribute('aria-label')) {
+                select.setAttribute('aria-label', label);
+            }
+        });
+        const release = InfA11y.trapFocus(selectorContainer, {
+            onEscape: () => cancelButton.click(),
+            returnFocus: fieldContainer
+        });
+        InfA11y.releaseOnRemove(selectorContainer, release);
+    }
+
+    // 按鈕格狀選項（胸圍、罩杯）：listbox / option 語意，方向鍵移動焦點
+    static setupOptionGrid(grid, label, columns) {
+        grid.setAttribute('role', 'listbox');
+        grid.setAttribute('aria-label', label);
+        grid.addEventListener('keydown', (event) => {
+            const offsets = { ArrowRight: 1, ArrowLeft: -1, ArrowDown: columns, ArrowUp: -columns };
+            const options = Array.from(grid.querySelectorAll('[role="option"]'));
+            const index = options.indexOf(event.target);
+            if (index === -1) {
+                return;
+            }
+            let nextIndex = index;
+            if (offsets[event.key] !== undefined) {
+                nextIndex = Math.min(Math.max(index + offsets[event.key], 0), options.length - 1);
+            } else if (event.key === 'Home') {
+                nextIndex = 0;
+            } else if (event.key === 'End') {
+                nextIndex = options.length - 1;
+            } else {
+                return;
+            }
+            event.preventDefault();
+            options.forEach((option, i) => option.setAttribute('tabindex', i === nextIndex ? '0' : '-1'));
+            options[nextIndex].focus();
+        });
+    }
+
+    // 重建選項後更新 aria-selected 與 roving tabindex；restoreFocus 為 true 時焦點回到選取的選項
+    static updateOptionGrid(grid, isSelected, restoreFocus) {
+        const options = Array.from(grid.querySelectorAll('button'));
+        let focusIndex = options.findIndex(option => isSelected(option.textContent));
+        options.forEach(option => {
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', isSelected(option.textContent) ? 'true' : 'false');
+        });
+        if (focusIndex === -1) {
+            focusIndex = 0;
+        }
+        options.forEach((option, i) => option.setAttribute('tabindex', i === focusIndex ? '0' : '-1'));
+        if (restoreFocus && options[focusIndex]) {
+            options[focusIndex].focus();
+        }
+    }
+
+    // 螢幕閱讀器即時通知；assertive 用於錯誤訊息
+    static announce(message, politeness = 'polite') {
+        const id = `inf-a11y-live-${politeness}`;
+        let region = document.getElementById(id);
+        if (!region) {
+            region = document.createElement('div');
+            region.id = id;
+            region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+            region.style.cssText = `
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                margin: -1px;
+                padding: 0;
+                overflow: hidden;
+                clip: rect(0, 0, 0, 0);
+                white-space: nowrap;
+                border: 0;
+            `;
+            document.body.appendChild(region);
+        }
+        // 先清空再寫入，相同訊息重複出現時也會再次朗讀
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+}
+
+/**
+ * 多語系（i18n）
+ * 組件文字集中在 INF_I18N_MESSAGES，依 lang 屬性選擇語言，未設定時依瀏覽器語言，都不支援時使用繁體中文。
+ * 訊息以 {name} 代入參數；需要單複數時訊息為 { zero, one, other } 物件，依 count 參數以 Intl.PluralRules 選擇。
+ * 其他語言缺少的訊息會回退為繁體中文。
+ */
+const INF_I18N_FALLBACK_LANGUAGE = 'zh-TW';
+const INF_I18N_LOCALES = {
+    'zh-TW': 'zh-TW',
+    en: 'en-US',
+    ja: 'ja-JP'
+};
+
+const INF_I18N_MESSAGES = {
+    'zh-TW': {
+        'common.notProvided': '尚未提供',
+        'common.unset': '未設定',
+        'common.choose': '請選擇',
+        'common.cancel': '取消',
+        'common.confirm': '確認',
+        'common.save': '儲存',
+        'common.back': '返回',
+        'common.close': '關閉',
+        'common.settings': '設定',
+        'common.edit': '點擊編輯',
+        'common.editing': '正在編輯中...',
+        'gender.M': '男性',
+        'gender.F': '女性',
+        'gender.unknown': '未知性別',
+
+        'field.HV': '身高',
+        'field.WV': '體重',
+        'field.CC': '胸圍',
+        'field.UpChest': '上胸圍',
+        'field.DnChest': '下胸圍',
+        'field.FH': '腳長',
+        'field.FW': '腳寬',
+        'field.FCir': '腳圍',
+        'field.Gender': '性別',
+        'field.Profile_Name': '名稱',
+        'field.BareFootLength': '裸足長',
+        'field.BareFootWidth': '裸足寬',
+        'field.CalfCir': '小腿圍',
+
+        'unit.cm': '公分',
+        'unit.inch': '英吋',
+        'unit.length': '長度單位',
+        'unit.weight': '重量單位',
+        'unit.shoe': '鞋碼制度',
+        'unit.option.cm': '公分 (cm)',
+        'unit.option.in': '英吋 (in)',
+        'unit.option.kg': '公斤 (kg)',
+        'unit.option.lb': '磅 (lb)',
+        'unit.option.shoe': '{system} 鞋碼',
+
+        'account.label': 'infFITS 帳號',
+        'account.avatarAlt': '用戶頭像',
+        'account.deleteConfirm': '此操作無法復原，所有資料將被永久刪除。<br>確定要繼續嗎？',
+        'account.deleting': '正在刪除帳號...',
+        'account.deleted': '帳號已成功刪除',
+        'account.deleteFailed': '刪除帳號失敗: {message}',
+        'login.title': '登入',
+        'login.popupTitle': '{provider} 登入',
+        'login.error.notLoaded': '{provider} 登入服務尚未載入',
+        'login.error.loadFailed': '無法載入 {provider} 登入服務: {message}',
+        'login.error.cancelled': '{provider} 登入已取消',
+        'login.error.noUserInfo': '無法取得 {provider} 用戶資訊',
+        'login.error.noCredential': '未收到有效的 {provider} 登入憑證',
+        'login.error.failed': '{provider} 登入失敗: {message}',
+        'login.error.unknown': '未知錯誤',
+        'login.error.popupBlocked': '無法開啟登入視窗，請允許彈出視窗後再試一次',
+        'login.error.authorizationFailed': '{provider} 授權失敗: {message}',
+        'login.error.noAuthorizationCode': '未取得授權碼',
+        'login.error.callbackFailed': '處理登入回調失敗: {message}',
+
+        'intro.title': '開啟精準購物之旅',
+        'intro.start': '開始',
+        'intro.consent': '使用本服務，即代表您同意 infFITS {privacy}及{terms}。',
+        'intro.privacy': '隱私權聲明',
+        'intro.terms': '使用條款',
+        'intro.reminder': '您可以跳過部分提問，但我們建議完成整個選購流程，推薦結果將更精準。',
+
+        'profile.title': '個人資訊',
+        'profile.logout': '登出',
+        'profile.deleteAccount': '刪除帳號',
+        'profile.name': '姓名',
+        'profile.email': '電子郵件',
+        'profile.phone': '電話號碼',
+        'profile.birthday': '出生日期',
+        'profile.bodyData': '使用者資料',
+
+        'member.default.bodyF': '女性身體資料',
+        'member.default.bodyM': '男性身體資料',
+        'member.default.shoesF': '女性腳部資料',
+        'member.default.shoesM': '男性腳部資料',
+        'member.default.storeNew': '新使用者',
+        'member.latest': '最新一筆',
+        'member.user': '使用者 {number}',
+        'member.copyName': '{name} 的副本',
+        'member.add': '＋ 新增成員',
+        'member.addHint': '新增家庭成員',
+        'member.addTitle': '新增成員',
+        'member.editTitle': '編輯成員',
+        'member.namePlaceholder': '例如：老公、女兒',
+        'member.color': '顏色 {color}',
+        'member.rename': '重新命名',
+        'member.duplicate': '複製成員資料',
+        'member.delete': '刪除使用者',
+        'member.deleteConfirm': '確定要刪除「{name}」嗎？<br>此操作無法復原，所有身體資料將被永久刪除。',
+        'member.default': '預設',
+        'member.setDefault': '設為預設',
+        'member.setDefaultHint': '點擊設為預設使用者',
+        'member.setDefaultFailed': '更新預設使用者失敗: {message}',
+
+        'body.measurements': '身體測量資料',
+        'body.foot': '腳部資料',
+        'body.body': '身體資料',
+        'body.shoeSize': '鞋子尺寸',
+        'bmi.label': 'BMI 指數',
+        'bmi.missing': '請提供身高體重',
+        'bmi.underweight': '體重過輕',
+        'bmi.normal': '正常範圍',
+        'bmi.overweight': '體重過重',
+        'bmi.obese': '肥胖',
+
+        'shoe.table': '鞋碼對照',
+        'shoe.outOfRange': '腳長超出對照表範圍',
+        'shoe.widthLabel': '楦頭寬度：',
+        'shoe.width.Narrow': '窄楦',
+        'shoe.width.Medium': '標準楦',
+        'shoe.width.Wide': '寬楦',
+
+        'sync.conflict': '⚠️ 雲端資料已在其他裝置更新，請選擇要保留的版本',
+        'sync.keepLocal': '保留我的修改',
+        'sync.useRemote': '使用雲端資料',
+        'sync.syncing': '🔄 同步中...',
+        'sync.pending': { other: '⏳ {count} 筆變更待同步（恢復連線後自動上傳）' },
+        'sync.synced': '✅ 已同步',
+
+        'merge.title': '選擇要保留的資料',
+        'merge.message': '其他欄位已自動合併，以下欄位在本地和雲端都有修改，請選擇要使用的版本：',
+        'merge.cloud': '☁️ 雲端資料',
+        'merge.local': '📱 本地資料',
+
+        'history.title': '🕘 變更記錄',
+        'history.current': '目前版本',
+        'history.restore': '還原',
+        'history.restoreHint': '還原到此版本',
+        'history.otherFields': '其他欄位更新',
+        'history.initial': '變更前的資料',
+        'history.source.initial': '原始資料',
+        'history.source.edit': '手動編輯',
+        'history.source.measure': '尺寸測量',
+        'history.source.upload': '本機資料上傳',
+        'history.source.merge': '本機與雲端合併',
+        'history.source.local': '從本機記錄恢復',
+        'history.source.restore': '還原歷史版本',
+        'history.source.profile': '成員資料',
+
+        'selector.title': '選擇{field}',
+        'selector.required': '請選擇{field}',
+        'selector.value': '數值',
+        'selector.braTitle': '選擇胸圍尺寸',
+        'selector.braRequired': '請選擇胸圍和罩杯',
+        'selector.band': '胸圍',
+        'selector.cup': '罩杯',
+        'selector.european': '歐規',
+        'selector.japanese': '日規',
+        'selector.chestTitle': '胸圍測量',
+        'selector.toMeasurement': '切換到上胸圍/下胸圍編輯模式',
+        'selector.toBraSize': '切換到胸圍/罩杯編輯模式',
+        'selector.chestPlaceholder': '例如: 97.5_97.5',
+
+        'validation.outOfRange': '{fields}超出允許範圍',
+        'notify.saveFailed': '保存失敗，請重試',
+        'notify.invalidRange': '❌ {field}需介於 {range}，請重新輸入',
+        'notify.invalidFormat': '❌ {field}格式不正確，請重新輸入',
+        'notify.fieldQueued': '📴 目前離線，{field}已暫存，恢復連線後自動同步',
+        'notify.fieldUpdated': '✅ {field}更新成功！',
+        'notify.fieldUpdateFailed': '❌ {field}更新失敗，請稍後再試',
+        'notify.outboxDiscarded': '❌ 部分離線變更無法同步，已捨棄',
+        'notify.outboxUnreadable': '❌ {count} 筆離線變更無法讀取，已捨棄，請重新輸入',
+        'notify.offlineQueued': '📴 目前離線，恢復連線後自動同步',
+        'notify.sessionExpired': '🔐 登入已過期，請重新登入',
+        'notify.credentialExpired': '🔐 憑證已過期，已自動登出',
+        'notify.noCredential': '❌ 沒有可用的憑證，請重新登入',
+        'notify.noLocalData': '❌ 缺少本地資料，無法上傳',
+        'notify.uploaded': '✅ 本地資料已成功上傳到雲端',
+        'notify.uploadFailed': '❌ 上傳資料失敗，請稍後再試',
+        'notify.footQueued': '📴 目前離線，腳部資料已暫存，恢復連線後自動上傳',
+        'notify.footUploaded': '✅ 本地腳部資料已成功上傳到雲端',
+        'notify.downloaded': '✅ 雲端資料已同步到本地',
+        'notify.downloadFailed': '❌ 下載資料失敗，請稍後再試',
+        'notify.merged': '✅ 本地與雲端資料已合併',
+        'notify.mergeFailed': '❌ 資料合併失敗，請稍後再試',
+        'notify.conflictKeptLocal': '✅ 已保留您的修改並同步到雲端',
+        'notify.conflictUsedRemote': '✅ 已改用雲端資料',
+        'notify.restoredFromLocal': '✅ 已從歷史記錄恢復{gender}身體資料',
+        'notify.localDeleted': '🗑️ 本地資料已同步刪除',
+        'notify.localFootDeleted': '🗑️ 本地腳部資料已同步刪除',
+        'notify.versionNotFound': '❌ 找不到此版本的資料',
+        'notify.restoreQueued': '📴 目前離線，已暫存還原的資料，恢復連線後自動同步',
+        'notify.restored': '✅ 已還原到選擇的版本',
+        'notify.restoreFailed': '❌ 還原失敗，請稍後再試',
+        'notify.memberQueued': '📴 目前離線，成員資料已暫存，恢復連線後自動同步',
+        'notify.memberAdded': '✅ 已新增成員「{name}」',
+        'notify.memberAddFailed': '❌ 新增成員失敗: {message}',
+        'notify.memberUpdated': '✅ 已更新成員「{name}」',
+        'notify.memberUpdateFailed': '❌ 更新成員失敗: {message}',
+        'notify.memberDuplicated': '✅ 已建立「{name}」',
+        'notify.memberDuplicateFailed': '❌ 複製成員失敗: {message}',
+        'notify.userNotFound': '❌ 使用者「{name}」不存在',
+        'notify.userDeleted': {
+            zero: '✅ 「{name}」已成功刪除，所有使用者已清空',
+            other: '✅ 「{name}」已成功刪除，剩餘 {count} 個使用者'
+        },
+        'notify.userDeleteFailed': '❌ 刪除使用者失敗: {message}'
+    },
+
+    en: {
+        'common.notProvided': 'Not provided',
+        'common.unset': 'Not set',
+        'common.choose': 'Select',
+        'common.cancel': 'Cancel',
+        'common.confirm': 'Confirm',
+        'common.save': 'Save',
+        'common.back': 'Back',
+        'common.close': 'Close',
+        'common.settings': 'Settings',
+        'common.edit': 'Click to edit',
+        'common.editing': 'Editing...',
+        'gender.M': 'Male',
+        'gender.F': 'Female',
+        'gender.unknown': 'Unknown gender',
+
+        'field.HV': 'Height',
+        'field.WV': 'Weight',
+        'field.CC': 'Bust',
+        'field.UpChest': 'Upper bust',
+        'field.DnChest': 'Under bust',
+        'field.FH': 'Foot length',
+        'field.FW': 'Foot width',
+        'field.FCir': 'Foot girth',
+        'field.Gender': 'Gender',
+        'field.Profile_Name': 'Name',
+        'field.BareFootLength': 'Barefoot length',
+        'field.BareFootWidth': 'Barefoot width',
+        'field.CalfCir': 'Calf girth',
+
+        'unit.cm': 'cm',
+        'unit.inch': 'in',
+        'unit.length': 'Length unit',
+        'unit.weight': 'Weight unit',
+        'unit.shoe': 'Shoe size system',
+        'unit.option.cm': 'Centimeters (cm)',
+        'unit.option.in': 'Inches (in)',
+        'unit.option.kg': 'Kilograms (kg)',
+        'unit.option.lb': 'Pounds (lb)',
+        'unit.option.shoe': '{system} sizes',
+
+        'account.label': 'infFITS account',
+        'account.avatarAlt': 'User avatar',
+        'account.deleteConfirm': 'This cannot be undone. All of your data will be permanently deleted.<br>Do you want to continue?',
+        'account.deleting': 'Deleting your account...',
+        'account.deleted': 'Your account has been deleted',
+        'account.deleteFailed': 'Could not delete your account: {message}',
+        'login.title': 'Sign in',
+        'login.button.google': 'Continue with Google',
+        'login.button.line': 'Continue with LINE',
+        'login.button.facebook': 'Continue with Facebook',
+        'login.button.apple': 'Continue with Apple',
+        'login.button.mock': 'Sign in with a test account',
+        'login.popupTitle': 'Sign in with {provider}',
+        'login.error.notLoaded': '{provider} sign-in has not loaded yet',
+        'login.error.loadFailed': 'Could not load {provider} sign-in: {message}',
+        'login.error.cancelled': '{provider} sign-in was cancelled',
+        'login.error.noUserInfo': 'Could not get your {provider} profile',
+        'login.error.noCredential': 'No valid {provider} sign-in credential was received',
+        'login.error.failed': '{provider} sign-in failed: {message}',
+        'login.error.unknown': 'Unknown error',
+        'login.error.popupBlocked': 'Could not open the sign-in window. Please allow pop-ups and try again.',
+        'login.error.authorizationFailed': '{provider} authorization failed: {message}',
+        'login.error.noAuthorizationCode': 'No authorization code was received',
+        'login.error.callbackFailed': 'Could not complete sign-in: {message}',
+
+        'intro.title': 'Start your perfect-fit shopping journey',
+        'intro.start': 'Start',
+        'intro.consent': 'By using this service, you agree to the infFITS {privacy} and {terms}.',
+        'intro.privacy': 'Privacy Policy',
+        'intro.terms': 'Terms of Use',
+        'intro.reminder': 'You can skip some questions, but completing them all gives you more accurate recommendations.',
+
+        'profile.title': 'Profile',
+        'profile.logout': 'Sign out',
+        'profile.deleteAccount': 'Delete account',
+        'profile.name': 'Name',
+        'profile.email': 'Email',
+        'profile.phone': 'Phone number',
+        'profile.birthday': 'Date of birth',
+        'profile.bodyData': 'Body data',
+
+        'member.default.bodyF': 'Women\'s body data',
+        'member.default.bodyM': 'Men\'s body data',
+        'member.default.shoesF': 'Women\'s foot data',
+        'member.default.shoesM': 'Men\'s foot data',
+        'member.default.storeNew': 'New user',
+        'member.latest': 'Latest entry',
+        'member.user': 'User {number}',
+        'member.copyName': 'Copy of {name}',
+        'member.add': '＋ Add member',
+        'member.addHint': 'Add a household member',
+        'member.addTitle': 'Add member',
+        'member.editTitle': 'Edit member',
+        'member.namePlaceholder': 'e.g. Partner, Daughter',
+        'member.color': 'Color {color}',
+        'member.rename': 'Rename',
+        'member.duplicate': 'Duplicate member',
+        'member.delete': 'Delete user',
+        'member.deleteConfirm': 'Delete “{name}”?<br>This cannot be undone. All body data will be permanently deleted.',
+        'member.default': 'Default',
+        'member.setDefault': 'Set as default',
+        'member.setDefaultHint': 'Click to make this the default user',
+        'member.setDefaultFailed': 'Could not update the default user: {message}',
+
+        'body.measurements': 'Body measurements',
+        'body.foot': 'Foot data',
+        'body.body': 'Body data',
+        'body.shoeSize': 'Shoe size',
+        'bmi.label': 'BMI',
+        'bmi.missing': 'Add your height and weight',
+        'bmi.underweight': 'Underweight',
+        'bmi.normal': 'Healthy weight',
+        'bmi.overweight': 'Overweight',
+        'bmi.obese': 'Obese',
+
+        'shoe.table': 'Size conversion',
+        'shoe.outOfRange': 'Foot length is outside the size chart',
+        'shoe.widthLabel': 'Width: ',
+        'shoe.width.Narrow': 'Narrow',
+        'shoe.width.Medium': 'Regular',
+        'shoe.width.Wide': 'Wide',
+
+        'sync.conflict': '⚠️ Your cloud data was updated on another device. Choose which version to keep.',
+        'sync.keepLocal': 'Keep my changes',
+        'sync.useRemote': 'Use cloud data',
+        'sync.syncing': '🔄 Syncing...',
+        'sync.pending': {
+            one: '⏳ {count} change waiting to sync (uploads when you are back online)',
+            other: '⏳ {count} changes waiting to sync (uploads when you are back online)'
+        },
+        'sync.synced': '✅ Synced',
+
+        'merge.title': 'Choose which data to keep',
+        'merge.message': 'Other fields were merged automatically. These fields changed both on this device and in the cloud. Choose the version to use:',
+        'merge.cloud': '☁️ Cloud',
+        'merge.local': '📱 This device',
+
+        'history.title': '🕘 Change history',
+        'history.current': 'Current',
+        'history.restore': 'Restore',
+        'history.restoreHint': 'Restore this version',
+        'history.otherFields': 'Other fields updated',
+        'history.initial': 'Data before changes',
+        'history.source.initial': 'Original data',
+        'history.source.edit': 'Edited manually',
+        'history.source.measure': 'Size measurement',
+        'history.source.upload': 'Uploaded from this device',
+        'history.source.merge': 'Merged with cloud',
+        'history.source.local': 'Restored from this device',
+        'history.source.restore': 'Restored a previous version',
+        'history.source.profile': 'Member profile',
+
+        'selector.title': 'Select {field}',
+        'selector.required': 'Please select {field}',
+        'selector.value': 'Value',
+        'selector.braTitle': 'Select bra size',
+        'selector.braRequired': 'Please select a band and cup size',
+        'selector.band': 'Band',
+        'selector.cup': 'Cup',
+        'selector.european': 'EU',
+        'selector.japanese': 'JP',
+        'selector.chestTitle': 'Bust measurements',
+        'selector.toMeasurement': 'Switch to upper / under bust measurements',
+        'selector.toBraSize': 'Switch to band / cup size',
+        'selector.chestPlaceholder': 'e.g. 97.5_97.5',
+
+        'validation.outOfRange': '{fields} out of the allowed range',
+        'notify.saveFailed': 'Could not save. Please try again.',
+        'notify.invalidRange': '❌ {field} must be between {range}',
+        'notify.invalidFormat': '❌ {field} is not in a valid format',
+        'notify.fieldQueued': '📴 You are offline. {field} was saved and will sync when you are back online.',
+        'notify.fieldUpdated': '✅ {field} updated',
+        'notify.fieldUpdateFailed': '❌ Could not update {field}. Please try again later.',
+        'notify.outboxDiscarded': '❌ Some offline changes could not be synced and were discarded',
+        'notify.outboxUnreadable': '❌ {count} offline change(s) could not be read and were discarded. Please enter them again',
+        'notify.offlineQueued': '📴 You are offline. Changes will sync when you are back online.',
+        'notify.sessionExpired': '🔐 Your session has expired. Please sign in again.',
+        'notify.credentialExpired': '🔐 Your credentials expired and you have been signed out',
+        'notify.noCredential': '❌ No valid credentials. Please sign in again.',
+        'notify.noLocalData': '❌ There is no local data to upload',
+        'notify.uploaded': '✅ Local data uploaded to the cloud',
+        'notify.uploadFailed': '❌ Upload failed. Please try again later.',
+        'notify.footQueued': '📴 You are offline. Foot data was saved and will upload when you are back online.',
+        'notify.footUploaded': '✅ Local foot data uploaded to the cloud',
+        'notify.downloaded': '✅ Cloud data synced to this device',
+        'notify.downloadFailed': '❌ Download failed. Please try again later.',
+        'notify.merged': '✅ Local and cloud data merged',
+        'notify.mergeFailed': '❌ Could not merge data. Please try again later.',
+        'notify.conflictKeptLocal': '✅ Kept your changes and synced them to the cloud',
+        'notify.conflictUsedRemote': '✅ Switched to cloud data',
+        'notify.restoredFromLocal': '✅ Restored body data ({gender}) from history',
+        'notify.localDeleted': '🗑️ Local data deleted as well',
+        'notify.localFootDeleted': '🗑️ Local foot data deleted as well',
+        'notify.versionNotFound': '❌ This version could not be found',
+        'notify.restoreQueued': '📴 You are offline. The restored data was saved and will sync when you are back online.',
+        'notify.restored': '✅ Restored the selected version',
+        'notify.restoreFailed': '❌ Restore failed. Please try again later.',
+        'notify.memberQueued': '📴 You are offline. Member data was saved and will sync when you are back online.',
+        'notify.memberAdded': '✅ Added “{name}”',
+        'notify.memberAddFailed': '❌ Could not add member: {message}',
+        'notify.memberUpdated': '✅ Updated “{name}”',
+        'notify.memberUpdateFailed': '❌ Could not update member: {message}',
+        'notify.memberDuplicated': '✅ Created “{name}”',
+        'notify.memberDuplicateFailed': '❌ Could not duplicate member: {message}',
+        'notify.userNotFound': '❌ User “{name}” does not exist',
+        'notify.userDeleted': {
+            zero: '✅ Deleted “{name}”. No users remain.',
+            one: '✅ Deleted “{name}”. {count} user remains.',
+            other: '✅ Deleted “{name}”. {count} users remain.'
+        },
+        'notify.userDeleteFailed': '❌ Could not delete user: {message}'
+    },
+
+    ja: {
+        'common.notProvided': '未登録',
+        'common.unset': '未設定',
+        'common.choose': '選択してください',
+        'common.cancel': 'キャンセル',
+        'common.confirm': '確認',
+        'common.save': '保存',
+        'common.back': '戻る',
+        'common.close': '閉じる',
+        'common.settings': '設定',
+        'common.edit': 'クリックして編集',
+        'common.editing': '編集中...',
+        'gender.M': '男性',
+        'gender.F': '女性',
+        'gender.unknown': '性別不明',
+
+        'field.HV': '身長',
+        'field.WV': '体重',
+        'field.CC': 'バスト',
+        'field.UpChest': 'トップバスト',
+        'field.DnChest': 'アンダーバスト',
+        'field.FH': '足長',
+        'field.FW': '足幅',
+        'field.FCir': '足囲',
+        'field.Gender': '性別',
+        'field.Profile_Name': '名前',
+        'field.BareFootLength': '素足の足長',
+        'field.BareFootWidth': '素足の足幅',
+        'field.CalfCir': 'ふくらはぎ周り',
+
+        'unit.cm': 'cm',
+        'unit.inch': 'インチ',
+        'unit.length': '長さの単位',
+        'unit.weight': '重さの単位',
+        'unit.shoe': '靴サイズの規格',
+        'unit.option.cm': 'センチ (cm)',
+        'unit.option.in': 'インチ (in)',
+        'unit.option.kg': 'キログラム (kg)',
+        'unit.option.lb': 'ポンド (lb)',
+        'unit.option.shoe': '{system} サイズ',
+
+        'account.label': 'infFITS アカウント',
+        'account.avatarAlt': 'ユーザーアイコン',
+        'account.deleteConfirm': 'この操作は取り消せません。すべてのデータが完全に削除されます。<br>続行しますか？',
+        'account.deleting': 'アカウントを削除しています...',
+        'account.deleted': 'アカウントを削除しました',
+        'account.deleteFailed': 'アカウントを削除できませんでした: {message}',
+        'login.title': 'ログイン',
+        'login.button.google': 'Google で続ける',
+        'login.button.line': 'LINE で続ける',
+        'login.button.facebook': 'Facebook で続ける',
+        'login.button.apple': 'Apple で続ける',
+        'login.button.mock': 'テストアカウントでログイン',
+        'login.popupTitle': '{provider} でログイン',
+        'login.error.notLoaded': '{provider} ログインサービスがまだ読み込まれていません',
+        'login.error.loadFailed': '{provider} ログインサービスを読み込めませんでした: {message}',
+        'login.error.cancelled': '{provider} ログインがキャンセルされました',
+        'login.error.noUserInfo': '{provider} のユーザー情報を取得できませんでした',
+        'login.error.noCredential': '有効な {provider} ログイン認証情報を受け取れませんでした',
+        'login.error.failed': '{provider} ログインに失敗しました: {message}',
+        'login.error.unknown': '不明なエラー',
+        'login.error.popupBlocked': 'ログインウィンドウを開けませんでした。ポップアップを許可してもう一度お試しください。',
+        'login.error.authorizationFailed': '{provider} の認証に失敗しました: {message}',
+        'login.error.noAuthorizationCode': '認可コードを取得できませんでした',
+        'login.error.callbackFailed': 'ログイン処理を完了できませんでした: {message}',
+
+        'intro.title': 'ぴったりのショッピングを始めよう',
+        'intro.start': 'スタート',
+        'intro.consent': '本サービスを利用すると、infFITS の{privacy}および{terms}に同意したものとみなされます。',
+        'intro.privacy': 'プライバシーポリシー',
+        'intro.terms': '利用規約',
+        'intro.reminder': '一部の質問はスキップできますが、すべて回答するとより正確なおすすめが表示されます。',
+
+        'profile.title': 'プロフィール',
+        'profile.logout': 'ログアウト',
+        'profile.deleteAccount': 'アカウントを削除',
+        'profile.name': '氏名',
+        'profile.email': 'メールアドレス',
+        'profile.phone': '電話番号',
+        'profile.birthday': '生年月日',
+        'profile.bodyData': '体型データ',
+
+        'member.default.bodyF': '女性の体型データ',
+        'member.default.bodyM': '男性の体型データ',
+        'member.default.shoesF': '女性の足データ',
+        'member.default.shoesM': '男性の足データ',
+        'member.default.storeNew': '新しいユーザー',
+        'member.latest': '最新のデータ',
+        'member.user': 'ユーザー {number}',
+        'member.copyName': '{name} のコピー',
+        'member.add': '＋ メンバーを追加',
+        'member.addHint': '家族メンバーを追加',
+        'member.addTitle': 'メンバーを追加',
+        'member.editTitle': 'メンバーを編集',
+        'member.namePlaceholder': '例：夫、娘',
+        'member.color': 'カラー {color}',
+        'member.rename': '名前を変更',
+        'member.duplicate': 'メンバーを複製',
+        'member.delete': 'ユーザーを削除',
+        'member.deleteConfirm': '「{name}」を削除しますか？<br>この操作は取り消せません。すべての体型データが完全に削除されます。',
+        'member.default': 'デフォルト',
+        'member.setDefault': 'デフォルトに設定',
+        'member.setDefaultHint': 'クリックしてデフォルトユーザーに設定',
+        'member.setDefaultFailed': 'デフォルトユーザーを更新できませんでした: {message}',
+
+        'body.measurements': '体の測定データ',
+        'body.foot': '足のデータ',
+        'body.body': '体型データ',
+        'body.shoeSize': '靴のサイズ',
+        'bmi.label': 'BMI',
+        'bmi.missing': '身長と体重を入力してください',
+        'bmi.underweight': '低体重',
+        'bmi.normal': '普通体重',
+        'bmi.overweight': '過体重',
+        'bmi.obese': '肥満',
+
+        'shoe.table': 'サイズ換算',
+        'shoe.outOfRange': '足長がサイズ表の範囲外です',
+        'shoe.widthLabel': 'ワイズ：',
+        'shoe.width.Narrow': '細め',
+        'shoe.width.Medium': '標準',
+        'shoe.width.Wide': '幅広',
+
+        'sync.conflict': '⚠️ クラウドのデータが別の端末で更新されました。保持するバージョンを選択してください。',
+        'sync.keepLocal': '自分の変更を保持',
+        'sync.useRemote': 'クラウドのデータを使用',
+        'sync.syncing': '🔄 同期中...',
+        'sync.pending': { other: '⏳ {count} 件の変更が同期待ちです（再接続後に自動でアップロード）' },
+        'sync.synced': '✅ 同期済み',
+
+        'merge.title': '保持するデータを選択',
+        'merge.message': 'その他の項目は自動で統合しました。次の項目はこの端末とクラウドの両方で変更されています。使用するバージョンを選択してください：',
+        'merge.cloud': '☁️ クラウド',
+        'merge.local': '📱 この端末',
+
+        'history.title': '🕘 変更履歴',
+        'history.current': '現在のバージョン',
+        'history.restore': '復元',
+        'history.restoreHint': 'このバージョンに復元',
+        'history.otherFields': 'その他の項目を更新',
+        'history.initial': '変更前のデータ',
+        'history.source.initial': '元のデータ',
+        'history.source.edit': '手動で編集',
+        'history.source.measure': 'サイズ測定',
+        'history.source.upload': 'この端末からアップロード',
+        'history.source.merge': 'クラウドと統合',
+        'history.source.local': 'この端末の記録から復元',
+        'history.source.restore': '以前のバージョンを復元',
+        'history.source.profile': 'メンバー情報',
+
+        'selector.title': '{field}を選択',
+        'selector.required': '{field}を選択してください',
+        'selector.value': '数値',
+        'selector.braTitle': 'ブラサイズを選択',
+        'selector.braRequired': 'アンダーとカップを選択してください',
+        'selector.band': 'アンダー',
+        'selector.cup': 'カップ',
+        'selector.european': 'ヨーロッパ',
+        'selector.japanese': '日本',
+        'selector.chestTitle': 'バスト測定',
+        'selector.toMeasurement': 'トップ／アンダーバスト入力に切り替え',
+        'selector.toBraSize': 'アンダー／カップ入力に切り替え',
+        'selector.chestPlaceholder': '例: 97.5_97.5',
+
+        'validation.outOfRange': '{fields}が許容範囲外です',
+        'notify.saveFailed': '保存できませんでした。もう一度お試しください。',
+        'notify.invalidRange': '❌ {field}は {range} の範囲で入力してください',
+        'notify.invalidFormat': '❌ {field}の形式が正しくありません',
+        'notify.fieldQueued': '📴 オフラインです。{field}を一時保存し、再接続後に同期します。',
+        'notify.fieldUpdated': '✅ {field}を更新しました',
+        'notify.fieldUpdateFailed': '❌ {field}を更新できませんでした。しばらくしてからお試しください。',
+        'notify.outboxDiscarded': '❌ 一部のオフライン変更を同期できなかったため破棄しました',
+        'notify.outboxUnreadable': '❌ {count} 件のオフライン変更を読み取れなかったため破棄しました。もう一度入力してください',
+        'notify.offlineQueued': '📴 オフラインです。再接続後に同期します。',
+        'notify.sessionExpired': '🔐 ログインの有効期限が切れました。再度ログインしてください。',
+        'notify.credentialExpired': '🔐 認証の有効期限が切れたため、ログアウトしました',
+        'notify.noCredential': '❌ 有効な認証情報がありません。再度ログインしてください。',
+        'notify.noLocalData': '❌ アップロードするローカルデータがありません',
+        'notify.uploaded': '✅ ローカルデータをクラウドにアップロードしました',
+        'notify.uploadFailed': '❌ アップロードに失敗しました。しばらくしてからお試しください。',
+        'notify.footQueued': '📴 オフラインです。足のデータを一時保存し、再接続後にアップロードします。',
+        'notify.footUploaded': '✅ ローカルの足データをクラウドにアップロードしました',
+        'notify.downloaded': '✅ クラウドのデータをこの端末に同期しました',
+        'notify.downloadFailed': '❌ ダウンロードに失敗しました。しばらくしてからお試しください。',
+        'notify.merged': '✅ ローカルとクラウドのデータを統合しました',
+        'notify.mergeFailed': '❌ データを統合できませんでした。しばらくしてからお試しください。',
+        'notify.conflictKeptLocal': '✅ 変更を保持してクラウドに同期しました',
+        'notify.conflictUsedRemote': '✅ クラウドのデータに切り替えました',
+        'notify.restoredFromLocal': '✅ 履歴から{gender}の体型データを復元しました',
+        'notify.localDeleted': '🗑️ ローカルデータも削除しました',
+        'notify.localFootDeleted': '🗑️ ローカルの足データも削除しました',
+        'notify.versionNotFound': '❌ このバージョンが見つかりません',
+        'notify.restoreQueued': '📴 オフラインです。復元したデータを一時保存し、再接続後に同期します。',
+        'notify.restored': '✅ 選択したバージョンに復元しました',
+        'notify.restoreFailed': '❌ 復元に失敗しました。しばらくしてからお試しください。',
+        'notify.memberQueued': '📴 オフラインです。メンバー情報を一時保存し、再接続後に同期します。',
+        'notify.memberAdded': '✅ 「{name}」を追加しました',
+        'notify.memberAddFailed': '❌ メンバーを追加できませんでした: {message}',
+        'notify.memberUpdated': '✅ 「{name}」を更新しました',
+        'notify.memberUpdateFailed': '❌ メンバーを更新できませんでした: {message}',
+        'notify.memberDuplicated': '✅ 「{name}」を作成しました',
+        'notify.memberDuplicateFailed': '❌ メンバーを複製できませんでした: {message}',
+        'notify.userNotFound': '❌ ユーザー「{name}」は存在しません',
+        'notify.userDeleted': {
+            zero: '✅ 「{name}」を削除しました。ユーザーはいません。',
+            other: '✅ 「{name}」を削除しました。残り {count} 人です。'
+        },
+        'notify.userDeleteFailed': '❌ ユーザーを削除できませんでした: {message}'
+    }
+};
+
+class InfI18n {
+    // 將 lang 屬性或瀏覽器語言轉為支援的語言，不支援時回傳 null
+    static normalize(lang) {
+        const value = String(lang || '').toLowerCase();
+        if (value.startsWith('zh')) return 'zh-TW';
+        if (value.startsWith('en')) return 'en';
+        if (value.startsWith('ja')) return 'ja';
+        return null;
+    }
+
+    // 目前語言：lang 屬性 → 瀏覽器語言 → 繁體中文
+    static getLanguage() {
+        if (InfI18n.language) {
+            return InfI18n.language;
+        }
+        const browserLanguages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+        for (const lang of browserLanguages) {
+            const language = InfI18n.normalize(lang);
+            if (language) {
+                return language;
+            }
+        }
+        return INF_I18N_FALLBACK_LANGUAGE;
+    }
+
+    static getLocale() {
+        return INF_I18N_LOCALES[InfI18n.getLanguage()];
+    }
+
+    // 設定語言（null 表示跟隨瀏覽器），變更時通知訂閱者與頁面
+    static setLanguage(lang) {
+        const language = InfI18n.normalize(lang);
+        if (language === InfI18n.language) {
+            return;
+        }
+        InfI18n.language = language;
+        InfI18n.listeners.forEach(listener => {
+            try {
+                listener(InfI18n.getLanguage());
+            } catch (error) {
+                // 單一訂閱者錯誤不影響其他訂閱者
+            }
+        });
+        window.dispatchEvent(new CustomEvent('inf-language-changed', { detail: { language: InfI18n.getLanguage() } }));
+    }
+
+    static subscribe(listener) {
+        InfI18n.listeners.add(listener);
+        return () => InfI18n.listeners.delete(listener);
+    }
+
+    static has(key) {
+        return [InfI18n.getLanguage(), INF_I18N_FALLBACK_LANGUAGE].some(language => INF_I18N_MESSAGES[language][key] !== undefined);
+    }
+
+    // 取得翻譯；找不到時依序回退繁體中文、fallback、key
+    static t(key, params = {}, fallback) {
+        let message = [InfI18n.getLanguage(), INF_I18N_FALLBACK_LANGUAGE]
+            .map(language => INF_I18N_MESSAGES[language][key])
+            .find(value => value !== undefined);
+        if (message === undefined) {
+            message = fallback !== undefined ? fallback : key;
+        }
+
+        if (message && typeof message === 'object') {
+            const count = Number(params.count);
+            message = count === 0 && message.zero !== undefined
+                ? message.zero
+                : message[new Intl.PluralRules(InfI18n.getLocale()).select(count)] || message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined || params[name] === null) {
+                return match;
+            }
+            return typeof params[name] === 'number' ? InfI18n.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    static formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(InfI18n.getLocale(), options).format(value);
+    }
+
+    static formatDateTime(value, options = {}) {
+        return new Date(value).toLocaleString(InfI18n.getLocale(), options);
+    }
+
+    static formatList(items) {
+        if (typeof Intl.ListFormat !== 'function') {
+            return items.join('、');
+        }
+        return new Intl.ListFormat(InfI18n.getLocale(), { style: 'long', type: 'conjunction' }).format(items);
+    }
+}
+
+InfI18n.language = null;
+InfI18n.listeners = new Set();
+
+/**
+ * 主題（CSS 變數）
+ * 組件的顏色、圓角、字型與間距都以 --inf-* 變數撰寫，未定義時使用原本的預設值。
+ * theme 屬性可選 light（預設）/ dark / auto（依 prefers-color-scheme），品牌可直接覆寫變數：
+ * - Shadow DOM（頭像與內建畫面）：設定在 inf-google-login 元素上，或透過 ::part() 調整個別元素
+ * - 顯示在頁面容器中的畫面、彈窗與通知：帶有 data-inf-theme 屬性，設定在 [data-inf-theme] 上
+ */
+const INF_THEME_STYLE_ID = 'inf-theme-styles';
+const INF_THEMES = ['light', 'dark', 'auto'];
+const INF_THEME_PRESETS = {
+    light: {
+        'color-primary': '#1E293B',
+        'color-on-primary': '#FFFFFF',
+        'color-text': '#1E293B',
+        'color-text-secondary': '#475569',
+        'color-text-muted': '#9CA3AF',
+        'color-surface': '#FFFFFF',
+        'color-surface-muted': '#F1F5F9',
+        'color-border': '#E5E7EB',
+        'color-overlay': 'rgba(0, 0, 0, 0.5)',
+        'color-success': '#10B981',
+        'color-warning': '#F59E0B',
+        'color-danger': '#EF4444',
+        'color-info': '#3B82F6',
+        'radius-sm': '6px',
+        'radius': '8px',
+        'radius-lg': '12px',
+        'font-family': '\'Noto Sans TC\', \'Figtree\', sans-serif',
+        'font-size-sm': '13px',
+        'font-size': '14px',
+        'spacing-sm': '8px',
+        'spacing': '12px'
+    },
+    dark: {
+        'color-primary': '#E2E8F0',
+        'color-on-primary': '#0F172A',
+        'color-text': '#F1F5F9',
+        'color-text-secondary': '#CBD5E1',
+        'color-text-muted': '#94A3B8',
+        'color-surface': '#0F172A',
+        'color-surface-muted': '#1E293B',
+        'color-border': '#334155',
+        'color-overlay': 'rgba(0, 0, 0, 0.7)',
+        'color-success': '#34D399',
+        'color-warning': '#FBBF24',
+        'color-danger': '#F87171',
+        'color-info': '#60A5FA'
+    }
+};
+
+class InfTheme {
+    static normalize(theme) {
+        return INF_THEMES.includes(theme) ? theme : 'light';
+    }
+
+    // 預設主題的變數宣告（dark 未列出的變數沿用 light）
+    static getDeclarations(preset) {
+        const tokens = { ...INF_THEME_PRESETS.light, ...(INF_THEME_PRESETS[preset] || {}) };
+        return Object.entries(tokens).map(([token, value]) => `--inf-${token}: ${value};`).join(' ');
+    }
+
+    // 產生三種主題的 CSS，selectorFor(theme) 回傳套用該主題的選擇器
+    static getCSS(selectorFor) {
+        return `
+            ${selectorFor('light')} { ${InfTheme.getDeclarations('light')} }
+            ${selectorFor('dark')} { ${InfTheme.getDeclarations('dark')} }
+            @media (prefers-color-scheme: dark) {
+                ${selectorFor('auto')} { ${InfTheme.getDeclarations('dark')} }
+            }
+        `;
+    }
+
+    // Shadow DOM 使用：預設主題寫在 :host，頁面上對 inf-google-login 的設定優先
+    static getHostCSS() {
+        return InfTheme.getCSS(theme => (theme === 'light' ? ':host' : `:host([theme="${theme}"])`));
+    }
+
+    // 頁面容器使用：以 :where() 降低權重，品牌對 [data-inf-theme] 的設定優先
+    static injectDocumentStyles() {
+        if (document.getElementById(INF_THEME_STYLE_ID)) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = INF_THEME_STYLE_ID;
+        style.textContent = InfTheme.getCSS(theme => (theme === 'light' ? ':where([data-inf-theme])' : `:where([data-inf-theme="${theme}"])`));
+        document.head.appendChild(style);
+    }
+
+    // 讓頁面中的畫面、彈窗與通知套用目前主題
+    static apply(element) {
+        InfTheme.injectDocumentStyles();
+        element.setAttribute('data-inf-theme', InfTheme.theme);
+        return element;
+    }
+
+    // 切換主題並更新已顯示的畫面
+    static setTheme(theme) {
+        InfTheme.theme = InfTheme.normalize(theme);
+        document.querySelectorAll('[data-inf-theme]').forEach(element => {
+            element.setAttribute('data-inf-theme', InfTheme.theme);
+        });
+        return InfTheme.theme;
+    }
+}
+
+InfTheme.theme = 'light';
+
+// 預設的具名斷點（名稱 → 容器最小寬度 px），與過去以 480px 區分桌面 / 手機的行為相同
+const INF_BREAKPOINTS = { mobile: 0, desktop: 480 };
+
+// 響應式樣式：依宿主容器（而非視窗）的寬度選出 avatarStyle / modalContainerStyle 中的斷點樣式
+class InfBreakpoints {
+    // 註冊或覆寫具名斷點，例如 InfBreakpoints.define({ compact: 0, regular: 360, wide: 720 })
+    static define(breakpoints) {
+        Object.entries(breakpoints || {}).forEach(([name, minWidth]) => {
+            const width = Number(minWidth);
+            if (name && Number.isFinite(width)) {
+                InfBreakpoints.breakpoints[name] = width;
+            }
+        });
+        return { ...InfBreakpoints.breakpoints };
+    }
+
+    // 是否為響應式設定：斷點的值是樣式物件，單一樣式格式的值則是字串
+    static isResponsive(styleConfig) {
+        return !!styleConfig && typeof styleConfig === 'object' && Object.entries(styleConfig).some(([name, style]) => {
+            return name !== 'breakpoints' && !!style && typeof style === 'object';
+        });
+    }
+
+    // 斷點名稱對應的最小寬度：設定內的 breakpoints > 全域註冊的斷點 > 數字名稱（例如 "720"）
+    static getMinWidth(name, localBreakpoints) {
+        if (localBreakpoints && localBreakpoints[name] !== undefined) {
+            return Number(localBreakpoints[name]);
+        }
+        if (InfBreakpoints.breakpoints[name] !== undefined) {
+            return InfBreakpoints.breakpoints[name];
+        }
+        return name.trim() !== '' && Number.isFinite(Number(name)) ? Number(name) : null;
+    }
+
+    // 選出最小寬度不超過容器寬度的最大斷點；容器比所有斷點都窄時使用最小的斷點
+    static resolve(styleConfig, width) {
+        if (!InfBreakpoints.isResponsive(styleConfig)) {
+            return styleConfig;
+        }
+        const candidates = Object.entries(styleConfig)
+            .filter(([name, style]) => name !== 'breakpoints' && style && typeof style === 'object')
+            .map(([name, style]) => ({ minWidth: InfBreakpoints.getMinWidth(name, styleConfig.breakpoints), style: style }))
+            .filter(candidate => Number.isFinite(candidate.minWidth))
+            .sort((a, b) => a.minWidth - b.minWidth);
+        if (candidates.length === 0) {
+            return {};
+        }
+        const matched = candidates.filter(candidate => candidate.minWidth <= width);
+        return (matched.length > 0 ? matched[matched.length - 1] : candidates[0]).style;
+    }
+
+    // 取得容器寬度（容器不存在或尚未排版時回退為視窗寬度）
+    static getWidth(container) {
+        const width = container ? container.getBoundingClientRect().width : 0;
+        return width > 0 ? width : window.innerWidth;
+    }
+
+    // 監聽容器大小變化，回傳取消監聽的函數（不支援 ResizeObserver 時回退為視窗 resize）
+    static observe(containers, callback) {
+        let frame = null;
+        const schedule = () => {
+            if (frame === null) {
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    callback();
+                });
+            }
+        };
+        const cancelFrame = () => {
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+        };
+
+        if (typeof ResizeObserver === 'function') {
+            const observer = new ResizeObserver(schedule);
+            containers.filter(Boolean).forEach(container => observer.observe(container));
+            return () => {
+                observer.disconnect();
+                cancelFrame();
+            };
+        }
+        window.addEventListener('resize', schedule);
+        return () => {
+            window.removeEventListener('resize', schedule);
+            cancelFrame();
+        };
+    }
+}
+
+InfBreakpoints.breakpoints = { ...INF_BREAKPOINTS };
+
+// 分享給其他視窗的會話範圍與成員欄位（不含 token、email、姓名與成員名稱）
+const INF_SESSION_SCOPE = 'bodydata:default';
+const INF_SESSION_PROFILE_FIELDS = ['Gender', 'HV', 'WV', 'CC', 'FH', 'FW', 'FCir'];
+
+/**
+ * 登入會話分享（頁面單例，opt-in）
+ * <inf-google-login share-session="https://shop.example.com"> 開啟後，只分享 sub 與預設 BodyData 成員（BodyData_ptr）的測量資料：
+ * - 同一頁面：window.InfFitsSession.get() / subscribe(listener)，以及 window 的 inf-session-changed 事件
+ * - 上層頁面：經 /inf-messaging.js 的通道傳送 session 訊息並回應 sessionRequest，
+ *   只在上層頁面來源明確列於 share-session 屬性時傳送（空值只分享給同一頁面，同源上層頁面也需列出）
+ * 登入、登出、BodyData 與預設成員變更（InfAuthBus）時重新傳送，登出後傳送 null。
+ */
+class InfSessionShare {
+    constructor() {
+        this.sharers = new Map(); // 開啟分享的組件 → 允許的上層頁面來源
+        this.listeners = new Set();
+        this.session = null;
+        this.channel = null;
+        this.pendingRefresh = null;
+
+        InfAuthBus.getInstance().subscribe(this, () => this.refresh());
+    }
+
+    static getInstance() {
+        if (!InfSessionShare.instance) {
+            InfSessionShare.instance = new InfSessionShare();
+        }
+        return InfSessionShare.instance;
+    }
+
+    isEnabled() {
+        return this.sharers.size > 0;
+    }
+
+    // 組件開啟分享（origins：允許接收會話的上層頁面來源，支援 https://*.example.com）
+    enable(component, origins) {
+        this.sharers.set(component, origins.filter(Boolean));
+        if (this.isParentAuthorized()) {
+            this.connectParent();
+        }
+        return this.refresh();
+    }
+
+    // 組件關閉分享（移除屬性或從 DOM 移除），沒有組件分享時通知其他視窗清除會話
+    disable(component) {
+        if (!this.sharers.delete(component) || this.isEnabled()) {
+            return;
+        }
+        this.session = null;
+        this.announce();
+    }
+
+    // 在 iframe 中時建立與上層頁面的通道（需載入 /inf-messaging.js）
+    // 以獲授權的上層頁面來源作為 targetOrigin，實際嵌入頁面為其他來源時瀏覽器不會送達
+    connectParent() {
+        if (this.channel || window.parent === window || !window.InfFitsMessaging) {
+            return;
+        }
+        this.channel = window.InfFitsMessaging.connectParent({ targetOrigin: window.InfFitsMessaging.getParentOrigin() });
+        this.channel.on('sessionRequest', async () => {
+            if (!this.isParentAuthorized()) {
+                throw new Error('上層頁面未獲授權取得登入會話');
+            }
+            return this.getSession();
+        });
+    }
+
+    // 上層頁面來源是否獲授權（明確列於任一組件的 share-session）
+    isParentAuthorized() {
+        if (!this.isEnabled() || !window.InfFitsMessaging || window.parent === window) {
+            return false;
+        }
+        const parentOrigin = window.InfFitsMessaging.getParentOrigin();
+        if (!parentOrigin) {
+            return false;
+        }
+        return Array.from(this.sharers.values()).some(origins => {
+            return origins.some(pattern => window.InfFitsMessaging.matchOrigin(pattern, parentOrigin));
+        });
+    }
+
+    // 由登入狀態存儲組出最小化的會話，未登入時回傳 null
+    buildSession() {
+        const store = getInfTokenStore();
+        const sub = InfBodyDataOutbox.getCurrentSub();
+        if (!store.getItem('google_auth_credential') || !sub) {
+            return null;
+        }
+
+        let apiResponse = null;
+        try {
+            apiResponse = JSON.parse(store.getItem('inffits_api_response') || 'null');
+        } catch (error) {
+            apiResponse = null;
+        }
+        const bodyData = (apiResponse && apiResponse.BodyData) || {};
+        const userKey = apiResponse && bodyData[apiResponse.BodyData_ptr] ? apiResponse.BodyData_ptr : null;
+
+        let profile = null;
+        if (userKey) {
+            profile = { userKey: userKey };
+            INF_SESSION_PROFILE_FIELDS.forEach(field => {
+                if (bodyData[userKey][field] !== undefined && bodyData[userKey][field] !== '') {
+                    profile[field] = bodyData[userKey][field];
+                }
+            });
+        }
+
+        return {
+            scope: INF_SESSION_SCOPE,
+            sub: sub,
+            profile: profile,
+            issuedAt: Date.now()
+        };
+    }
+
+    // 重新組出會話，內容變更時通知同頁訂閱者與上層頁面
+    refresh() {
+        if (!this.isEnabled()) {
+            return Promise.resolve(null);
+        }
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = getInfTokenStore().ready.then(() => {
+                this.pendingRefresh = null;
+                const session = this.isEnabled() ? this.buildSession() : null;
+                const changed = !InfSessionShare.isSameSession(session, this.session);
+                this.session = session;
+                if (changed) {
+                    this.announce();
+                }
+                return this.session;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    static isSameSession(a, b) {
+        const strip = session => (session ? { ...session, issuedAt: null } : null);
+        return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+    }
+
+    announce() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.session);
+            } catch (error) {
+                // 單一訂閱者錯誤不影響其他訂閱者
+            }
+        });
+        window.dispatchEvent(new CustomEvent('inf-session-changed', { detail: { session: this.session } }));
+        if (this.channel && this.isParentAuthorized()) {
+            this.channel.send('session', this.session);
+        } else if (this.channel && !this.session) {
+            // 關閉分享時也通知先前已取得會話的上層頁面
+            this.channel.send('session', null);
+        }
+    }
+
+    // 取得目前的會話（未開啟分享或未登入時為 null）
+    async getSession() {
+        if (!this.isEnabled()) {
+            return null;
+        }
+        return this.refresh();
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+InfSessionShare.instance = null;
+
+// 同一頁面的腳本（例如推薦問答 iframe.js）讀取分享的會話
+window.InfFitsSession = {
+    get: () => InfSessionShare.getInstance().getSession(),
+    subscribe: listener => InfSessionShare.getInstance().subscribe(listener)
+};
+
+/**
+ * 路線問答進度（頁面單例）
+ * 推薦問答 iframe.js 的作答進度 { ORDER, RES, UpdatedAt } 依品牌保存在 infFITS 帳號的 RouteProgress，
+ * 登入後在任何裝置都能繼續作答；未登入時 load() 回傳 null、save() 不送出請求。
+ * 帳號 API 的回應（inffits_api_response）已包含 RouteProgress，讀取時不需額外請求。
+ * 正式環境的帳號 API 尚未確認支援 update_route_progress，預設只在 mock 模式同步，
+ * 其他環境需以 InfFitsRouteProgress.enableAccountSync() 明確開啟，否則只保留本機進度。
+ */
+class InfRouteProgress {
+    static getInstance() {
+        if (!InfRouteProgress.instance) {
+            InfRouteProgress.instance = new InfRouteProgress();
+        }
+        return InfRouteProgress.instance;
+    }
+
+    // 帳號 API 確認支援 update_route_progress 前，只在 mock 模式或明確開啟時同步
+    isSyncEnabled() {
+        return InfRouteProgress.accountSyncEnabled ||
+            !!(window.InfFitsEndpoints && window.InfFitsEndpoints.isMock());
+    }
+
+    // 讀取快取的帳號資料，未登入或未開啟同步時回傳 null
+    async getApiResponse() {
+        if (!this.isSyncEnabled()) {
+            return null;
+        }
+        const store = getInfTokenStore();
+        await store.ready;
+        if (!store.getItem('google_auth_credential')) {
+            return null;
+        }
+        try {
+            return JSON.parse(store.getItem('inffits_api_response') || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // 取得品牌的作答進度
+    async load(brand) {
+        const apiResponse = await this.getApiResponse();
+        if (!apiResponse || !apiResponse.RouteProgress) {
+            return null;
+        }
+        return apiResponse.RouteProgress[brand] || null;
+    }
+
+    // 上傳品牌的作答進度（401 由 API 客戶端統一處理），成功後更新快取
+    async save(brand, progress) {
+        const apiResponse = await this.getApiResponse();
+        if (!apiResponse) {
+            return null;
+        }
+        await getInfFitsApiClient().updateRouteProgress(brand, progress);
+
+        // 只合併 RouteProgress，避免覆蓋其他組件剛更新的 BodyData
+        const latest = (await this.getApiResponse()) || apiResponse;
+        latest.RouteProgress = { ...(latest.RouteProgress || {}), [brand]: progress };
+        getInfTokenStore().setItem('inffits_api_response', JSON.stringify(latest));
+        return progress;
+    }
+}
+
+InfRouteProgress.instance = null;
+InfRouteProgress.accountSyncEnabled = false;
+
+window.InfFitsRouteProgress = {
+    load: brand => InfRouteProgress.getInstance().load(brand),
+    save: (brand, progress) => InfRouteProgress.getInstance().save(brand, progress),
+    enableAccountSync: () => {
+        InfRouteProgress.accountSyncEnabled = true;
+    }
+};
+
 /**
  * infFITS Google OAuth2 登入 Web Component
  * 支援 Google Identity Services (GIS) 的現代化登入流程
  * 
  * 功能特色：
+ * - 可插拔身份提供者（Google、LINE、Facebook、Apple）
  * - Shadow DOM 封裝
  * - 自動登入判斷
  * - 登入狀態持久化
@@ -19,7 +3839,8 @@ class InfGoogleLoginComponent extends HTMLElement {
         });
 
         // 組件狀態
-        this.isGoogleLoaded = false;
+        this.isGoogleLoaded = false; // 目前身份提供者的 SDK 是否已載入
+        this.providerName = INF_LOGIN_DEFAULT_PROVIDER; // 身份提供者名稱（provider 屬性）
         this.clientId = null;
         this.autoSelect = true;
         this.loginUri = null;
@@ -27,10 +3848,11 @@ class InfGoogleLoginComponent extends HTMLElement {
         this.credential = null;
         this.targetContainerId = null; // 新增：目標容器 ID
         this.apiRefreshInProgress = false; // 防止重複調用 API
+        this.apiClient = null; // infFITS 帳號 API 客戶端（延遲建立）
         this.modalContainerStyle = null; // 新增：模態框容器樣式配置
 
-        // 靜態屬性：全局 API 刷新控制（所有實例共享）
-        InfGoogleLoginComponent.lastApiRefreshTime = InfGoogleLoginComponent.lastApiRefreshTime || 0;
+        // 頁面層級的登入會話：共用 token 檢查計時器、單一刷新請求與 API 刷新節流
+        this.authSession = InfAuthSession.getInstance();
 
         // 添加 timeout 追蹤器，用於清理
         this.activeTimeouts = new Set();
@@ -42,24 +3864,20 @@ class InfGoogleLoginComponent extends HTMLElement {
         // 檢查是否為無痕瀏覽器
         this.isIncognitoMode = this.detectIncognitoMode();
 
-        // 監聽 localStorage 變化（僅在非無痕模式下）
-        if (!this.isIncognitoMode) {
-        window.addEventListener('storage', this.handleStorageChange.bind(this));
-        }
+        // 登入狀態存儲（storage 屬性，無痕模式下自動回退）；設定在掛載時才讀取完整，於 connectedCallback 建立
+        this.tokenStore = null;
 
         // 綁定方法到 this 上下文
         this.handleCredentialResponse = this.handleCredentialResponse.bind(this);
         this.handleLoginFailure = this.handleLoginFailure.bind(this);
-        this.handleStorageChange = this.handleStorageChange.bind(this);
-
-        // 檢查本地存儲的憑證（初始化時不刷新 API，等到掛載時再刷新）
-        this.checkStoredCredential(false);
-        
-        // 設置 token 自動刷新機制
-        this.setupTokenRefresh();
+        this.handleAuthBusMessage = this.handleAuthBusMessage.bind(this);
 
-        // 檢查 URL 中是否有 Google 登入回調
-        this.checkGoogleLoginCallback();
+        // 跨分頁 / iframe / 同頁組件的登入狀態同步（掛載時訂閱）
+        this.authBus = InfAuthBus.getInstance();
+        this.unsubscribeAuthBus = null;
+        this.unsubscribeOutbox = null; // BodyData 離線佇列狀態訂閱
+        this.unsubscribeLanguage = null; // 顯示語言變更訂閱
+        this.declarativeConfig = {}; // JSON 子元素與 template 模板合併後的設定
     }
 
     // 檢測是否為無痕瀏覽器
@@ -105,7 +3923,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 this.clearUrlParams();
             } else if (error) {
                 // console statement removed
-                this.handleLoginFailure(`Google 登入失敗: ${error}`);
+                this.handleLoginFailure(InfI18n.t('login.error.failed', { provider: 'Google', message: error }));
                 // 清除 URL 參數
                 this.clearUrlParams();
             }
@@ -117,108 +3935,11 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 清除 URL 參數
     clearUrlParams() {
         try {
-            const url = new URL(window.location);
-            url.search = '';
-            window.history.replaceState({}, document.title, url.pathname);
-        } catch (error) {
-            // console statement removed
-        }
-    }
-
-    // 無痕瀏覽器專用的憑證檢查方法（更寬鬆的檢查）
-    async checkStoredCredentialIncognito(shouldRefreshApi = false) {
-        try {
-            // 嘗試讀取 localStorage，但使用 try-catch 處理可能的錯誤
-            let jwtCredential = null;
-            let accessToken = null;
-            
-            try {
-                jwtCredential = localStorage.getItem('google_auth_credential');
-            } catch (error) {
-                // 靜默處理錯誤
-            }
-            
-            try {
-                accessToken = await this.getValidAccessToken();
-            } catch (error) {
-                // 靜默處理錯誤
-            }
-            
-            // 如果有任何一種憑證，就認為已登入
-            if (jwtCredential) {
-                this.credential = jwtCredential;
-                this.isAuthenticated = true;
-                
-                try {
-                    this.getUserInfo(); // 嘗試載入用戶資訊
-                } catch (error) {
-                    // 靜默處理錯誤
-                }
-                
-                if (shouldRefreshApi) {
-                    try {
-                        this.refreshApiData();
-                    } catch (error) {
-                        // 靜默處理錯誤
-                    }
-                }
-                return;
-            }
-            
-            if (accessToken) {
-                this.credential = `oauth2_${accessToken}`;
-                this.isAuthenticated = true;
-                
-                try {
-                    this.getUserInfo(); // 嘗試載入用戶資訊
-                } catch (error) {
-                    // 靜默處理錯誤
-                }
-                
-                if (shouldRefreshApi) {
-                    try {
-                        this.refreshApiData();
-                    } catch (error) {
-                        // 靜默處理錯誤
-                    }
-                }
-                return;
-            }
-            
-            // 如果沒有憑證，檢查是否有其他登入標記
-            try {
-                const apiResponse = localStorage.getItem('inffits_api_response');
-                const userInfo = localStorage.getItem('google_user_info');
-                
-                if (apiResponse || userInfo) {
-                    // 嘗試從現有資料恢復登入狀態
-                    this.isAuthenticated = true;
-                    
-                    try {
-                        this.getUserInfo();
-                    } catch (error) {
-                        // 靜默處理錯誤
-                    }
-                    
-                    try {
-                        this.getApiResponse();
-                    } catch (error) {
-                        // 靜默處理錯誤
-                    }
-                    
-                    return;
-                }
-            } catch (error) {
-                // 靜默處理錯誤
-            }
-            
-            // 如果都沒有，則未登入
-            this.credential = null;
-            this.isAuthenticated = false;
-            
+            const url = new URL(window.location);
+            url.search = '';
+            window.history.replaceState({}, document.title, url.pathname);
         } catch (error) {
-            this.credential = null;
-            this.isAuthenticated = false;
+            // console statement removed
         }
     }
 
@@ -279,19 +4000,12 @@ class InfGoogleLoginComponent extends HTMLElement {
         this.modalContainerStyle = style;
     }
 
-    // 獲取當前適用的樣式（響應式）
-    getCurrentStyle(styleConfig) {
+    // 獲取當前適用的樣式（響應式，依容器寬度選出斷點樣式）
+    getCurrentStyle(styleConfig, container = this.parentElement) {
         if (!styleConfig) return null;
 
-        const isDesktop = window.innerWidth >= 480;
-
-        if (typeof styleConfig === 'object' && styleConfig.desktop && styleConfig.mobile) {
-            // 新的響應式格式
-            return isDesktop ? styleConfig.desktop : styleConfig.mobile;
-        } else {
-            // 向後兼容：舊的單一樣式格式
-            return styleConfig;
-        }
+        // 單一樣式格式直接回傳
+        return InfBreakpoints.resolve(styleConfig, InfBreakpoints.getWidth(container));
     }
 
     // 等待 Google 服務載入的 Promise
@@ -336,81 +4050,19 @@ class InfGoogleLoginComponent extends HTMLElement {
         });
     }
 
-    // 設置 token 自動刷新機制 - 更智能和主動的方式
+    // 設置 token 自動刷新機制：加入頁面層級的登入會話（定期檢查與可見性監聽由會話統一執行）
     setupTokenRefresh() {
-        // 在無痕瀏覽器中，使用更寬鬆的 token 刷新
-        if (this.isIncognitoMode) {
-            this.setupTokenRefreshIncognito();
-            return;
-        }
-
-        // 1. 立即檢查當前 token 狀態
+        // 立即檢查當前 token 狀態
         if (this.isAuthenticated) {
             this.checkAndRefreshToken();
         }
 
-        // 2. 設置多層級的檢查機制
-        
-        // 每 30 分鐘檢查一次 token 狀態（更頻繁的檢查）
-        const frequentCheckInterval = this.safeSetInterval(() => {
-            if (this.isAuthenticated) {
-                this.checkAndRefreshToken();
-            }
-        }, 30 * 60 * 1000); // 30 分鐘
-        
-        // 每 10 分鐘做一次快速檢查（僅檢查過期時間，不做網路請求）
-        const quickCheckInterval = this.safeSetInterval(() => {
-            if (this.isAuthenticated) {
-                this.quickTokenValidityCheck();
-            }
-        }, 10 * 60 * 1000); // 10 分鐘
-        
-        // 頁面可見性變化時檢查 token（用戶回到頁面時）
-        const visibilityChangeHandler = () => {
-            if (!document.hidden && this.isAuthenticated) {
-                // console statement removed
-                this.checkAndRefreshToken();
-            }
-        };
-        
-        document.addEventListener('visibilitychange', visibilityChangeHandler);
-        
-        // 保存 interval ID 以便清理
-        this.activeIntervals.add(frequentCheckInterval);
-        this.activeIntervals.add(quickCheckInterval);
-        
-        // 保存事件監聽器以便清理
-        if (!this.eventListeners) {
-            this.eventListeners = [];
-        }
-        this.eventListeners.push({
-            element: document,
-            event: 'visibilitychange',
-            handler: visibilityChangeHandler
-        });
-    }
-
-    // 無痕瀏覽器專用的 token 刷新機制（更寬鬆的檢查）
-    setupTokenRefreshIncognito() {
-        try {
-            // 每 30 分鐘檢查一次 token 狀態（無痕瀏覽器中更頻繁檢查）
-            const refreshInterval = this.safeSetInterval(() => {
-                if (this.isAuthenticated) {
-                    this.checkAndRefreshTokenIncognito();
-                }
-            }, 30 * 60 * 1000); // 30 分鐘
-            
-            // 保存 interval ID 以便清理
-            this.activeIntervals.add(refreshInterval);
-            
-        } catch (error) {
-            // 靜默處理錯誤
-        }
+        this.authSession.attach(this);
     }
 
     // 快速檢查 token 有效性（不做網路請求）
     quickTokenValidityCheck() {
-        const expiresAt = localStorage.getItem('google_token_expires_at');
+        const expiresAt = this.tokenStore.getItem('google_token_expires_at');
         if (!expiresAt) {
             // console statement removed
             return;
@@ -432,83 +4084,37 @@ class InfGoogleLoginComponent extends HTMLElement {
         }
     }
 
-    // 無痕瀏覽器專用的 token 檢查和刷新
-    async checkAndRefreshTokenIncognito() {
-        try {
-            // 嘗試檢查憑證，但使用更寬鬆的方式
-            let credential = null;
-            try {
-                credential = localStorage.getItem('google_auth_credential');
-            } catch (error) {
-                return;
-            }
-            
-            if (!credential) {
-                return;
-            }
-            
-            // 嘗試刷新 API 資料
-            try {
-                await this.refreshApiData();
-            } catch (error) {
-                // 靜默處理錯誤
-            }
-            
-        } catch (error) {
-            // 靜默處理錯誤
-        }
+    // 檢查並刷新 token（同一頁面同時只執行一次，其他組件等待同一個結果）
+    checkAndRefreshToken() {
+        return this.authSession.singleFlight('check', () => this.performTokenCheck());
     }
 
-    // 檢查並刷新 token
-    async checkAndRefreshToken() {
+    async performTokenCheck() {
         try {
             // console statement removed
             
-            const credential = localStorage.getItem('google_auth_credential');
+            const credential = this.tokenStore.getItem('google_auth_credential');
             if (!credential) {
                 // console statement removed
                 return;
             }
             
-            // 優先檢查是否有 refresh token
-            const refreshToken = localStorage.getItem('google_refresh_token');
-            if (refreshToken) {
-                // console statement removed
+            // Google 登入優先透過伺服器端會話刷新（refresh token 只存在 HttpOnly cookie）
+            const expiresAt = this.tokenStore.getItem('google_token_expires_at');
+            if (expiresAt && this.getLoginProvider().name === 'google') {
+                const timeUntilExpiry = parseInt(expiresAt) - Date.now();
                 
-                // 檢查 access token 是否即將過期
-                const expiresAt = localStorage.getItem('google_token_expires_at');
-                if (expiresAt) {
-                    const now = Date.now();
-                    const expiresAtTime = parseInt(expiresAt);
-                    const timeUntilExpiry = expiresAtTime - now;
-                    
-                    // console statement removed
-                    // console statement removed
-                    
-                    // 如果 token 將在 30 分鐘內過期，提前刷新
-                    if (timeUntilExpiry < 30 * 60 * 1000) {
-                        // console statement removed
-                        try {
-                            const newAccessToken = await this.refreshAccessToken(refreshToken);
-                            if (newAccessToken) {
-                                const newCredential = `oauth2_${newAccessToken}`;
-                                this.saveCredential(newCredential);
-                                // console statement removed
-                                return;
-                            } else {
-                                // console statement removed
-                            }
-                        } catch (error) {
-                            // console statement removed
-                        }
-                    } else {
+                // 如果 token 將在 30 分鐘內過期，提前刷新
+                if (timeUntilExpiry < 30 * 60 * 1000) {
+                    const newCredential = await this.refreshAccessToken();
+                    if (newCredential) {
                         return;
                     }
                 }
             }
             
             // 對於 JWT token，檢查過期時間
-            const tokenInfoStr = localStorage.getItem('google_token_info');
+            const tokenInfoStr = this.tokenStore.getItem('google_token_info');
             if (tokenInfoStr) {
                 try {
                     const tokenInfo = JSON.parse(tokenInfoStr);
@@ -533,35 +4139,45 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 刷新 Google token
     async refreshGoogleToken() {
         try {
-            
-            // 首先嘗試使用 refresh token 刷新 access token
-            const refreshToken = localStorage.getItem('google_refresh_token');
-            if (refreshToken) {
-                try {
-                    const newAccessToken = await this.refreshAccessToken(refreshToken);
-                    if (newAccessToken) {
-                        
-                        // 更新憑證
-                        const newCredential = `oauth2_${newAccessToken}`;
-                        this.saveCredential(newCredential);
-                        
-                        // 觸發成功事件
-                        this.dispatchEvent(new CustomEvent('token-refreshed', {
-                            detail: {
-                                newCredential: newCredential,
-                                timestamp: new Date().toISOString()
-                            },
-                            bubbles: true,
-                            composed: true
-                        }));
-                        
-                        return;
-                    }
-                } catch (error) {
+            // 非 Google 提供者使用各自 SDK 無聲取得新憑證
+            const provider = this.getLoginProvider();
+            if (provider.name !== 'google') {
+                const newCredential = await this.refreshProviderCredential();
+                if (!newCredential) {
+                    this.handleTokenExpiration();
+                    return;
                 }
+
+                this.dispatchEvent(new CustomEvent('token-refreshed', {
+                    detail: {
+                        newCredential: newCredential,
+                        provider: provider.name,
+                        timestamp: new Date().toISOString()
+                    },
+                    bubbles: true,
+                    composed: true
+                }));
+                return;
+            }
+            
+            // 首先透過 /api/auth/refresh 以 HttpOnly cookie 中的 refresh token 取得新憑證
+            const newCredential = await this.refreshAccessToken();
+            if (newCredential) {
+                // 觸發成功事件
+                this.dispatchEvent(new CustomEvent('token-refreshed', {
+                    detail: {
+                        newCredential: newCredential,
+                        provider: provider.name,
+                        timestamp: new Date().toISOString()
+                    },
+                    bubbles: true,
+                    composed: true
+                }));
+                
+                return;
             }
             
-            // 如果沒有 refresh token 或刷新失敗，嘗試使用 Google Identity Services
+            // 沒有伺服器端會話（例如透過 One Tap 登入）或刷新失敗，嘗試使用 Google Identity Services
             if (window.google && window.google.accounts && window.google.accounts.id) {
                 // 觸發無聲的重新認證
                 window.google.accounts.id.prompt((notification) => {
@@ -584,9 +4200,10 @@ class InfGoogleLoginComponent extends HTMLElement {
     handleTokenExpiration() {
         
         // 清除認證資料
-        localStorage.removeItem('google_auth_credential');
-        localStorage.removeItem('google_user_info');
-        localStorage.removeItem('inffits_api_response');
+        this.tokenStore.removeItem('google_auth_credential');
+        this.tokenStore.removeItem('google_user_info');
+        this.tokenStore.removeItem('inffits_api_response');
+        this.tokenStore.removeItem(INF_LOGIN_PROVIDER_STORAGE_KEY);
         
         // 觸發登出事件
         window.dispatchEvent(new CustomEvent('google-logout', {
@@ -596,19 +4213,13 @@ class InfGoogleLoginComponent extends HTMLElement {
         }));
         
         // 顯示通知
-        showNotification('🔐 登入已過期，請重新登入', 'warning');
+        showNotification(InfI18n.t('notify.sessionExpired'), 'warning');
     }
 
     // 檢查存儲的憑證
     async checkStoredCredential(shouldRefreshApi = false) {
-        // 在無痕瀏覽器中，仍然檢查本地憑證，但使用更寬鬆的檢查
-        if (this.isIncognitoMode) {
-            await this.checkStoredCredentialIncognito(shouldRefreshApi);
-            return;
-        }
-
         // 首先檢查是否有 JWT 憑證（Google One Tap）
-        const jwtCredential = localStorage.getItem('google_auth_credential');
+        const jwtCredential = this.tokenStore.getItem('google_auth_credential');
         
         if (jwtCredential) {
             this.credential = jwtCredential;
@@ -659,7 +4270,7 @@ class InfGoogleLoginComponent extends HTMLElement {
 
         // 全局防重複調用：如果 5 秒內已經調用過，就跳過
         const now = Date.now();
-        if (now - InfGoogleLoginComponent.lastApiRefreshTime < 5000) {
+        if (now - this.authSession.lastApiRefreshTime < 5000) {
 
             // 仍然載入本地快取的資料
                 this.getApiResponse();
@@ -674,7 +4285,7 @@ class InfGoogleLoginComponent extends HTMLElement {
 
         try {
             this.apiRefreshInProgress = true;
-            InfGoogleLoginComponent.lastApiRefreshTime = now;
+            this.authSession.lastApiRefreshTime = now;
 
 
             // 重新調用 API 獲取最新資料
@@ -713,8 +4324,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 保存憑證
     saveCredential(credential) {
         if (credential) {
-            const oldCredential = this.credential;
-            localStorage.setItem('google_auth_credential', credential);
+            this.tokenStore.setItem('google_auth_credential', credential);
             this.credential = credential;
             this.isAuthenticated = true;
 
@@ -724,13 +4334,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                 created_at: Date.now(),
                 expires_in: 28800000 // 8 小時（毫秒）
             };
-            localStorage.setItem('google_token_info', JSON.stringify(tokenInfo));
+            this.tokenStore.setItem('google_token_info', JSON.stringify(tokenInfo));
             
             // 如果是 OAuth2 憑證，提取並保存 access token
             if (credential && credential.startsWith('oauth2_')) {
                 const accessToken = credential.replace('oauth2_', '');
-                localStorage.setItem('google_access_token', accessToken);
-                localStorage.setItem('google_token_expires_at', (Date.now() + 28800000).toString());
+                this.tokenStore.setItem('google_access_token', accessToken);
+                this.tokenStore.setItem('google_token_expires_at', (Date.now() + 28800000).toString());
             }
 
             // 觸發 localStorage 更新事件
@@ -742,28 +4352,20 @@ class InfGoogleLoginComponent extends HTMLElement {
                 bubbles: true,
                 composed: true
             }));
-
-            // 觸發 storage 事件，通知其他組件實例
-            window.dispatchEvent(new StorageEvent('storage', {
-                key: 'google_auth_credential',
-                newValue: credential,
-                oldValue: oldCredential,
-                storageArea: localStorage
-            }));
         }
     }
 
     // 清除憑證
     clearCredential() {
         const oldCredential = this.credential;
-        localStorage.removeItem('google_auth_credential');
-        localStorage.removeItem('google_user_info');
-        localStorage.removeItem('inffits_api_response'); // 清除 API 回應數據
-        localStorage.removeItem('google_token_info'); // 清除 token 資訊
+        this.tokenStore.removeItem('google_auth_credential');
+        this.tokenStore.removeItem('google_user_info');
+        this.tokenStore.removeItem('inffits_api_response'); // 清除 API 回應數據
+        this.tokenStore.removeItem('google_token_info'); // 清除 token 資訊
         // 清除 OAuth2 tokens
-        localStorage.removeItem('google_access_token');
-        localStorage.removeItem('google_refresh_token');
-        localStorage.removeItem('google_token_expires_at');
+        this.tokenStore.removeItem('google_access_token');
+        this.tokenStore.removeItem('google_refresh_token');
+        this.tokenStore.removeItem('google_token_expires_at');
         
         this.credential = null;
         this.userInfo = null;
@@ -785,7 +4387,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 保存用戶資訊
     saveUserInfo(userInfo) {
         if (userInfo) {
-            localStorage.setItem('google_user_info', JSON.stringify(userInfo));
+            this.tokenStore.setItem('google_user_info', JSON.stringify(userInfo));
             this.userInfo = userInfo;
             this.updateAvatar();
 
@@ -804,7 +4406,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 獲取用戶資訊
     getUserInfo() {
         if (!this.userInfo) {
-            const stored = localStorage.getItem('google_user_info');
+            const stored = this.tokenStore.getItem('google_user_info');
             if (stored) {
                 try {
                     this.userInfo = JSON.parse(stored);
@@ -1150,7 +4752,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 display: flex !important;
                 justify-content: center !important;
                 align-items: center !important;
-                background: white !important;
+                background: var(--inf-color-surface, white) !important;
                 border-radius: 8px !important;
                 position: relative !important;
                 overflow: hidden !important;
@@ -1247,7 +4849,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 const component = container.querySelector('inf-google-login');
                 if (component) {
                     // 重新設定 avatar 樣式
-                    const currentStyle = this.getCurrentStyle(config.avatarStyle);
+                    const currentStyle = this.getCurrentStyle(config.avatarStyle, container);
                     Object.entries(currentStyle).forEach(([property, value]) => {
                         const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
                         component.style.setProperty(cssProperty, value);
@@ -1257,7 +4859,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     if (config.modalContainerId) {
                         const modalContainer = document.getElementById(config.modalContainerId);
                         if (modalContainer && config.modalContainerStyle) {
-                            const currentModalStyle = this.getCurrentStyle(config.modalContainerStyle);
+                            const currentModalStyle = this.getCurrentStyle(config.modalContainerStyle, modalContainer);
                             Object.entries(currentModalStyle).forEach(([property, value]) => {
                                 const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
                                 modalContainer.style.setProperty(cssProperty, value);
@@ -1269,13 +4871,12 @@ class InfGoogleLoginComponent extends HTMLElement {
         });
     }
 
-    // 獲取當前樣式的輔助方法
-    getCurrentStyle(avatarStyle) {
-        const isDesktop = window.innerWidth >= 480;
-        if (avatarStyle && typeof avatarStyle === 'object' && avatarStyle.desktop && avatarStyle.mobile) {
-            return isDesktop ? avatarStyle.desktop : avatarStyle.mobile;
+    // 獲取當前樣式的輔助方法（依容器寬度選出斷點樣式）
+    getCurrentStyle(avatarStyle, container = this.parentElement) {
+        if (avatarStyle) {
+            return InfBreakpoints.resolve(avatarStyle, InfBreakpoints.getWidth(container));
         } else {
-            return avatarStyle || {
+            return {
                 position: 'absolute',
                 left: '10px',
                 top: '10px',
@@ -1379,19 +4980,12 @@ class InfGoogleLoginComponent extends HTMLElement {
         this.modalContainerStyle = style;
     }
 
-    // 獲取當前適用的樣式（響應式）
-    getCurrentStyle(styleConfig) {
+    // 獲取當前適用的樣式（響應式，依容器寬度選出斷點樣式）
+    getCurrentStyle(styleConfig, container = this.parentElement) {
         if (!styleConfig) return null;
 
-        const isDesktop = window.innerWidth >= 480;
-
-        if (typeof styleConfig === 'object' && styleConfig.desktop && styleConfig.mobile) {
-            // 新的響應式格式
-            return isDesktop ? styleConfig.desktop : styleConfig.mobile;
-        } else {
-            // 向後兼容：舊的單一樣式格式
-            return styleConfig;
-        }
+        // 單一樣式格式直接回傳
+        return InfBreakpoints.resolve(styleConfig, InfBreakpoints.getWidth(container));
     }
 
     // 等待 Google 服務載入的 Promise
@@ -1438,14 +5032,11 @@ class InfGoogleLoginComponent extends HTMLElement {
 
     // 檢查存儲的憑證
     async checkStoredCredential(shouldRefreshApi = false) {
-        // 在無痕瀏覽器中，仍然檢查本地憑證，但使用更寬鬆的檢查
-        if (this.isIncognitoMode) {
-            await this.checkStoredCredentialIncognito(shouldRefreshApi);
-            return;
-        }
+        // 等待加密資料（含本地身體資料）解密完成
+        await Promise.all([this.tokenStore.ready, getInfLocalBodyStore().ready]);
 
         // 首先檢查是否有 JWT 憑證（Google One Tap）
-        const jwtCredential = localStorage.getItem('google_auth_credential');
+        const jwtCredential = this.tokenStore.getItem('google_auth_credential');
         
         if (jwtCredential) {
             this.credential = jwtCredential;
@@ -1496,7 +5087,7 @@ class InfGoogleLoginComponent extends HTMLElement {
 
         // 全局防重複調用：如果 5 秒內已經調用過，就跳過
         const now = Date.now();
-        if (now - InfGoogleLoginComponent.lastApiRefreshTime < 5000) {
+        if (now - this.authSession.lastApiRefreshTime < 5000) {
 
             // 仍然載入本地快取的資料
             this.getApiResponse();
@@ -1511,7 +5102,7 @@ class InfGoogleLoginComponent extends HTMLElement {
 
         try {
             this.apiRefreshInProgress = true;
-            InfGoogleLoginComponent.lastApiRefreshTime = now;
+            this.authSession.lastApiRefreshTime = now;
 
 
             // 重新調用 API 獲取最新資料
@@ -1550,8 +5141,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 保存憑證
     saveCredential(credential) {
         if (credential) {
-            const oldCredential = this.credential;
-            localStorage.setItem('google_auth_credential', credential);
+            this.tokenStore.setItem('google_auth_credential', credential);
             this.credential = credential;
             this.isAuthenticated = true;
 
@@ -1564,23 +5154,16 @@ class InfGoogleLoginComponent extends HTMLElement {
                 bubbles: true,
                 composed: true
             }));
-
-            // 觸發 storage 事件，通知其他組件實例
-            window.dispatchEvent(new StorageEvent('storage', {
-                key: 'google_auth_credential',
-                newValue: credential,
-                oldValue: oldCredential,
-                storageArea: localStorage
-            }));
         }
     }
 
     // 清除憑證
     clearCredential() {
         const oldCredential = this.credential;
-        localStorage.removeItem('google_auth_credential');
-        localStorage.removeItem('google_user_info');
-        localStorage.removeItem('inffits_api_response'); // 清除 API 回應數據
+        this.tokenStore.removeItem('google_auth_credential');
+        this.tokenStore.removeItem('google_user_info');
+        this.tokenStore.removeItem('inffits_api_response'); // 清除 API 回應數據
+        this.tokenStore.removeItem(INF_LOGIN_PROVIDER_STORAGE_KEY);
         this.credential = null;
         this.userInfo = null;
         this.isAuthenticated = false;
@@ -1601,7 +5184,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 保存用戶資訊
     saveUserInfo(userInfo) {
         if (userInfo) {
-            localStorage.setItem('google_user_info', JSON.stringify(userInfo));
+            this.tokenStore.setItem('google_user_info', JSON.stringify(userInfo));
             this.userInfo = userInfo;
             this.updateAvatar();
 
@@ -1620,7 +5203,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 獲取用戶資訊
     getUserInfo() {
         if (!this.userInfo) {
-            const stored = localStorage.getItem('google_user_info');
+            const stored = this.tokenStore.getItem('google_user_info');
             if (stored) {
                 try {
                     this.userInfo = JSON.parse(stored);
@@ -1676,7 +5259,7 @@ class InfGoogleLoginComponent extends HTMLElement {
         }
     }
 
-    // 解析 Google 憑證
+    // 解析 JWT 憑證（Google、LINE、Apple 的 ID token）
     parseCredential(credential) {
         try {
             // JWT 憑證格式：header.payload.signature
@@ -1685,8 +5268,9 @@ class InfGoogleLoginComponent extends HTMLElement {
                 throw new Error('無效的 JWT 格式');
             }
 
-            // 解碼 payload 部分
-            const payload = JSON.parse(atob(parts[1]));
+            // 解碼 payload 部分（base64url，姓名可能包含中文）
+            const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            const payload = JSON.parse(decodeURIComponent(escape(atob(base64))));
 
             return {
                 sub: payload.sub,
@@ -1705,16 +5289,49 @@ class InfGoogleLoginComponent extends HTMLElement {
 
     // 監聽的屬性變更
     static get observedAttributes() {
-        return ['client-id', 'auto-select', 'data-client-id', 'data-auto-select', 'data-login-uri', 'target-container-id', 'data-target-container-id'];
+        return ['client-id', 'auto-select', 'data-client-id', 'data-auto-select', 'data-login-uri', 'target-container-id', 'data-target-container-id', 'provider', 'data-provider', 'storage', 'data-storage', 'unit-system', 'shoe-size-system', 'lang', 'theme', 'template', 'avatar-style', 'modal-container-style', 'share-session'];
     }
 
     // 屬性變更回調
     attributeChangedCallback(name, oldValue, newValue) {
         if (oldValue !== newValue) {
             switch (name) {
+                case 'unit-system':
+                case 'shoe-size-system':
+                    InfUnits.setDefaults(this.getAttribute('unit-system'), this.getAttribute('shoe-size-system'));
+                    return;
+                case 'lang':
+                    InfI18n.setLanguage(newValue);
+                    return;
+                case 'theme':
+                    InfTheme.setTheme(newValue);
+                    return;
+                case 'avatar-style':
+                case 'modal-container-style':
+                    if (this.isConnected) {
+                        this.applyDeclarativeStyles();
+                    }
+                    return;
+                case 'share-session':
+                    if (this.isConnected) {
+                        this.applySessionSharing();
+                    }
+                    return;
+                case 'template':
+                    // 模板可能同時改變 client id、提供者與樣式，重新讀取全部設定
+                    if (!this.isConnected) {
+                        return;
+                    }
+                    this.loadDeclarativeConfig();
+                    if (getInfLoginProvider(this.getConfigValue('provider', 'provider')).name !== this.providerName) {
+                        this.applyProviderChange();
+                        return;
+                    }
+                    this.readConfiguration();
+                    break;
                 case 'client-id':
                 case 'data-client-id':
-                    this.clientId = newValue;
+                    this.clientId = newValue || this.getConfigValue('client-id', 'clientId') || getInfLoginProvider(this.providerName).defaultClientId;
                     break;
                 case 'auto-select':
                 case 'data-auto-select':
@@ -1725,24 +5342,56 @@ class InfGoogleLoginComponent extends HTMLElement {
                     break;
                 case 'target-container-id':
                 case 'data-target-container-id':
-                    this.targetContainerId = newValue;
+                    if (this.isConnected) {
+                        this.retargetContainer(newValue);
+                    } else {
+                        this.targetContainerId = newValue;
+                    }
+                    break;
+                case 'provider':
+                case 'data-provider':
+                    if (this.isConnected) {
+                        this.applyProviderChange();
+                        return;
+                    }
+                    this.providerName = getInfLoginProvider(newValue).name;
+                    break;
+                case 'storage':
+                case 'data-storage':
+                    // 未掛載時由 connectedCallback 讀取
+                    if (this.isConnected) {
+                        this.setTokenStorage(this.getConfigValue('storage', 'storage'));
+                    }
                     break;
             }
 
-            // 如果組件已連接且 Google 已載入，重新初始化
+            // 如果組件已連接且提供者 SDK 已載入，重新初始化
             if (this.isConnected && this.isGoogleLoaded) {
-                this.initializeGoogleSignIn();
+                this.loadIdentityProvider();
             }
         }
     }
 
     // 組件掛載到 DOM 時
     connectedCallback() {
-        // 讀取屬性值
-        this.clientId = this.getAttribute('client-id') || this.getAttribute('data-client-id') || '265821704236-fkdt4rrvpmuhf442c7r2dfg16i71c6qg.apps.googleusercontent.com';
-        this.autoSelect = (this.getAttribute('auto-select') || this.getAttribute('data-auto-select')) === 'true';
-        this.loginUri = this.getAttribute('data-login-uri');
-        this.targetContainerId = this.getAttribute('target-container-id') || this.getAttribute('data-target-container-id');
+        // 讀取宣告式設定（屬性 > <script type="application/json"> 子元素 > template 模板）
+        this.loadDeclarativeConfig();
+        this.readConfiguration();
+
+        // 檢查 URL 中是否有 Google 登入回調（需要 readConfiguration 建立的 TokenStore）
+        if (!this.loginCallbackChecked) {
+            this.loginCallbackChecked = true;
+            this.checkGoogleLoginCallback();
+        }
+
+        // JSON 設定子元素變更時即時重新套用
+        if (!this.configObserver) {
+            this.configObserver = new MutationObserver(() => this.handleJsonConfigChange());
+            this.configObserver.observe(this, { childList: true, subtree: true, characterData: true });
+        }
+
+        // 頭像與模態框容器大小變化時重新套用響應式樣式
+        this.observeContainerSize(this.targetContainerId ? document.getElementById(this.targetContainerId) : null);
 
         // 載入 Google Fonts
         this.loadGoogleFonts();
@@ -1750,8 +5399,28 @@ class InfGoogleLoginComponent extends HTMLElement {
         this.render();
         this.setupEventListeners(); // 在 DOM 渲染後設置事件監聽器
 
+        // 訂閱登入狀態同步訊息（重新掛載時重新訂閱）
+        if (!this.unsubscribeAuthBus) {
+            this.unsubscribeAuthBus = this.authBus.subscribe(this, this.handleAuthBusMessage);
+        }
+
+        // 加入頁面層級的登入會話（token 自動刷新）
+        this.setupTokenRefresh();
+
+        // 顯示 BodyData 離線佇列狀態，並在載入時重送尚未同步的變更
+        const outbox = InfBodyDataOutbox.getInstance();
+        if (!this.unsubscribeOutbox) {
+            this.unsubscribeOutbox = outbox.subscribe(() => this.updateSyncStatusDisplay());
+        }
+
+        // 顯示語言變更時重新顯示身體資料
+        if (!this.unsubscribeLanguage) {
+            this.unsubscribeLanguage = InfI18n.subscribe(() => this.handleLanguageChange());
+        }
+        this.tokenStore.ready.then(() => outbox.replay());
+
         // 檢查 Google 服務是否已經載入
-        if (window.google && window.google.accounts) {
+        if (this.providerName === 'google' && window.google && window.google.accounts) {
             this.isGoogleLoaded = true;
         }
 
@@ -1764,13 +5433,287 @@ class InfGoogleLoginComponent extends HTMLElement {
 
 
 
-        // 🔧 如果已有 API 資料，立即更新 BodyData
-        const existingApiResponse = this.getApiResponse();
-        if (existingApiResponse) {
-            this.updateBodyDataDisplay(existingApiResponse);
+        // 🔧 如果已有 API 資料，解密完成後立即更新 BodyData
+        this.tokenStore.ready.then(() => {
+            const existingApiResponse = this.getApiResponse();
+            if (existingApiResponse) {
+                this.updateBodyDataDisplay(existingApiResponse);
+            }
+        });
+
+        this.loadIdentityProvider();
+    }
+
+    // 讀取所有設定值並套用（connectedCallback 與設定來源變更時呼叫）
+    readConfiguration() {
+        this.providerName = getInfLoginProvider(this.getConfigValue('provider', 'provider')).name;
+        this.clientId = this.getConfigValue('client-id', 'clientId') || getInfLoginProvider(this.providerName).defaultClientId;
+        this.autoSelect = String(this.getConfigValue('auto-select', 'autoSelect')) === 'true';
+        this.loginUri = this.getConfigValue('login-uri', 'loginUri');
+        this.targetContainerId = this.getConfigValue('target-container-id', 'modalContainerId');
+        this.setTokenStorage(this.getConfigValue('storage', 'storage'));
+        InfUnits.setDefaults(this.getConfigValue('unit-system', 'unitSystem'), this.getConfigValue('shoe-size-system', 'shoeSizeSystem'));
+
+        const lang = this.getConfigValue('lang', 'lang');
+        if (lang) {
+            InfI18n.setLanguage(lang);
+        }
+        const theme = this.getConfigValue('theme', 'theme');
+        if (theme) {
+            InfTheme.setTheme(theme);
+        }
+
+        // 模板或 JSON 指定的測量範圍覆寫（全頁共用，與 createGoogleLoginComponentsByType 相同）
+        const { templateName, measurementSchema } = this.declarativeConfig;
+        if (templateName || measurementSchema) {
+            InfMeasurementSchema.setOverrides(MEASUREMENT_SCHEMA_TEMPLATES[templateName], measurementSchema);
+        }
+
+        this.applyDeclarativeStyles();
+        this.applySessionSharing();
+    }
+
+    // 依 share-session 屬性（或 JSON 的 shareSession）開啟或關閉登入會話分享
+    applySessionSharing() {
+        const shareSession = this.getConfigValue('share-session', 'shareSession');
+        const sessionShare = InfSessionShare.getInstance();
+        if (shareSession === null || shareSession === false) {
+            sessionShare.disable(this);
+            return;
+        }
+        const origins = Array.isArray(shareSession) ? shareSession : String(shareSession === true ? '' : shareSession).split(/\s+/);
+        sessionShare.enable(this, origins);
+    }
+
+    // 讀取 <script type="application/json"> 子元素與 template 模板，合併為宣告式設定
+    loadDeclarativeConfig() {
+        const jsonConfig = this.parseConfigJson(this.querySelector('script[type="application/json"]')?.textContent) || {};
+        const templateName = this.getAttribute('template') || jsonConfig.template || null;
+        this.declarativeConfig = {
+            ...this.getTemplateConfig(templateName),
+            ...jsonConfig,
+            templateName: templateName
+        };
+        return this.declarativeConfig;
+    }
+
+    // 取得設定值：屬性（含 data- 前綴）優先，其次為 JSON 子元素與模板
+    getConfigValue(attribute, key) {
+        if (this.hasAttribute(attribute)) {
+            return this.getAttribute(attribute);
+        }
+        if (this.hasAttribute(`data-${attribute}`)) {
+            return this.getAttribute(`data-${attribute}`);
+        }
+        const config = this.declarativeConfig || {};
+        return config[key] !== undefined && config[key] !== null ? config[key] : null;
+    }
+
+    // 解析 JSON 設定（屬性或子元素內容），格式錯誤時忽略
+    parseConfigJson(value) {
+        if (!value) {
+            return null;
+        }
+        if (typeof value === 'object') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn('⚠️ inf-google-login 設定不是有效的 JSON:', error.message);
+            return null;
+        }
+    }
+
+    // 從已註冊的模板中選出適用的設定：優先使用頭像容器符合目前父元素的項目，否則使用第一項
+    getTemplateConfig(templateName) {
+        const templates = templateName ? CONFIG_TEMPLATES[templateName] : null;
+        if (!Array.isArray(templates) || templates.length === 0) {
+            return {};
+        }
+        const parent = this.parentElement;
+        const matched = parent && templates.find(config => {
+            const selector = config.avatarContainerId || '';
+            if (selector.includes(' ') || selector.startsWith('#')) {
+                try {
+                    return parent.matches(selector);
+                } catch (error) {
+                    return false;
+                }
+            }
+            return parent.id === selector;
+        });
+        return { ...(matched || templates[0]) };
+    }
+
+    // JSON 設定子元素變更：重新讀取設定，必要時重新初始化提供者
+    handleJsonConfigChange() {
+        this.loadDeclarativeConfig();
+        this.readConfiguration();
+        if (this.isGoogleLoaded) {
+            this.loadIdentityProvider();
+        }
+    }
+
+    // 監聽頭像容器與模態框容器的大小（容器改變時重新建立監聽）
+    observeContainerSize(modalContainer) {
+        const containers = [this.parentElement, modalContainer];
+        if (this.unobserveContainerSize && this.observedContainers &&
+            containers.every((container, index) => container === this.observedContainers[index])) {
+            return;
+        }
+        if (this.unobserveContainerSize) {
+            this.unobserveContainerSize();
+        }
+        this.observedContainers = containers;
+        this.unobserveContainerSize = InfBreakpoints.observe(containers, () => this.applyResponsiveStyles());
+    }
+
+    // 執行期間變更目標容器：重新監聽容器大小，已開啟的模態框移到新容器
+    retargetContainer(containerId) {
+        const oldContainer = this.getCurrentContentContainer();
+        const modalDiv = oldContainer && oldContainer.querySelector('.inf-google-login-modal-container');
+        this.targetContainerId = containerId;
+        const newContainer = this.getCurrentContentContainer();
+
+        if (modalDiv && newContainer && newContainer !== oldContainer) {
+            const type = modalDiv.dataset.modalType;
+            this.hideModalInContainer(oldContainer);
+            this.showOriginalContent(oldContainer);
+            this.hideOriginalContent(newContainer);
+            // showModalInContainer 會改為監聽新容器
+            this.showModalInContainer(newContainer, type);
+            return;
+        }
+        this.observeContainerSize(containerId ? document.getElementById(containerId) : null);
+    }
+
+    // 容器大小變化：重新套用頭像樣式與已顯示模態框的容器樣式
+    applyResponsiveStyles() {
+        this.applyDeclarativeStyles();
+        const modalContainer = this.observedContainers && this.observedContainers[1];
+        const modalDiv = modalContainer && modalContainer.querySelector('.inf-google-login-modal-container');
+        if (modalDiv && this.modalContainerStyle) {
+            this.applyModalContainerStyle(modalDiv, this.modalContainerStyle, modalContainer);
+        }
+    }
+
+    // 套用宣告式的頭像與模態框容器樣式（未使用宣告式設定時保留外部設定的樣式）
+    applyDeclarativeStyles() {
+        const avatarStyle = this.parseConfigJson(this.getConfigValue('avatar-style', 'avatarStyle'));
+        const modalContainerStyle = this.parseConfigJson(this.getConfigValue('modal-container-style', 'modalContainerStyle'));
+
+        // 移除上一次宣告式套用的屬性，避免切換樣式時殘留（例如 left 改為 right）
+        (this.declarativeStyleProperties || []).forEach(property => this.style.removeProperty(property));
+        this.declarativeStyleProperties = [];
+
+        if (avatarStyle) {
+            Object.entries(this.getCurrentStyle(avatarStyle)).forEach(([property, value]) => {
+                const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
+                this.style.setProperty(cssProperty, value);
+                this.declarativeStyleProperties.push(cssProperty);
+
+                // width / height 同時以 CSS 變數控制 Shadow DOM 中的頭像尺寸
+                if (property === 'width' || property === 'height') {
+                    this.style.setProperty(`--inf-google-login-${property}`, value);
+                    this.declarativeStyleProperties.push(`--inf-google-login-${property}`);
+                }
+            });
+
+            // 確保容器有 position: relative 設定，這樣 absolute 定位的 avatar 才能正確定位
+            if (this.parentElement && getComputedStyle(this.parentElement).position === 'static') {
+                this.parentElement.style.position = 'relative';
+            }
+        }
+
+        if (modalContainerStyle) {
+            this.setModalContainerStyle(modalContainerStyle);
+            this.hasDeclarativeModalStyle = true;
+        } else if (this.hasDeclarativeModalStyle) {
+            this.setModalContainerStyle(null);
+            this.hasDeclarativeModalStyle = false;
+        }
+    }
+
+    // 切換登入狀態存儲後端（storage 屬性），既有的登入資料移到新的後端，切換後維持登入狀態
+    setTokenStorage(type) {
+        const requestedType = type || INF_TOKEN_STORE_DEFAULT_TYPE;
+        if (this.tokenStore && this.tokenStore.requestedType === requestedType) {
+            return;
+        }
+        const previousStore = this.tokenStore;
+        this.tokenStore = new InfTokenStore(requestedType, {
+            persistent: !this.isIncognitoMode
+        });
+        if (previousStore) {
+            this.tokenStore.ready = this.moveTokens(previousStore, this.tokenStore);
+        }
+    }
+
+    // 將登入相關鍵值從舊的存儲移到新的存儲（兩者回退為同一後端時不需移動）
+    async moveTokens(fromStore, toStore) {
+        await Promise.all([fromStore.ready, toStore.ready]);
+        if (fromStore.backend === toStore.backend) {
+            return;
+        }
+        INF_TOKEN_STORE_KEYS.forEach(key => {
+            const value = fromStore.getItem(key);
+            if (value !== null) {
+                // 先移除再寫入：兩者共用的記憶體備援不會被移除
+                fromStore.removeItem(key);
+                toStore.setItem(key, value);
+            }
+        });
+    }
+
+    // 取得目前的身份提供者（已登入時以登入時使用的提供者為準）
+    getLoginProvider() {
+        const activeProvider = this.tokenStore.getItem(INF_LOGIN_PROVIDER_STORAGE_KEY);
+        return getInfLoginProvider(this.isAuthenticated && activeProvider ? activeProvider : this.providerName);
+    }
+
+    // 取得 infFITS 帳號 API 使用的 IDTYPE
+    getIdType() {
+        return this.getLoginProvider().idType;
+    }
+
+    // 載入身份提供者 SDK
+    async loadIdentityProvider() {
+        const provider = getInfLoginProvider(this.providerName);
+        try {
+            await provider.load(this);
+        } catch (error) {
+            this.isGoogleLoaded = false;
+            this.updateAvatar(); // 更新頭像狀態（隱藏頭像）
+            this.handleLoginFailure(InfI18n.t('login.error.loadFailed', { provider: provider.label, message: error.message }));
+        }
+    }
+
+    // 執行期間變更身份提供者：與 connectedCallback 相同重新讀取設定（含新提供者的預設 client id）、
+    // 重新渲染登入按鈕並載入新提供者的 SDK；已開啟的登入畫面改為顯示新提供者
+    applyProviderChange() {
+        this.readConfiguration();
+        this.isGoogleLoaded = false;
+        this.render();
+        this.setupEventListeners();
+        this.updateAvatar();
+
+        const container = this.getCurrentContentContainer();
+        const modalDiv = container && container.querySelector('.inf-google-login-modal-container');
+        if (modalDiv && modalDiv.dataset.modalType === 'login') {
+            this.hideModalInContainer(container);
+            this.showModalInContainer(container, 'login');
         }
 
-        this.loadGoogleIdentityServices();
+        this.loadIdentityProvider();
+    }
+
+    // 非 Google 提供者 SDK 載入完成後的回調
+    onProviderLoaded() {
+        this.isGoogleLoaded = true;
+        // 確保在提供者服務載入後再次檢查登入狀態
+        this.checkStoredCredential(false); // 只同步狀態，不刷新 API
+        this.updateAvatar(); // 更新頭像狀態
     }
 
     // 載入 Google Fonts
@@ -1806,6 +5749,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                 event.stopPropagation();
                 this.handleAvatarClick();
             });
+            // 鍵盤操作：Enter / 空白鍵開啟登入或個人資訊畫面
+            avatarContainer.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.handleAvatarClick();
+                }
+            });
         } else {
         }
 
@@ -1966,7 +5916,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 display: flex !important;
                 justify-content: center !important;
                 align-items: center !important;
-                background: white !important;
+                background: var(--inf-color-surface, white) !important;
                 border-radius: 8px !important;
                 position: relative !important;
                 overflow: hidden !important;
@@ -2063,7 +6013,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 const component = container.querySelector('inf-google-login');
                 if (component) {
                     // 重新設定 avatar 樣式
-                    const currentStyle = this.getCurrentStyle(config.avatarStyle);
+                    const currentStyle = this.getCurrentStyle(config.avatarStyle, container);
                     Object.entries(currentStyle).forEach(([property, value]) => {
                         const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
                         component.style.setProperty(cssProperty, value);
@@ -2073,7 +6023,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     if (config.modalContainerId) {
                         const modalContainer = document.getElementById(config.modalContainerId);
                         if (modalContainer && config.modalContainerStyle) {
-                            const currentModalStyle = this.getCurrentStyle(config.modalContainerStyle);
+                            const currentModalStyle = this.getCurrentStyle(config.modalContainerStyle, modalContainer);
                             Object.entries(currentModalStyle).forEach(([property, value]) => {
                                 const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
                                 modalContainer.style.setProperty(cssProperty, value);
@@ -2085,13 +6035,12 @@ class InfGoogleLoginComponent extends HTMLElement {
         });
     }
 
-    // 獲取當前樣式的輔助方法
-    getCurrentStyle(avatarStyle) {
-        const isDesktop = window.innerWidth >= 480;
-        if (avatarStyle && typeof avatarStyle === 'object' && avatarStyle.desktop && avatarStyle.mobile) {
-            return isDesktop ? avatarStyle.desktop : avatarStyle.mobile;
+    // 獲取當前樣式的輔助方法（依容器寬度選出斷點樣式）
+    getCurrentStyle(avatarStyle, container = this.parentElement) {
+        if (avatarStyle) {
+            return InfBreakpoints.resolve(avatarStyle, InfBreakpoints.getWidth(container));
         } else {
-            return avatarStyle || {
+            return {
                 position: 'absolute',
                 left: '10px',
                 top: '10px',
@@ -2187,6 +6136,10 @@ class InfGoogleLoginComponent extends HTMLElement {
 
             // 顯示模態框
             profileModal.classList.add('show');
+            this.releaseModalFocus = InfA11y.trapFocus(profileModal, {
+                onEscape: () => this.hideShadowDOMProfileModal(),
+                returnFocus: this.shadowRoot.getElementById('avatar-container')
+            });
         } else {
         }
     }
@@ -2221,6 +6174,16 @@ class InfGoogleLoginComponent extends HTMLElement {
         if (profileModal) {
             profileModal.classList.remove('show');
         }
+        this.releaseFocusTrap();
+    }
+
+    // 解除模態框的焦點鎖定，焦點回到頭像
+    releaseFocusTrap() {
+        if (this.releaseModalFocus) {
+            const release = this.releaseModalFocus;
+            this.releaseModalFocus = null;
+            release();
+        }
     }
 
     // 隱藏原本內容
@@ -2288,9 +6251,9 @@ class InfGoogleLoginComponent extends HTMLElement {
             <div class="intro-logo intro-modal__logo">
                 <img src="img/start-animation.gif" alt="start animation" loading="lazy" />
             </div>
-            <p class="intro-modal__title">開啟精準購物之旅</p>
+            <p class="intro-modal__title">${InfI18n.t('intro.title')}</p>
             <button id="start-button" class="intro-modal__btn--start">
-                <div>開始</div>
+                <div>${InfI18n.t('intro.start')}</div>
                 <img
                     src="img/start-arrow.svg"
                     alt="start arrow"
@@ -2302,10 +6265,10 @@ class InfGoogleLoginComponent extends HTMLElement {
                     <div class="icon-inffits"></div>
                     <div class="text-inffits">
                         <p>
-                            使用本服務，即代表您同意 infFITS
-                            <a href="https://inffits.com/Privacy.html" target="_blank">隱私權聲明</a>
-                            及
-                            <a href="https://inffits.com/Terms.html" target="_blank">使用條款</a>。
+                            ${InfI18n.t('intro.consent', {
+                                privacy: `<a href="https://inffits.com/Privacy.html" target="_blank">${InfI18n.t('intro.privacy')}</a>`,
+                                terms: `<a href="https://inffits.com/Terms.html" target="_blank">${InfI18n.t('intro.terms')}</a>`
+                            })}
                         </p>
                     </div>
                 </div>
@@ -2313,7 +6276,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     <div class="icon-reminder"></div>
                     <div class="text-reminder">
                         <p>
-                            您可以跳過部分提問，但我們建議完成整個選購流程，推薦結果將更精準。
+                            ${InfI18n.t('intro.reminder')}
                         </p>
                     </div>
                 </div>
@@ -2343,15 +6306,28 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 在容器內顯示模態框
     showModalInContainer(container, type) {
         // 創建模態框內容，傳遞樣式配置
-        const modalContent = this.createModalContent(type, this.modalContainerStyle);
+        const modalContent = this.createModalContent(type, this.modalContainerStyle, container);
+        modalContent.dataset.modalType = type;
 
         // 直接將模態框內容添加到容器
-        container.appendChild(modalContent);
+        container.appendChild(InfTheme.apply(modalContent));
         container.style.opacity = '1';
         container.style.pointerEvents = 'auto';
 
+        // 對話框語意與焦點鎖定，Escape 等同返回
+        this.releaseFocusTrap();
+        InfA11y.markDialog(modalContent, InfI18n.t(type === 'login' ? 'login.title' : 'profile.title'));
+        modalContent.setAttribute('lang', InfI18n.getLocale());
+        this.releaseModalFocus = InfA11y.trapFocus(modalContent, {
+            onEscape: () => (type === 'login' ? this.hideLoginModal() : this.hideProfileModal()),
+            returnFocus: this.shadowRoot.getElementById('avatar-container')
+        });
+
         // 添加事件監聽器
         this.setupModalEventListeners(container, type);
+
+        // 監聽模態框所在容器的大小，跨越斷點時更新樣式
+        this.observeContainerSize(container);
     }
 
     // 隱藏容器內的模態框
@@ -2361,10 +6337,24 @@ class InfGoogleLoginComponent extends HTMLElement {
         if (modalContainer) {
             modalContainer.remove();
         }
+        this.releaseFocusTrap();
+    }
+
+    // 套用模態框容器的響應式樣式（移除上一個斷點設定的屬性，避免殘留）
+    applyModalContainerStyle(modalDiv, modalContainerStyle, container) {
+        (this.modalStyleProperties || []).forEach(property => modalDiv.style.removeProperty(property));
+        this.modalStyleProperties = [];
+
+        Object.entries(this.getCurrentStyle(modalContainerStyle, container)).forEach(([property, value]) => {
+            // 將 camelCase 轉換為 kebab-case
+            const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
+            modalDiv.style.setProperty(cssProperty, value);
+            this.modalStyleProperties.push(cssProperty);
+        });
     }
 
     // 創建模態框內容
-    createModalContent(type, modalContainerStyle = null) {
+    createModalContent(type, modalContainerStyle = null, container = null) {
         const modalDiv = document.createElement('div');
         modalDiv.className = 'inf-google-login-modal-container';
 
@@ -2375,25 +6365,15 @@ class InfGoogleLoginComponent extends HTMLElement {
             display: flex;
             justify-content: center;
             align-items: center;
-            background: white;
-            border-radius: 8px;
+            background: var(--inf-color-surface, white);
+            border-radius: var(--inf-radius, 8px);
             position: relative;
             overflow: hidden;
         `;
 
-        // 如果有自定義樣式，則應用自定義樣式
+        // 如果有自定義樣式，則依容器寬度應用自定義樣式
         if (modalContainerStyle) {
-            const currentStyle = this.getCurrentStyle(modalContainerStyle);
-            const cssProperties = [];
-
-            Object.entries(currentStyle).forEach(([property, value]) => {
-                // 將 camelCase 轉換為 kebab-case
-                const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
-                cssProperties.push(`${cssProperty}: ${value};`);
-            });
-
-            const customStyle = cssProperties.join('\n            ');
-            modalDiv.style.cssText = customStyle;
+            this.applyModalContainerStyle(modalDiv, modalContainerStyle, container);
         } else {
             modalDiv.style.cssText = defaultStyle;
         }
@@ -2409,7 +6389,7 @@ class InfGoogleLoginComponent extends HTMLElement {
             
             /* 全局字體設定 */
             * {
-                font-family: 'Noto Sans TC', 'Figtree', sans-serif;
+                font-family: var(--inf-font-family, 'Noto Sans TC', 'Figtree', sans-serif);
             }
             
             /* 中文使用 Noto Sans TC */
@@ -2481,7 +6461,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 display: flex;
                 justify-content: space-between;
                 align-items: center;
-                background: white;
+                background: var(--inf-color-surface, white);
                 flex-shrink: 0;
                 max-height: 19px;
                 margin-bottom:6px;
@@ -2503,8 +6483,8 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
             
             .profile-modal__title {
-                color: rgba(0, 0, 0, 0.95);
-                font-family: "Noto Sans TC", "Figtree", sans-serif;
+                color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
+                font-family: var(--inf-font-family, "Noto Sans TC", "Figtree", sans-serif);
                 font-size: 15px;
                 font-style: normal;
                 font-weight: 700;
@@ -2514,8 +6494,8 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
             @media screen and (min-width: 480px) {
             .profile-modal__title {
-                color: rgba(0, 0, 0, 0.95);
-                    font-family: "Noto Sans TC", "Figtree", sans-serif;
+                color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
+                    font-family: var(--inf-font-family, "Noto Sans TC", "Figtree", sans-serif);
                     font-size: 18px;
                     font-style: normal;
                     font-weight: 700;
@@ -2546,9 +6526,9 @@ class InfGoogleLoginComponent extends HTMLElement {
                 top: 100%;
                 right: 0;
                 margin-top: 4px;
-                background: white;
-                border: 1px solid #E2E8F0;
-                border-radius: 6px;
+                background: var(--inf-color-surface, white);
+                border: 1px solid var(--inf-color-border, #E2E8F0);
+                border-radius: var(--inf-radius-sm, 6px);
                 box-shadow: 0 2px 12px rgba(0, 0, 0, 0.1);
                 min-width: 140px;
                 z-index: 1000;
@@ -2567,27 +6547,29 @@ class InfGoogleLoginComponent extends HTMLElement {
             .profile-modal__dropdown-item {
                 display: flex;
                 align-items: center;
-                gap: 8px;
+                gap: var(--inf-spacing-sm, 8px);
                 padding: 8px 12px;
                 cursor: pointer;
                 transition: background 0.15s ease;
-                font-size: 13px;
+                font-size: var(--inf-font-size-sm, 13px);
             }
             
-            .profile-modal__dropdown-item:hover {
-                background: #F8FAFC;
+            .profile-modal__dropdown-item:hover,
+            .profile-modal__dropdown-item:focus {
+                background: var(--inf-color-surface-muted, #F8FAFC);
+                outline: none;
             }
             
             .profile-modal__dropdown-item.logout {
-                color: #6B7280;
+                color: var(--inf-color-text-secondary, #6B7280);
             }
             
             .profile-modal__dropdown-item.delete {
-                color: #6B7280;
+                color: var(--inf-color-text-secondary, #6B7280);
             }
             
             .profile-modal__dropdown-item.delete:hover {
-                color: #DC2626;
+                color: var(--inf-color-danger, #DC2626);
             }
             
             .profile-modal__dropdown-item svg {
@@ -2602,7 +6584,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 left: 0;
                 width: 100%;
                 height: 100%;
-                background: rgba(0, 0, 0, 0.5);
+                background: var(--inf-color-overlay, rgba(0, 0, 0, 0.5));
                 z-index: 10001;
                 display: flex;
                 align-items: center;
@@ -2618,15 +6600,15 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
 
             .custom-confirm-modal {
-                background: white;
-                border-radius: 8px;
+                background: var(--inf-color-surface, white);
+                border-radius: var(--inf-radius, 8px);
                 box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
                 max-width: 380px;
                 width: 90%;
                 transform: scale(0.9);
                 transition: all 0.3s ease;
                 overflow: hidden;
-                border: 1px solid #E5E7EB;
+                border: 1px solid var(--inf-color-border, #E5E7EB);
             }
 
             .custom-confirm-overlay.show .custom-confirm-modal {
@@ -2634,7 +6616,7 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
 
             .custom-confirm-header {
-                color: #374151;
+                color: var(--inf-color-text, #374151);
                 padding-top: 20px;
                 text-align: center;
             }
@@ -2652,8 +6634,8 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
 
             .custom-confirm-message {
-                color: #6B7280;
-                font-size: 14px;
+                color: var(--inf-color-text-secondary, #6B7280);
+                font-size: var(--inf-font-size, 14px);
                 line-height: 1.5;
                 margin: 0 0 20px;
             }
@@ -2666,8 +6648,8 @@ class InfGoogleLoginComponent extends HTMLElement {
 
             .custom-confirm-btn {
                 padding: 10px 24px;
-                border-radius: 8px;
-                font-size: 14px;
+                border-radius: var(--inf-radius, 8px);
+                font-size: var(--inf-font-size, 14px);
                 font-weight: 500;
                 cursor: pointer;
                 border: none;
@@ -2677,8 +6659,8 @@ class InfGoogleLoginComponent extends HTMLElement {
 
             .custom-confirm-btn.cancel {
                 background: #F3F4F6;
-                color: #6B7280;
-                border: 1px solid #D1D5DB;
+                color: var(--inf-color-text-secondary, #6B7280);
+                border: 1px solid var(--inf-color-border, #D1D5DB);
             }
 
             .custom-confirm-btn.cancel:hover {
@@ -2688,7 +6670,7 @@ class InfGoogleLoginComponent extends HTMLElement {
 
             .custom-confirm-btn.confirm {
                 background: #DC2626;
-                color: white;
+                color: var(--inf-color-on-primary, white);
             }
 
             .custom-confirm-btn.confirm:hover {
@@ -2703,8 +6685,8 @@ class InfGoogleLoginComponent extends HTMLElement {
                 border: none;
                 cursor: pointer;
                 font-weight: 500;
-                font-size: 14px;
-                color: #787974;
+                font-size: var(--inf-font-size, 14px);
+                color: var(--inf-color-text-muted, #787974);
             }
             
             .profile-modal__content {
@@ -2745,7 +6727,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 justify-content: space-between;
                 align-items: center;
                 padding: 12px 0;
-                border-bottom: 1px solid #E0E0DF;
+                border-bottom: 1px solid var(--inf-color-border, #E0E0DF);
             }
             @media screen and (min-width: 480px) {
                 .profile-modal__info-item {
@@ -2753,7 +6735,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     justify-content: space-between;
                     align-items: center;
                     padding: 18px 0;
-                    border-bottom: 1px solid #E0E0DF;
+                    border-bottom: 1px solid var(--inf-color-border, #E0E0DF);
               }
             }
             
@@ -2768,8 +6750,8 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
             
                    .profile-modal__info-label-text {
-                color: rgba(0, 0, 0, 0.95);
-                font-family: "Noto Sans TC", "Figtree", sans-serif;
+                color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
+                font-family: var(--inf-font-family, "Noto Sans TC", "Figtree", sans-serif);
                 font-size: 15px;
                 font-style: normal;
                 font-weight: 700;
@@ -2792,7 +6774,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 font-size: 15px;
                 line-height: 20px;
                 letter-spacing: -0.12px;
-                color: #787974;
+                color: var(--inf-color-text-muted, #787974);
             }
             
             /* Login Modal BEM 樣式 */
@@ -2827,8 +6809,8 @@ class InfGoogleLoginComponent extends HTMLElement {
                 }
             }
             .login-modal__title {
-                color: rgba(0, 0, 0, 0.95);
-                font-family: "Noto Sans TC", "Figtree", sans-serif;
+                color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
+                font-family: var(--inf-font-family, "Noto Sans TC", "Figtree", sans-serif);
                 font-size: 15px;
                 font-style: normal;
                 font-weight: 700;
@@ -2838,8 +6820,8 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
             @media screen and (min-width: 480px) {
             .login-modal__title {
-                color: rgba(0, 0, 0, 0.95);
-                    font-family: "Noto Sans TC", "Figtree", sans-serif;
+                color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
+                    font-family: var(--inf-font-family, "Noto Sans TC", "Figtree", sans-serif);
                     font-size: 18px;
                     font-style: normal;
                     font-weight: 700;
@@ -2909,7 +6891,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 align-items: center;
                 gap: 6px;
                 padding: 10px 14px;
-                background-color: #F2F2F2;
+                background-color: var(--inf-color-surface-muted, #F2F2F2);
                 border-radius: 40px;
                 border: none;
                 cursor: pointer;
@@ -2930,7 +6912,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 font-size: 17px;
                 line-height: 1.2941176470588236em;
                 letter-spacing: 2%;
-                color: rgba(0, 0, 0, 0.95);
+                color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
             }
         `;
 
@@ -2947,16 +6929,17 @@ class InfGoogleLoginComponent extends HTMLElement {
 
     // 獲取登入模態框 HTML
     getLoginModalHTML() {
+        const provider = getInfLoginProvider(this.providerName);
         return `
             <div class="login-modal">
                 <div class="login-modal__header">
-                    <div class="login-modal__back-arrow" id="modal-back-arrow">
+                    <div class="login-modal__back-arrow" id="modal-back-arrow" role="button" tabindex="0" aria-label="${InfI18n.t('common.back')}">
                         <svg width="36" height="36" viewBox="0 0 32 32" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M15.9996 22.3999L9.59961 15.9999L15.9996 9.5999" stroke="#01453D" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
                             <path d="M22.3996 16H9.59961" stroke="#01453D" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
                         </svg>
                     </div>
-                    <div class="login-modal__title">登入</div>
+                    <div class="login-modal__title">${InfI18n.t('login.title')}</div>
                     <div class="login-modal__spacer"></div>
                 </div>
                 
@@ -2981,20 +6964,8 @@ class InfGoogleLoginComponent extends HTMLElement {
                     
                     <div class="login-modal__button-container">
                         <button class="login-modal__google-button" id="modal-inf-google-login-button">
-                            <svg class="login-modal__google-icon" width="16" height="17" viewBox="0 0 16 17" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                <g clip-path="url(#clip0_7461_9318)">
-                                    <path d="M15.8099 8.17192C15.8099 7.5164 15.7567 7.03805 15.6416 6.54199H8.15625V9.50065H12.55C12.4614 10.2359 11.9831 11.3432 10.92 12.0873L10.9051 12.1863L13.2719 14.0198L13.4358 14.0362C14.9417 12.6454 15.8099 10.5991 15.8099 8.17192Z" fill="#4285F4"/>
-                                    <path d="M8.15534 15.9675C10.3079 15.9675 12.115 15.2588 13.4349 14.0364L10.9191 12.0875C10.2459 12.557 9.34233 12.8848 8.15534 12.8848C6.04707 12.8848 4.25769 11.494 3.61983 9.57178L3.52633 9.57972L1.06539 11.4843L1.0332 11.5737C2.34423 14.1781 5.03717 15.9675 8.15534 15.9675Z" fill="#34A853"/>
-                                    <path d="M3.6206 9.57182C3.4523 9.07576 3.35489 8.54422 3.35489 7.99503C3.35489 7.44578 3.4523 6.9143 3.61175 6.41824L3.60729 6.31259L1.1155 4.37744L1.03398 4.41622C0.49364 5.49695 0.183594 6.71057 0.183594 7.99503C0.183594 9.27949 0.49364 10.493 1.03398 11.5738L3.6206 9.57182Z" fill="#FBBC05"/>
-                                    <path d="M8.15534 3.10515C9.65238 3.10515 10.6622 3.7518 11.238 4.2922L13.488 2.09532C12.1062 0.810858 10.3079 0.0224609 8.15534 0.0224609C5.03717 0.0224609 2.34423 1.81184 1.0332 4.41617L3.61097 6.41819C4.25769 4.49593 6.04707 3.10515 8.15534 3.10515Z" fill="#EB4335"/>
-                                </g>
-                                <defs>
-                                    <clipPath id="clip0_7461_9318">
-                                        <rect width="16" height="16" fill="white" transform="translate(0 0.0224609)"/>
-                                    </clipPath>
-                                </defs>
-                            </svg>
-                            <span class="login-modal__button-text">繼續使用 Google 登入</span>
+                            ${provider.icon('login-modal__google-icon')}
+                            <span class="login-modal__button-text">${InfI18n.t(`login.button.${provider.name}`, {}, provider.buttonText)}</span>
                         </button>
                     </div>
                 </div>
@@ -3009,38 +6980,38 @@ class InfGoogleLoginComponent extends HTMLElement {
 
 
         // 優先使用 API 回傳的資料，fallback 到 userInfo
-        const displayName = (apiResponse && apiResponse.name) ? apiResponse.name : (userInfo && userInfo.name) ? userInfo.name : '尚未提供';
-        const displayEmail = (apiResponse && apiResponse.email) ? apiResponse.email : (userInfo && userInfo.email) ? userInfo.email : '尚未提供';
+        const displayName = (apiResponse && apiResponse.name) ? apiResponse.name : (userInfo && userInfo.name) ? userInfo.name : InfI18n.t('common.notProvided');
+        const displayEmail = (apiResponse && apiResponse.email) ? apiResponse.email : (userInfo && userInfo.email) ? userInfo.email : InfI18n.t('common.notProvided');
         const displayPicture = (apiResponse && apiResponse.picture) ? apiResponse.picture : (userInfo && userInfo.picture) ? userInfo.picture : '';
 
 
         return `
             <div class="profile-modal">
                 <div class="profile-modal__header">
-                    <div class="profile-modal__back-arrow" id="modal-profile-back-arrow">
+                    <div class="profile-modal__back-arrow" id="modal-profile-back-arrow" role="button" tabindex="0" aria-label="${InfI18n.t('common.back')}">
                         <svg width="36" height="36" viewBox="0 0 32 32" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M15.9996 22.3999L9.59961 15.9999L15.9996 9.5999" stroke="#01453D" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
                             <path d="M22.3996 16H9.59961" stroke="#01453D" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
                         </svg>
                     </div>
-                    <div class="profile-modal__title">個人資訊</div>
-                    <div class="profile-modal__setting-btn" id="profile-setting-btn">
+                    <div class="profile-modal__title">${InfI18n.t('profile.title')}</div>
+                    <div class="profile-modal__setting-btn" id="profile-setting-btn" role="button" tabindex="0" aria-label="${InfI18n.t('common.settings')}" aria-haspopup="menu" aria-expanded="false" aria-controls="profile-dropdown">
                         <img height="15px" src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAQAAAAAYLlVAAAABGdBTUEAALGPC/xhBQAAACBjSFJNAAB6JgAAgIQAAPoAAACA6AAAdTAAAOpgAAA6mAAAF3CculE8AAAAAmJLR0QA/4ePzL8AAAAJcEhZcwAAAdgAAAHYAfpcpnIAAAAHdElNRQfpBgQOLjND9MctAAACi0lEQVRo3u2YTUhUURTHfyM1m5hPV0XmKsxcWWPUJiQnBIU0JSHaRC1ahEQEuQlTXEVRmxatMiq1JgrbZCWtWxQ0pcnQrrFoaJGOMS3E3mnRY7ozz3Geb57Xove/m/fOu+/8z73n4x4uePCwzvCV+V5FK3E2k+U1D5nXbd4eZpD8WKBXL30LPxT63+OyPvpqviIIEzSykRr6THM6dBlwEUG4qURJOwbCW3dp1CDcx1blbYg65qllQZHdpwc4xVyFrJ94uZw4YfH406IZJy0znI3EH5VV7m7o6rFBeb7GgyIX7GUTOUUWB5dcYAP9CMJ1JUriLCEkde1NlIwZB7vwU8sQiwjCIV0GQDM5S/hc0kcP0MS0Qp7ltPsU5Q+jg8TZQpZXPCKrd/0ePPwfKJeGzhChmxgBMkzyHEP3os7wXSlf72nSS3/VUr5zNOuj70IQFhmgBj+NZpOTIaLLgGkEgzZFMowgXCj1Q+me0Ami3ADucVSRhfhIiBT9isx2T+hsnCjS++yv7gnXwgWjHCtwQZqgPRe4gSmEJQ4oC7y1chC6jcNmGg6yDT+7Tf9/0ZeGcGWZQrRfHz1AL1mFforYSpPX5jAK00WMEJ95waT+w8iDh38LlaRhA51sBz4wzoxuwyOMYeSLjcGozmILEd5ZCm6SsD4DxhCENN0ECNBJCkG4q4u+AQMhTVTZkTSCQf3qlamXVHYbknZ8wFm+5SVznCOBj/M8saXBlZ4wUPBvcL3vCR2nc+l7wtJo4zjQwrgiawVgmAmbLqgIOzEQUkrmVzOL8JMdlSm2jxEzDY8QJEgPswjCbV30ECZpCaw3hPQZABFGCkrxHad1sJLDqJ4O6oAUj0npXL0HD67iF0TWfTWq41byAAAAJXRFWHRkYXRlOmNyZWF0ZQAyMDI1LTA2LTA0VDE0OjQ2OjIxKzAwOjAwCttSSgAAACV0RVh0ZGF0ZTptb2RpZnkAMjAyNC0wMi0yMFQwNDo0NTowOCswMDowMCROR08AAAAodEVYdGRhdGU6dGltZXN0YW1wADIwMjUtMDYtMDRUMTQ6NDY6NTErMDA6MDAmVsIwAAAAGXRFWHRTb2Z0d2FyZQB3d3cuaW5rc2NhcGUub3Jnm+48GgAAAABJRU5ErkJggg==">
-                        <div class="profile-modal__dropdown" id="profile-dropdown">
-                            <div class="profile-modal__dropdown-item logout" id="profile-logout-item">
+                        <div class="profile-modal__dropdown" id="profile-dropdown" role="menu" aria-label="${InfI18n.t('common.settings')}">
+                            <div class="profile-modal__dropdown-item logout" id="profile-logout-item" role="menuitem" tabindex="-1">
                                 <svg viewBox="0 0 24 24" fill="none">
                                     <path d="M9 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V5C3 4.46957 3.21071 3.96086 3.58579 3.58579C3.96086 3.21071 4.46957 3 5 3H9" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                                     <path d="M16 17L21 12L16 7" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                                     <path d="M21 12H9" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                                 </svg>
-                                登出
+                                ${InfI18n.t('profile.logout')}
                             </div>
-                            <div class="profile-modal__dropdown-item delete" id="profile-delete-item">
+                            <div class="profile-modal__dropdown-item delete" id="profile-delete-item" role="menuitem" tabindex="-1">
                                 <svg viewBox="0 0 24 24" fill="none">
                                     <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                                     <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                                 </svg>
-                                刪除帳號
+                                ${InfI18n.t('profile.deleteAccount')}
                             </div>
                         </div>
                     </div>
@@ -3050,44 +7021,44 @@ class InfGoogleLoginComponent extends HTMLElement {
                 <div class="profile-modal__content">
                     <div class="profile-modal__avatar-section">
                         <div class="profile-modal__avatar">
-                            <img src="${displayPicture}" alt="用戶頭像" class="profile-modal__avatar-img" onerror="this.style.display='none'">
+                            <img src="${displayPicture}" alt="${InfI18n.t('account.avatarAlt')}" class="profile-modal__avatar-img" onerror="this.style.display='none'">
                         </div>
                     </div>
                     
                     <div class="profile-modal__info-section">
                         <div class="profile-modal__info-item">
                             <div class="profile-modal__info-label">
-                                <div class="profile-modal__info-label-text">姓名</div>
+                                <div class="profile-modal__info-label-text">${InfI18n.t('profile.name')}</div>
                                 <div class="profile-modal__info-value">${displayName}</div>
                             </div>
                         </div>
                         
                         <div class="profile-modal__info-item">
                             <div class="profile-modal__info-label">
-                                <div class="profile-modal__info-label-text">電子郵件</div>
+                                <div class="profile-modal__info-label-text">${InfI18n.t('profile.email')}</div>
                                 <div class="profile-modal__info-value">${displayEmail}</div>
                             </div>
                         </div>
                         
                         <div class="profile-modal__info-item">
                             <div class="profile-modal__info-label">
-                                <div class="profile-modal__info-label-text">電話號碼</div>
-                                <div class="profile-modal__info-value">尚未提供</div>
+                                <div class="profile-modal__info-label-text">${InfI18n.t('profile.phone')}</div>
+                                <div class="profile-modal__info-value">${InfI18n.t('common.notProvided')}</div>
                             </div>
                         </div>
                         
                         <div class="profile-modal__info-item">
                             <div class="profile-modal__info-label">
-                                <div class="profile-modal__info-label-text">出生日期</div>
-                                <div class="profile-modal__info-value">尚未提供</div>
+                                <div class="profile-modal__info-label-text">${InfI18n.t('profile.birthday')}</div>
+                                <div class="profile-modal__info-value">${InfI18n.t('common.notProvided')}</div>
                             </div>
                         </div>
                         
                         <!-- BodyData 使用者資料區域 -->
                         <div class="profile-modal__info-item" id="modal-body-data-section" style="display: none;">
                             <div class="profile-modal__info-label">
-                                <div class="profile-modal__info-label-text">使用者資料</div>
-                                <div class="profile-modal__info-value" id="modal-body-data-content">尚未提供</div>
+                                <div class="profile-modal__info-label-text">${InfI18n.t('profile.bodyData')}</div>
+                                <div class="profile-modal__info-value" id="modal-body-data-content">${InfI18n.t('common.notProvided')}</div>
                             </div>
                         </div>
                     </div>
@@ -3105,6 +7076,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 backArrow.addEventListener('click', () => {
                     this.hideLoginModal();
                 });
+                backArrow.addEventListener('keydown', (e) => InfA11y.handleActivationKey(e, backArrow));
             }
 
             // Google 登入按鈕
@@ -3121,6 +7093,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 backArrow.addEventListener('click', () => {
                     this.hideProfileModal();
                 });
+                backArrow.addEventListener('keydown', (e) => InfA11y.handleActivationKey(e, backArrow));
             }
 
             // 設定按鈕下拉選單
@@ -3128,16 +7101,50 @@ class InfGoogleLoginComponent extends HTMLElement {
             const dropdown = container.querySelector('#profile-dropdown');
             
             if (settingBtn && dropdown) {
+                const menuItems = Array.from(dropdown.querySelectorAll('[role="menuitem"]'));
+                const setDropdownOpen = (open) => {
+                    dropdown.classList.toggle('show', open);
+                    settingBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+                };
+
                 // 點擊設定按鈕切換下拉選單
                 settingBtn.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    dropdown.classList.toggle('show');
+                    setDropdownOpen(!dropdown.classList.contains('show'));
+                });
+
+                // 鍵盤操作：Enter / 空白鍵 / 向下鍵開啟選單並聚焦第一個選項
+                settingBtn.addEventListener('keydown', (e) => {
+                    if (e.target !== settingBtn || !['Enter', ' ', 'ArrowDown'].includes(e.key)) {
+                        return;
+                    }
+                    e.preventDefault();
+                    setDropdownOpen(true);
+                    menuItems[0].focus();
+                });
+
+                // 選單內：上下鍵移動、Enter 執行、Escape 關閉並回到設定按鈕
+                dropdown.addEventListener('keydown', (e) => {
+                    const index = menuItems.indexOf(e.target);
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                        e.preventDefault();
+                        const offset = e.key === 'ArrowDown' ? 1 : -1;
+                        menuItems[(index + offset + menuItems.length) % menuItems.length].focus();
+                    } else if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        e.target.click();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        setDropdownOpen(false);
+                        settingBtn.focus();
+                    }
                 });
                 
                 // 點擊其他地方關閉下拉選單
                 document.addEventListener('click', (e) => {
                     if (!settingBtn.contains(e.target) && !dropdown.contains(e.target)) {
-                        dropdown.classList.remove('show');
+                        setDropdownOpen(false);
                     }
                 });
                 
@@ -3146,7 +7153,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 if (logoutItem) {
                     logoutItem.addEventListener('click', () => {
                     this.handleLogout();
-                        dropdown.classList.remove('show');
+                        setDropdownOpen(false);
                     });
                 }
                 
@@ -3155,7 +7162,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 if (deleteItem) {
                     deleteItem.addEventListener('click', () => {
                         this.handleDeleteAccount();
-                        dropdown.classList.remove('show');
+                        setDropdownOpen(false);
                     });
                 }
             }
@@ -3203,8 +7210,8 @@ class InfGoogleLoginComponent extends HTMLElement {
         const apiResponse = this.getApiResponse();
 
         // 優先使用 API 回傳的資料，fallback 到 userInfo
-        const displayName = (apiResponse && apiResponse.name) ? apiResponse.name : (userInfo && userInfo.name) ? userInfo.name : '尚未提供';
-        const displayEmail = (apiResponse && apiResponse.email) ? apiResponse.email : (userInfo && userInfo.email) ? userInfo.email : '尚未提供';
+        const displayName = (apiResponse && apiResponse.name) ? apiResponse.name : (userInfo && userInfo.name) ? userInfo.name : InfI18n.t('common.notProvided');
+        const displayEmail = (apiResponse && apiResponse.email) ? apiResponse.email : (userInfo && userInfo.email) ? userInfo.email : InfI18n.t('common.notProvided');
         const displayPicture = (apiResponse && apiResponse.picture) ? apiResponse.picture : (userInfo && userInfo.picture) ? userInfo.picture : null;
 
 
@@ -3236,6 +7243,87 @@ class InfGoogleLoginComponent extends HTMLElement {
         } else {}
     }
 
+    // 鞋碼對照表（腳部資料區塊），依單位偏好標示目前使用的鞋碼制度
+    getShoeSizeTableHTML(footLength, footWidth, gender) {
+        if (!footLength || String(footLength).trim() === '') {
+            return '';
+        }
+
+        const sizes = InfShoeSizes.convert(footLength, gender, footWidth);
+        const preferred = InfUnits.getPreference().shoe;
+        const cells = INF_SHOE_SIZE_SYSTEMS.map(system => `
+            <div style="
+                flex: 1;
+                text-align: center;
+                padding: 6px 0;
+                border-radius: var(--inf-radius-sm, 6px);
+                background: ${system === preferred ? 'var(--inf-color-primary, #1E293B)' : 'transparent'};
+                color: ${system === preferred ? 'var(--inf-color-on-primary, white)' : 'var(--inf-color-text, #1E293B)'};
+            ">
+                <div style="font-size: 11px; opacity: 0.7;">${system}</div>
+                <div style="font-size: var(--inf-font-size, 14px); font-weight: 600;">${sizes[system] === null ? '—' : sizes[system]}</div>
+            </div>
+        `).join('');
+
+        const width = sizes.width ? `
+            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px); margin-top: 8px;">
+                <img src="img/FW_R_${sizes.width.grade}.svg" alt="${sizes.width.label}" style="width: 24px; height: 32px;" onerror="this.style.display='none'">
+                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px);">${InfI18n.t('shoe.widthLabel')}<strong style="color: var(--inf-color-text, #1E293B);">${sizes.width.label}</strong></span>
+            </div>
+        ` : '';
+
+        return `
+            <div style="grid-column: 1 / -1; background: var(--inf-color-surface-muted, #F1F5F9); border-radius: var(--inf-radius, 8px); padding: var(--inf-spacing, 12px);">
+                <div style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500; margin-bottom: 8px;">${InfI18n.t('shoe.table')}</div>
+                <div style="display: flex; gap: 4px;">${cells}</div>
+                ${sizes.JP === null ? `<div style="color: var(--inf-color-text-muted, #9CA3AF); font-size: 12px; margin-top: 6px;">${InfI18n.t('shoe.outOfRange')}</div>` : ''}
+                ${width}
+            </div>
+        `;
+    }
+
+    // 鞋碼換算（供外部調用），回傳 { EU, US, UK, JP, CN, width: { grade, label, ratio } }
+    getShoeSizes(footLength, gender, footWidth) {
+        return InfShoeSizes.convert(footLength, gender, footWidth);
+    }
+
+    // 取得單位偏好（供外部調用）
+    getUnitPreference() {
+        return InfUnits.getPreference();
+    }
+
+    // 設定單位偏好並重新顯示身體資料（供外部調用），例如 { length: 'in', weight: 'lb', shoe: 'US' }
+    setUnitPreference(preference) {
+        const current = InfUnits.setPreference(preference || {});
+        this.updateBodyDataDisplay(this.getApiResponse());
+        return current;
+    }
+
+    // 顯示語言變更：更新頭像標籤與已開啟畫面中的身體資料（其他文字在下次開啟畫面時套用）
+    handleLanguageChange() {
+        const avatarContainer = this.shadowRoot.getElementById('avatar-container');
+        if (avatarContainer) {
+            avatarContainer.setAttribute('aria-label', InfI18n.t('account.label'));
+        }
+        this.updateBodyDataDisplay(this.getApiResponse());
+    }
+
+    // 設定主題（供外部調用），'light' / 'dark' / 'auto'
+    setTheme(theme) {
+        this.setAttribute('theme', InfTheme.normalize(theme));
+        return InfTheme.theme;
+    }
+
+    // 設定顯示語言（供外部調用），'zh-TW' / 'en' / 'ja'，null 表示跟隨瀏覽器語言
+    setLanguage(lang) {
+        if (lang) {
+            this.setAttribute('lang', lang);
+        } else {
+            this.removeAttribute('lang');
+        }
+        return InfI18n.getLanguage();
+    }
+
     // 更新 BodyData 身體資料顯示
     updateBodyDataDisplay(apiResponse) {
 
@@ -3260,7 +7348,7 @@ class InfGoogleLoginComponent extends HTMLElement {
             const bodyDataHtml = this.formatBodyData(latestApiResponse, latestApiResponse.BodyData_ptr);
 
             if (bodyDataHtml) {
-                bodyDataContent.innerHTML = bodyDataHtml;
+                bodyDataContent.innerHTML = this.getSyncStatusHTML() + this.getProfileToolbarHTML() + bodyDataHtml + this.getHistoryTimelineHTML(latestApiResponse.BodyData);
                 bodyDataSection.style.display = 'block'; // 顯示 BodyData 區域
             } else {
                 bodyDataSection.style.display = 'none'; // 隱藏 BodyData 區域
@@ -3270,6 +7358,124 @@ class InfGoogleLoginComponent extends HTMLElement {
         }
     }
 
+    // BodyData 變更歷史時間軸（每位使用者一個可展開的區塊）
+    getHistoryTimelineHTML(bodyData) {
+        const userKeys = Object.keys(bodyData || {}).filter(userKey => InfBodyDataHistory.getTimeline(userKey).length > 0);
+        if (userKeys.length === 0) {
+            return '';
+        }
+
+        const formatValue = (field, value) => {
+            if (value === undefined || value === null || value === '' || value === 'null_null') {
+                return InfI18n.t('common.unset');
+            }
+            if (field === 'Gender') {
+                return value === 'M' || value === 'F' ? InfI18n.t(`gender.${value}`) : value;
+            }
+            if (field === 'Profile_Name') {
+                return InfHouseholdProfiles.escapeHTML(value);
+            }
+            return field === 'CC' ? InfUnits.formatChest(value) : InfUnits.format(field, value);
+        };
+
+        const sections = userKeys.map(userKey => {
+            const items = InfBodyDataHistory.getTimeline(userKey).map(entry => {
+                const time = InfI18n.formatDateTime(entry.at, { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+                const changes = entry.changes.length > 0
+                    ? entry.changes.map(change => `${InfMeasurementSchema.getLabel(change.field)}：${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`).join('<br>')
+                    : InfI18n.t('history.otherFields');
+                const action = entry.isLatest
+                    ? `<span style="color: var(--inf-color-success, #059669); font-size: 11px; white-space: nowrap;">${InfI18n.t('history.current')}</span>`
+                    : entry.values ? `
+                        <button type="button"
+                            onclick="restoreBodyDataVersion('${userKey.replace(/'/g, "\\'")}', '${entry.id}')"
+                            style="padding: 4px 10px; border-radius: var(--inf-radius-sm, 6px); border: 1px solid var(--inf-color-border, #D1D5DB); background: var(--inf-color-surface, white); color: var(--inf-color-text, #374151); font-size: 11px; cursor: pointer; white-space: nowrap; font-family: inherit;"
+                            title="${InfI18n.t('history.restoreHint')}"
+                        >${InfI18n.t('history.restore')}</button>` : '';
+
+                return `
+                    <li style="display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; padding: 8px 0 8px 12px; border-left: 2px solid ${entry.isLatest ? 'var(--inf-color-success, #10B981)' : 'var(--inf-color-border, #E5E7EB)'};">
+                        <div>
+                            <div style="color: var(--inf-color-text-secondary, #6B7280); font-size: 11px;">${time} · ${InfI18n.t(`history.source.${entry.source}`, {}, entry.source)}</div>
+                            <div style="color: var(--inf-color-text, #1E293B); font-size: 12px; margin-top: 2px; line-height: 1.5;">${entry.source === 'initial' ? InfI18n.t('history.initial') : changes}</div>
+                        </div>
+                        ${action}
+                    </li>
+                `;
+            }).join('');
+
+            return `
+                <details style="margin-top: 8px;">
+                    <summary style="cursor: pointer; color: var(--inf-color-text, #374151); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfHouseholdProfiles.escapeHTML(InfHouseholdProfiles.getDisplayName(userKey, bodyData[userKey]))}</summary>
+                    <ul style="list-style: none; margin: 8px 0 0 4px; padding: 0;">${items}</ul>
+                </details>
+            `;
+        }).join('');
+
+        return `
+            <div id="body-data-history" style="margin-top: 16px; padding: var(--inf-spacing, 12px); border-radius: var(--inf-radius, 8px); background: var(--inf-color-surface-muted, #F9FAFB);">
+                <div style="color: var(--inf-color-text, #1E293B); font-size: var(--inf-font-size, 14px); font-weight: 600;">${InfI18n.t('history.title')}</div>
+                ${sections}
+            </div>
+        `;
+    }
+
+    // 家庭成員工具列（單位偏好、新增成員）
+    getProfileToolbarHTML() {
+        const preference = InfUnits.getPreference();
+        const selectStyle = 'padding: 4px 6px; border: 1px solid var(--inf-color-border, #E5E7EB); border-radius: var(--inf-radius-sm, 6px); background: var(--inf-color-surface, white); color: var(--inf-color-text, #374151); font-size: 12px; font-family: inherit; cursor: pointer;';
+        const options = (values, current) => values.map(([value, label]) =>
+            `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        return `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: var(--inf-spacing-sm, 8px); flex-wrap: wrap; margin: 8px 0;">
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <select style="${selectStyle}" title="${InfI18n.t('unit.length')}" aria-label="${InfI18n.t('unit.length')}" onchange="setUnitPreference({ length: this.value })">${options([['cm', InfI18n.t('unit.option.cm')], ['in', InfI18n.t('unit.option.in')]], preference.length)}</select>
+                    <select style="${selectStyle}" title="${InfI18n.t('unit.weight')}" aria-label="${InfI18n.t('unit.weight')}" onchange="setUnitPreference({ weight: this.value })">${options([['kg', InfI18n.t('unit.option.kg')], ['lb', InfI18n.t('unit.option.lb')]], preference.weight)}</select>
+                    <select style="${selectStyle}" title="${InfI18n.t('unit.shoe')}" aria-label="${InfI18n.t('unit.shoe')}" onchange="setUnitPreference({ shoe: this.value })">${options(INF_SHOE_SIZE_SYSTEMS.map(system => [system, InfI18n.t('unit.option.shoe', { system })]), preference.shoe)}</select>
+                </div>
+                <button type="button"
+                    onclick="createHouseholdProfile()"
+                    style="padding: 6px 12px; border-radius: var(--inf-radius, 8px); border: 1px dashed #94A3B8; background: var(--inf-color-surface, white); color: #334155; font-size: var(--inf-font-size-sm, 13px); font-weight: 500; cursor: pointer; font-family: inherit;"
+                    title="${InfI18n.t('member.addHint')}"
+                >${InfI18n.t('member.add')}</button>
+            </div>
+        `;
+    }
+
+    // BodyData 同步狀態（離線佇列）
+    getSyncStatusHTML() {
+        const state = InfBodyDataOutbox.getInstance().state;
+        const baseStyle = 'display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px); flex-wrap: wrap; padding: 8px 12px; border-radius: var(--inf-radius, 8px); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;';
+
+        if (state.status === 'conflict') {
+            const buttonStyle = 'padding: 4px 10px; border-radius: var(--inf-radius-sm, 6px); border: 1px solid #F59E0B; background: var(--inf-color-surface, white); color: #92400E; font-size: 12px; cursor: pointer;';
+            return `
+                <div id="body-data-sync-status" data-status="conflict" style="${baseStyle} background: #FEF3C7; color: #92400E;">
+                    <span>${InfI18n.t('sync.conflict')}</span>
+                    <button type="button" style="${buttonStyle}" onclick="resolveBodyDataConflict('local')">${InfI18n.t('sync.keepLocal')}</button>
+                    <button type="button" style="${buttonStyle}" onclick="resolveBodyDataConflict('remote')">${InfI18n.t('sync.useRemote')}</button>
+                </div>
+            `;
+        }
+
+        if (state.status === 'pending' || state.status === 'syncing') {
+            const text = state.status === 'syncing' ? InfI18n.t('sync.syncing') : InfI18n.t('sync.pending', { count: state.pending });
+            return `<div id="body-data-sync-status" data-status="${state.status}" style="${baseStyle} background: #EFF6FF; color: var(--inf-color-info, #1D4ED8);">${text}</div>`;
+        }
+
+        return `<div id="body-data-sync-status" data-status="synced" style="${baseStyle} color: var(--inf-color-success, #059669); padding: 0;">${InfI18n.t('sync.synced')}</div>`;
+    }
+
+    // 離線佇列狀態變更時更新同步狀態顯示
+    updateSyncStatusDisplay() {
+        const statusElement = document.getElementById('body-data-sync-status') || this.shadowRoot.getElementById('body-data-sync-status');
+        if (statusElement) {
+            statusElement.outerHTML = this.getSyncStatusHTML();
+        }
+    }
+
     // 格式化 BodyData 資料
     formatBodyData(apiResponse, bodyDataPtr) {
         if (!apiResponse || typeof apiResponse !== 'object') {
@@ -3336,7 +7542,7 @@ class InfGoogleLoginComponent extends HTMLElement {
 
                 // 計算 BMI（始終顯示）
                 let bmiHtml = '';
-                let bmiValue = '尚未提供';
+                let bmiValue = InfI18n.t('common.notProvided');
                 let bmiStatus = '';
                 let bmiColor = '#9CA3AF'; // 預設灰色
                 
@@ -3345,19 +7551,19 @@ class InfGoogleLoginComponent extends HTMLElement {
                     const weight = parseFloat(bodyInfo.WV);
                     if (!isNaN(height) && !isNaN(weight) && height > 0 && weight > 0) {
                         const bmi = (weight / (height * height)).toFixed(1);
-                        bmiValue = bmi;
+                        bmiValue = InfI18n.formatNumber(Number(bmi), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
 
                         if (bmi < 18.5) {
-                            bmiStatus = '體重過輕';
+                            bmiStatus = InfI18n.t('bmi.underweight');
                             bmiColor = '#3B82F6';
                         } else if (bmi < 24) {
-                            bmiStatus = '正常範圍';
+                            bmiStatus = InfI18n.t('bmi.normal');
                             bmiColor = '#10B981';
                         } else if (bmi < 27) {
-                            bmiStatus = '體重過重';
+                            bmiStatus = InfI18n.t('bmi.overweight');
                             bmiColor = '#F59E0B';
                         } else {
-                            bmiStatus = '肥胖';
+                            bmiStatus = InfI18n.t('bmi.obese');
                             bmiColor = '#EF4444';
                         }
                     }
@@ -3368,18 +7574,22 @@ class InfGoogleLoginComponent extends HTMLElement {
                     padding: 10px;
                     background: linear-gradient(135deg, ${bmiColor}10, ${bmiColor}05);
                     border-left: 3px solid ${bmiColor};
-                    border-radius: 6px;
+                    border-radius: var(--inf-radius-sm, 6px);
                 ">
                     <div style="display: flex; justify-content: space-between; align-items: center;">
-                        <span style="color: #4B5563; font-size: 13px; font-weight: 500;">BMI 指數</span>
+                        <span style="color: var(--inf-color-text-secondary, #4B5563); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfI18n.t('bmi.label')}</span>
                         <div style="text-align: right;">
                             <div style="color: ${bmiColor}; font-size: 16px; font-weight: 600;">${bmiValue}</div>
-                            <div style="color: ${bmiColor}; font-size: 11px; margin-top: 2px;">${bmiStatus || '請提供身高體重'}</div>
+                            <div style="color: ${bmiColor}; font-size: 11px; margin-top: 2px;">${bmiStatus || InfI18n.t('bmi.missing')}</div>
                         </div>
                     </div>
                 </div>
                 `;
 
+                const profileColor = InfHouseholdProfiles.getColor(userKey, userData);
+                const escapedUserKey = userKey.replace(/'/g, "\\'");
+                const profileActionStyle = 'color: var(--inf-color-text-secondary, #34495e); display: flex; justify-content: center; align-items: center; border: none; cursor: pointer; width: 24px; height: 24px; background: var(--inf-color-surface, white); border-radius: 50%; box-shadow: 0 0 12px #0003; font-family: inherit;';
+
                 formattedHtml += `
                     <div style="
                         padding: 16px;
@@ -3392,16 +7602,42 @@ class InfGoogleLoginComponent extends HTMLElement {
                             top: 8px;
                             right: 8px;
                             display: flex;
-                            gap: 8px;
+                            gap: var(--inf-spacing-sm, 8px);
                             z-index: 1000;
                         ">
+                            <!-- 重新命名按鈕 -->
+                            <button 
+                                onclick="renameHouseholdProfile('${escapedUserKey}')"
+                                style="${profileActionStyle}"
+                                title="${InfI18n.t('member.rename')}"
+                                aria-label="${InfI18n.t('member.rename')}"
+                            >
+                                <svg width="12" height="12" viewBox="0 0 24 24" fill="none">
+                                    <path d="M12 20H21" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                                    <path d="M16.5 3.5C17.3284 2.67157 18.6716 2.67157 19.5 3.5C20.3284 4.32843 20.3284 5.67157 19.5 6.5L7 19L3 20L4 16L16.5 3.5Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
+                                </svg>
+                            </button>
+
+                            <!-- 複製按鈕 -->
+                            <button 
+                                onclick="duplicateHouseholdProfile('${escapedUserKey}')"
+                                style="${profileActionStyle}"
+                                title="${InfI18n.t('member.duplicate')}"
+                                aria-label="${InfI18n.t('member.duplicate')}"
+                            >
+                                <svg width="12" height="12" viewBox="0 0 24 24" fill="none">
+                                    <rect x="9" y="9" width="12" height="12" rx="2" stroke="currentColor" stroke-width="2"/>
+                                    <path d="M5 15H4C2.89543 15 2 14.1046 2 13V4C2 2.89543 2.89543 2 4 2H13C14.1046 2 15 2.89543 15 4V5" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                            </button>
+
                             <!-- 刪除按鈕 -->
                             <button 
                                 onclick="
                                     deleteUser('${userKey.replace(/'/g, "\\'")}');
                                 "
                                 style="
-                                    color:#34495e;
+                                    color:var(--inf-color-text-secondary, #34495e);
                                     font-size: 11px;
                                     font-weight: 600;
                                     display: flex;
@@ -3414,13 +7650,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                                     font-family: inherit;
                                     width:24px;
                                     height:24px;
-                                    background: white;
+                                    background: var(--inf-color-surface, white);
                                     border-radius: 50%;
                                     box-shadow:0 0 12px #0003, inset -72px 0 #fff;
                                 "
                                 onmouseover="this.style.transform='scale(1.05)'; this.style.color='rgba(239, 68, 68, 0.9)'"
-                                onmouseout="this.style.transform='scale(1)'; this.style.color='#34495e'"
-                                title="刪除使用者"
+                                onmouseout="this.style.transform='scale(1)'; this.style.color='var(--inf-color-text-secondary, #34495e)'"
+                                title="${InfI18n.t('member.delete')}"
                             >
                                  <svg viewBox="0 0 24 24" fill="none">
                                     <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -3430,15 +7666,16 @@ class InfGoogleLoginComponent extends HTMLElement {
                             
                             ${isDefaultUser ? `
                             <button 
+                                onclick="this.dispatchEvent(new CustomEvent('set-default-user', { 
                                     detail: { userKey: '${userKey.replace(/'/g, "\\'")}' },
                                     bubbles: true,
                                     composed: true 
                                 }))"
                                 style="
-                                    background: linear-gradient(135deg, #10B981, #059669);
-                                    color: white;
+                                    background: linear-gradient(135deg, var(--inf-color-success, #10B981), #059669);
+                                    color: var(--inf-color-on-primary, white);
                                     padding: 6px 10px;
-                                    border-radius: 12px;
+                                    border-radius: var(--inf-radius-lg, 12px);
                                     font-size: 11px;
                                     font-weight: 600;
                                     display: flex;
@@ -3451,25 +7688,25 @@ class InfGoogleLoginComponent extends HTMLElement {
                                     font-family: inherit;
                                     min-width: 40px;
                                     min-height: 24px;
-                                    display: none;
                                 "
                                 onmouseover="this.style.transform='scale(1.05)'; this.style.boxShadow='0 4px 8px rgba(16, 185, 129, 0.4)'"
                                 onmouseout="this.style.transform='scale(1)'; this.style.boxShadow='0 2px 4px rgba(16, 185, 129, 0.3)'"
-                                title="點擊設為預設使用者"
+                                title="${InfI18n.t('member.setDefaultHint')}"
                             >
-                                預設
+                                ${InfI18n.t('member.default')}
                             </button>
                             ` : `
                             <button 
+                                onclick="this.dispatchEvent(new CustomEvent('set-default-user', { 
                                     detail: { userKey: '${userKey.replace(/'/g, "\\'")}' },
                                     bubbles: true,
                                     composed: true 
                                 }))"
                                 style="
                                     background: linear-gradient(135deg, #6B7280, #4B5563);
-                                    color: white;
+                                    color: var(--inf-color-on-primary, white);
                                     padding: 6px 10px;
-                                    border-radius: 12px;
+                                    border-radius: var(--inf-radius-lg, 12px);
                                     font-size: 11px;
                                     font-weight: 600;
                                     display: flex;
@@ -3482,13 +7719,12 @@ class InfGoogleLoginComponent extends HTMLElement {
                                     font-family: inherit;
                                     min-width: 60px;
                                     min-height: 24px;
-                                    display: none;
                                 "
                                 onmouseover="this.style.transform='scale(1.05)'; this.style.boxShadow='0 4px 8px rgba(107, 114, 128, 0.4)'"
                                 onmouseout="this.style.transform='scale(1)'; this.style.boxShadow='0 2px 4px rgba(107, 114, 128, 0.3)'"
-                                title="點擊設為預設使用者"
+                                title="${InfI18n.t('member.setDefaultHint')}"
                             >
-                                設為預設
+                                ${InfI18n.t('member.setDefault')}
                             </button>
                             `}
                         </div>
@@ -3497,13 +7733,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                             align-items: center;
                             margin-bottom: 16px;
                             padding-bottom: 12px;
-                            border-bottom: 1px solid #E2E8F0;
+                            border-bottom: 1px solid var(--inf-color-border, #E2E8F0);
                         ">
                             <div style="
                                 width: 32px;
                                 height: 32px;
-                                background: linear-gradient(135deg, #3B82F6, #1D4ED8);
-                                border-radius: 8px;
+                                background: ${profileColor};
+                                border-radius: var(--inf-radius, 8px);
                                 display: flex;
                                 align-items: center;
                                 justify-content: center;
@@ -3517,15 +7753,15 @@ class InfGoogleLoginComponent extends HTMLElement {
                             <div>
                                 <div style="
                                     font-weight: 600;
-                                    color: #1E293B;
+                                    color: var(--inf-color-text, #1E293B);
                                     font-size: 15px;
                                     line-height: 1.2;
-                                ">${userKey === 'storeNew' ? '新使用者' : (userKey.startsWith('storeNew_') ? '最新一筆' : userKey.replace('User', '使用者 '))}</div>
+                                ">${InfHouseholdProfiles.escapeHTML(InfHouseholdProfiles.getDisplayName(userKey, userData))}</div>
                                 <div style="
-                                    color: #64748B;
+                                    color: var(--inf-color-text-muted, #64748B);
                                     font-size: 12px;
                                     margin-top: 2px;
-                                ">身體測量資料</div>
+                                ">${InfI18n.t('body.measurements')}</div>
                             </div>
                         </div>
                         
@@ -3542,11 +7778,11 @@ class InfGoogleLoginComponent extends HTMLElement {
                             grid-column: 1 / -1;
                         ">
                             <div style="
-                                color: #475569;
-                                font-size: 14px;
+                                color: var(--inf-color-text-secondary, #475569);
+                                font-size: var(--inf-font-size, 14px);
                                 font-weight: 600;
                             ">
-                                腳部資料
+                                ${InfI18n.t('body.foot')}
                             </div>
                         </div>
                     `;
@@ -3557,11 +7793,11 @@ class InfGoogleLoginComponent extends HTMLElement {
                             grid-column: 1 / -1;
                         ">
                             <div style="
-                                color: #475569;
-                                font-size: 14px;
+                                color: var(--inf-color-text-secondary, #475569);
+                                font-size: var(--inf-font-size, 14px);
                                 font-weight: 600;
                             ">
-                                身體資料
+                                ${InfI18n.t('body.body')}
                             </div>
                         </div>
                     `;
@@ -3574,13 +7810,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                     // 顯示腳部資料欄位：腳長、腳寬、腳圍
                     
                     // 腳長資料
-                    const footLengthValue = bodyInfo.FH && bodyInfo.FH.trim() !== '' ? `${bodyInfo.FH} cm` : '尚未提供';
+                    const footLengthValue = bodyInfo.FH && bodyInfo.FH.trim() !== '' ? InfUnits.format('FH', bodyInfo.FH) : InfI18n.t('common.notProvided');
                     const footLengthColor = bodyInfo.FH && bodyInfo.FH.trim() !== '' ? '#1E293B' : '#9CA3AF';
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                             display: flex;
                             align-items: center;
                             justify-content: space-between;
@@ -3589,18 +7825,22 @@ class InfGoogleLoginComponent extends HTMLElement {
                             cursor: pointer;
                         " 
                         class="editable-field"
+                        tabindex="0"
+                        role="button"
+                        aria-haspopup="dialog"
+                        onkeydown="InfA11y.handleActivationKey(event, this)"
                         data-field="FH"
                         data-user="${userKey}"
                         data-type="foot"
-                        onclick="editField(this, 'FH', '${userKey}', 'foot', '${bodyInfo.FH || ''}', '腳長', 'cm')"
+                        onclick="editField(this, 'FH', '${userKey}', 'foot', '${bodyInfo.FH || ''}', '${InfMeasurementSchema.getLabel('FH')}', 'cm')"
                         onmouseenter="this.querySelector('.edit-icon').style.opacity='1'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.2)'"
                         onmouseleave="this.querySelector('.edit-icon').style.opacity='0'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.1)'"
                         >
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: #475569; font-size: 13px; font-weight: 500;">腳長</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('FH')}</span>
                             </div>
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: ${footLengthColor}; font-size: 14px; font-weight: 600;" class="field-value">${footLengthValue}</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: ${footLengthColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;" class="field-value">${footLengthValue}</span>
                                 <div class="edit-icon" style="
                                     opacity: 0;
                                     transition: all 0.2s ease;
@@ -3622,13 +7862,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                     `;
 
                     // 腳寬資料
-                    const footWidthValue = bodyInfo.FW && bodyInfo.FW.trim() !== '' ? `${bodyInfo.FW} cm` : '尚未提供';
+                    const footWidthValue = bodyInfo.FW && bodyInfo.FW.trim() !== '' ? InfUnits.format('FW', bodyInfo.FW) : InfI18n.t('common.notProvided');
                     const footWidthColor = bodyInfo.FW && bodyInfo.FW.trim() !== '' ? '#1E293B' : '#9CA3AF';
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                             display: flex;
                             align-items: center;
                             justify-content: space-between;
@@ -3637,18 +7877,22 @@ class InfGoogleLoginComponent extends HTMLElement {
                             cursor: pointer;
                         " 
                         class="editable-field"
+                        tabindex="0"
+                        role="button"
+                        aria-haspopup="dialog"
+                        onkeydown="InfA11y.handleActivationKey(event, this)"
                         data-field="FW"
                         data-user="${userKey}"
                         data-type="foot"
-                        onclick="editField(this, 'FW', '${userKey}', 'foot', '${bodyInfo.FW || ''}', '腳寬', 'cm')"
+                        onclick="editField(this, 'FW', '${userKey}', 'foot', '${bodyInfo.FW || ''}', '${InfMeasurementSchema.getLabel('FW')}', 'cm')"
                         onmouseenter="this.querySelector('.edit-icon').style.opacity='1'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.2)'"
                         onmouseleave="this.querySelector('.edit-icon').style.opacity='0'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.1)'"
                         >
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: #475569; font-size: 13px; font-weight: 500;">腳寬</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('FW')}</span>
                             </div>
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: ${footWidthColor}; font-size: 14px; font-weight: 600;" class="field-value">${footWidthValue}</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: ${footWidthColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;" class="field-value">${footWidthValue}</span>
                                 <div class="edit-icon" style="
                                     opacity: 0;
                                     transition: all 0.2s ease;
@@ -3670,13 +7914,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                     `;
 
                     // 腳圍資料
-                    const footCircumValue = bodyInfo.FCir && bodyInfo.FCir.trim() !== '' ? `${bodyInfo.FCir} cm` : '尚未提供';
+                    const footCircumValue = bodyInfo.FCir && bodyInfo.FCir.trim() !== '' ? InfUnits.format('FCir', bodyInfo.FCir) : InfI18n.t('common.notProvided');
                     const footCircumColor = bodyInfo.FCir && bodyInfo.FCir.trim() !== '' ? '#1E293B' : '#9CA3AF';
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                             display: flex;
                             align-items: center;
                             justify-content: space-between;
@@ -3685,18 +7929,22 @@ class InfGoogleLoginComponent extends HTMLElement {
                             cursor: pointer;
                         " 
                         class="editable-field"
+                        tabindex="0"
+                        role="button"
+                        aria-haspopup="dialog"
+                        onkeydown="InfA11y.handleActivationKey(event, this)"
                         data-field="FCir"
                         data-user="${userKey}"
                         data-type="foot"
-                        onclick="editField(this, 'FCir', '${userKey}', 'foot', '${bodyInfo.FCir || ''}', '腳圍', 'cm')"
+                        onclick="editField(this, 'FCir', '${userKey}', 'foot', '${bodyInfo.FCir || ''}', '${InfMeasurementSchema.getLabel('FCir')}', 'cm')"
                         onmouseenter="this.querySelector('.edit-icon').style.opacity='1'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.2)'"
                         onmouseleave="this.querySelector('.edit-icon').style.opacity='0'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.1)'"
                         >
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: #475569; font-size: 13px; font-weight: 500;">腳圍</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('FCir')}</span>
                             </div>
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: ${footCircumColor}; font-size: 14px; font-weight: 600;" class="field-value">${footCircumValue}</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: ${footCircumColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;" class="field-value">${footCircumValue}</span>
                                 <div class="edit-icon" style="
                                     opacity: 0;
                                     transition: all 0.2s ease;
@@ -3717,17 +7965,20 @@ class InfGoogleLoginComponent extends HTMLElement {
                         </div>
                     `;
 
+                    // 鞋碼對照與楦頭寬度
+                    formattedHtml += this.getShoeSizeTableHTML(bodyInfo.FH, bodyInfo.FW, InfShoeSizes.getGenderForUser(userKey, bodyInfo));
+
                 } else {
                     // 顯示身體資料欄位：身高、體重等
 
                     // 身高資料 - 始終顯示
-                    const heightValue = bodyInfo.HV && bodyInfo.HV.trim() !== '' ? `${bodyInfo.HV} cm` : '尚未提供';
+                    const heightValue = bodyInfo.HV && bodyInfo.HV.trim() !== '' ? InfUnits.format('HV', bodyInfo.HV) : InfI18n.t('common.notProvided');
                     const heightColor = bodyInfo.HV && bodyInfo.HV.trim() !== '' ? '#1E293B' : '#9CA3AF';
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                         display: flex;
                         align-items: center;
                         justify-content: space-between;
@@ -3736,18 +7987,22 @@ class InfGoogleLoginComponent extends HTMLElement {
                         cursor: pointer;
                     " 
                     class="editable-field"
+                    tabindex="0"
+                    role="button"
+                    aria-haspopup="dialog"
+                    onkeydown="InfA11y.handleActivationKey(event, this)"
                     data-field="HV"
                     data-user="${userKey}"
                     data-type="body"
-                    onclick="editField(this, 'HV', '${userKey}', 'body', '${bodyInfo.HV || ''}', '身高', 'cm')"
+                    onclick="editField(this, 'HV', '${userKey}', 'body', '${bodyInfo.HV || ''}', '${InfMeasurementSchema.getLabel('HV')}', 'cm')"
                     onmouseenter="this.querySelector('.edit-icon').style.opacity='1'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.2)'"
                     onmouseleave="this.querySelector('.edit-icon').style.opacity='0'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.1)'"
                     >
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: #475569; font-size: 13px; font-weight: 500;">身高</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('HV')}</span>
                         </div>
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: ${heightColor}; font-size: 14px; font-weight: 600;" class="field-value">${heightValue}</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: ${heightColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;" class="field-value">${heightValue}</span>
                             <div class="edit-icon" style="
                                 opacity: 0;
                                 transition: all 0.2s ease;
@@ -3769,14 +8024,14 @@ class InfGoogleLoginComponent extends HTMLElement {
                 `;
 
                 // 體重資料 - 始終顯示
-                const weightValue = bodyInfo.WV && bodyInfo.WV.trim() !== '' ? `${bodyInfo.WV} kg` : '尚未提供';
+                const weightValue = bodyInfo.WV && bodyInfo.WV.trim() !== '' ? InfUnits.format('WV', bodyInfo.WV) : InfI18n.t('common.notProvided');
                 const weightColor = bodyInfo.WV && bodyInfo.WV.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                 formattedHtml += `
                     <div style="
-                        background: #F1F5F9;
-                        border-radius: 8px;
-                        padding: 12px;
+                        background: var(--inf-color-surface-muted, #F1F5F9);
+                        border-radius: var(--inf-radius, 8px);
+                        padding: var(--inf-spacing, 12px);
                         display: flex;
                         align-items: center;
                         justify-content: space-between;
@@ -3785,18 +8040,22 @@ class InfGoogleLoginComponent extends HTMLElement {
                         cursor: pointer;
                     " 
                     class="editable-field"
+                    tabindex="0"
+                    role="button"
+                    aria-haspopup="dialog"
+                    onkeydown="InfA11y.handleActivationKey(event, this)"
                     data-field="WV"
                     data-user="${userKey}"
                     data-type="body"
-                    onclick="editField(this, 'WV', '${userKey}', 'body', '${bodyInfo.WV || ''}', '體重', 'kg')"
+                    onclick="editField(this, 'WV', '${userKey}', 'body', '${bodyInfo.WV || ''}', '${InfMeasurementSchema.getLabel('WV')}', 'kg')"
                     onmouseenter="this.querySelector('.edit-icon').style.opacity='1'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.2)'"
                     onmouseleave="this.querySelector('.edit-icon').style.opacity='0'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.1)'"
                     >
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: #475569; font-size: 13px; font-weight: 500;">體重</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('WV')}</span>
                         </div>
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: ${weightColor}; font-size: 14px; font-weight: 600;" class="field-value">${weightValue}</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: ${weightColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;" class="field-value">${weightValue}</span>
                             <div class="edit-icon" style="
                                 opacity: 0;
                                 transition: all 0.2s ease;
@@ -3819,15 +8078,15 @@ class InfGoogleLoginComponent extends HTMLElement {
 
                 // 性別資料 - 始終顯示（撐滿整行）
                 const genderValue = bodyInfo.Gender ?
-                    (bodyInfo.Gender === 'M' ? '男性' : bodyInfo.Gender === 'F' ? '女性' : bodyInfo.Gender) :
-                    '尚未提供';
+                    (bodyInfo.Gender === 'M' || bodyInfo.Gender === 'F' ? InfI18n.t(`gender.${bodyInfo.Gender}`) : bodyInfo.Gender) :
+                    InfI18n.t('common.notProvided');
                 const genderColor = bodyInfo.Gender ? '#1E293B' : '#9CA3AF';
 
                 formattedHtml += `
                     <div style="
-                        background: #F1F5F9;
-                        border-radius: 8px;
-                        padding: 12px;
+                        background: var(--inf-color-surface-muted, #F1F5F9);
+                        border-radius: var(--inf-radius, 8px);
+                        padding: var(--inf-spacing, 12px);
                         display: flex;
                         align-items: center;
                         justify-content: space-between;
@@ -3835,11 +8094,11 @@ class InfGoogleLoginComponent extends HTMLElement {
                         position: relative;
                     " 
                     >
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: #475569; font-size: 13px; font-weight: 500;">性別</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('Gender')}</span>
                         </div>
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: ${genderColor}; font-size: 14px; font-weight: 600;" class="field-value">${genderValue}</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: ${genderColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;" class="field-value">${genderValue}</span>
                             <div style="
                                 width: 20px;
                                 height: 20px;
@@ -3850,31 +8109,18 @@ class InfGoogleLoginComponent extends HTMLElement {
                 `;
 
                 // 胸圍資料 - 始終顯示，沒有值就顯示「尚未提供」
-                let ccValue = '尚未提供';
+                // 罩杯尺寸（如28A）保持原樣，上胸圍_下胸圍（如66_60）依單位偏好換算
+                let ccValue = InfI18n.t('common.notProvided');
                 if (bodyInfo.CC && bodyInfo.CC.trim() !== '') {
-                    // 如果是數字+字母格式（如28A），保持原樣
-                    if (/^\d+[A-G]$/.test(bodyInfo.CC)) {
-                        ccValue = bodyInfo.CC;
-                    } else if (bodyInfo.CC.includes('_')) {
-                        // 如果是上胸圍_下胸圍格式（如66_60），格式化為統一顯示
-                        const parts = bodyInfo.CC.split('_');
-                        if (parts.length >= 2) {
-                            ccValue = `上胸圍 ${parts[0]} cm / 下胸圍 ${parts[1]} cm`;
-                        } else {
-                            ccValue = `${bodyInfo.CC} cm`;
-                        }
-                    } else {
-                        // 單一數值，格式化為上胸圍格式
-                        ccValue = `上胸圍 ${bodyInfo.CC} cm`;
-                    }
+                    ccValue = InfUnits.formatChest(bodyInfo.CC) || InfI18n.t('common.notProvided');
                 }
                 const ccValueColor = bodyInfo.CC && bodyInfo.CC.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                 formattedHtml += `
                     <div style="
-                        background: #F1F5F9;
-                        border-radius: 8px;
-                        padding: 12px;
+                        background: var(--inf-color-surface-muted, #F1F5F9);
+                        border-radius: var(--inf-radius, 8px);
+                        padding: var(--inf-spacing, 12px);
                         display: flex;
                         align-items: center;
                         justify-content: space-between;
@@ -3884,18 +8130,22 @@ class InfGoogleLoginComponent extends HTMLElement {
                         cursor: pointer;
                     " 
                     class="editable-field"
+                    tabindex="0"
+                    role="button"
+                    aria-haspopup="dialog"
+                    onkeydown="InfA11y.handleActivationKey(event, this)"
                     data-field="CC"
                     data-user="${userKey}"
                     data-type="body"
-                    onclick="editField(this, 'CC', '${userKey}', 'body', '${bodyInfo.CC || ''}', '胸圍', '${/^\d+[A-G]$/.test(bodyInfo.CC || '') ? '' : 'cm'}')"
+                    onclick="editField(this, 'CC', '${userKey}', 'body', '${bodyInfo.CC || ''}', '${InfMeasurementSchema.getLabel('CC')}', '${/^\d+[A-G]$/.test(bodyInfo.CC || '') ? '' : 'cm'}')"
                     onmouseenter="this.querySelector('.edit-icon').style.opacity='1'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.2)'"
                     onmouseleave="this.querySelector('.edit-icon').style.opacity='0'; this.querySelector('.edit-icon').style.background='rgba(107, 114, 128, 0.1)'"
                     >
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: #475569; font-size: 13px; font-weight: 500;">胸圍</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('CC')}</span>
                         </div>
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="color: ${ccValueColor}; font-size: 14px; font-weight: 600;" class="field-value">${ccValue}</span>
+                        <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                            <span style="color: ${ccValueColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;" class="field-value">${ccValue}</span>
                             <div class="edit-icon" style="
                                 opacity: 0;
                                 transition: all 0.2s ease;
@@ -3917,7 +8167,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 `;
 
                 // 肩寬資料 - 已隱藏
-                // const shoulderValue = bodyInfo.Shoulder && bodyInfo.Shoulder.trim() !== '' ? `${bodyInfo.Shoulder} cm` : '尚未提供';
+                // const shoulderValue = bodyInfo.Shoulder && bodyInfo.Shoulder.trim() !== '' ? `${bodyInfo.Shoulder} cm` : InfI18n.t('common.notProvided');
                 // const shoulderColor = bodyInfo.Shoulder && bodyInfo.Shoulder.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                 // formattedHtml += `
@@ -3966,7 +8216,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 // `;
 
                 // 上胸圍資料 - 隱藏此欄位，因為已整合到胸圍欄位
-                // const upChestValue = bodyInfo.UpChest && bodyInfo.UpChest.trim() !== '' ? `${bodyInfo.UpChest} cm` : '尚未提供';
+                // const upChestValue = bodyInfo.UpChest && bodyInfo.UpChest.trim() !== '' ? `${bodyInfo.UpChest} cm` : InfI18n.t('common.notProvided');
                 // const upChestColor = bodyInfo.UpChest && bodyInfo.UpChest.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                 // formattedHtml += `
@@ -4015,7 +8265,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 // `;
 
                 // 下胸圍資料 - 隱藏此欄位，因為已整合到胸圍欄位
-                // const dnChestValue = bodyInfo.DnChest && bodyInfo.DnChest.trim() !== '' ? `${bodyInfo.DnChest} cm` : '尚未提供';
+                // const dnChestValue = bodyInfo.DnChest && bodyInfo.DnChest.trim() !== '' ? `${bodyInfo.DnChest} cm` : InfI18n.t('common.notProvided');
                 // const dnChestColor = bodyInfo.DnChest && bodyInfo.DnChest.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                 // formattedHtml += `
@@ -4064,7 +8314,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 // `;
 
                 // 腰圍資料 - 已隱藏
-                // const waistValue = bodyInfo.Waist && bodyInfo.Waist.trim() !== '' ? `${bodyInfo.Waist} cm` : '尚未提供';
+                // const waistValue = bodyInfo.Waist && bodyInfo.Waist.trim() !== '' ? `${bodyInfo.Waist} cm` : InfI18n.t('common.notProvided');
                 // const waistColor = bodyInfo.Waist && bodyInfo.Waist.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                 // formattedHtml += `
@@ -4113,7 +8363,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 // `;
 
                 // 臀圍資料 - 已隱藏
-                // const hipValue = bodyInfo.Hip && bodyInfo.Hip.trim() !== '' ? `${bodyInfo.Hip} cm` : '尚未提供';
+                // const hipValue = bodyInfo.Hip && bodyInfo.Hip.trim() !== '' ? `${bodyInfo.Hip} cm` : InfI18n.t('common.notProvided');
                 // const hipColor = bodyInfo.Hip && bodyInfo.Hip.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                 // formattedHtml += `
@@ -4178,95 +8428,95 @@ class InfGoogleLoginComponent extends HTMLElement {
                             grid-column: 1 / -1;
                         ">
                             <div style="
-                                   color: #475569;
-                                    font-size: 14px;
+                                   color: var(--inf-color-text-secondary, #475569);
+                                    font-size: var(--inf-font-size, 14px);
                                     font-weight: 600;
                                     margin-top: 20px;
                             ">
-                               鞋子尺寸
+                               ${InfI18n.t('body.shoeSize')}
                             </div>
                         </div>
                     `;
 
                     // 裸足長
-                    const footLengthValue = shoesInfo.HV && shoesInfo.HV.trim() !== '' ? `${shoesInfo.HV} cm` : '尚未提供';
+                    const footLengthValue = shoesInfo.HV && shoesInfo.HV.trim() !== '' ? InfUnits.format('FH', shoesInfo.HV) : InfI18n.t('common.notProvided');
                     const footLengthColor = shoesInfo.HV && shoesInfo.HV.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                             display: flex;
                             align-items: center;
                             justify-content: space-between;
                         ">
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: #475569; font-size: 13px; font-weight: 500;">裸足長</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfI18n.t('field.BareFootLength')}</span>
                             </div>
-                            <span style="color: ${footLengthColor}; font-size: 14px; font-weight: 600;">${footLengthValue}</span>
+                            <span style="color: ${footLengthColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;">${footLengthValue}</span>
                         </div>
                     `;
 
                     // 裸足寬
-                    const footWidthValue = shoesInfo.WV && shoesInfo.WV.trim() !== '' ? `${shoesInfo.WV} cm` : '尚未提供';
+                    const footWidthValue = shoesInfo.WV && shoesInfo.WV.trim() !== '' ? InfUnits.format('FW', shoesInfo.WV) : InfI18n.t('common.notProvided');
                     const footWidthColor = shoesInfo.WV && shoesInfo.WV.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                             display: flex;
                             align-items: center;
                             justify-content: space-between;
                         ">
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: #475569; font-size: 13px; font-weight: 500;">裸足寬</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfI18n.t('field.BareFootWidth')}</span>
                             </div>
-                            <span style="color: ${footWidthColor}; font-size: 14px; font-weight: 600;">${footWidthValue}</span>
+                            <span style="color: ${footWidthColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;">${footWidthValue}</span>
                         </div>
                     `;
 
                     // 腳圍
-                    const footCircumValue = shoesInfo.FOOT_CIRCUM && shoesInfo.FOOT_CIRCUM.trim() !== '' ? `${shoesInfo.FOOT_CIRCUM} cm` : '尚未提供';
+                    const footCircumValue = shoesInfo.FOOT_CIRCUM && shoesInfo.FOOT_CIRCUM.trim() !== '' ? InfUnits.format('FCir', shoesInfo.FOOT_CIRCUM) : InfI18n.t('common.notProvided');
                     const footCircumColor = shoesInfo.FOOT_CIRCUM && shoesInfo.FOOT_CIRCUM.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                             display: flex;
                             align-items: center;
                             justify-content: space-between;
                             grid-column: 1 / -1;
                         ">
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: #475569; font-size: 13px; font-weight: 500;">腳圍</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfMeasurementSchema.getLabel('FCir')}</span>
                             </div>
-                            <span style="color: ${footCircumColor}; font-size: 14px; font-weight: 600;">${footCircumValue}</span>
+                            <span style="color: ${footCircumColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;">${footCircumValue}</span>
                         </div>
                     `;
 
                     // 小腿圍
-                    const calfCircumValue = shoesInfo.CALF_CIRCUM && shoesInfo.CALF_CIRCUM.trim() !== '' ? `${shoesInfo.CALF_CIRCUM} cm` : '尚未提供';
+                    const calfCircumValue = shoesInfo.CALF_CIRCUM && shoesInfo.CALF_CIRCUM.trim() !== '' ? `${shoesInfo.CALF_CIRCUM} cm` : InfI18n.t('common.notProvided');
                     const calfCircumColor = shoesInfo.CALF_CIRCUM && shoesInfo.CALF_CIRCUM.trim() !== '' ? '#1E293B' : '#9CA3AF';
 
                     formattedHtml += `
                         <div style="
-                            background: #F1F5F9;
-                            border-radius: 8px;
-                            padding: 12px;
+                            background: var(--inf-color-surface-muted, #F1F5F9);
+                            border-radius: var(--inf-radius, 8px);
+                            padding: var(--inf-spacing, 12px);
                             display: flex;
                             align-items: center;
                             justify-content: space-between;
                             grid-column: 1 / -1;
                         ">
-                            <div style="display: flex; align-items: center; gap: 8px;">
-                                <span style="color: #475569; font-size: 13px; font-weight: 500;">小腿圍</span>
+                            <div style="display: flex; align-items: center; gap: var(--inf-spacing-sm, 8px);">
+                                <span style="color: var(--inf-color-text-secondary, #475569); font-size: var(--inf-font-size-sm, 13px); font-weight: 500;">${InfI18n.t('field.CalfCir')}</span>
                             </div>
-                            <span style="color: ${calfCircumColor}; font-size: 14px; font-weight: 600;">${calfCircumValue}</span>
+                            <span style="color: ${calfCircumColor}; font-size: var(--inf-font-size, 14px); font-weight: 600;">${calfCircumValue}</span>
                         </div>
                     `;
                 }
@@ -4316,22 +8566,22 @@ class InfGoogleLoginComponent extends HTMLElement {
 
             // 創建彈窗內容
             overlay.innerHTML = `
-                <div class="custom-confirm-modal">
+                <div class="custom-confirm-modal" role="alertdialog" aria-modal="true" aria-labelledby="custom-confirm-title" aria-describedby="custom-confirm-message">
                     <div class="custom-confirm-header">
-                        <h3 class="custom-confirm-title">${title}</h3>
+                        <h3 class="custom-confirm-title" id="custom-confirm-title">${title}</h3>
                     </div>
                     <div class="custom-confirm-content">
-                        <p class="custom-confirm-message">${message}</p>
+                        <p class="custom-confirm-message" id="custom-confirm-message">${message}</p>
                         <div class="custom-confirm-actions">
-                            <button class="custom-confirm-btn cancel" id="confirm-cancel-btn">取消</button>
-                            <button class="custom-confirm-btn confirm" id="confirm-confirm-btn">確認</button>
+                            <button class="custom-confirm-btn cancel" id="confirm-cancel-btn">${InfI18n.t('common.cancel')}</button>
+                            <button class="custom-confirm-btn confirm" id="confirm-confirm-btn">${InfI18n.t('common.confirm')}</button>
                         </div>
                     </div>
                 </div>
             `;
 
             // 添加到頁面
-            document.body.appendChild(overlay);
+            document.body.appendChild(InfTheme.apply(overlay));
 
             // 顯示動畫
             setTimeout(() => {
@@ -4341,8 +8591,11 @@ class InfGoogleLoginComponent extends HTMLElement {
             // 綁定事件
             const cancelBtn = overlay.querySelector('#confirm-cancel-btn');
             const confirmBtn = overlay.querySelector('#confirm-confirm-btn');
+            const releaseFocus = InfA11y.trapFocus(overlay.querySelector('.custom-confirm-modal'), { initialFocus: cancelBtn });
 
             const closeModal = (result) => {
+                document.removeEventListener('keydown', handleEsc);
+                releaseFocus();
                 overlay.classList.remove('show');
                 setTimeout(() => {
                     if (overlay.parentNode) {
@@ -4377,7 +8630,6 @@ class InfGoogleLoginComponent extends HTMLElement {
                 if (e.key === 'Escape') {
                     if (onCancel) onCancel();
                     closeModal(false);
-                    document.removeEventListener('keydown', handleEsc);
                 }
             };
             document.addEventListener('keydown', handleEsc);
@@ -4388,8 +8640,8 @@ class InfGoogleLoginComponent extends HTMLElement {
     async handleDeleteAccount() {
         // 顯示自定義確認彈窗
         const confirmed = await this.showCustomConfirm(
-            '刪除帳號',
-            '此操作無法復原，所有資料將被永久刪除。<br>確定要繼續嗎？',
+            InfI18n.t('profile.deleteAccount'),
+            InfI18n.t('account.deleteConfirm'),
             null, // onConfirm
             null  // onCancel
         );
@@ -4398,42 +8650,17 @@ class InfGoogleLoginComponent extends HTMLElement {
         
         try {
             // 顯示載入狀態
-            const loadingNotification = this.showLoadingNotification('正在刪除帳號...');
+            const loadingNotification = this.showLoadingNotification(InfI18n.t('account.deleting'));
 
             // 獲取必要的憑證資訊
-            const storedCredential = localStorage.getItem('google_auth_credential');
             const userInfo = this.getUserInfo();
             
-            if (!storedCredential || !userInfo) {
+            if (!userInfo) {
                 throw new Error('沒有可用的憑證資訊');
             }
 
-            // 準備 API 請求資料
-            const payload = {
-                delete_user: true,
-                credential: storedCredential,
-                sub: userInfo.sub || userInfo.id,
-                IDTYPE: "Google"
-            };
-
-
             // 調用刪除帳號 API
-            const response = await fetch("https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google", {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                if (response.status === 401) {
-                    throw new Error('憑證已失效，請重新登入');
-                }
-                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.getApiClient().deleteUser({ sub: userInfo.sub || userInfo.id });
 
             // 隱藏個人資訊畫面
             this.hideProfileModal();
@@ -4460,7 +8687,7 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
 
             // 顯示成功訊息
-            this.showSuccessNotification('帳號已成功刪除');
+            this.showSuccessNotification(InfI18n.t('account.deleted'));
 
         } catch (error) {
             
@@ -4469,7 +8696,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 loadingNotification.parentNode.removeChild(loadingNotification);
             }
             
-            this.showErrorNotification('刪除帳號失敗: ' + error.message);
+            this.showErrorNotification(InfI18n.t('account.deleteFailed', { message: error.message }));
             
             // 如果刪除失敗，不要清除本地資料，讓用戶可以重試
         }
@@ -4478,34 +8705,8 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 清除所有本地資料
     clearAllData() {
         try {
-            // 清除所有相關的 localStorage 項目
-            const keysToRemove = [
-                'google_auth_credential',
-                'inffits_api_response',
-                'google_user_info',
-                'google_access_token',
-                'google_refresh_token',
-                'google_token_expiry'
-            ];
-
-            keysToRemove.forEach(key => {
-                if (localStorage.getItem(key)) {
-                    localStorage.removeItem(key);
-                }
-            });
-
-            // 清除所有相關的 sessionStorage 項目
-            const sessionKeysToRemove = [
-                'google_auth_credential',
-                'inffits_api_response'
-            ];
-
-            sessionKeysToRemove.forEach(key => {
-                if (sessionStorage.getItem(key)) {
-                    sessionStorage.removeItem(key);
-                }
-            });
-
+            // 清除 TokenStore 中所有登入相關項目
+            this.tokenStore.clear();
         } catch (error) {
         }
     }
@@ -4514,18 +8715,14 @@ class InfGoogleLoginComponent extends HTMLElement {
 
 
 
-    // 觸發 Google 登入
+    // 觸發登入（依目前的身份提供者）
     triggerGoogleSignIn() {
-        // 直接使用 OAuth2 流程獲取 refresh token
-        this.initiateOAuth2Flow();
+        // Google 直接使用 OAuth2 流程獲取 refresh token，其他提供者使用各自的 SDK
+        getInfLoginProvider(this.providerName).signIn(this);
     }
 
     // 啟動 OAuth2 授權流程
     initiateOAuth2Flow() {
-        const authUrl = 'https://accounts.google.com/oauth/authorize';
-        const redirectUri = window.location.origin + '/api/auth/google';
-        const state = 'oauth2_flow_' + Date.now();
-        
         // 使用 Google Identity Services 而不是 OAuth2 流程
         if (window.google && window.google.accounts && window.google.accounts.id) {
             console.log('使用 Google Identity Services 進行登入');
@@ -4539,25 +8736,9 @@ class InfGoogleLoginComponent extends HTMLElement {
             return;
         }
         
-        // 如果 Google Identity Services 不可用，回退到傳統 OAuth2 流程
-        console.warn('Google Identity Services 不可用，使用傳統 OAuth2 流程');
-        const params = new URLSearchParams({
-            client_id: this.clientId,
-            response_type: 'code',
-            scope: 'openid email profile',
-            access_type: 'offline',
-            prompt: 'select_account',
-            redirect_uri: redirectUri,
-            state: state,
-            include_granted_scopes: 'true'
-        });
-
-        // 記錄狀態用於驗證
-        localStorage.setItem('google_oauth_state', state);
-        localStorage.setItem('google_oauth_redirect_uri', redirectUri);
-        
-        // 直接重定向到 Google 授權頁面
-        window.location.href = `${authUrl}?${params.toString()}`;
+        // 如果 Google Identity Services 不可用，回退到授權碼 + PKCE 流程
+        console.warn('Google Identity Services 不可用，使用授權碼 + PKCE 流程');
+        this.startAuthorizationCodeFlow();
     }
 
     // 檢查 Google 會話狀態
@@ -4611,9 +8792,9 @@ class InfGoogleLoginComponent extends HTMLElement {
                 left: 50%;
                 transform: translate(-50%, -50%);
                 z-index: 10001;
-                background: white;
+                background: var(--inf-color-surface, white);
                 padding: 20px;
-                border-radius: 8px;
+                border-radius: var(--inf-radius, 8px);
                 box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
                 display: flex;
                 flex-direction: column;
@@ -4623,11 +8804,11 @@ class InfGoogleLoginComponent extends HTMLElement {
 
             // 添加標題
             const title = document.createElement('div');
-            title.textContent = 'Google 登入';
+            title.textContent = InfI18n.t('login.popupTitle', { provider: 'Google' });
             title.style.cssText = `
                 font-size: 18px;
                 font-weight: 600;
-                color: #333;
+                color: var(--inf-color-text, #333);
                 margin-bottom: 8px;
             `;
             container.appendChild(title);
@@ -4639,21 +8820,21 @@ class InfGoogleLoginComponent extends HTMLElement {
 
             // 添加關閉按鈕
             const closeButton = document.createElement('button');
-            closeButton.textContent = '取消';
+            closeButton.textContent = InfI18n.t('common.cancel');
             closeButton.style.cssText = `
                 padding: 8px 16px;
                 border: 1px solid #ddd;
-                background: white;
+                background: var(--inf-color-surface, white);
                 border-radius: 4px;
                 cursor: pointer;
-                font-size: 14px;
+                font-size: var(--inf-font-size, 14px);
             `;
             closeButton.onclick = () => {
                 document.body.removeChild(container);
             };
             container.appendChild(closeButton);
 
-            document.body.appendChild(container);
+            document.body.appendChild(InfTheme.apply(container));
 
             // 使用 Google 的 renderButton 方法
             if (window.google && window.google.accounts && window.google.accounts.id) {
@@ -4716,14 +8897,6 @@ class InfGoogleLoginComponent extends HTMLElement {
                     include_granted_scopes: true
                 };
 
-                // 在無痕瀏覽器中調整配置
-                if (this.isIncognitoMode) {
-                    config.use_fedcm_for_prompt = false; // 禁用 FedCM
-                    config.ux_mode = 'popup'; // 使用彈出視窗模式
-                    config.prompt = 'consent'; // 強制顯示同意頁面
-                    config.auto_select = false; // 禁用自動選擇
-                }
-
                 // 重新初始化
                 window.google.accounts.id.initialize(config);
 
@@ -4752,230 +8925,144 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 直接觸發 Google 登入（最後手段）
     triggerDirectGoogleSignIn() {
         try {
-            // 在無痕瀏覽器中，使用標準的 Google 登入按鈕
-            if (this.isIncognitoMode) {
-                // console statement removed
-                this.createStandardGoogleSignInButton();
-                return;
-            }
-
-            // 構建 OAuth2 授權 URL（前端無法安全使用 refresh token，使用更長的 access token）
-            const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
-                `client_id=${encodeURIComponent(this.clientId)}` +
-                `&redirect_uri=${encodeURIComponent(window.location.origin)}` +
-                `&response_type=token` + // 使用 token 直接獲取 access token
-                `&scope=${encodeURIComponent('openid email profile')}` +
-                `&state=${encodeURIComponent('google_signin')}` +
-                `&prompt=select_account`;
-
-            // 在新視窗中打開授權頁面
-            const authWindow = window.open(authUrl, 'google_auth',
-                'width=500,height=600,scrollbars=yes,resizable=yes');
-
-            // 監聽授權結果
-            const checkAuthResult = this.safeSetInterval(() => {
-                try {
-                    if (authWindow.closed) {
-                        clearInterval(checkAuthResult);
-                        // 檢查 URL hash 中的 access token（使用 response_type=token 時）
-                        const urlHash = window.location.hash;
-                        if (urlHash.includes('access_token=')) {
-                            const params = new URLSearchParams(urlHash.substring(1));
-                            const accessToken = params.get('access_token');
-                            if (accessToken) {
-                                // 直接使用 access token 處理登入成功
-                                this.handleAuthSuccess(accessToken);
-                            }
-                        }
-                    }
-                } catch (error) {
-                    // 視窗可能已經關閉
-                    clearInterval(checkAuthResult);
-                }
-            }, 1000);
+            // 使用授權碼 + PKCE 流程（refresh token 由伺服器端保存於 HttpOnly cookie）
+            this.startAuthorizationCodeFlow();
 
         } catch (error) {
             // 顯示錯誤訊息給用戶
         }
     }
 
-    // 創建標準的 Google 登入按鈕（無痕瀏覽器兼容）
-    createStandardGoogleSignInButton() {
-        try {
-            // 找到現有的 Google 登入組件
-            const existingComponent = document.querySelector('inf-google-login');
-            if (!existingComponent) {
-                // console statement removed
-                this.fallbackGoogleSignIn();
-                return;
-            }
-
-            // 找到現有登入組件，替換為無痕瀏覽器兼容版本
-
-            // 清空現有組件內容
-            existingComponent.innerHTML = '';
-
-            // 創建 Google 登入按鈕
-            const googleButton = document.createElement('div');
-            googleButton.id = 'g_id_onload';
-            googleButton.setAttribute('data-client_id', this.clientId);
-            googleButton.setAttribute('data-callback', 'handleGoogleCredentialResponse');
-            googleButton.setAttribute('data-auto_prompt', 'false');
-            googleButton.setAttribute('data-context', 'signin');
-            googleButton.setAttribute('data-ux_mode', 'popup');
-
-            // 創建 Google 登入按鈕的渲染元素
-            const googleButtonRender = document.createElement('div');
-            googleButtonRender.className = 'g_id_signin';
-            googleButtonRender.setAttribute('data-type', 'standard');
-            googleButtonRender.setAttribute('data-size', 'large');
-            googleButtonRender.setAttribute('data-theme', 'outline');
-            googleButtonRender.setAttribute('data-text', 'signin_with');
-            googleButtonRender.setAttribute('data-shape', 'rectangular');
-            googleButtonRender.setAttribute('data-logo_alignment', 'left');
-
-            // 添加到現有組件
-            existingComponent.appendChild(googleButton);
-            existingComponent.appendChild(googleButtonRender);
-
-            // 設置全局回調函數
-            window.handleGoogleCredentialResponse = (response) => {
-                this.handleCredentialResponse(response);
-            };
-
-            // 觸發 Google 按鈕渲染
-            if (window.google && window.google.accounts && window.google.accounts.id) {
-                window.google.accounts.id.renderButton(googleButtonRender, {
-                    type: 'standard',
-                    size: 'large',
-                    theme: 'outline',
-                    text: 'signin_with',
-                    shape: 'rectangular',
-                    logo_alignment: 'left'
-                });
-                
-                // 延遲一下再觸發登入，確保按鈕渲染完成
-                setTimeout(() => {
-                    try {
-                        window.google.accounts.id.prompt((notification) => {
-                            if (notification.isNotDisplayed()) {
-                                this.fallbackGoogleSignIn();
-                            }
-                        });
-                    } catch (error) {
-                        this.fallbackGoogleSignIn();
-                    }
-                }, 500);
-            }
-
-        } catch (error) {
-            // console statement removed
-            // 如果失敗，回退到彈出視窗登入
-            this.fallbackGoogleSignIn();
+    // 取得伺服器端認證端點（/api/auth/*）
+    getAuthEndpoint(name) {
+        if (window.InfFitsEndpoints) {
+            return window.InfFitsEndpoints.url(name);
         }
+        const paths = {
+            authGoogle: '/api/auth/google',
+            authRefresh: '/api/auth/refresh',
+            authLogout: '/api/auth/logout'
+        };
+        return paths[name];
     }
 
-    // 使用 authorization code 交換 tokens
-    async exchangeCodeForTokens(code) {
-        try {
-            const response = await fetch('https://oauth2.googleapis.com/token', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    client_id: this.clientId,
-                    client_secret: process.env.GOOGLE_CLIENT_SECRET, // 從環境變量讀取
-                    code: code,
-                    grant_type: 'authorization_code',
-                    redirect_uri: window.location.origin,
-                }),
-            });
+    // 產生 PKCE code_verifier 與 code_challenge（S256）
+    async createPkcePair() {
+        const toBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
 
-            if (!response.ok) {
-                throw new Error(`Token 交換失敗: ${response.status}`);
-            }
+        const codeVerifier = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+        return {
+            codeVerifier: codeVerifier,
+            codeChallenge: toBase64Url(digest)
+        };
+    }
 
-            const data = await response.json();
-            
-            // 處理授權成功，包含 refresh token
-            await this.handleAuthSuccess(data.access_token, data.refresh_token);
-            
-        } catch (error) {
+    // 授權碼 + PKCE 登入流程：彈出視窗授權，由 oauth-callback.html 交回授權碼
+    async startAuthorizationCodeFlow() {
+        // 先同步開啟視窗，避免非同步產生 PKCE 後被瀏覽器視為彈出廣告攔截
+        const authWindow = window.open('', 'google_auth', 'width=500,height=600,scrollbars=yes,resizable=yes');
+        if (!authWindow) {
+            this.handleLoginFailure(InfI18n.t('login.error.popupBlocked'));
+            return;
         }
-    }
 
-    // 處理 OAuth2 授權成功
-    async handleAuthSuccess(accessToken, refreshToken = null) {
         try {
-            // 保存 tokens
-            this.saveTokens(accessToken, refreshToken);
+            const { codeVerifier, codeChallenge } = await this.createPkcePair();
+            const state = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+            const redirectUri = `${window.location.origin}/oauth-callback.html`;
 
-            // 創建 credential 並保存
-            const credential = `oauth2_${accessToken}`;
-            this.saveCredential(credential);
+            const params = new URLSearchParams({
+                client_id: this.clientId,
+                response_type: 'code',
+                scope: 'openid email profile',
+                access_type: 'offline',
+                prompt: 'select_account consent',
+                redirect_uri: redirectUri,
+                state: state,
+                code_challenge: codeChallenge,
+                code_challenge_method: 'S256',
+                include_granted_scopes: 'true'
+            });
 
-            // 使用 access token 獲取用戶資訊
-            const response = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
+            const handleMessage = async (event) => {
+                if (event.origin !== window.location.origin || !event.data || event.data.type !== 'inf-oauth-callback') {
+                    return;
+                }
+                if (event.data.state !== state) {
+                    return;
                 }
-            });
 
-            if (response.ok) {
-                const userInfo = await response.json();
+                window.removeEventListener('message', handleMessage);
+                clearInterval(checkWindowClosed);
 
-                // 保存用戶資訊
-                this.saveUserInfo(userInfo);
+                if (event.data.error || !event.data.code) {
+                    this.handleLoginFailure(InfI18n.t('login.error.authorizationFailed', {
+                        provider: 'Google',
+                        message: event.data.error || InfI18n.t('login.error.noAuthorizationCode')
+                    }));
+                    return;
+                }
 
-                // 調用 infFITS API
-                const apiResponse = await this.callInfFitsAPI(credential);
+                await this.exchangeCodeForTokens(event.data.code, codeVerifier, redirectUri);
+            };
 
-                // 檢查 API 回應中是否有 picture 欄位，如果有則更新用戶資訊
-                if (apiResponse && apiResponse.picture) {
-                    // 更新用戶資訊中的 picture
-                    userInfo.picture = apiResponse.picture;
-                    this.saveUserInfo(userInfo);
-                }
+            window.addEventListener('message', handleMessage);
 
-                // 首次登入成功後，觸發數據同步邏輯
-                if (apiResponse) {
-                    this.handleLoginDataSync(apiResponse);
+            // 使用者直接關閉視窗時移除監聽
+            const checkWindowClosed = this.safeSetInterval(() => {
+                if (authWindow.closed) {
+                    clearInterval(checkWindowClosed);
+                    setTimeout(() => window.removeEventListener('message', handleMessage), 1000);
                 }
+            }, 1000);
 
-                // 更新頭像顯示
-                this.updateAvatar();
+            authWindow.location.href = `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
+        } catch (error) {
+            authWindow.close();
+            this.handleLoginFailure(error);
+        }
+    }
 
-                // 隱藏登入畫面
-                this.hideLoginModal();
+    // 由伺服器端（/api/auth/google）以授權碼 + code_verifier 交換 tokens
+    async exchangeCodeForTokens(code, codeVerifier, redirectUri) {
+        try {
+            const response = await fetch(this.getAuthEndpoint('authGoogle'), {
+                method: 'POST',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    code: code,
+                    code_verifier: codeVerifier,
+                    redirect_uri: redirectUri
+                })
+            });
 
-                // 觸發成功事件
-                this.dispatchEvent(new CustomEvent('inf-google-login-success', {
-                    detail: {
-                        user: userInfo,
-                        accessToken: accessToken,
-                        apiResponse: apiResponse,
-                        timestamp: new Date().toISOString()
-                    },
-                    bubbles: true,
-                    composed: true
-                }));
-            } else {
-                throw new Error('無法獲取用戶資訊');
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.id_token) {
+                throw new Error(data.error || `Token 交換失敗: ${response.status}`);
             }
+
+            // 與 Google Identity Services 相同，以 id_token 作為 infFITS 憑證
+            await this.handleCredentialResponse({
+                credential: data.id_token,
+                expiresAt: Date.now() + (data.expires_in || 3600) * 1000,
+                user: data.user
+            });
         } catch (error) {
+            this.handleLoginFailure(error);
         }
     }
 
     // 保存 tokens
-    saveTokens(accessToken, refreshToken = null, customExpiryTime = null) {
+    saveTokens(accessToken, customExpiryTime = null) {
         if (accessToken) {
-            localStorage.setItem('google_access_token', accessToken);
-            
-            // 如果有 refresh token，也保存它
-            if (refreshToken) {
-                localStorage.setItem('google_refresh_token', refreshToken);
-            }
+            this.tokenStore.setItem('google_access_token', accessToken);
             
             // 智能設置 token 過期時間
             let expiresAt;
@@ -4998,16 +9085,15 @@ class InfGoogleLoginComponent extends HTMLElement {
                 expiresAt = Date.now() + (55 * 60 * 1000); // 55 分鐘（提前 5 分鐘刷新）
             }
             
-            localStorage.setItem('google_token_expires_at', expiresAt.toString());
+            this.tokenStore.setItem('google_token_expires_at', expiresAt.toString());
             // console statement removed
         }
     }
 
     // 獲取有效的 access token
     async getValidAccessToken() {
-        const accessToken = localStorage.getItem('google_access_token');
-        const refreshToken = localStorage.getItem('google_refresh_token');
-        const expiresAt = localStorage.getItem('google_token_expires_at');
+        const accessToken = this.tokenStore.getItem('google_access_token');
+        const expiresAt = this.tokenStore.getItem('google_token_expires_at');
 
         // 如果沒有 access token，返回 null
         if (!accessToken) {
@@ -5018,105 +9104,90 @@ class InfGoogleLoginComponent extends HTMLElement {
         const now = Date.now();
         const expiresAtTime = parseInt(expiresAt || '0');
         const shouldRefresh = now >= (expiresAtTime - (30 * 60 * 1000)); // 提前 30 分鐘
-
-        if (shouldRefresh && refreshToken && !this.isIncognitoMode) {
-            try {
-                const newAccessToken = await this.refreshAccessToken(refreshToken);
-                return newAccessToken;
-            } catch (error) {
-                // 如果刷新失敗，清除所有 tokens
-                this.clearTokens();
-                return null;
+
+        if (shouldRefresh && this.getLoginProvider().name === 'google') {
+            const newCredential = await this.refreshAccessToken();
+            if (newCredential) {
+                return this.tokenStore.getItem('google_access_token');
             }
-        } else if (shouldRefresh && this.isIncognitoMode) {
-            // 無痕模式下直接觸發重新登入，不嘗試刷新
-            // console statement removed
-            this.handleTokenExpiration();
+            // 沒有伺服器端會話時，token 尚未真正過期則繼續使用
+            if (now < expiresAtTime) {
+                return accessToken;
+            }
+            this.clearTokens();
             return null;
         }
 
         return accessToken;
     }
 
-    // 刷新 access token - 使用 Google Identity Services 的無聲刷新
-    async refreshAccessToken(refreshToken) {
-        try {
-            // console statement removed
-            
-            return new Promise((resolve, reject) => {
-                // 首先檢查 Google Identity Services 是否可用
-                if (!window.google || !window.google.accounts || !window.google.accounts.id) {
-                    // console statement removed
-                    this.handleTokenExpiration();
-                    resolve(null);
-                    return;
-                }
+    // 刷新 access token：由 /api/auth/refresh 以 HttpOnly cookie 中的 refresh token 取得新的 id_token
+    // 成功時保存並回傳新憑證，沒有伺服器端會話或刷新失敗時回傳 null；同一頁面同時只有一個刷新請求
+    refreshAccessToken() {
+        return this.authSession.singleFlight('refresh', () => this.requestServerRefresh());
+    }
 
-                // 嘗試使用 Google 的無聲刷新機制
-                try {
-                    // 使用 prompt 方法觸發無聲刷新
-                    window.google.accounts.id.prompt({
-                        moment_callback: (promptMomentNotification) => {
-                            if (promptMomentNotification.isDisplayMoment()) {
-                                // 如果需要顯示登入界面，表示無法無聲刷新
-                                // console statement removed
-                                this.handleTokenExpiration();
-                                resolve(null);
-                            }
-                        },
-                        credential_callback: (response) => {
-                            // 成功獲得新的 credential
-                            if (response && response.credential) {
-                                // console statement removed
-                                
-                                // 解析新的 JWT token
-                                try {
-                                    const payload = JSON.parse(atob(response.credential.split('.')[1]));
-                                    const newAccessToken = `gid_${response.credential}`;
-                                    
-                                    // 更新 token 過期時間
-                                    const expiresAt = (payload.exp * 1000) || (Date.now() + 60 * 60 * 1000);
-                                    localStorage.setItem('google_token_expires_at', expiresAt.toString());
-                                    localStorage.setItem('google_access_token', newAccessToken);
-                                    
-                                    resolve(newAccessToken);
-                                } catch (parseError) {
-                                    // console statement removed
-                                    this.handleTokenExpiration();
-                                    resolve(null);
-                                }
-                            } else {
-                                // console statement removed
-                                this.handleTokenExpiration();
-                                resolve(null);
-                            }
-                        }
-                    });
-                } catch (promptError) {
-                    // console statement removed
-                    this.handleTokenExpiration();
-                    resolve(null);
-                }
+    async requestServerRefresh() {
+        try {
+            const response = await fetch(this.getAuthEndpoint('authRefresh'), {
+                method: 'POST',
+                credentials: 'include'
             });
-            
+
+            if (!response.ok) {
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data.id_token) {
+                return null;
+            }
+
+            const newCredential = data.id_token;
+            this.saveTokens(`gid_${newCredential}`, Date.now() + (data.expires_in || 3600) * 1000);
+            this.saveCredential(newCredential);
+            this.publishAuthState(INF_AUTH_MESSAGES.TOKEN_REFRESHED);
+            return newCredential;
         } catch (error) {
-            // console statement removed
-            this.handleTokenExpiration();
             return null;
         }
     }
 
+    // 非 Google 提供者使用各自 SDK 無聲取得新憑證（與伺服器端刷新共用單一刷新請求）
+    refreshProviderCredential() {
+        return this.authSession.singleFlight('refresh', async () => {
+            const provider = this.getLoginProvider();
+            const newCredential = provider.refresh ? await provider.refresh(this) : null;
+            if (newCredential) {
+                this.saveTokens(`${provider.tokenPrefix}${newCredential}`);
+                this.saveCredential(newCredential);
+                this.publishAuthState(INF_AUTH_MESSAGES.TOKEN_REFRESHED);
+            }
+            return newCredential;
+        });
+    }
+
+    // 清除伺服器端登入會話（refresh token cookie）
+    clearAuthServerSession() {
+        fetch(this.getAuthEndpoint('authLogout'), {
+            method: 'POST',
+            credentials: 'include'
+        }).catch(() => {
+            // 靜默處理錯誤
+        });
+    }
+
     // 清除所有 tokens
     clearTokens() {
-        localStorage.removeItem('google_access_token');
-        localStorage.removeItem('google_refresh_token');
-        localStorage.removeItem('google_token_expires_at');
-        localStorage.removeItem('google_auth_credential'); // 也清除舊的 credential
+        this.tokenStore.removeItem('google_access_token');
+        this.tokenStore.removeItem('google_refresh_token');
+        this.tokenStore.removeItem('google_token_expires_at');
+        this.tokenStore.removeItem('google_auth_credential'); // 也清除舊的 credential
     }
 
     // 獲取 token 過期時間
     getTokenExpiryTime() {
-        const expiresAt = localStorage.getItem('google_token_expires_at');
+        const expiresAt = this.tokenStore.getItem('google_token_expires_at');
         return expiresAt ? parseInt(expiresAt) : null;
     }
 
@@ -5129,51 +9200,67 @@ class InfGoogleLoginComponent extends HTMLElement {
         return Math.max(0, Math.floor(remainingMs / (60 * 1000)));
     }
 
-    // 處理 localStorage 變更
-    handleStorageChange(event) {
-        if (event.key === 'google_auth_credential') {
-            if (event.newValue) {
-                // 其他頁面登入了，或者當前頁面剛完成登入
-                // 避免重複設置相同的狀態
-                if (this.credential !== event.newValue) {
-                    this.credential = event.newValue;
+    // 將目前的登入狀態廣播給其他分頁、iframe 與同頁組件
+    publishAuthState(type) {
+        const state = {};
+        INF_TOKEN_STORE_KEYS.forEach(key => {
+            state[key] = this.tokenStore.getItem(key);
+        });
+        this.authBus.publish(type, { state: state }, this);
+    }
+
+    // 處理 InfAuthBus 訊息（其他分頁、iframe 或同頁組件發送）
+    async handleAuthBusMessage(message) {
+        // 其他頁面的訊息只在共用存儲（local / cookie）時同步，session / memory 維持各分頁獨立
+        if (message.senderId !== this.authBus.senderId && !this.tokenStore.isShared()) {
+            return;
+        }
+
+        const payload = message.payload;
+        if (!payload) {
+            // 不含資料的訊息（不支援 BroadcastChannel 時），重新從存儲讀取
+            await this.tokenStore.reload();
+        } else if (payload.state) {
+            Object.entries(payload.state).forEach(([key, value]) => this.tokenStore.syncItem(key, value));
+        } else if (payload.apiResponse) {
+            this.tokenStore.syncItem('inffits_api_response', JSON.stringify(payload.apiResponse));
+        }
+
+        switch (message.type) {
+            case INF_AUTH_MESSAGES.LOGIN:
+            case INF_AUTH_MESSAGES.TOKEN_REFRESHED: {
+                const credential = this.tokenStore.getItem('google_auth_credential');
+                if (credential && credential !== this.credential) {
+                    this.credential = credential;
                     this.isAuthenticated = true;
+                    this.userInfo = null;
+                    this.apiResponse = null;
                     this.getUserInfo();
-                    this.getApiResponse(); // 也載入 API 回應數據
+                    this.getApiResponse();
                     this.updateAvatar();
                 }
-            } else {
-                // 其他頁面登出了
+                break;
+            }
+            case INF_AUTH_MESSAGES.LOGOUT:
                 this.credential = null;
                 this.isAuthenticated = false;
                 this.userInfo = null;
                 this.apiResponse = null;
                 this.updateAvatar();
-            }
-        } else if (event.key === 'google_user_info') {
-            // 用戶資訊更新時，重新載入用戶資訊
-            if (event.newValue) {
-                try {
-                    this.userInfo = JSON.parse(event.newValue);
-                } catch (error) {
-                    this.userInfo = null;
-                }
-            } else {
-                this.userInfo = null;
-            }
-            this.updateAvatar();
-        } else if (event.key === 'inffits_api_response') {
-            // API 回應數據更新時，只更新本地快取，不重新檢查登入狀態（避免死迴圈）
-            if (event.newValue) {
-                try {
-                    this.apiResponse = JSON.parse(event.newValue);
-                } catch (error) {
-                    this.apiResponse = null;
-                }
-            } else {
+                break;
+            case INF_AUTH_MESSAGES.BODYDATA_UPDATED:
+                // 只更新本地快取，不重新檢查登入狀態（避免死迴圈）；其他分頁可能已重送離線佇列
                 this.apiResponse = null;
-            }
-            this.updateAvatar();
+                this.getApiResponse();
+                this.updateAvatar();
+                InfBodyDataOutbox.getInstance().refreshState();
+                break;
+            case INF_AUTH_MESSAGES.DEFAULT_USER_CHANGED:
+                this.apiResponse = null;
+                if (this.getApiResponse()) {
+                    this.updateBodyDataDisplay(this.apiResponse);
+                }
+                break;
         }
     }
 
@@ -5183,8 +9270,39 @@ class InfGoogleLoginComponent extends HTMLElement {
         // 清理所有活動的 timeout 和 interval
         this.clearAllTimers();
 
-        // 移除事件監聽器
-        window.removeEventListener('storage', this.handleStorageChange.bind(this));
+        // 取消 InfAuthBus 訂閱
+        if (this.unsubscribeAuthBus) {
+            this.unsubscribeAuthBus();
+            this.unsubscribeAuthBus = null;
+        }
+
+        // 退出頁面層級的登入會話
+        this.authSession.detach(this);
+
+        // 取消離線佇列狀態訂閱
+        if (this.unsubscribeOutbox) {
+            this.unsubscribeOutbox();
+            this.unsubscribeOutbox = null;
+        }
+
+        // 取消顯示語言訂閱
+        if (this.unsubscribeLanguage) {
+            this.unsubscribeLanguage();
+            this.unsubscribeLanguage = null;
+        }
+
+        // 停止分享登入會話
+        InfSessionShare.getInstance().disable(this);
+
+        // 停止監聽 JSON 設定子元素與容器大小
+        if (this.configObserver) {
+            this.configObserver.disconnect();
+            this.configObserver = null;
+        }
+        if (this.unobserveContainerSize) {
+            this.unobserveContainerSize();
+            this.unobserveContainerSize = null;
+        }
 
         // 清理自定義事件監聽器
         if (this.eventListeners) {
@@ -5200,17 +9318,20 @@ class InfGoogleLoginComponent extends HTMLElement {
 
     // 渲染組件內容
     render() {
+        const provider = getInfLoginProvider(this.providerName);
         this.shadowRoot.innerHTML = `
             <style>
+                ${InfTheme.getHostCSS()}
+
                 :host {
                     display: inline-block;
                     cursor: default;
-                    font-family: 'Noto Sans TC', 'Figtree', sans-serif;
+                    font-family: var(--inf-font-family, 'Noto Sans TC', 'Figtree', sans-serif);
                 }
                 
                 /* 全局字體設定 */
                 * {
-                    font-family: 'Noto Sans TC', 'Figtree', sans-serif;
+                    font-family: var(--inf-font-family, 'Noto Sans TC', 'Figtree', sans-serif);
                 }
                 
                 /* 中文使用 Noto Sans TC */
@@ -5249,6 +9370,11 @@ class InfGoogleLoginComponent extends HTMLElement {
                     cursor: pointer;
                 }
                 
+                .avatar-container:focus-visible {
+                    outline: 2px solid var(--inf-color-primary, #1E293B);
+                    outline-offset: 2px;
+                }
+                
                 .avatar-image {
                     width: 100%;
                     height: 100%;
@@ -5275,7 +9401,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     left: 0;
                     width: 100%;
                     height: 100%;
-                    background-color: rgba(0, 0, 0, 0.5);
+                    background-color: var(--inf-color-overlay, rgba(0, 0, 0, 0.5));
                     display: none;
                     justify-content: center;
                     align-items: center;
@@ -5287,7 +9413,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 }
                 
                 .modal-container {
-                    background: white;
+                    background: var(--inf-color-surface, white);
                     border-radius: 18px;
                     width: 365px;
                     height: 365px;
@@ -5314,7 +9440,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     font-size: 17px;
                     line-height: 1.1176470588235294em;
                     letter-spacing: 2%;
-                    color: rgba(0, 0, 0, 0.95);
+                    color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
                     flex: 1;
                     text-align: center;
                     padding: 0 12px;
@@ -5386,7 +9512,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     align-items: center;
                     gap: 6px;
                     padding: 10px 14px;
-                    background-color: #F2F2F2;
+                    background-color: var(--inf-color-surface-muted, #F2F2F2);
                     border-radius: 40px;
                     border: none;
                     cursor: pointer;
@@ -5403,7 +9529,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     font-size: 17px;
                     line-height: 1.2941176470588236em;
                     letter-spacing: 2%;
-                    color: rgba(0, 0, 0, 0.95);
+                    color: var(--inf-color-text, rgba(0, 0, 0, 0.95));
                 }
                 
                 .google-icon {
@@ -5458,9 +9584,9 @@ class InfGoogleLoginComponent extends HTMLElement {
                     display: flex;
                     justify-content: space-between;
                     align-items: center;
-                    gap: 8px;
+                    gap: var(--inf-spacing-sm, 8px);
                     padding: 18px 0px;
-                    border-bottom: 1px solid #E0E0DF;
+                    border-bottom: 1px solid var(--inf-color-border, #E0E0DF);
                 }
                 
                 .info-item:last-child {
@@ -5486,7 +9612,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     font-size: 15px;
                     line-height: 1.3333333333333333em;
                     letter-spacing: -0.8000000119209291%;
-                    color: #787974;
+                    color: var(--inf-color-text-muted, #787974);
                 }
                 
                 .info-value.verified {
@@ -5511,14 +9637,14 @@ class InfGoogleLoginComponent extends HTMLElement {
                     border: none;
                     cursor: pointer;
                     font-weight: 400;
-                    font-size: 13px;
+                    font-size: var(--inf-font-size-sm, 13px);
                     line-height: 1.3846153846153846em;
                     letter-spacing: 2%;
-                    color: #787974;
+                    color: var(--inf-color-text-muted, #787974);
                 }
                 
                 .edit-button:hover {
-                    background-color: #f8f9fa;
+                    background-color: var(--inf-color-surface-muted, #f8f9fa);
                     border-radius: 4px;
                 }
                 
@@ -5532,7 +9658,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     font-weight: 400;
                     font-size: 12px;
                     line-height: 1.2;
-                    color: #787974;
+                    color: var(--inf-color-text-muted, #787974);
                     transition: all 0.2s ease;
                     white-space: nowrap;
                     flex-shrink: 0;
@@ -5540,11 +9666,11 @@ class InfGoogleLoginComponent extends HTMLElement {
                 }
                 
                 .logout-button:hover {
-                    color: #333;
+                    color: var(--inf-color-text, #333);
                 }
                 
                 .logout-button:active {
-                    color: #000;
+                    color: var(--inf-color-text, #000);
                 }
                 
 
@@ -5569,12 +9695,12 @@ class InfGoogleLoginComponent extends HTMLElement {
                 
                 .close-button:hover {
                     background-color: #f0f0f0;
-                    color: #333;
+                    color: var(--inf-color-text, #333);
                 }
             </style>
             
-            <div class="avatar-container" id="avatar-container">
-                <div class="default-avatar" id="default-avatar">
+            <div class="avatar-container" id="avatar-container" part="avatar" role="button" tabindex="0" aria-haspopup="dialog" aria-label="${InfI18n.t('account.label')}">
+                <div class="default-avatar" id="default-avatar" part="default-avatar">
                     <svg width="32" height="32" viewBox="0 0 32 32" fill="none" xmlns="http://www.w3.org/2000/svg">
                         <g clip-path="url(#clip0_7314_33987)">
                             <rect width="32" height="32" rx="16" fill="#787974"/>
@@ -5589,13 +9715,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                         </defs>
                     </svg>
                 </div>
-                <img class="avatar-image" id="avatar-image" style="display: none;" alt="用戶頭像">
+                <img class="avatar-image" id="avatar-image" part="avatar-image" style="display: none;" alt="${InfI18n.t('account.avatarAlt')}">
                     </div>
             
             <!-- 登入畫面 -->
-            <div class="modal" id="login-modal">
-                <div class="modal-container">
-                    <button class="close-button" id="close-login-modal">×</button>
+            <div class="modal" id="login-modal" part="modal login-modal" role="dialog" aria-modal="true" aria-label="${InfI18n.t('login.title')}">
+                <div class="modal-container" part="modal-container">
+                    <button class="close-button" id="close-login-modal" part="close-button" aria-label="${InfI18n.t('common.close')}">×</button>
                     
                     <div class="title-section">
                         <div class="back-arrow" id="back-arrow">
@@ -5604,7 +9730,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                                 <path d="M22.3996 16H9.59961" stroke="#01453D" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
                             </svg>
                     </div>
-                        <div class="title-text">登入</div>
+                        <div class="title-text" part="title">${InfI18n.t('login.title')}</div>
                 </div>
                     
                     <div class="login-content">
@@ -5628,21 +9754,9 @@ class InfGoogleLoginComponent extends HTMLElement {
                         </div>
                         
                         <div class="inf-google-login-button-container">
-                            <button class="inf-google-login-button" id="inf-google-login-button">
-                                <svg class="google-icon" width="16" height="17" viewBox="0 0 16 17" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                    <g clip-path="url(#clip0_7461_9318)">
-                                        <path d="M15.8099 8.17192C15.8099 7.5164 15.7567 7.03805 15.6416 6.54199H8.15625V9.50065H12.55C12.4614 10.2359 11.9831 11.3432 10.92 12.0873L10.9051 12.1863L13.2719 14.0198L13.4358 14.0362C14.9417 12.6454 15.8099 10.5991 15.8099 8.17192Z" fill="#4285F4"/>
-                                        <path d="M8.15534 15.9675C10.3079 15.9675 12.115 15.2588 13.4349 14.0364L10.9191 12.0875C10.2459 12.557 9.34233 12.8848 8.15534 12.8848C6.04707 12.8848 4.25769 11.494 3.61983 9.57178L3.52633 9.57972L1.06539 11.4843L1.0332 11.5737C2.34423 14.1781 5.03717 15.9675 8.15534 15.9675Z" fill="#34A853"/>
-                                        <path d="M3.6206 9.57182C3.4523 9.07576 3.35489 8.54422 3.35489 7.99503C3.35489 7.44578 3.4523 6.9143 3.61175 6.41824L3.60729 6.31259L1.1155 4.37744L1.03398 4.41622C0.49364 5.49695 0.183594 6.71057 0.183594 7.99503C0.183594 9.27949 0.49364 10.493 1.03398 11.5738L3.6206 9.57182Z" fill="#FBBC05"/>
-                                        <path d="M8.15534 3.10515C9.65238 3.10515 10.6622 3.7518 11.238 4.2922L13.488 2.09532C12.1062 0.810858 10.3079 0.0224609 8.15534 0.0224609C5.03717 0.0224609 2.34423 1.81184 1.0332 4.41617L3.61097 6.41819C4.25769 4.49593 6.04707 3.10515 8.15534 3.10515Z" fill="#EB4335"/>
-                                    </g>
-                                    <defs>
-                                        <clipPath id="clip0_7461_9318">
-                                            <rect width="16" height="16" fill="white" transform="translate(0 0.0224609)"/>
-                                        </clipPath>
-                                    </defs>
-                                </svg>
-                                <span class="inf-google-login-text">繼續使用 Google 登入</span>
+                            <button class="inf-google-login-button" id="inf-google-login-button" part="login-button">
+                                ${provider.icon('google-icon')}
+                                <span class="inf-google-login-text">${InfI18n.t(`login.button.${provider.name}`, {}, provider.buttonText)}</span>
                             </button>
                         </div>
                     </div>
@@ -5650,9 +9764,9 @@ class InfGoogleLoginComponent extends HTMLElement {
                     </div>
                     
             <!-- 個人資訊畫面 -->
-            <div class="modal" id="profile-modal">
-                <div class="modal-container">
-                    <button class="close-button" id="close-profile-modal">×</button>
+            <div class="modal" id="profile-modal" part="modal profile-modal" role="dialog" aria-modal="true" aria-label="${InfI18n.t('profile.title')}">
+                <div class="modal-container" part="modal-container">
+                    <button class="close-button" id="close-profile-modal" part="close-button" aria-label="${InfI18n.t('common.close')}">×</button>
                     
                     <div class="title-section">
                         <div class="back-arrow" id="profile-back-arrow">
@@ -5661,32 +9775,32 @@ class InfGoogleLoginComponent extends HTMLElement {
                                 <path d="M22.3996 16H9.59961" stroke="#01453D" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
                             </svg>
                     </div>
-                        <div class="title-text">個人資訊</div>
-                          <button class="logout-button" id="logout-button">
-                                    登出
+                        <div class="title-text" part="title">${InfI18n.t('profile.title')}</div>
+                          <button class="logout-button" id="logout-button" part="logout-button">
+                                    ${InfI18n.t('profile.logout')}
                                 </button>
                     </div>
                     
                     <div class="profile-content">
                         <div class="profile-header">
                             <div class="profile-avatar">
-                                <img id="profile-avatar-image" src="" alt="用戶頭像">
+                                <img id="profile-avatar-image" part="profile-avatar" src="" alt="${InfI18n.t('account.avatarAlt')}">
                             </div>
                         </div>
                         
                         <div class="profile-info-section">
                             <div class="info-item">
                                 <div class="info-content">
-                                    <div class="info-label">姓名</div>
-                                    <div class="info-value" id="profile-name">尚未提供</div>
+                                    <div class="info-label" part="info-label">${InfI18n.t('profile.name')}</div>
+                                    <div class="info-value" part="info-value" id="profile-name">${InfI18n.t('common.notProvided')}</div>
                                 </div>
                             </div>
                             
                             <div class="info-item">
                                 <div class="info-content">
-                                    <div class="info-label">電子郵件</div>
-                                    <div class="info-value verified" id="profile-email">
-                                        <span>尚未提供</span>
+                                    <div class="info-label" part="info-label">${InfI18n.t('profile.email')}</div>
+                                    <div class="info-value verified" part="info-value" id="profile-email">
+                                        <span>${InfI18n.t('common.notProvided')}</span>
                                         <svg class="verified-icon" viewBox="0 0 18 18" fill="none">
                                             <path d="M0.75 0.75L16.5 16.5" fill="#1EC337"/>
                                             <path d="M5.7 6.52L12.3 11.47" fill="white"/>
@@ -5697,30 +9811,30 @@ class InfGoogleLoginComponent extends HTMLElement {
                             
                             <div class="info-item">
                                 <div class="info-content">
-                                    <div class="info-label">出生日期</div>
-                                    <div class="info-value" id="profile-birthday">尚未提供</div>
+                                    <div class="info-label" part="info-label">${InfI18n.t('profile.birthday')}</div>
+                                    <div class="info-value" part="info-value" id="profile-birthday">${InfI18n.t('common.notProvided')}</div>
                                 </div>
                             </div>
                             
                             <div class="info-item">
                                 <div class="info-content">
-                                    <div class="info-label">電話號碼</div>
-                                    <div class="info-value" id="profile-phone">尚未提供</div>
+                                    <div class="info-label" part="info-label">${InfI18n.t('profile.phone')}</div>
+                                    <div class="info-value" part="info-value" id="profile-phone">${InfI18n.t('common.notProvided')}</div>
                                 </div>
                             </div>
                             
                             <div class="info-item">
                                 <div class="info-content">
-                                    <div class="info-label">出生日期</div>
-                                    <div class="info-value" id="profile-birthday">尚未提供</div>
+                                    <div class="info-label" part="info-label">${InfI18n.t('profile.birthday')}</div>
+                                    <div class="info-value" part="info-value" id="profile-birthday">${InfI18n.t('common.notProvided')}</div>
                                 </div>
                             </div>
                             
                             <!-- BodyData 使用者資料區域 -->
                             <div class="info-item" id="body-data-section" style="display: none;">
                                 <div class="info-content">
-                                    <div class="info-label">使用者資料</div>
-                                    <div class="info-value" id="body-data-content">尚未提供</div>
+                                    <div class="info-label" part="info-label">${InfI18n.t('profile.bodyData')}</div>
+                                    <div class="info-value" part="info-value body-data" id="body-data-content">${InfI18n.t('common.notProvided')}</div>
                                 </div>
                             </div>
                         </div>
@@ -5760,7 +9874,7 @@ class InfGoogleLoginComponent extends HTMLElement {
             script.onerror = () => {
                 this.isGoogleLoaded = false;
                 this.updateAvatar(); // 更新頭像狀態（隱藏頭像）
-                this.handleLoginFailure('無法載入 Google Identity Services');
+                this.handleLoginFailure(InfI18n.t('login.error.notLoaded', { provider: 'Google' }));
             };
 
             document.head.appendChild(script);
@@ -5768,7 +9882,7 @@ class InfGoogleLoginComponent extends HTMLElement {
         } catch (error) {
             this.isGoogleLoaded = false;
             this.updateAvatar(); // 更新頭像狀態（隱藏頭像）
-            this.handleLoginFailure('載入 Google 服務時發生錯誤: ' + error.message);
+            this.handleLoginFailure(InfI18n.t('login.error.loadFailed', { provider: 'Google', message: error.message }));
         }
     }
 
@@ -5876,14 +9990,6 @@ class InfGoogleLoginComponent extends HTMLElement {
                 }
             };
 
-            // 在無痕瀏覽器中調整配置
-            if (this.isIncognitoMode) {
-                config.auto_prompt = false; // 禁用自動提示
-                config.prompt = 'consent'; // 強制顯示同意頁面
-                config.select_account = false; // 不強制選擇帳戶
-                config.ux_mode = 'popup'; // 使用彈出視窗模式
-            }
-
             window.google.accounts.id.initialize(config);
 
         } catch (error) {
@@ -5891,35 +9997,43 @@ class InfGoogleLoginComponent extends HTMLElement {
         }
     }
 
-    // 處理 Google 登入回調 - 加強版，包含智能 token 管理
+    // 處理登入回調 - 加強版，包含智能 token 管理
+    // response: { credential, user?, expiresAt? }，非 JWT 憑證（如 Facebook）需自帶 user
     async handleCredentialResponse(response) {
 
         if (!response.credential) {
-            this.handleLoginFailure('未收到有效的登入憑證');
+            this.handleLoginFailure(InfI18n.t('login.error.noCredential', { provider: getInfLoginProvider(this.providerName).label }));
             return;
         }
 
         try {
             // console statement removed
+            const provider = getInfLoginProvider(this.providerName);
             
-            // 解析 Google 憑證獲取用戶資訊
-            const payload = this.parseCredential(response.credential);
+            // 解析憑證獲取用戶資訊
+            const payload = response.user || this.parseCredential(response.credential);
             if (payload) {
                 this.saveUserInfo(payload);
                 
                 // 從 JWT payload 中獲取過期時間並智能保存 token
-                if (payload.exp) {
+                if (response.expiresAt) {
+                    this.saveTokens(`${provider.tokenPrefix}${response.credential}`, response.expiresAt);
+                } else if (payload.exp) {
                     const expiryTime = payload.exp * 1000; // 轉換為毫秒
                     // console statement removed
-                    this.saveTokens(`gid_${response.credential}`, null, expiryTime);
+                    this.saveTokens(`${provider.tokenPrefix}${response.credential}`, expiryTime);
                 } else {
                     // 如果無法從 payload 獲取過期時間，使用預設值
-                    this.saveTokens(`gid_${response.credential}`, null);
+                    this.saveTokens(`${provider.tokenPrefix}${response.credential}`);
                 }
             }
 
+            // 記錄登入使用的身份提供者，後續 API 呼叫依此帶入 IDTYPE
+            this.tokenStore.setItem(INF_LOGIN_PROVIDER_STORAGE_KEY, provider.name);
+
             // 保存憑證
             this.saveCredential(response.credential);
+            this.publishAuthState(INF_AUTH_MESSAGES.LOGIN);
 
             // 調用 infFITS API
             const apiResponse = await this.callInfFitsAPI(response.credential);
@@ -5944,12 +10058,8 @@ class InfGoogleLoginComponent extends HTMLElement {
             // 隱藏登入畫面
             this.hideLoginModal();
 
-            // 立即設置 token 刷新機制（如果還沒設置）
-            if (!this.tokenRefreshSetup) {
-                // console statement removed
-                this.setupTokenRefresh();
-                this.tokenRefreshSetup = true;
-            }
+            // 登入後立即加入 token 刷新機制
+            this.setupTokenRefresh();
 
             // 觸發成功事件
             this.dispatchEvent(new CustomEvent('inf-google-login-success', {
@@ -5957,9 +10067,10 @@ class InfGoogleLoginComponent extends HTMLElement {
                     credential: response.credential,
                     user: payload,
                     apiResponse: apiResponse,
+                    provider: provider.name,
                     tokenInfo: {
-                        type: 'google_identity_services',
-                        expiresAt: localStorage.getItem('google_token_expires_at')
+                        type: provider.name === 'google' ? 'google_identity_services' : `${provider.name}_login`,
+                        expiresAt: this.tokenStore.getItem('google_token_expires_at')
                     },
                     timestamp: new Date().toISOString()
                 },
@@ -5968,88 +10079,70 @@ class InfGoogleLoginComponent extends HTMLElement {
             }));
 
         } catch (error) {
-            this.handleLoginFailure('處理登入回調失敗: ' + error.message);
+            this.handleLoginFailure(InfI18n.t('login.error.callbackFailed', { message: error.message }));
         }
     }
 
-    // 調用 infFITS API
-    async callInfFitsAPI(credential) {
-        try {
-            // 如果是 OAuth2 credential，先確保 token 有效
-            if (credential && credential.startsWith('oauth2_')) {
-                const accessToken = await this.getValidAccessToken();
-                if (accessToken) {
-                    credential = `oauth2_${accessToken}`;
-                }
-            }
+    // 取得 infFITS 帳號 API 客戶端（所有帳號 API 呼叫共用）
+    getApiClient() {
+        if (!this.apiClient) {
+            this.apiClient = new InfFitsApiClient({
+                baseUrl: this.getAttribute('api-base-url') || undefined,
+                getIdType: () => this.getIdType(),
+                refreshCredential: () => this.refreshCredentialForApi(),
+                onCredentialExpired: (detail) => this.handleCredentialExpired(detail)
+            });
+        }
+        return this.apiClient;
+    }
 
-            const payload = {
-                credential: credential,
-                IDTYPE: "Google" // ✅ 關鍵欄位：Lambda 會根據它分辨平台
-            };
+    // API 回應 401 時嘗試取得新憑證
+    async refreshCredentialForApi() {
+        const provider = this.getLoginProvider();
+        let newCredential = null;
 
-            const response = await fetch("https://api.inffits.com/inffits_account_register_and_retrieve_data/model", {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(payload)
-            });
+        if (provider.name !== 'google') {
+            newCredential = await this.refreshProviderCredential();
+        } else {
+            newCredential = await this.refreshAccessToken();
+        }
+        return newCredential;
+    }
 
-            if (!response.ok) {
-                // 🔐 401 錯誤處理：嘗試刷新 token
-                if (response.status === 401) {
-                    
-                    const refreshToken = localStorage.getItem('google_refresh_token');
-                    if (refreshToken) {
-                        try {
-                            // 嘗試刷新 token
-                            const newAccessToken = await this.refreshAccessToken(refreshToken);
-                            if (newAccessToken) {
-                                // 使用新的 token 重新調用 API
-                                const newCredential = `oauth2_${newAccessToken}`;
-                                return await this.callInfFitsAPI(newCredential);
-                            }
-                        } catch (refreshError) {
-                        }
-                    }
-                    
-                    // 如果刷新失敗，執行登出操作
-                    this.signOut();
-
-                    // 觸發憑證失效事件
-                    this.dispatchEvent(new CustomEvent('credential-expired', {
-                        detail: {
-                            status: response.status,
-                            statusText: response.statusText,
-                            timestamp: new Date().toISOString()
-                        },
-                        bubbles: true,
-                        composed: true
-                    }));
+    // 憑證失效：自動登出並觸發 credential-expired 事件
+    handleCredentialExpired(detail) {
+        this.signOut();
 
-                    throw new Error(`憑證已失效，已自動登出 (${response.status}: ${response.statusText})`);
-                }
+        this.dispatchEvent(new CustomEvent('credential-expired', {
+            detail: detail,
+            bubbles: true,
+            composed: true
+        }));
+    }
 
-                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+    // 調用 infFITS API
+    async callInfFitsAPI(credential) {
+        // 如果是 OAuth2 credential，先確保 token 有效
+        if (credential && credential.startsWith('oauth2_')) {
+            const accessToken = await this.getValidAccessToken();
+            if (accessToken) {
+                credential = `oauth2_${accessToken}`;
             }
+        }
 
-            const data = await response.json();
-            // 保存 API 回應數據（不觸發同步，由調用方決定是否觸發）
-            this.saveApiResponse(data, false);
-
-            return data;
+        const data = await this.getApiClient().retrieve(credential);
+        // 保存 API 回應數據（不觸發同步，由調用方決定是否觸發）
+        this.saveApiResponse(data, false);
 
-        } catch (error) {
-            throw error;
-        }
+        return data;
     }
 
     // 保存 API 回應數據
     saveApiResponse(data, triggerSync = false) {
         try {
-            localStorage.setItem('inffits_api_response', JSON.stringify(data));
+            this.tokenStore.setItem('inffits_api_response', JSON.stringify(data));
             this.apiResponse = data;
+            InfBodyDataHistory.syncFromResponse(data);
 
             // 觸發 localStorage 更新事件
             this.dispatchEvent(new CustomEvent('localStorage-updated', {
@@ -6061,13 +10154,8 @@ class InfGoogleLoginComponent extends HTMLElement {
                 composed: true
             }));
 
-            // 觸發 storage 事件，通知其他組件實例
-            window.dispatchEvent(new StorageEvent('storage', {
-                key: 'inffits_api_response',
-                newValue: JSON.stringify(data),
-                oldValue: null,
-                storageArea: localStorage
-            }));
+            // 通知其他分頁、iframe 與同頁組件
+            this.authBus.publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: data }, this);
 
             // 只在明確要求時才處理登入資料同步邏輯（例如首次登入）
             if (triggerSync) {
@@ -6077,13 +10165,13 @@ class InfGoogleLoginComponent extends HTMLElement {
         }
     }
 
-    // 靜默保存 API 回應數據（不觸發 storage 事件）
+    // 靜默保存 API 回應數據（不通知其他分頁與組件）
     saveApiResponseSilently(data) {
         try {
-            localStorage.setItem('inffits_api_response', JSON.stringify(data));
+            this.tokenStore.setItem('inffits_api_response', JSON.stringify(data));
             this.apiResponse = data;
 
-            // 只觸發 localStorage 更新事件，不觸發 storage 事件
+            // 只觸發 localStorage 更新事件，不發送 InfAuthBus 訊息
             this.dispatchEvent(new CustomEvent('localStorage-updated', {
                 detail: {
                     key: 'inffits_api_response',
@@ -6099,7 +10187,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 獲取 API 回應數據
     getApiResponse() {
         if (!this.apiResponse) {
-            const stored = localStorage.getItem('inffits_api_response');
+            const stored = this.tokenStore.getItem('inffits_api_response');
             if (stored) {
                 try {
                     this.apiResponse = JSON.parse(stored);
@@ -6140,13 +10228,15 @@ class InfGoogleLoginComponent extends HTMLElement {
                     // 自動上傳本地資料到雲端
                     // console statement removed
                     await this.uploadLocalDataToCloud();
+                    this.saveSyncBase(this.getApiResponse());
                     // console statement removed
                 } else if (hasLocalData && hasCloudData) {
-                    // 情況：已登入 本地已使用 雲端有資料 → 詢問使用者是否用本地覆蓋雲端
-                    await this.showDataConflictDialog();
+                    // 情況：已登入 本地已使用 雲端有資料 → 欄位層級合併，只有衝突的欄位詢問使用者
+                    await this.mergeLocalAndCloudData(apiResponse);
                 } else if (!hasLocalData && hasCloudData) {
                     // 情況：已登入 本地未使用 雲端有資料 → 將雲端資料下載到本地
                     await this.downloadCloudDataToLocal(apiResponse);
+                    this.saveSyncBase(apiResponse);
                 } else {
                     // 情況：已登入 本地未使用 雲端未使用 → 無需處理
                 }
@@ -6161,8 +10251,8 @@ class InfGoogleLoginComponent extends HTMLElement {
 
     // 檢查本地是否有尺寸資料
     checkLocalSizeData() {
-            const bodyIdSizeLast = localStorage.getItem('BodyID_size');
-            const bodyIdFootSizeLast = localStorage.getItem('BodyID_Foot_size');
+            const bodyIdSizeLast = getInfLocalBodyStore().getItem('BodyID_size');
+            const bodyIdFootSizeLast = getInfLocalBodyStore().getItem('BodyID_Foot_size');
             const genderLast = localStorage.getItem('Gender_Last');
         
             
@@ -6243,13 +10333,13 @@ class InfGoogleLoginComponent extends HTMLElement {
     async uploadLocalDataToCloud() {
         try {
             
-            const bodyIdSizeLast = localStorage.getItem('BodyID_size');
-            const bodyIdFootSizeLast = localStorage.getItem('BodyID_Foot_size');
+            const bodyIdSizeLast = getInfLocalBodyStore().getItem('BodyID_size');
+            const bodyIdFootSizeLast = getInfLocalBodyStore().getItem('BodyID_Foot_size');
             const genderLast = localStorage.getItem('Gender_Last');
             
             
             if ((!bodyIdSizeLast && !bodyIdFootSizeLast) || !genderLast) {
-                showNotification('❌ 缺少本地資料，無法上傳', 'error');
+                showNotification(InfI18n.t('notify.noLocalData'), 'error');
                 return;
             }
             
@@ -6282,62 +10372,10 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
             
         } catch (error) {
-            showNotification('❌ 上傳資料失敗，請稍後再試', 'error');
+            showNotification(InfI18n.t('notify.uploadFailed'), 'error');
         }
     }
 
-    // 用戶主動選擇雲端資料並同步到本地
-    async selectCloudDataAndSync(apiResponse) {
-        // 用戶選擇雲端資料，開始同步到本地
-        
-        // 記錄同步前的本地資料
-        const beforeSync = localStorage.getItem('BodyID_size');
-        
-        try {
-            // 調用原有的下載邏輯
-            await this.downloadCloudDataToLocal(apiResponse);
-            
-            // 等待一下確保資料寫入完成
-            await new Promise(resolve => setTimeout(resolve, 200));
-            
-            // 驗證本地資料是否真的更新了
-            const bodyIDSize = localStorage.getItem('BodyID_size');
-            
-            if (bodyIDSize) {
-                try {
-                    const bodyData = JSON.parse(bodyIDSize);
-                    
-                    // 檢查關鍵資料是否存在
-                    if (bodyData.HV && bodyData.WV) {
-                        // 顯示成功通知
-                        if (typeof showNotification === 'function') {
-                            showNotification('✅ 雲端資料已同步到本地', 'success');
-                        }
-                        
-                        // 等待並驗證資料確實已更新到本地，然後重新整理頁面
-                        this.waitForDataUpdateAndReload();
-                    } else {
-                        if (typeof showNotification === 'function') {
-                            showNotification('❌ 本地資料不完整，請重試', 'error');
-                        }
-                    }
-                } catch (parseError) {
-                    if (typeof showNotification === 'function') {
-                        showNotification('❌ 本地資料格式錯誤', 'error');
-                    }
-                }
-            } else {
-                if (typeof showNotification === 'function') {
-                    showNotification('❌ 本地資料未找到，請重試', 'error');
-                }
-            }
-        } catch (error) {
-            if (typeof showNotification === 'function') {
-                showNotification('❌ 雲端資料同步失敗', 'error');
-            }
-        }
-    }
-    
     // 開始監聽 localStorage 變化
     startLocalStorageMonitoring() {
         // console statement removed
@@ -6432,7 +10470,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     if (bodyInfo.Pattern_Prefer !== undefined) {
                         bodyInfo.FitP = bodyInfo.Pattern_Prefer;
                     }
-                    localStorage.setItem('BodyID_size', JSON.stringify(bodyInfo));
+                    getInfLocalBodyStore().setItem('BodyID_size', JSON.stringify(bodyInfo));
                     hasData = true;
                 } else if (bodyInfo.HV && bodyInfo.WV) {
                     // 其他資料源保存所有可用字段
@@ -6447,7 +10485,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     if (localSizeData.Pattern_Prefer !== undefined) {
                         localSizeData.FitP = localSizeData.Pattern_Prefer;
                     }
-                    localStorage.setItem('BodyID_size', JSON.stringify(localSizeData));
+                    getInfLocalBodyStore().setItem('BodyID_size', JSON.stringify(localSizeData));
                     hasData = true;
                 }
             }
@@ -6467,7 +10505,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                     if (shoesInfo.Pattern_Prefer !== undefined) {
                         shoesInfo.FitP = shoesInfo.Pattern_Prefer;
                     }
-                    localStorage.setItem('BodyID_Foot_size', JSON.stringify(shoesInfo));
+                    getInfLocalBodyStore().setItem('BodyID_Foot_size', JSON.stringify(shoesInfo));
                     hasData = true;
                 }
             }
@@ -6505,7 +10543,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 
                 // 驗證資料完整性
                 try {
-                    const updatedBodyIDSize = localStorage.getItem('BodyID_size');
+                    const updatedBodyIDSize = getInfLocalBodyStore().getItem('BodyID_size');
                     const bodyData = JSON.parse(updatedBodyIDSize);
                 } catch (e) {
                     // 解析失敗，忽略
@@ -6514,7 +10552,7 @@ class InfGoogleLoginComponent extends HTMLElement {
                 // 完全移除 Find My Size 觸發邏輯，避免畫面變空
                 
                 if (typeof showNotification === 'function') {
-                    showNotification('✅ 雲端資料已同步到本地', 'success');
+                    showNotification(InfI18n.t('notify.downloaded'), 'success');
                     
                     // 等待並驗證資料確實已更新到本地，然後重新整理頁面
                     this.waitForDataUpdateAndReload();
@@ -6522,7 +10560,7 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
             
         } catch (error) {
-            showNotification('❌ 下載資料失敗，請稍後再試', 'error');
+            showNotification(InfI18n.t('notify.downloadFailed'), 'error');
         }
         
     }
@@ -6530,7 +10568,7 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 等待資料更新完成後再重新整理頁面
     async waitForDataUpdateAndReload() {
         // 記錄更新前的資料狀態
-        const initialData = localStorage.getItem('BodyID_size');
+        const initialData = getInfLocalBodyStore().getItem('BodyID_size');
         
         // 等待並驗證資料確實已更新
         let retryCount = 0;
@@ -6539,7 +10577,7 @@ class InfGoogleLoginComponent extends HTMLElement {
         
         const checkDataUpdate = () => {
             retryCount++;
-            const currentData = localStorage.getItem('BodyID_size');
+            const currentData = getInfLocalBodyStore().getItem('BodyID_size');
             
             if (currentData && currentData !== initialData) {
                 // 資料已更新，驗證資料完整性
@@ -6570,351 +10608,382 @@ class InfGoogleLoginComponent extends HTMLElement {
         setTimeout(checkDataUpdate, checkInterval);
     }
 
-        // 顯示資料衝突對話框
-    async showDataConflictDialog() {
+    // 本地與雲端都有資料時進行欄位層級合併，只有真正衝突的欄位才讓使用者選擇
+    async mergeLocalAndCloudData(apiResponse) {
         try {
-            // 先比較本地和雲端資料是否相同
-            const localData = this.getLocalDataInfo();
-            const cloudData = this.getCloudDataInfo();
-            
-            
-            // 檢查資料是否相同（包含身體和腳部資料）
-            const isSameData = (
-                localData.height === cloudData.height &&
-                localData.weight === cloudData.weight &&
-                localData.gender === cloudData.gender &&
-                localData.cc === cloudData.cc &&
-                localData.footLength === cloudData.footLength &&
-                localData.footWidth === cloudData.footWidth &&
-                localData.footCircumference === cloudData.footCircumference
-            );
-            
-            if (isSameData) {
+            const keys = this.getMergeTargetKeys();
+            if (!keys) {
                 return;
             }
-            
-            const result = await this.showDataVersionDialog();
 
-            if (result === 'local') {
-                // 使用者選擇使用本地資料
-                await this.uploadLocalDataToCloud();
-            } else if (result === 'cloud') {
-                // 使用者選擇使用雲端資料
-                const currentApiResponse = this.getApiResponse();
-                
-                // 檢查是否在個人資訊頁面
-                if (isOnPersonalInfoPage()) {
-                    // console statement removed
-                    // 在個人資訊頁面，使用專門的方法處理
-                    await this.selectCloudDataAndSync(currentApiResponse);
-                } else {
-                    // console statement removed
-                    // 不在個人資訊頁面，使用原有的下載邏輯
-                await this.downloadCloudDataToLocal(currentApiResponse);
+            const local = this.getLocalMergeSnapshot();
+            const cloud = this.getCloudMergeSnapshot(apiResponse, keys);
+            const result = InfBodyDataMerge.merge(this.getSyncBase(keys), local, cloud);
+
+            let merged = result.merged;
+            if (result.conflicts.length > 0) {
+                const choices = await this.showFieldConflictDialog(result.conflicts);
+                if (!choices) {
+                    return;
                 }
-            } else {
+                merged = InfBodyDataMerge.resolve(result, choices);
+            }
+
+            await this.applyMergedData(merged, local, cloud, keys, apiResponse);
+        } catch (error) {
+            showNotification(InfI18n.t('notify.mergeFailed'), 'error');
+        }
+    }
+
+    // 依本地性別決定要合併的雲端使用者（bodyF/bodyM、shoesF/shoesM）
+    getMergeTargetKeys() {
+        const gender = localStorage.getItem('Gender_Last');
+        if (gender !== 'M' && gender !== 'F') {
+            return null;
+        }
+        return { gender: gender, body: `body${gender}`, foot: `shoes${gender}` };
+    }
+
+    getLocalMergeSnapshot() {
+        const parse = (key) => {
+            try {
+                return JSON.parse(getInfLocalBodyStore().getItem(key) || 'null');
+            } catch (error) {
+                return null;
+            }
+        };
+        return {
+            body: parse('BodyID_size') || {},
+            foot: parse('BodyID_Foot_size') || {}
+        };
+    }
+
+    getCloudMergeSnapshot(apiResponse, keys) {
+        const bodyData = apiResponse?.BodyData || {};
+        return {
+            body: bodyData[keys.body] || {},
+            foot: bodyData[keys.foot] || {}
+        };
+    }
+
+    // 同步基準：上次本地與雲端一致時的欄位值（依帳號與性別保存，含身體數據，經 TokenStore 加密）
+    getSyncBase(keys) {
+        try {
+            const stored = JSON.parse(this.tokenStore.getItem('inf_bodydata_sync_base') || 'null');
+            const userInfo = this.getUserInfo() || {};
+            if (stored && stored.sub === userInfo.sub && stored.gender === keys.gender) {
+                return stored.base;
             }
         } catch (error) {
+            // 靜默處理錯誤
+        }
+        return null;
+    }
+
+    // 記錄目前本地與雲端相同的欄位作為下次合併的基準
+    saveSyncBase(apiResponse) {
+        const keys = this.getMergeTargetKeys();
+        if (!keys || !apiResponse) {
+            return;
+        }
+        const userInfo = this.getUserInfo() || {};
+        const base = InfBodyDataMerge.createBase(this.getLocalMergeSnapshot(), this.getCloudMergeSnapshot(apiResponse, keys));
+        this.tokenStore.setItem('inf_bodydata_sync_base', JSON.stringify({
+            sub: userInfo.sub || '',
+            gender: keys.gender,
+            base: base
+        }));
+    }
+
+    // 將合併結果寫回本地與雲端（只寫入有變更的一邊）
+    async applyMergedData(merged, local, cloud, keys, apiResponse) {
+        const storageKeys = { body: 'BodyID_size', foot: 'BodyID_Foot_size' };
+        let localChanged = false;
+        let latestApiResponse = apiResponse;
+
+        // 雲端：以雲端既有資料為底（沒有時使用本地資料），只覆寫變更的欄位
+        const cloudUpdates = {};
+        ['body', 'foot'].forEach(section => {
+            const changedFields = InfBodyDataMerge.getChangedFields(merged, cloud, section);
+            if (changedFields.length === 0) return;
+            const record = Object.keys(cloud[section]).length > 0 ? { ...cloud[section] } : { ...local[section] };
+            changedFields.forEach(field => {
+                record[field] = merged[section][field];
+            });
+            record.Gender = keys.gender;
+            cloudUpdates[keys[section]] = record;
+        });
+
+        if (Object.keys(cloudUpdates).length > 0) {
+            const { data } = await InfBodyDataOutbox.getInstance().submit({ ...(apiResponse?.BodyData || {}), ...cloudUpdates }, null, {}, 'merge');
+            this.saveApiResponse(data);
+            latestApiResponse = data;
+        }
+
+        // 本地：以本地既有資料為底（沒有時使用雲端資料），只覆寫變更的欄位
+        ['body', 'foot'].forEach(section => {
+            const changedFields = InfBodyDataMerge.getChangedFields(merged, local, section);
+            if (changedFields.length === 0) return;
+            const record = Object.keys(local[section]).length > 0 ? { ...local[section] } : { ...cloud[section] };
+            changedFields.forEach(field => {
+                record[field] = merged[section][field];
+            });
+            // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值（與下載雲端資料相同）
+            if (record.Pattern_Prefer !== undefined) {
+                record.FitP = record.Pattern_Prefer;
+            }
+            record.TS = Date.now();
+            getInfLocalBodyStore().setItem(storageKeys[section], JSON.stringify(record));
+            localChanged = true;
+        });
+
+        this.saveSyncBase(latestApiResponse);
+
+        if (!localChanged && Object.keys(cloudUpdates).length === 0) {
+            return;
+        }
+
+        showNotification(InfI18n.t('notify.merged'), 'success');
+
+        if (localChanged) {
+            localStorage.setItem('data_modified_flag', 'true');
+            window.dispatchEvent(new CustomEvent('localStorage-updated', {
+                detail: {
+                    keys: ['BodyID_size', 'BodyID_Foot_size', 'Gender_Last']
+                }
+            }));
+
+            // 尺寸推薦引擎在載入時讀取本地資料，等待本地資料與同步基準寫入存儲後重新整理頁面套用
+            await Promise.all([getInfLocalBodyStore().flush(), this.tokenStore.flush()]);
+            window.location.reload();
+        }
+    }
+
+    // 合併欄位的顯示名稱與格式
+    formatMergeFieldValue(field, value) {
+        if (!value) {
+            return InfI18n.t('common.unset');
+        }
+        if (field === 'FH') {
+            return `${InfUnits.format(field, value)}（${InfShoeSizes.formatPreferred(value, localStorage.getItem('Gender_Last'))}）`;
         }
+        return field === 'CC' ? InfUnits.formatChest(value) : InfUnits.format(field, value);
     }
 
-    // 顯示資料版本選擇對話框
-    async showDataVersionDialog() {
+    // 顯示欄位衝突選擇對話框，回傳 { 'body.HV': 'local' | 'cloud' }，取消時回傳 null
+    async showFieldConflictDialog(conflicts) {
+
         return new Promise((resolve) => {
             // 檢查是否已經有對話框正在顯示
-            const existingOverlay = document.getElementById('data-version-overlay');
-            if (existingOverlay) {
-                resolve('cancel');
+            if (document.getElementById('data-version-overlay')) {
+                resolve(null);
                 return;
             }
 
-            // 創建遮罩層
             const overlay = document.createElement('div');
             overlay.className = 'custom-confirm-overlay';
             overlay.id = 'data-version-overlay';
 
-            // 獲取本地和雲端資料進行比較顯示
-            const localData = this.getLocalDataInfo();
-            const cloudData = this.getCloudDataInfo();
-
             // 添加專用的 CSS 樣式，確保不影響頁面其他元素
             const style = document.createElement('style');
             style.id = 'data-version-dialog-styles';
             style.textContent = `
-                * {
-                    box-sizing: border-box;
-                }
-                
                 #data-version-overlay {
                     position: fixed !important;
                     top: 0 !important;
                     left: 0 !important;
                     width: 100vw !important;
                     height: 100vh !important;
-                    background: rgba(0, 0, 0, 0.5) !important;
+                    background: var(--inf-color-overlay, rgba(0, 0, 0, 0.5)) !important;
                     display: flex !important;
                     justify-content: center !important;
                     align-items: center !important;
                     z-index: 10000 !important;
                     opacity: 0 !important;
                     transition: opacity 0.3s ease !important;
-                    pointer-events: auto !important;
                     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
                 }
-                
+
                 #data-version-overlay.show {
                     opacity: 1 !important;
                 }
-                
+
                 #data-version-overlay * {
                     box-sizing: border-box !important;
                 }
-                
+
                 #data-version-overlay .custom-confirm-modal {
-                    background: white !important;
+                    background: var(--inf-color-surface, white) !important;
                     border-radius: 12px !important;
                     box-shadow: 0 25px 50px rgba(0, 0, 0, 0.3) !important;
                     max-width: 500px !important;
                     width: 90% !important;
                     max-height: 90vh !important;
                     overflow-y: auto !important;
-                    position: relative !important;
-                    margin: 0 !important;
                 }
-                
+
                 #data-version-overlay .custom-confirm-header {
                     padding: 20px !important;
-                    border-bottom: 1px solid #e5e7eb !important;
+                    border-bottom: 1px solid var(--inf-color-border, #e5e7eb) !important;
                     text-align: center !important;
                 }
-                
+
                 #data-version-overlay .custom-confirm-title {
                     margin: 0 !important;
                     font-size: 18px !important;
                     font-weight: 600 !important;
                     color: #1f2937 !important;
-                    font-family: inherit !important;
                 }
-                
+
                 #data-version-overlay .custom-confirm-content {
                     padding: 20px !important;
                 }
-                
+
                 #data-version-overlay .custom-confirm-message {
-                    margin: 0 0 20px 0 !important;
+                    margin: 0 0 16px 0 !important;
                     text-align: center !important;
-                    color: #6b7280 !important;
-                    font-size: 14px !important;
+                    color: var(--inf-color-text-secondary, #6b7280) !important;
+                    font-size: var(--inf-font-size, 14px) !important;
                     line-height: 1.5 !important;
-                    font-family: inherit !important;
                 }
-                
-                #data-version-overlay .data-comparison {
+
+                #data-version-overlay .field-conflict {
+                    margin: 0 0 16px 0 !important;
+                }
+
+                #data-version-overlay .field-conflict__label {
+                    margin: 0 0 8px 0 !important;
+                    font-size: var(--inf-font-size, 14px) !important;
+                    font-weight: 600 !important;
+                    color: var(--inf-color-text, #374151) !important;
+                }
+
+                #data-version-overlay .field-conflict__options {
                     display: flex !important;
-                    gap: 15px !important;
-                    margin: 20px 0 !important;
+                    gap: 10px !important;
                 }
-                
+
                 #data-version-overlay .data-card {
                     flex: 1 !important;
                     min-width: 0 !important;
-                    padding: 15px !important;
-                    border: 2px solid #e5e7eb !important;
+                    padding: 12px !important;
+                    border: 2px solid var(--inf-color-border, #e5e7eb) !important;
                     border-radius: 8px !important;
                     background: #f5f5f5 !important;
-                    position: relative !important;
-                    overflow: hidden !important;
+                    color: var(--inf-color-text-muted, #9ca3af) !important;
+                    font-size: var(--inf-font-size-sm, 13px) !important;
+                    text-align: left !important;
                     cursor: pointer !important;
                     transition: all 0.2s ease !important;
                 }
-                
-                #data-version-overlay .data-card:hover {
-                    border-color: #111111 !important;
-                    background: #ffffff !important;
-                    transform: none !important;
-                    box-shadow: 0 2px 0 rgba(0, 0, 0, 0.05) !important;
-                }
-                
+
+                #data-version-overlay .data-card:hover,
                 #data-version-overlay .data-card.selected {
                     border-color: #111111 !important;
-                    background: #ffffff !important;
-                    box-shadow: 0 2px 0 rgba(0, 0, 0, 0.05) !important;
-                }
-                
-                #data-version-overlay .data-card.selected::after {
-                    content: '✓' !important;
-                    position: absolute !important;
-                    top: 10px !important;
-                    right: 10px !important;
-                    width: 24px !important;
-                    height: 24px !important;
-                    border-radius: 9999px !important;
-                    background: #111111 !important;
-                    color: #ffffff !important;
-                    font-size: 14px !important;
-                    line-height: 24px !important;
-                    text-align: center !important;
-                    box-shadow: 0 0 0 2px #ffffff !important;
-                }
-                
-                #data-version-overlay .data-card.selected:hover {
-                    transform: none !important;
-                }
-                
-                #data-version-overlay .data-card p {
-                    margin: 0 0 10px 0 !important;
-                    color: #9ca3af !important;
-                    font-size: 14px !important;
-                    font-weight: 600 !important;
-                    font-family: inherit !important;
-                    line-height: 1.2 !important;
-                }
-                
-                #data-version-overlay .data-card.selected p {
+                    background: var(--inf-color-surface, #ffffff) !important;
                     color: #111827 !important;
                 }
-                
-                #data-version-overlay .data-info {
-                    font-family: inherit !important;
-                }
-                
-                #data-version-overlay .data-info div {
+
+                #data-version-overlay .data-card__source {
+                    display: block !important;
                     margin: 0 0 4px 0 !important;
-                    padding: 0 !important;
                     font-size: 12px !important;
-                    color: #9ca3af !important;
-                    line-height: 1.4 !important;
-                    border: none !important;
-                    background: none !important;
-                    width: 100% !important;
-                    white-space: nowrap !important;
-                    overflow: hidden !important;
-                    text-overflow: ellipsis !important;
-                }
-                
-                #data-version-overlay .data-card.selected .data-info div {
-                    color: #111827 !important;
-                }
-                
-                #data-version-overlay .data-info div:last-child {
-                    margin-bottom: 0 !important;
+                    font-weight: 600 !important;
                 }
-                
+
                 #data-version-overlay .custom-confirm-actions {
                     display: flex !important;
-                    gap: 10px !important;
                     justify-content: center !important;
                     margin-top: 20px !important;
-                    flex-wrap: wrap !important;
                 }
-                
+
                 #data-version-overlay .custom-confirm-btn {
                     border: none !important;
                     padding: 10px 20px !important;
                     border-radius: 6px !important;
                     cursor: pointer !important;
                     font-weight: 500 !important;
-                    font-size: 14px !important;
-                    font-family: inherit !important;
+                    font-size: var(--inf-font-size, 14px) !important;
                     min-width: 100px !important;
-                    transition: all 0.2s ease !important;
-                    outline: none !important;
-                    text-decoration: none !important;
-                }
-                
-                #data-version-overlay .custom-confirm-btn:hover {
-                    opacity: 0.9 !important;
+                    background: var(--inf-color-info, #3b82f6) !important;
+                    color: var(--inf-color-on-primary, white) !important;
                 }
-                
+
                 @media (max-width: 480px) {
-                    #data-version-overlay .data-comparison {
-                        flex-direction: column !important;
-                        gap: 15px !important;
-                    }
-                    
-                    #data-version-overlay .custom-confirm-actions {
+                    #data-version-overlay .field-conflict__options {
                         flex-direction: column !important;
                     }
-                    
+
                     #data-version-overlay .custom-confirm-btn {
                         width: 100% !important;
-                        min-width: auto !important;
                     }
                 }
             `;
-            
+
             // 先移除舊的樣式（如果存在）
             const existingStyle = document.getElementById('data-version-dialog-styles');
             if (existingStyle) {
                 existingStyle.remove();
             }
-            
             document.head.appendChild(style);
 
-            // 創建彈窗內容
+            const choices = {};
+            const rowsHtml = conflicts.map(conflict => {
+                const key = `${conflict.section}.${conflict.field}`;
+                choices[key] = conflict.preferred;
+                return `
+                    <div class="field-conflict" data-key="${key}">
+                        <p class="field-conflict__label">${InfMeasurementSchema.getLabel(conflict.field)}</p>
+                        <div class="field-conflict__options">
+                            <button type="button" class="data-card${conflict.preferred === 'cloud' ? ' selected' : ''}" data-choice="cloud">
+                                <span class="data-card__source">${InfI18n.t('merge.cloud')}</span>${this.formatMergeFieldValue(conflict.field, conflict.cloud)}
+                            </button>
+                            <button type="button" class="data-card${conflict.preferred === 'local' ? ' selected' : ''}" data-choice="local">
+                                <span class="data-card__source">${InfI18n.t('merge.local')}</span>${this.formatMergeFieldValue(conflict.field, conflict.local)}
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
             overlay.innerHTML = `
-                <div class="custom-confirm-modal">
+                <div class="custom-confirm-modal" role="dialog" aria-modal="true" aria-labelledby="data-version-dialog-title">
                     <div class="custom-confirm-header">
-                        <h3 class="custom-confirm-title">選擇要使用的資料版本</h3>
+                        <h3 class="custom-confirm-title" id="data-version-dialog-title">${InfI18n.t('merge.title')}</h3>
                     </div>
                     <div class="custom-confirm-content">
-                        <p class="custom-confirm-message">發現本地和雲端都有尺寸資料，請選擇要使用哪個版本：</p>
-                        
-                        <div class="data-comparison">
-                            <div class="data-card selected" id="cloud-data-card">
-                                <p>☁️ 雲端資料</p>
-                                <div class="data-info">
-                                    <div style="font-weight: 600; margin-bottom: 8px; color: #374151;">身體尺寸</div>
-                                    <div>身高：${cloudData.height}</div>
-                                    <div>體重：${cloudData.weight}</div>
-                                    <div>性別：${cloudData.gender}</div>
-                                    <div>胸圍：${cloudData.cc}</div>
-                                    <div style="font-weight: 600; margin: 12px 0 8px 0; color: #374151;">腳部尺寸</div>
-                                    <div>腳長：${cloudData.footLength}</div>
-                                    <div>腳寬：${cloudData.footWidth}</div>
-                                    <div>腳圍：${cloudData.footCircumference}</div>
-                                </div>
-                            </div>
-                            
-                            <div class="data-card" id="local-data-card">
-                                <p>📱 本地資料</p>
-                                <div class="data-info">
-                                    <div style="font-weight: 600; margin-bottom: 8px; color: #374151;">身體尺寸</div>
-                                    <div>身高：${localData.height}</div>
-                                    <div>體重：${localData.weight}</div>
-                                    <div>性別：${localData.gender}</div>
-                                    <div>胸圍：${localData.cc}</div>
-                                    <div style="font-weight: 600; margin: 12px 0 8px 0; color: #374151;">腳部尺寸</div>
-                                    <div>腳長：${localData.footLength}</div>
-                                    <div>腳寬：${localData.footWidth}</div>
-                                    <div>腳圍：${localData.footCircumference}</div>
-                                </div>
-                            </div>
-                        </div>
-                        
+                        <p class="custom-confirm-message">${InfI18n.t('merge.message')}</p>
+                        ${rowsHtml}
                         <div class="custom-confirm-actions">
-                            <button class="custom-confirm-btn" id="confirm-btn" style="background: #3b82f6; color: white;">確定</button>
+                            <button class="custom-confirm-btn" id="confirm-btn">${InfI18n.t('common.confirm')}</button>
                         </div>
                     </div>
                 </div>
             `;
 
-            // 添加到頁面
-            document.body.appendChild(overlay);
+            document.body.appendChild(InfTheme.apply(overlay));
 
             // 顯示動畫
             setTimeout(() => {
                 overlay.classList.add('show');
             }, 10);
 
+            const handleEsc = (e) => {
+                if (e.key === 'Escape') {
+                    closeModal(null);
+                }
+            };
+            const releaseFocus = InfA11y.trapFocus(overlay.querySelector('.custom-confirm-modal'));
+
             // 關閉函數
             const closeModal = (result) => {
+                document.removeEventListener('keydown', handleEsc);
+                releaseFocus();
                 overlay.classList.remove('show');
                 setTimeout(() => {
                     if (overlay.parentNode) {
                         overlay.parentNode.removeChild(overlay);
                     }
-                    // 移除樣式
                     const dialogStyle = document.getElementById('data-version-dialog-styles');
                     if (dialogStyle) {
                         dialogStyle.remove();
@@ -6923,255 +10992,42 @@ class InfGoogleLoginComponent extends HTMLElement {
                 }, 200);
             };
 
-            // 卡片選擇邏輯
-            let selectedData = 'cloud'; // 預設選擇雲端資料
-            const cloudCard = overlay.querySelector('#cloud-data-card');
-            const localCard = overlay.querySelector('#local-data-card');
-
-            const selectCard = (card, dataType) => {
-                // 移除所有卡片的選中狀態
-                cloudCard.classList.remove('selected');
-                localCard.classList.remove('selected');
-                
-                // 設置選中卡片的樣式
-                card.classList.add('selected');
-                
-                selectedData = dataType;
-            };
-
-            // 綁定卡片點擊事件
-            cloudCard.addEventListener('click', () => selectCard(cloudCard, 'cloud'));
-            localCard.addEventListener('click', () => selectCard(localCard, 'local'));
-
-            // 按鈕事件
-            const confirmBtn = overlay.querySelector('#confirm-btn');
-
-            confirmBtn.addEventListener('click', () => {
-                closeModal(selectedData);
+            // 每個衝突欄位各自選擇
+            overlay.querySelectorAll('.field-conflict').forEach(row => {
+                row.querySelectorAll('.data-card').forEach(card => {
+                    card.addEventListener('click', () => {
+                        row.querySelectorAll('.data-card').forEach(item => item.classList.remove('selected'));
+                        card.classList.add('selected');
+                        choices[row.dataset.key] = card.dataset.choice;
+                    });
+                });
             });
 
+            overlay.querySelector('#confirm-btn').addEventListener('click', () => closeModal(choices));
+
             // 點擊遮罩層關閉
             overlay.addEventListener('click', (e) => {
                 if (e.target === overlay) {
-                    closeModal('cancel');
+                    closeModal(null);
                 }
             });
 
-            // ESC 鍵關閉
-            const handleEsc = (e) => {
-                if (e.key === 'Escape') {
-                    document.removeEventListener('keydown', handleEsc);
-                    closeModal('cancel');
-                }
-            };
             document.addEventListener('keydown', handleEsc);
         });
     }
 
-    // 獲取本地資料資訊
-    getLocalDataInfo() {
-        try {
-            const bodyIdSizeLast = localStorage.getItem('BodyID_size');
-            const bodyIdFootSizeLast = localStorage.getItem('BodyID_Foot_size');
-            const genderLast = localStorage.getItem('Gender_Last');
-            
-            if ((!bodyIdSizeLast && !bodyIdFootSizeLast) || !genderLast) {
-                return { 
-                    height: '未設定', 
-                    weight: '未設定', 
-                    gender: '未設定', 
-                    cc: '未設定',
-                    footLength: '未設定',
-                    footWidth: '未設定',
-                    footCircumference: '未設定'
-                };
-            }
-            
-            let bodyData = null;
-            let footData = null;
-            
-            // 解析身體資料
-            if (bodyIdSizeLast) {
-                bodyData = JSON.parse(bodyIdSizeLast);
-            }
-            
-            // 解析腳部資料
-            if (bodyIdFootSizeLast) {
-                footData = JSON.parse(bodyIdFootSizeLast);
-            }
-            
-            // 處理 CC 資料格式（來自身體資料）
-            let ccValue = '未設定';
-            if (bodyData && bodyData.CC && bodyData.CC.trim() !== '') {
-                // 如果是數字+字母格式（如28A），保持原樣
-                if (/^\d+[A-G]$/.test(bodyData.CC)) {
-                    ccValue = bodyData.CC;
-                } else if (bodyData.CC.includes('_')) {
-                    // 如果是上胸圍_下胸圍格式（如66_60），格式化為統一顯示
-                    const parts = bodyData.CC.split('_');
-                    if (parts.length >= 2) {
-                        ccValue = `上胸圍 ${parts[0]} cm / 下胸圍 ${parts[1]} cm`;
-                    } else {
-                        ccValue = `${bodyData.CC} cm`;
-                    }
-                } else {
-                    // 單一數值，格式化為上胸圍格式
-                    ccValue = `上胸圍 ${bodyData.CC} cm`;
-                }
-            }
-            
-            return {
-                height: bodyData && bodyData.HV ? `${bodyData.HV} cm` : '未設定',
-                weight: bodyData && bodyData.WV ? `${bodyData.WV} kg` : '未設定',
-                gender: genderLast === 'M' ? '男性' : genderLast === 'F' ? '女性' : '未設定',
-                cc: ccValue,
-                footLength: footData && footData.FH ? `${footData.FH} cm` : '未設定',
-                footWidth: footData && footData.FW ? `${footData.FW} cm` : '未設定',
-                footCircumference: footData && footData.FCir ? `${footData.FCir} cm` : '未設定'
-            };
-        } catch (error) {
-            return { 
-                height: '未設定', 
-                weight: '未設定', 
-                gender: '未設定', 
-                cc: '未設定',
-                footLength: '未設定',
-                footWidth: '未設定',
-                footCircumference: '未設定'
-            };
-        }
-    }
-
-    // 獲取雲端資料資訊
-    getCloudDataInfo() {
-        try {
-            const apiResponse = this.getApiResponse();
-            
-            const bodyData = apiResponse?.BodyData || {};
-            
-            // 根據本地性別決定要比較哪個雲端資料
-            const localGender = localStorage.getItem('Gender_Last');
-            
-            let bodyTargetKey = null;
-            let shoesTargetKey = null;
-            if (localGender === 'M') {
-                bodyTargetKey = 'bodyM';
-                shoesTargetKey = 'shoesM';
-            } else if (localGender === 'F') {
-                bodyTargetKey = 'bodyF';
-                shoesTargetKey = 'shoesF';
-            }
-            
-            // 取得身體資料
-            let bodyUserData = null;
-            if (bodyTargetKey && bodyData[bodyTargetKey]) {
-                bodyUserData = bodyData[bodyTargetKey];
-            }
-            
-            // 取得腳部資料
-            let shoesUserData = null;
-            if (shoesTargetKey && bodyData[shoesTargetKey]) {
-                shoesUserData = bodyData[shoesTargetKey];
-            }
-            
-            // 如果沒有對應的身體資料，回退到原邏輯
-            if (!bodyUserData) {
-                const userKeys = Object.keys(bodyData);
-                if (userKeys.length > 0) {
-                    const defaultUserKey = apiResponse.BodyData_ptr || userKeys[0];
-                    bodyUserData = bodyData[defaultUserKey];
-                }
-            }
-            
-            // 處理身體資料
-            let genderDisplay = '未設定';
-            let ccValue = '未設定';
-            let height = '未設定';
-            let weight = '未設定';
-            
-            if (bodyUserData) {
-                const bodyInfo = bodyUserData;
-                
-                // 性別顯示
-                if (bodyTargetKey === 'bodyM') {
-                    genderDisplay = '男性';
-                } else if (bodyTargetKey === 'bodyF') {
-                    genderDisplay = '女性';
-                } else if (bodyInfo.Gender) {
-                    genderDisplay = bodyInfo.Gender === 'M' ? '男性' : bodyInfo.Gender === 'F' ? '女性' : '未設定';
-                }
-                
-                // 處理 CC 資料格式
-                if (bodyInfo.CC && bodyInfo.CC.trim() !== '') {
-                    // 如果是數字+字母格式（如28A），保持原樣
-                    if (/^\d+[A-G]$/.test(bodyInfo.CC)) {
-                        ccValue = bodyInfo.CC;
-                    } else if (bodyInfo.CC.includes('_')) {
-                        // 如果是上胸圍_下胸圍格式（如66_60），格式化為統一顯示
-                        const parts = bodyInfo.CC.split('_');
-                        if (parts.length >= 2) {
-                            ccValue = `上胸圍 ${parts[0]} cm / 下胸圍 ${parts[1]} cm`;
-                        } else {
-                            ccValue = `${bodyInfo.CC} cm`;
-                        }
-                    } else {
-                        // 單一數值，格式化為上胸圍格式
-                        ccValue = `上胸圍 ${bodyInfo.CC} cm`;
-                    }
-                }
-                
-                height = bodyInfo.HV ? `${bodyInfo.HV} cm` : '未設定';
-                weight = bodyInfo.WV ? `${bodyInfo.WV} kg` : '未設定';
-            }
-            
-            // 處理腳部資料
-            let footLength = '未設定';
-            let footWidth = '未設定';
-            let footCircumference = '未設定';
-            
-            if (shoesUserData) {
-                const shoesInfo = shoesUserData;
-                footLength = shoesInfo.FH ? `${shoesInfo.FH} cm` : '未設定';
-                footWidth = shoesInfo.FW ? `${shoesInfo.FW} cm` : '未設定';
-                footCircumference = shoesInfo.FCir ? `${shoesInfo.FCir} cm` : '未設定';
-            }
-            
-            const result = {
-                height: height,
-                weight: weight,
-                gender: genderDisplay,
-                cc: ccValue,
-                footLength: footLength,
-                footWidth: footWidth,
-                footCircumference: footCircumference
-            };
-            return result;
-            
-        } catch (error) {
-            return { 
-                height: '未設定', 
-                weight: '未設定', 
-                gender: '未設定', 
-                cc: '未設定',
-                footLength: '未設定',
-                footWidth: '未設定',
-                footCircumference: '未設定'
-            };
-        }
-    }
-
     // 調用 update_bodydata API 的函數（供外部調用）
     async updateBodyDataAPI(bodyData, shouldTriggerFindMySize = true) {
         try {
             
             // 獲取憑證
-            const credential = localStorage.getItem('google_auth_credential');
+            const credential = this.tokenStore.getItem('google_auth_credential');
             if (!credential) {
                     return;
                 }
                 
             // 獲取用戶 sub
-            const userInfo = JSON.parse(localStorage.getItem('google_user_info') || '{}');
+            const userInfo = JSON.parse(this.tokenStore.getItem('google_user_info') || '{}');
             const sub = userInfo.sub;
             if (!sub) {
                 return;
@@ -7181,106 +11037,72 @@ class InfGoogleLoginComponent extends HTMLElement {
             const urlParams = new URLSearchParams(window.location.search);
             const genderFromUrl = urlParams.toString().split('&')[0]; // 取得第一個參數，例如 'F'
             
-            // 根據 URL 參數設置 BodyData 格式和 BodyData_ptr
-            let formattedBodyData, bodyDataPtr;
-            if (genderFromUrl === 'F') {
-                formattedBodyData = { bodyF: bodyData };
-                bodyDataPtr = 'bodyF';
-            } else if (genderFromUrl === 'M') {
-                formattedBodyData = { bodyM: bodyData };
-                bodyDataPtr = 'bodyM';
-            } else {
-                // 預設為女性
-                formattedBodyData = { bodyF: bodyData };
-                bodyDataPtr = 'bodyF';
-            }
+            // 根據 URL 參數設置 BodyData 格式和 BodyData_ptr（預設為女性）
+            // 使用中的是家庭成員時寫入該成員，保留名稱與頭像顏色，BodyData_ptr 維持不變
+            const target = InfHouseholdProfiles.getMeasureTarget(this.getApiResponse(), genderFromUrl);
+            const formattedBodyData = { [target.userKey]: { ...target.base, ...bodyData } };
+            const bodyDataPtr = target.userKey;
             
             
-            // 構建 API 請求
-            const payload = {
-                BodyData: formattedBodyData,
-                BodyData_ptr: bodyDataPtr,
-                update_bodydata: true,
-                credential: credential,
-                sub: sub,
-                IDTYPE: 'Google'
-            };
-
-
-            const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-
-            if (response.ok) {
-                const result = await response.json();
-                
-                // 更新本地儲存的 API 回應
-                localStorage.setItem('inffits_api_response', JSON.stringify(result));
-                
-                // 同時更新本地的 BodyID_size 和 Gender_Last
-                if (genderFromUrl === 'F') {
-                    // 女性：整包 bodyData 保存到 BodyID_size
-                    // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
-                    if (bodyData.CC === "null_null") {
-                        bodyData.CC = "";
-                    }
-                    // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
-                    if (bodyData.Pattern_Prefer !== undefined) {
-                        bodyData.FitP = bodyData.Pattern_Prefer;
-                    }
-                    if(shouldTriggerFindMySize){
-                    localStorage.setItem('BodyID_size', JSON.stringify(bodyData));
-                    localStorage.setItem('Gender_Last', 'F');
-                    }
+            // 調用 API 更新 BodyData（離線時加入佇列，result 為套用變更後的本地資料）
+            const { data: result } = await InfBodyDataOutbox.getInstance().submit(formattedBodyData, bodyDataPtr, { credential: credential, sub: sub }, 'measure');
+            
+            // 更新本地儲存的 API 回應
+            this.tokenStore.setItem('inffits_api_response', JSON.stringify(result));
+            
+            // 同時更新本地的 BodyID_size 和 Gender_Last
+            if (genderFromUrl === 'F') {
+                // 女性：整包 bodyData 保存到 BodyID_size
+                // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
+                if (bodyData.CC === "null_null") {
+                    bodyData.CC = "";
+                }
+                // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
+                if (bodyData.Pattern_Prefer !== undefined) {
+                    bodyData.FitP = bodyData.Pattern_Prefer;
+                }
+                if(shouldTriggerFindMySize){
+                getInfLocalBodyStore().setItem('BodyID_size', JSON.stringify(bodyData));
+                localStorage.setItem('Gender_Last', 'F');
+                }
 
-                    // 設置資料修改標記
-                    localStorage.setItem('data_modified_flag', 'true');
-                } else if (genderFromUrl === 'M') {
-                    // 男性：整包 bodyData 保存到 BodyID_size
-                    // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
-                    if (bodyData.CC === "null_null") {
-                        bodyData.CC = "";
-                    }
-                    // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
-                    if (bodyData.Pattern_Prefer !== undefined) {
-                        bodyData.FitP = bodyData.Pattern_Prefer;
-                    }
-                    if(shouldTriggerFindMySize){
-                    localStorage.setItem('BodyID_size', JSON.stringify(bodyData));
-                    localStorage.setItem('Gender_Last', 'M');
-                    }
-                    // 設置資料修改標記
-                    localStorage.setItem('data_modified_flag', 'true');
+                // 設置資料修改標記
+                localStorage.setItem('data_modified_flag', 'true');
+            } else if (genderFromUrl === 'M') {
+                // 男性：整包 bodyData 保存到 BodyID_size
+                // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
+                if (bodyData.CC === "null_null") {
+                    bodyData.CC = "";
+                }
+                // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
+                if (bodyData.Pattern_Prefer !== undefined) {
+                    bodyData.FitP = bodyData.Pattern_Prefer;
                 }
-                
-                // 觸發更新事件
-                window.dispatchEvent(new StorageEvent('storage', {
-                    key: 'inffits_api_response',
-                    newValue: JSON.stringify(result),
-                    oldValue: null,
-                    storageArea: localStorage
-                }));
-                
-                // 觸發本地資料更新事件
                 if(shouldTriggerFindMySize){
-                window.dispatchEvent(new CustomEvent('localStorage-updated', {
-                    detail: {
-                        keys: ['BodyID_size', 'Gender_Last']
-                    }
-                }));
+                getInfLocalBodyStore().setItem('BodyID_size', JSON.stringify(bodyData));
+                localStorage.setItem('Gender_Last', 'M');
+                }
+                // 設置資料修改標記
+                localStorage.setItem('data_modified_flag', 'true');
             }
-                
-                // 確保 BodyID_size 有 TS 字段
-                ensureBodyIDSizeHasTS();
-                
-                // 完全移除 Find My Size 觸發邏輯，避免畫面變空
-                
-            } else {
+            
+            // 通知其他分頁、iframe 與同頁組件
+            this.authBus.publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: result });
+            
+            // 觸發本地資料更新事件
+            if(shouldTriggerFindMySize){
+            window.dispatchEvent(new CustomEvent('localStorage-updated', {
+                detail: {
+                    keys: ['BodyID_size', 'Gender_Last']
+                }
+            }));
             }
+            
+            // 確保 BodyID_size 有 TS 字段
+            ensureBodyIDSizeHasTS();
+            
+            // 完全移除 Find My Size 觸發邏輯，避免畫面變空
+            
         } catch (error) {
         }
     }
@@ -7289,8 +11111,8 @@ class InfGoogleLoginComponent extends HTMLElement {
     async uploadFootMeasurementData(footData, genderFromUrl, shouldTriggerFindMySize = true) {
         try {
             // 獲取憑證資料
-            const credential = localStorage.getItem('google_auth_credential');
-            const userInfoStr = localStorage.getItem('google_user_info');
+            const credential = this.tokenStore.getItem('google_auth_credential');
+            const userInfoStr = this.tokenStore.getItem('google_user_info');
             let sub = '';
             
             if (userInfoStr) {
@@ -7336,123 +11158,94 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
             
             console.log('最終格式化的 BodyData:', formattedBodyData);
-            console.log('BodyData_ptr:', bodyDataPtr);
-            
-            const payload = {
-                BodyData: formattedBodyData,
-                BodyData_ptr: bodyDataPtr,
-                update_bodydata: true,
-                credential: credential,
-                sub: sub,
-                IDTYPE: 'Google'
-            };
-
-            const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-
-            if (response.ok) {
-                const result = await response.json();
-                console.log('✅ API 回應成功:', result);
-                
-                // 檢查 API 是否真的更新了 shoesF/shoesM 資料
-                if (result.BodyData) {
-                    console.log('API 回應的 BodyData:', result.BodyData);
-                    if (result.BodyData.shoesF) {
-                        console.log('API 更新後的 shoesF:', result.BodyData.shoesF);
-                    }
-                    if (result.BodyData.shoesM) {
-                        console.log('API 更新後的 shoesM:', result.BodyData.shoesM);
-                    }
-                } else {
-                    console.warn('⚠️ API 回應中沒有 BodyData');
+            console.log('BodyData_ptr:', bodyDataPtr);
+            
+            const { data: result } = await InfBodyDataOutbox.getInstance().submit(formattedBodyData, bodyDataPtr, { credential: credential, sub: sub }, 'measure');
+            console.log('✅ API 回應成功:', result);
+            
+            // 檢查 API 是否真的更新了 shoesF/shoesM 資料
+            if (result.BodyData) {
+                console.log('API 回應的 BodyData:', result.BodyData);
+                if (result.BodyData.shoesF) {
+                    console.log('API 更新後的 shoesF:', result.BodyData.shoesF);
                 }
+                if (result.BodyData.shoesM) {
+                    console.log('API 更新後的 shoesM:', result.BodyData.shoesM);
+                }
+            } else {
+                console.warn('⚠️ API 回應中沒有 BodyData');
+            }
+            
+            // 更新本地儲存的 API 回應
+            this.tokenStore.setItem('inffits_api_response', JSON.stringify(result));
+            
+            // 重要：清除實例快取，強制重新讀取最新資料
+            this.apiResponse = null;
+            
+            // 立即更新會員資料顯示
+            this.updateBodyDataDisplay(result);
+            
+            // 同時更新本地的 BodyID_Foot_size 和 Gender_Last
+            if (genderFromUrl === 'F') {
+                // 女性：使用標準化的腳部資料保存到 BodyID_Foot_size
+                let footDataForStorage = { ...normalizedFootData };
                 
-                // 更新本地儲存的 API 回應
-                localStorage.setItem('inffits_api_response', JSON.stringify(result));
-                
-                // 重要：清除實例快取，強制重新讀取最新資料
-                this.apiResponse = null;
+                // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
+                if (footDataForStorage.CC === "null_null") {
+                    footDataForStorage.CC = "";
+                }
+                // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
+                if (footDataForStorage.Pattern_Prefer !== undefined) {
+                    footDataForStorage.FitP = footDataForStorage.Pattern_Prefer;
+                }
                 
-                // 立即更新會員資料顯示
-                this.updateBodyDataDisplay(result);
+                console.log('保存到本地的腳部資料:', footDataForStorage);
                 
-                // 同時更新本地的 BodyID_Foot_size 和 Gender_Last
-                if (genderFromUrl === 'F') {
-                    // 女性：使用標準化的腳部資料保存到 BodyID_Foot_size
-                    let footDataForStorage = { ...normalizedFootData };
-                    
-                    // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
-                    if (footDataForStorage.CC === "null_null") {
-                        footDataForStorage.CC = "";
-                    }
-                    // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
-                    if (footDataForStorage.Pattern_Prefer !== undefined) {
-                        footDataForStorage.FitP = footDataForStorage.Pattern_Prefer;
-                    }
-                    
-                    console.log('保存到本地的腳部資料:', footDataForStorage);
-                    
-                    if(shouldTriggerFindMySize){
-                        localStorage.setItem('BodyID_Foot_size', JSON.stringify(footDataForStorage));
-                        localStorage.setItem('Gender_Last', 'F');
-                    }
+                if(shouldTriggerFindMySize){
+                    getInfLocalBodyStore().setItem('BodyID_Foot_size', JSON.stringify(footDataForStorage));
+                    localStorage.setItem('Gender_Last', 'F');
+                }
 
-                    // 設置資料修改標記
-                    localStorage.setItem('data_modified_flag', 'true');
-                } else if (genderFromUrl === 'M') {
-                    // 男性：使用標準化的腳部資料保存到 BodyID_Foot_size
-                    let footDataForStorage = { ...normalizedFootData };
-                    
-                    // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
-                    if (footDataForStorage.CC === "null_null") {
-                        footDataForStorage.CC = "";
-                    }
-                    // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
-                    if (footDataForStorage.Pattern_Prefer !== undefined) {
-                        footDataForStorage.FitP = footDataForStorage.Pattern_Prefer;
-                    }
-                    
-                    console.log('保存到本地的腳部資料 (男性):', footDataForStorage);
-                    
-                    if(shouldTriggerFindMySize){
-                        localStorage.setItem('BodyID_Foot_size', JSON.stringify(footDataForStorage));
-                        localStorage.setItem('Gender_Last', 'M');
-                    }
-                    // 設置資料修改標記
-                    localStorage.setItem('data_modified_flag', 'true');
+                // 設置資料修改標記
+                localStorage.setItem('data_modified_flag', 'true');
+            } else if (genderFromUrl === 'M') {
+                // 男性：使用標準化的腳部資料保存到 BodyID_Foot_size
+                let footDataForStorage = { ...normalizedFootData };
+                
+                // 檢查 CC 欄位，如果為 "null_null" 則改為空字串
+                if (footDataForStorage.CC === "null_null") {
+                    footDataForStorage.CC = "";
+                }
+                // 將 FitP 欄位的值改為使用 Pattern_Prefer 的值
+                if (footDataForStorage.Pattern_Prefer !== undefined) {
+                    footDataForStorage.FitP = footDataForStorage.Pattern_Prefer;
                 }
                 
-                // 觸發更新事件
-                window.dispatchEvent(new StorageEvent('storage', {
-                    key: 'inffits_api_response',
-                    newValue: JSON.stringify(result),
-                    oldValue: null,
-                    storageArea: localStorage
-                }));
+                console.log('保存到本地的腳部資料 (男性):', footDataForStorage);
                 
-                // 觸發本地資料更新事件
                 if(shouldTriggerFindMySize){
-                    window.dispatchEvent(new CustomEvent('localStorage-updated', {
-                        detail: {
-                            keys: ['BodyID_Foot_size', 'Gender_Last']
-                        }
-                    }));
+                    getInfLocalBodyStore().setItem('BodyID_Foot_size', JSON.stringify(footDataForStorage));
+                    localStorage.setItem('Gender_Last', 'M');
                 }
-                
-                // 確保 BodyID_Foot_size 有 TS 字段
-                ensureBodyIDFootSizeHasTS();
-                
-            } else {
-                console.error('❌ API 調用失敗:', response.status, response.statusText);
-                const errorText = await response.text();
-                console.error('❌ 錯誤詳情:', errorText);
-                console.error('❌ 發送的 payload 是:', JSON.stringify(payload, null, 2));
+                // 設置資料修改標記
+                localStorage.setItem('data_modified_flag', 'true');
+            }
+            
+            // 通知其他分頁、iframe 與同頁組件
+            this.authBus.publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: result });
+            
+            // 觸發本地資料更新事件
+            if(shouldTriggerFindMySize){
+                window.dispatchEvent(new CustomEvent('localStorage-updated', {
+                    detail: {
+                        keys: ['BodyID_Foot_size', 'Gender_Last']
+                    }
+                }));
             }
+            
+            // 確保 BodyID_Foot_size 有 TS 字段
+            ensureBodyIDFootSizeHasTS();
+            
         } catch (error) {
             console.error('❌ uploadFootMeasurementData 發生錯誤:', error);
         }
@@ -7462,23 +11255,6 @@ class InfGoogleLoginComponent extends HTMLElement {
     async callUploadDataAPI(uploadData) {
         try {
             
-            // 獲取憑證資料
-            const storedCredential = localStorage.getItem('google_auth_credential');
-            const storedUserInfo = localStorage.getItem('google_user_info');
-            
-            if (!storedCredential) {
-                throw new Error('沒有可用的憑證');
-            }
-            
-            let subValue = '';
-            if (storedUserInfo) {
-                try {
-                    const userInfo = JSON.parse(storedUserInfo);
-                    subValue = userInfo.sub || '';
-                } catch (e) {
-                }
-            }
-            
             // 獲取現有的 API 回應
             const currentApiResponse = this.getApiResponse() || {};
             const existingBodyData = currentApiResponse.BodyData || {};
@@ -7494,38 +11270,13 @@ class InfGoogleLoginComponent extends HTMLElement {
                 }
             };
             
-            // 準備 API payload
-            const payload = {
-                BodyData: newBodyData,
-                BodyData_ptr: genderKey,
-                update_bodydata: true,
-                credential: storedCredential,
-                sub: subValue,
-                IDTYPE: 'Google'
-            };
-            
-            
-            // 發送 API 請求
-            const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-            
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP error ${response.status}: ${errorText}`);
-            }
-            
-            const data = await response.json();
+            // 發送 API 請求（離線時加入佇列，恢復連線後自動同步）
+            const { data } = await InfBodyDataOutbox.getInstance().submit(newBodyData, genderKey, {}, 'upload');
             
             // 更新本地儲存的 API 回應
             this.saveApiResponseSilently(data);
             
-            showNotification('✅ 本地資料已成功上傳到雲端', 'success');
+            showNotification(InfI18n.t('notify.uploaded'), 'success');
             
         } catch (error) {
             throw error;
@@ -7536,23 +11287,6 @@ class InfGoogleLoginComponent extends HTMLElement {
     async callUploadFootDataAPI(uploadFootData) {
         try {
             
-            // 獲取憑證資料
-            const storedCredential = localStorage.getItem('google_auth_credential');
-            const storedUserInfo = localStorage.getItem('google_user_info');
-            
-            if (!storedCredential) {
-                throw new Error('沒有可用的憑證');
-            }
-            
-            let subValue = '';
-            if (storedUserInfo) {
-                try {
-                    const userInfo = JSON.parse(storedUserInfo);
-                    subValue = userInfo.sub || '';
-                } catch (e) {
-                }
-            }
-            
             // 獲取現有的 API 回應
             const currentApiResponse = this.getApiResponse() || {};
             const existingBodyData = currentApiResponse.BodyData || {};
@@ -7569,38 +11303,17 @@ class InfGoogleLoginComponent extends HTMLElement {
                 }
             };
             
-            // 準備 API payload
-            const payload = {
-                BodyData: newBodyData,
-                BodyData_ptr: genderKey,
-                update_bodydata: true,
-                credential: storedCredential,
-                sub: subValue,
-                IDTYPE: 'Google'
-            };
-            
-            
-            // 發送 API 請求
-            const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-            
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP error ${response.status}: ${errorText}`);
-            }
-            
-            const data = await response.json();
+            // 發送 API 請求（離線時加入佇列，恢復連線後自動同步）
+            const { data, queued } = await InfBodyDataOutbox.getInstance().submit(newBodyData, genderKey, {}, 'upload');
             
             // 更新本地儲存的 API 回應
             this.saveApiResponseSilently(data);
             
-            showNotification('✅ 本地腳部資料已成功上傳到雲端', 'success');
+            if (queued) {
+                showNotification(InfI18n.t('notify.footQueued'), 'info');
+            } else {
+                showNotification(InfI18n.t('notify.footUploaded'), 'success');
+            }
             
         } catch (error) {
             throw error;
@@ -7611,23 +11324,11 @@ class InfGoogleLoginComponent extends HTMLElement {
     async restoreBodyDataFromSizeLast(sizeData) {
         try {
             
-            // 獲取憑證資料
-            const storedCredential = localStorage.getItem('google_auth_credential');
-            const storedUserInfo = localStorage.getItem('google_user_info');
-            
-            if (!storedCredential) {
+            // 沒有憑證時不恢復
+            if (!this.tokenStore.getItem('google_auth_credential')) {
                 return;
             }
             
-            let subValue = '';
-            if (storedUserInfo) {
-                try {
-                    const userInfo = JSON.parse(storedUserInfo);
-                    subValue = userInfo.sub || '';
-                } catch (e) {
-                }
-            }
-            
             // 獲取性別資料
             const genderLast = localStorage.getItem('Gender_Last');
             
@@ -7655,33 +11356,11 @@ class InfGoogleLoginComponent extends HTMLElement {
                 return;
             }
             
-            // 準備 API 請求資料
-            const payload = {
-                BodyData: newBodyData,
-                update_bodydata: true,
-                credential: storedCredential,
-                sub: subValue,
-                IDTYPE: 'Google'
-            };
-            
-            
-            // 調用 API 更新 BodyData
-            const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}`);
-            }
-            
-            const data = await response.json();
+            // 調用 API 更新 BodyData（離線時加入佇列，data 為套用變更後的本地資料）
+            const { data, queued } = await InfBodyDataOutbox.getInstance().submit(newBodyData, null, {}, 'local');
             
             // 檢查 API 是否成功（根據 message 欄位或 success 欄位）
-            const isSuccess = data.success === true || data.message === "Existing user updated";
+            const isSuccess = queued || InfFitsApiClient.isUpdateSuccess(data);
             
             if (isSuccess) {
                 // 更新本地儲存的 API 回應
@@ -7691,8 +11370,8 @@ class InfGoogleLoginComponent extends HTMLElement {
                 this.updateHeightWeightInputs(sizeData.HV, sizeData.WV);
                 
                 // 顯示成功通知
-                const genderText = genderLast === 'M' ? '男性' : genderLast === 'F' ? '女性' : '未知性別';
-                showNotification(`✅ 已從歷史記錄恢復${genderText}身體資料`, 'success');
+                const genderText = InfI18n.t(genderLast === 'M' || genderLast === 'F' ? `gender.${genderLast}` : 'gender.unknown');
+                showNotification(InfI18n.t('notify.restoredFromLocal', { gender: genderText }), 'success');
                 
                 // 觸發恢復成功事件
                 this.dispatchEvent(new CustomEvent('bodydata-restored', {
@@ -7719,23 +11398,11 @@ class InfGoogleLoginComponent extends HTMLElement {
     async restoreFootDataFromSizeLast(footSizeData) {
         try {
             
-            // 獲取憑證資料
-            const storedCredential = localStorage.getItem('google_auth_credential');
-            const storedUserInfo = localStorage.getItem('google_user_info');
-            
-            if (!storedCredential) {
+            // 沒有憑證時不恢復
+            if (!this.tokenStore.getItem('google_auth_credential')) {
                 return;
             }
             
-            let subValue = '';
-            if (storedUserInfo) {
-                try {
-                    const userInfo = JSON.parse(storedUserInfo);
-                    subValue = userInfo.sub || '';
-                } catch (e) {
-                }
-            }
-            
             // 獲取性別資料
             const genderLast = localStorage.getItem('Gender_Last');
             
@@ -7763,31 +11430,8 @@ class InfGoogleLoginComponent extends HTMLElement {
                 return;
             }
             
-            // 準備 API 請求資料
-            const payload = {
-                BodyData: newBodyData,
-                update_bodydata: true,
-                credential: storedCredential,
-                sub: subValue,
-                IDTYPE: 'Google'
-            };
-            
-            
-            // 調用 API 更新 BodyData
-            const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}`);
-            }
-            
-            // 獲取回應
-            const data = await response.json();
+            // 調用 API 更新 BodyData（離線時加入佇列）
+            const { data } = await InfBodyDataOutbox.getInstance().submit(newBodyData, null, {}, 'local');
             
             // 靜默更新本地的 API 回應資料，避免干擾使用者操作
             this.saveApiResponseSilently(data);
@@ -7829,8 +11473,8 @@ class InfGoogleLoginComponent extends HTMLElement {
         // 處理 AWS Lambda 錯誤
         handleAWSLambdaError() {
             // 清除本地的 BodyID_size 和 BodyID_Foot_size
-            localStorage.removeItem('BodyID_size');
-            localStorage.removeItem('BodyID_Foot_size');
+            getInfLocalBodyStore().removeItem('BodyID_size');
+            getInfLocalBodyStore().removeItem('BodyID_Foot_size');
             
             // 延遲重新整理頁面
             setTimeout(() => {
@@ -7848,8 +11492,23 @@ class InfGoogleLoginComponent extends HTMLElement {
     // 公開方法：登出
     signOut() {
         // 開始登出流程
+        const provider = this.getLoginProvider();
         
-        if (window.google && window.google.accounts) {
+        if (provider.name === 'google') {
+            // 清除伺服器端的 refresh token cookie
+            this.clearAuthServerSession();
+        }
+        
+        if (provider.name !== 'google') {
+            // 其他身份提供者使用各自 SDK 的登出方式
+            try {
+                if (provider.signOut) {
+                    provider.signOut(this);
+                }
+            } catch (error) {
+                console.warn(`⚠️ ${provider.label} 登出操作失敗:`, error.message);
+            }
+        } else if (window.google && window.google.accounts) {
             try {
                 // 禁用自動選擇
                 window.google.accounts.id.disableAutoSelect();
@@ -7937,6 +11596,9 @@ class InfGoogleLoginComponent extends HTMLElement {
         this.clearTokens();
         this.clearCredential();
 
+        // 離線佇列屬於登出的帳號，一併清除
+        InfBodyDataOutbox.getInstance().clear();
+
         // 重置狀態
         this.credential = null;
         this.isAuthenticated = false;
@@ -7952,13 +11614,8 @@ class InfGoogleLoginComponent extends HTMLElement {
             composed: true
         }));
 
-        // 觸發 localStorage 更新事件，通知其他組件實例
-        window.dispatchEvent(new StorageEvent('storage', {
-            key: 'google_auth_credential',
-            newValue: null,
-            oldValue: this.credential,
-            storageArea: localStorage
-        }));
+        // 通知其他分頁、iframe 與同頁組件
+        this.publishAuthState(INF_AUTH_MESSAGES.LOGOUT);
     }
 
     // 設置預設使用者
@@ -7976,51 +11633,20 @@ class InfGoogleLoginComponent extends HTMLElement {
             }
 
             // 獲取當前憑證
-            const credential = localStorage.getItem('google_auth_credential');
+            const credential = this.tokenStore.getItem('google_auth_credential');
             if (!credential) {
                 return;
             }
 
-            // 準備 API 請求資料
-            const payload = {
-                BodyData: currentApiResponse.BodyData,
-                BodyData_ptr: userKey,
-                update_bodydata: true,
-                credential: credential,
-                IDTYPE: "Google"
-            };
-
-
-            // 調用 API 更新預設使用者
-            const response = await fetch("https://api.inffits.com/inffits_account_register_and_retrieve_data/model", {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                if (response.status === 401) {
-                    // 401 錯誤處理：憑證失效，自動登出
-                    this.signOut();
-                    this.dispatchEvent(new CustomEvent('credential-expired', {
-                        detail: {
-                            message: '憑證已失效，已自動登出',
-                            timestamp: new Date().toISOString()
-                        },
-                        bubbles: true,
-                        composed: true
-                    }));
-                    throw new Error(`憑證已失效，已自動登出`);
-                }
-                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            // 調用 API 更新預設使用者（401 由 API 客戶端統一處理；離線時加入佇列）
+            const { data } = await InfBodyDataOutbox.getInstance().submit(currentApiResponse.BodyData, userKey);
 
-            // 保存新的 API 回應（不觸發額外的 storage 事件）
+            // 保存新的 API 回應，並通知其他分頁、iframe 與同頁組件切換預設使用者
             this.saveApiResponseSilently(data);
+            this.authBus.publish(INF_AUTH_MESSAGES.DEFAULT_USER_CHANGED, { userKey: userKey, apiResponse: data }, this);
+
+            // 尺寸推薦 iframe 改用新成員的資料（BodyID_size / Gender_Last）
+            updateLocalStorageFromAPI(userKey, 'HV', data.BodyData && data.BodyData[userKey] ? data.BodyData[userKey].HV : '');
 
             // 更新顯示
             this.updateBodyDataDisplay(data);
@@ -8039,7 +11665,7 @@ class InfGoogleLoginComponent extends HTMLElement {
         } catch (error) {
 
             // 顯示錯誤提示（可選）
-            this.showErrorNotification('更新預設使用者失敗: ' + error.message);
+            this.showErrorNotification(InfI18n.t('member.setDefaultFailed', { message: error.message }));
         }
     }
 
@@ -8051,11 +11677,11 @@ class InfGoogleLoginComponent extends HTMLElement {
             position: fixed;
             top: 20px;
             right: 20px;
-            background: linear-gradient(135deg, #EF4444, #DC2626);
-            color: white;
+            background: linear-gradient(135deg, var(--inf-color-danger, #EF4444), #DC2626);
+            color: var(--inf-color-on-primary, white);
             padding: 12px 16px;
-            border-radius: 8px;
-            font-size: 14px;
+            border-radius: var(--inf-radius, 8px);
+            font-size: var(--inf-font-size, 14px);
             font-weight: 500;
             box-shadow: 0 4px 12px rgba(239, 68, 68, 0.3);
             z-index: 10000;
@@ -8081,7 +11707,7 @@ class InfGoogleLoginComponent extends HTMLElement {
         document.head.appendChild(style);
 
         notification.textContent = message;
-        document.body.appendChild(notification);
+        document.body.appendChild(InfTheme.apply(notification));
 
         // 3秒後自動移除
         setTimeout(() => {
@@ -8099,11 +11725,11 @@ class InfGoogleLoginComponent extends HTMLElement {
             position: fixed;
             top: 20px;
             right: 20px;
-            background: linear-gradient(135deg, #3B82F6, #1D4ED8);
-            color: white;
+            background: linear-gradient(135deg, var(--inf-color-info, #3B82F6), #1D4ED8);
+            color: var(--inf-color-on-primary, white);
             padding: 12px 16px;
-            border-radius: 8px;
-            font-size: 14px;
+            border-radius: var(--inf-radius, 8px);
+            font-size: var(--inf-font-size, 14px);
             font-weight: 500;
             box-shadow: 0 4px 12px rgba(59, 130, 246, 0.3);
             z-index: 10000;
@@ -8112,7 +11738,7 @@ class InfGoogleLoginComponent extends HTMLElement {
             animation: slideIn 0.3s ease-out;
             display: flex;
             align-items: center;
-            gap: 8px;
+            gap: var(--inf-spacing-sm, 8px);
         `;
 
         // 添加載入動畫
@@ -8131,7 +11757,7 @@ class InfGoogleLoginComponent extends HTMLElement {
 
         notification.appendChild(spinner);
         notification.appendChild(text);
-        document.body.appendChild(notification);
+        document.body.appendChild(InfTheme.apply(notification));
 
         // 添加載入動畫的 CSS
         if (!document.getElementById('loading-spinner-style')) {
@@ -8157,11 +11783,11 @@ class InfGoogleLoginComponent extends HTMLElement {
             position: fixed;
             top: 20px;
             right: 20px;
-            background: linear-gradient(135deg, #10B981, #059669);
-            color: white;
+            background: linear-gradient(135deg, var(--inf-color-success, #10B981), #059669);
+            color: var(--inf-color-on-primary, white);
             padding: 12px 16px;
-            border-radius: 8px;
-            font-size: 14px;
+            border-radius: var(--inf-radius, 8px);
+            font-size: var(--inf-font-size, 14px);
             font-weight: 500;
             box-shadow: 0 4px 12px rgba(16, 185, 129, 0.3);
             z-index: 10000;
@@ -8171,7 +11797,7 @@ class InfGoogleLoginComponent extends HTMLElement {
         `;
 
         notification.textContent = message;
-        document.body.appendChild(notification);
+        document.body.appendChild(InfTheme.apply(notification));
 
         // 3秒後自動移除
         setTimeout(() => {
@@ -8192,24 +11818,24 @@ function updateEditFieldOnclick(fieldContainer, fieldName, userKey, newValue, fi
     let newOnclick = '';
     
     if (fieldName === 'HV') {
-        newOnclick = `editField(this, 'HV', '${userKey}', 'body', '${newValue}', '身高', 'cm')`;
+        newOnclick = `editField(this, 'HV', '${userKey}', 'body', '${newValue}', '${InfMeasurementSchema.getLabel('HV')}', 'cm')`;
     } else if (fieldName === 'WV') {
-        newOnclick = `editField(this, 'WV', '${userKey}', 'body', '${newValue}', '體重', 'kg')`;
+        newOnclick = `editField(this, 'WV', '${userKey}', 'body', '${newValue}', '${InfMeasurementSchema.getLabel('WV')}', 'kg')`;
     } else if (fieldName === 'Gender') {
-        newOnclick = `editField(this, 'Gender', '${userKey}', 'body', '${newValue}', '性別', '')`;
+        newOnclick = `editField(this, 'Gender', '${userKey}', 'body', '${newValue}', '${InfMeasurementSchema.getLabel('Gender')}', '')`;
     } else if (fieldName === 'CC') {
         const unit = /^\d+[A-G]$/.test(newValue) ? '' : 'cm';
-        newOnclick = `editField(this, 'CC', '${userKey}', 'body', '${newValue}', '胸圍', '${unit}')`;
+        newOnclick = `editField(this, 'CC', '${userKey}', 'body', '${newValue}', '${InfMeasurementSchema.getLabel('CC')}', '${unit}')`;
     } else if (fieldName === 'UpChest') {
-        newOnclick = `editField(this, 'UpChest', '${userKey}', 'body', '${newValue}', '上胸圍', '${unit}')`;
+        newOnclick = `editField(this, 'UpChest', '${userKey}', 'body', '${newValue}', '${InfMeasurementSchema.getLabel('UpChest')}', '${unit}')`;
     } else if (fieldName === 'DnChest') {
-        newOnclick = `editField(this, 'DnChest', '${userKey}', 'body', '${newValue}', '下胸圍', '${unit}')`;
+        newOnclick = `editField(this, 'DnChest', '${userKey}', 'body', '${newValue}', '${InfMeasurementSchema.getLabel('DnChest')}', '${unit}')`;
     } else if (fieldName === 'FH') {
-        newOnclick = `editField(this, 'FH', '${userKey}', 'foot', '${newValue}', '腳長', 'cm')`;
+        newOnclick = `editField(this, 'FH', '${userKey}', 'foot', '${newValue}', '${InfMeasurementSchema.getLabel('FH')}', 'cm')`;
     } else if (fieldName === 'FW') {
-        newOnclick = `editField(this, 'FW', '${userKey}', 'foot', '${newValue}', '腳寬', 'cm')`;
+        newOnclick = `editField(this, 'FW', '${userKey}', 'foot', '${newValue}', '${InfMeasurementSchema.getLabel('FW')}', 'cm')`;
     } else if (fieldName === 'FCir') {
-        newOnclick = `editField(this, 'FCir', '${userKey}', 'foot', '${newValue}', '腳圍', 'cm')`;
+        newOnclick = `editField(this, 'FCir', '${userKey}', 'foot', '${newValue}', '${InfMeasurementSchema.getLabel('FCir')}', 'cm')`;
     }
     
     if (newOnclick) {
@@ -8238,7 +11864,7 @@ function triggerFindMySizeGlobal() {
 // 確保 BodyID_size 有 TS 字段和正確的 CC 欄位的輔助函數
 function ensureBodyIDSizeHasTS() {
     try {
-        const bodyIDSize = localStorage.getItem('BodyID_size');
+        const bodyIDSize = getInfLocalBodyStore().getItem('BodyID_size');
         if (bodyIDSize) {
             const sizeData = JSON.parse(bodyIDSize);
             let needsUpdate = false;
@@ -8247,10 +11873,16 @@ function ensureBodyIDSizeHasTS() {
                 sizeData.CC = "";
                 needsUpdate = true;
             }
+
+            // 缺少 TS 時補上目前時間（本地與雲端欄位合併時依 TS 預選較新的一邊）
+            if (!sizeData.TS) {
+                sizeData.TS = Date.now();
+                needsUpdate = true;
+            }
             
             // 如果有更新，重新保存到 localStorage
             if (needsUpdate) {
-                localStorage.setItem('BodyID_size', JSON.stringify(sizeData));
+                getInfLocalBodyStore().setItem('BodyID_size', JSON.stringify(sizeData));
             }
         }
     } catch (error) {
@@ -8261,7 +11893,7 @@ function ensureBodyIDSizeHasTS() {
 // 確保 BodyID_Foot_size 有 TS 字段和正確的 CC 欄位的輔助函數
 function ensureBodyIDFootSizeHasTS() {
     try {
-        const bodyIDFootSize = localStorage.getItem('BodyID_Foot_size');
+        const bodyIDFootSize = getInfLocalBodyStore().getItem('BodyID_Foot_size');
         if (bodyIDFootSize) {
             const footSizeData = JSON.parse(bodyIDFootSize);
             let needsUpdate = false;
@@ -8270,10 +11902,16 @@ function ensureBodyIDFootSizeHasTS() {
                 footSizeData.CC = "";
                 needsUpdate = true;
             }
+
+            // 缺少 TS 時補上目前時間（本地與雲端欄位合併時依 TS 預選較新的一邊）
+            if (!footSizeData.TS) {
+                footSizeData.TS = Date.now();
+                needsUpdate = true;
+            }
             
             // 如果有更新，重新保存到 localStorage
             if (needsUpdate) {
-                localStorage.setItem('BodyID_Foot_size', JSON.stringify(footSizeData));
+                getInfLocalBodyStore().setItem('BodyID_Foot_size', JSON.stringify(footSizeData));
             }
         }
     } catch (error) {
@@ -8287,7 +11925,7 @@ function updateLocalStorageFromAPI(userKey, fieldName, newValue) {
         // console statement removed
         
         // 獲取當前 API 回應
-        const currentApiResponse = JSON.parse(localStorage.getItem('inffits_api_response') || '{}');
+        const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
         const bodyData = currentApiResponse.BodyData || {};
         
         // console statement removed
@@ -8310,10 +11948,10 @@ function updateLocalStorageFromAPI(userKey, fieldName, newValue) {
                 }
                 
                 // console statement removed
-                localStorage.setItem('BodyID_size', JSON.stringify(userData));
+                getInfLocalBodyStore().setItem('BodyID_size', JSON.stringify(userData));
                 
                 // 驗證保存結果
-                const savedData = JSON.parse(localStorage.getItem('BodyID_size') || '{}');
+                const savedData = JSON.parse(getInfLocalBodyStore().getItem('BodyID_size') || '{}');
                 // console statement removed
                 
                 // 更新性別資料
@@ -8328,10 +11966,10 @@ function updateLocalStorageFromAPI(userKey, fieldName, newValue) {
             } else if (userKey === 'shoesF' || userKey === 'shoesM') {
                 // 對於 shoesF/shoesM，整包資料保存到 BodyID_Foot_size
                 // console statement removed
-                localStorage.setItem('BodyID_Foot_size', JSON.stringify(userData));
+                getInfLocalBodyStore().setItem('BodyID_Foot_size', JSON.stringify(userData));
                 
                 // 驗證保存結果
-                const savedFootData = JSON.parse(localStorage.getItem('BodyID_Foot_size') || '{}');
+                const savedFootData = JSON.parse(getInfLocalBodyStore().getItem('BodyID_Foot_size') || '{}');
                 // console statement removed
                 
                 // 更新性別資料
@@ -8350,7 +11988,7 @@ function updateLocalStorageFromAPI(userKey, fieldName, newValue) {
                         HV: bodyInfo.HV,
                         WV: bodyInfo.WV,
                     };
-                    localStorage.setItem('BodyID_size', JSON.stringify(localSizeData));
+                    getInfLocalBodyStore().setItem('BodyID_size', JSON.stringify(localSizeData));
                     
                     // 設置資料修改標記
                     localStorage.setItem('data_modified_flag', 'true');
@@ -8392,7 +12030,7 @@ function updateLocalStorageFromAPI(userKey, fieldName, newValue) {
 function updateBMI(userKey) {
     
     // 獲取當前 API 回應
-    const currentApiResponse = JSON.parse(localStorage.getItem('inffits_api_response') || '{}');
+    const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
     
     // 獲取指定用戶的身體資料
     const userBodyData = currentApiResponse.BodyData[userKey];
@@ -8412,8 +12050,8 @@ function updateBMI(userKey) {
     }
     
     // 設定預設值
-    let bmiValue = '尚未提供';
-    let bmiStatus = '請提供身高體重';
+    let bmiValue = InfI18n.t('common.notProvided');
+    let bmiStatus = InfI18n.t('bmi.missing');
     let bmiColor = '#9CA3AF'; // 預設灰色
     
     // 檢查是否有身高和體重
@@ -8425,21 +12063,21 @@ function updateBMI(userKey) {
             // 計算 BMI (身高 cm 轉換為 m)
             const heightInMeters = height / 100;
             const bmi = (weight / (heightInMeters * heightInMeters)).toFixed(1);
-            bmiValue = bmi;
+            bmiValue = InfI18n.formatNumber(Number(bmi), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
             
             
             // 確定 BMI 狀態和顏色
             if (bmi < 18.5) {
-                bmiStatus = '體重過輕';
+                bmiStatus = InfI18n.t('bmi.underweight');
                 bmiColor = '#3B82F6';
             } else if (bmi < 24) {
-                bmiStatus = '正常範圍';
+                bmiStatus = InfI18n.t('bmi.normal');
                 bmiColor = '#10B981';
             } else if (bmi < 27) {
-                bmiStatus = '體重過重';
+                bmiStatus = InfI18n.t('bmi.overweight');
                 bmiColor = '#F59E0B';
             } else {
-                bmiStatus = '肥胖';
+                bmiStatus = InfI18n.t('bmi.obese');
                 bmiColor = '#EF4444';
             }
             
@@ -8454,13 +12092,13 @@ function updateBMI(userKey) {
             let bmiValueElements = [];
             
             // 方式1：通過 style 屬性查找（在用戶容器內）
-            bmiValueElements = document.querySelectorAll(`[data-user="${userKey}"] div[style*="BMI 指數"]`);
+            bmiValueElements = document.querySelectorAll(`[data-user="${userKey}"] div[style*="linear-gradient"]`);
             
             // 方式2：通過文本內容查找（在用戶容器內）
             if (bmiValueElements.length === 0) {
                 const allDivs = document.querySelectorAll(`[data-user="${userKey}"] div`);
                 bmiValueElements = Array.from(allDivs).filter(div => 
-                    div.textContent && div.textContent.includes('BMI 指數')
+                    div.textContent && div.textContent.includes(InfI18n.t('bmi.label'))
                 );
             }
             
@@ -8486,7 +12124,7 @@ function updateBMI(userKey) {
                     while (parent && parent !== document.body) {
                         
                         // 在父容器中查找 BMI 元素
-                        const bmiInParent = parent.querySelectorAll('div[style*="BMI 指數"]');
+                        const bmiInParent = parent.querySelectorAll('div[style*="linear-gradient"]');
                         if (bmiInParent.length > 0) {
                             bmiValueElements = Array.from(bmiInParent);
                             break;
@@ -8494,7 +12132,7 @@ function updateBMI(userKey) {
                         
                         // 通過文本內容查找
                         const bmiByText = Array.from(parent.querySelectorAll('div')).filter(div => 
-                            div.textContent && div.textContent.includes('BMI 指數')
+                            div.textContent && div.textContent.includes(InfI18n.t('bmi.label'))
                         );
                         if (bmiByText.length > 0) {
                             bmiValueElements = bmiByText;
@@ -8547,12 +12185,6 @@ function updateBMI(userKey) {
     }
 }
 
-// 註冊 Web Component
-if (!customElements.get('inf-google-login')) {
-    customElements.define('inf-google-login', InfGoogleLoginComponent);
-} else {
-}
-
 // 預定義的配置模板
 const CONFIG_TEMPLATES = {
     // Product 類型配置（商品推薦頁面）
@@ -8690,13 +12322,47 @@ const CONFIG_TEMPLATES = {
     ]
 };
 
-// 簡化的初始化函數
-function createGoogleLoginComponentsByType(type = 'product') {
-    if (CONFIG_TEMPLATES[type]) {
-        createGoogleLoginComponents(CONFIG_TEMPLATES[type]);
-    } else {
-        createGoogleLoginComponents(CONFIG_TEMPLATES.product);
+// 各類型的測量欄位覆寫（格式同 INF_MEASUREMENT_SCHEMA，只需列出要調整的欄位與屬性）
+const MEASUREMENT_SCHEMA_TEMPLATES = {
+    product: {},
+    size: {},
+    shoes: {}
+};
+
+// 註冊商家自訂模板，可用於 createGoogleLoginComponentsByType(name) 與 <inf-google-login template="name">
+// configs 格式同 CONFIG_TEMPLATES（陣列或單一設定物件）；measurementSchema 格式同 MEASUREMENT_SCHEMA_TEMPLATES
+function registerInfConfigTemplate(name, configs, measurementSchema = {}) {
+    const templates = Array.isArray(configs) ? configs : [configs];
+    if (!name || templates.length === 0 || templates.some(config => !config || typeof config !== 'object')) {
+        throw new Error('模板必須包含名稱以及至少一組設定');
     }
+    CONFIG_TEMPLATES[name] = templates;
+    MEASUREMENT_SCHEMA_TEMPLATES[name] = measurementSchema || {};
+
+    // 已使用此模板的組件立即套用新設定
+    document.querySelectorAll('inf-google-login').forEach(component => {
+        if (component.declarativeConfig && component.declarativeConfig.templateName === name) {
+            component.handleJsonConfigChange();
+        }
+    });
+    return CONFIG_TEMPLATES[name];
+}
+
+// 註冊 Web Component（在模板定義之後，頁面上已存在的元素升級時即可讀取 template 屬性）
+if (!customElements.get('inf-google-login')) {
+    customElements.define('inf-google-login', InfGoogleLoginComponent);
+} else {
+}
+
+// 簡化的初始化函數
+// options: { provider, clientId, storage, theme } 可指定身份提供者、存儲後端與主題，例如 { provider: 'line', clientId: '<LIFF ID>', storage: 'session', theme: 'auto' }
+// options.shareSession 開啟登入會話分享：true 只分享給同一頁面，或傳入允許接收會話的上層頁面來源陣列
+// options.measurementSchema 可覆寫測量範圍，例如 { FH: { genders: { F: { min: 21, max: 26 } } } }
+function createGoogleLoginComponentsByType(type = 'product', options = {}) {
+    const { measurementSchema, ...componentOptions } = options;
+    const templates = CONFIG_TEMPLATES[type] || CONFIG_TEMPLATES.product;
+    InfMeasurementSchema.setOverrides(MEASUREMENT_SCHEMA_TEMPLATES[type], measurementSchema);
+    createGoogleLoginComponents(templates.map(config => ({ ...config, ...componentOptions })));
 }
 
 // 自動初始化函數
@@ -8855,92 +12521,20 @@ function createGoogleLoginComponents(configs = [{
                 position: 'relative',
                 overflow: 'hidden',
                 maxWidth: '100%',
-                margin: '0 auto',
-                paddingTop: '10px'
-            }
-        }
-    }
-]) {
-    // 判斷當前螢幕尺寸
-    function isDesktop() {
-        return window.innerWidth >= 480;
-    }
-
-    // 獲取當前適用的樣式
-    function getCurrentStyle(avatarStyle) {
-        if (typeof avatarStyle === 'object' && avatarStyle.desktop && avatarStyle.mobile) {
-            // 新的響應式格式
-            return isDesktop() ? avatarStyle.desktop : avatarStyle.mobile;
-        } else {
-            // 向後兼容：舊的單一樣式格式
-            return avatarStyle || {
-                position: 'absolute',
-                left: '10px',
-                top: '10px',
-                width: '28px',
-                height: '28px',
-            };
-        }
-    }
-
-    // 應用樣式到組件
-    function applyStyleToComponent(component, avatarStyle) {
-        const currentStyle = getCurrentStyle(avatarStyle);
-
-        // 將 avatarStyle 物件轉換為 CSS 字串和 CSS 變數
-        const cssProperties = [];
-        const cssVariables = [];
-
-        Object.entries(currentStyle).forEach(([property, value]) => {
-            // 將 camelCase 轉換為 kebab-case
-            const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
-
-            // 特殊處理 width 和 height，設定為 CSS 變數
-            if (property === 'width') {
-                cssVariables.push(`--inf-google-login-width: ${value};`);
-            } else if (property === 'height') {
-                cssVariables.push(`--inf-google-login-height: ${value};`);
-            } else {
-                cssProperties.push(`${cssProperty}: ${value};`);
-            }
-        });
-
-        const cssText = [...cssProperties, ...cssVariables].join('\n                    ');
-
-        component.style.cssText = `
-            ${cssText}
-        `;
-    }
-
-
-
-    // 更新現有組件的樣式（不重新創建）
-    function updateExistingComponents() {
-        configs.forEach(config => {
-            const {
-                avatarContainerId,
-                avatarStyle
-            } = config;
-
-            // 處理選擇器（支援 ID 和 CSS 選擇器）
-            let containers;
-            if (avatarContainerId.includes(' ')) {
-                containers = document.querySelectorAll(avatarContainerId);
-            } else if (avatarContainerId.startsWith('#')) {
-                containers = document.querySelectorAll(avatarContainerId);
-            } else {
-                const container = document.getElementById(avatarContainerId);
-                containers = container ? [container] : [];
+                margin: '0 auto',
+                paddingTop: '10px'
             }
-
-            containers.forEach(container => {
-                const existingComponents = container.querySelectorAll('inf-google-login');
-                existingComponents.forEach(component => {
-                    applyStyleToComponent(component, avatarStyle);
-                });
-            });
-        });
+        }
     }
+]) {
+    // 未指定 avatarStyle 時的預設頭像位置
+    const defaultAvatarStyle = {
+        position: 'absolute',
+        left: '10px',
+        top: '10px',
+        width: '28px',
+        height: '28px',
+    };
 
     function initComponents() {
         configs.forEach(config => {
@@ -8948,7 +12542,12 @@ function createGoogleLoginComponents(configs = [{
                 avatarContainerId,
                 modalContainerId,
                 avatarStyle,
-                modalContainerStyle
+                modalContainerStyle,
+                provider,
+                clientId,
+                storage,
+                theme,
+                shareSession
             } = config;
 
             // 處理選擇器（支援 ID 和 CSS 選擇器）
@@ -8973,7 +12572,20 @@ function createGoogleLoginComponents(configs = [{
                 });
 
                 const googleLoginComponent = document.createElement('inf-google-login');
-                googleLoginComponent.setAttribute('client-id', '265821704236-fkdt4rrvpmuhf442c7r2dfg16i71c6qg.apps.googleusercontent.com');
+                const loginProvider = getInfLoginProvider(provider);
+                googleLoginComponent.setAttribute('provider', loginProvider.name);
+                if (clientId || loginProvider.defaultClientId) {
+                    googleLoginComponent.setAttribute('client-id', clientId || loginProvider.defaultClientId);
+                }
+                if (storage) {
+                    googleLoginComponent.setAttribute('storage', storage);
+                }
+                if (theme) {
+                    googleLoginComponent.setAttribute('theme', theme);
+                }
+                if (shareSession) {
+                    googleLoginComponent.setAttribute('share-session', shareSession === true ? '' : [].concat(shareSession).join(' '));
+                }
                 googleLoginComponent.setAttribute('auto-select', 'true');
 
                 // 設置模態框目標容器 ID
@@ -8981,21 +12593,12 @@ function createGoogleLoginComponents(configs = [{
                     googleLoginComponent.setAttribute('target-container-id', modalContainerId);
                 }
 
-                // 設置模態框容器樣式
+                // 頭像與模態框容器的響應式樣式由組件依容器寬度套用
+                googleLoginComponent.setAttribute('avatar-style', JSON.stringify(avatarStyle || defaultAvatarStyle));
                 if (modalContainerStyle) {
-                    googleLoginComponent.setModalContainerStyle(modalContainerStyle);
+                    googleLoginComponent.setAttribute('modal-container-style', JSON.stringify(modalContainerStyle));
                 }
 
-                // 應用響應式樣式
-                applyStyleToComponent(googleLoginComponent, avatarStyle);
-
-                // 強制重新設定 CSS 樣式，確保樣式正確應用
-                const currentStyle = getCurrentStyle(avatarStyle);
-                Object.entries(currentStyle).forEach(([property, value]) => {
-                    const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
-                    googleLoginComponent.style.setProperty(cssProperty, value);
-                });
-
                 // 確保容器有 position: relative 設定，這樣 absolute 定位的 avatar 才能正確定位
                 if (getComputedStyle(container).position === 'static') {
                     container.style.position = 'relative';
@@ -9019,8 +12622,8 @@ function createGoogleLoginComponents(configs = [{
         initComponents();
     }
     
-        // 頁面加載時確保 BodyID_size 有 TS 字段
-    ensureBodyIDSizeHasTS();
+        // 頁面加載時確保 BodyID_size 有 TS 字段（等待本地身體資料解密完成）
+    getInfLocalBodyStore().ready.then(ensureBodyIDSizeHasTS);
     
     // 檢查並觸發延遲的 Find My Size
     checkAndTriggerDelayedFindMySize();
@@ -9136,26 +12739,6 @@ function createGoogleLoginComponents(configs = [{
             }, 200);
         }
     });
-
-    // 監聽視窗大小變化，重新應用樣式
-    let resizeTimeout;
-    let lastScreenSize = isDesktop();
-
-    window.addEventListener('resize', () => {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-            const currentScreenSize = isDesktop();
-
-            // 只有當螢幕尺寸跨越 480px 邊界時才更新樣式
-            if (currentScreenSize !== lastScreenSize) {
-                lastScreenSize = currentScreenSize;
-                // 只更新現有組件的樣式，不重新創建
-                updateExistingComponents();
-                // 重新應用樣式
-                globalReapplyStyles();
-            }
-        }, 250); // 防抖動延遲
-    });
 }
 
 // 不自動執行，等待外層指定目標 ID
@@ -9202,11 +12785,11 @@ function editField(editIcon, fieldName, userKey, dataType, currentValue, fieldLa
             width: 100px;
             padding: 6px 8px;
             border: 2px solid #3B82F6;
-            border-radius: 6px;
-            font-size: 14px;
+            border-radius: var(--inf-radius-sm, 6px);
+            font-size: var(--inf-font-size, 14px);
         font-weight: 600;
-        color: #1E293B;
-            background: white;
+        color: var(--inf-color-text, #1E293B);
+            background: var(--inf-color-surface, white);
             outline: none;
         transition: all 0.2s ease;
             box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
@@ -9215,9 +12798,9 @@ function editField(editIcon, fieldName, userKey, dataType, currentValue, fieldLa
         
         // 添加選項
         const options = [
-            { value: '', label: '請選擇' },
-            { value: 'M', label: '男性' },
-            { value: 'F', label: '女性' }
+            { value: '', label: InfI18n.t('common.choose') },
+            { value: 'M', label: InfI18n.t('gender.M') },
+            { value: 'F', label: InfI18n.t('gender.F') }
         ];
         
         options.forEach(option => {
@@ -9262,17 +12845,17 @@ function editField(editIcon, fieldName, userKey, dataType, currentValue, fieldLa
         return;
         
     } else if (fieldName === 'FH') {
-        // 腳長欄位使用下拉選擇器 (22~27, 間隔 0.1)
+        // 腳長欄位使用下拉選擇器（範圍見 INF_MEASUREMENT_SCHEMA）
         createFootLengthSelector(fieldContainer, valueElement, currentValue, userKey, dataType, fieldLabel, unit);
         return;
         
     } else if (fieldName === 'FW') {
-        // 腳寬欄位使用下拉選擇器 (6~15, 間隔 0.1)
+        // 腳寬欄位使用下拉選擇器（範圍見 INF_MEASUREMENT_SCHEMA）
         createFootWidthSelector(fieldContainer, valueElement, currentValue, userKey, dataType, fieldLabel, unit);
         return;
         
     } else if (fieldName === 'FCir') {
-        // 腳圍欄位使用下拉選擇器 (18~39.9, 間隔 0.1)
+        // 腳圍欄位使用下拉選擇器（範圍見 INF_MEASUREMENT_SCHEMA）
         createFootCircumferenceSelector(fieldContainer, valueElement, currentValue, userKey, dataType, fieldLabel, unit);
         return;
         
@@ -9285,11 +12868,11 @@ function editField(editIcon, fieldName, userKey, dataType, currentValue, fieldLa
             width: 80px;
             padding: 6px 8px;
             border: 2px solid #3B82F6;
-            border-radius: 6px;
-        font-size: 14px;
+            border-radius: var(--inf-radius-sm, 6px);
+        font-size: var(--inf-font-size, 14px);
             font-weight: 600;
-            color: #1E293B;
-            background: white;
+            color: var(--inf-color-text, #1E293B);
+            background: var(--inf-color-surface, white);
             text-align: center;
             outline: none;
         transition: all 0.2s ease;
@@ -9313,7 +12896,7 @@ function editField(editIcon, fieldName, userKey, dataType, currentValue, fieldLa
             inputElement.inputMode = 'decimal';
         } else if (fieldName === 'CC') {
             inputElement.type = 'text';
-            inputElement.placeholder = '例如: 97.5_97.5';
+            inputElement.placeholder = InfI18n.t('selector.chestPlaceholder');
         }
     }
     
@@ -9325,7 +12908,7 @@ function editField(editIcon, fieldName, userKey, dataType, currentValue, fieldLa
     if (editIcon) {
         editIcon.style.setProperty('background', 'rgba(190, 209, 252, 0.2)', 'important');
         editIcon.style.cursor = 'not-allowed';
-        editIcon.title = '正在編輯中...';
+        editIcon.title = InfI18n.t('common.editing');
     }
     
     // 聚焦輸入元素
@@ -9450,13 +13033,13 @@ function editField(editIcon, fieldName, userKey, dataType, currentValue, fieldLa
 // 保存欄位值
 async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, unit, valueElement, fieldContainer) {
     const newValue = input.value.trim();
-    let originalValue = valueElement.textContent.replace(` ${unit}`, '').replace('尚未提供', '');
+    let originalValue = valueElement.textContent.replace(` ${unit}`, '').replace(InfI18n.t('common.notProvided'), '');
     
     // 性別欄位的特殊處理：將顯示值轉換為存儲值進行比較
     if (fieldName === 'Gender') {
-        if (originalValue === '男性') {
+        if (originalValue === InfI18n.t('gender.M')) {
             originalValue = 'M';
-        } else if (originalValue === '女性') {
+        } else if (originalValue === InfI18n.t('gender.F')) {
             originalValue = 'F';
         }
     }
@@ -9467,15 +13050,18 @@ async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, u
         
         // 如果原始文字包含 "上胸圍" 和 "下胸圍"，提取數值
         const originalText = valueElement.textContent;
-        if (originalText.includes('上胸圍') && originalText.includes('下胸圍')) {
+        const upChestLabel = InfMeasurementSchema.getLabel('UpChest');
+        const downChestLabel = InfMeasurementSchema.getLabel('DnChest');
+        const chestLabel = InfMeasurementSchema.getLabel('CC');
+        if (originalText.includes(upChestLabel) && originalText.includes(downChestLabel)) {
             // 提取 "上胸圍 66 cm / 下胸圍 60 cm" 中的數值
-            const matches = originalText.match(/上胸圍\s+(\d+(?:\.\d+)?)\s+\w+\s*\/\s*下胸圍\s+(\d+(?:\.\d+)?)\s+\w+/);
+            const matches = originalText.match(new RegExp(`${upChestLabel}\\s+(\\d+(?:\\.\\d+)?)\\s+\\w+\\s*\\/\\s*${downChestLabel}\\s+(\\d+(?:\\.\\d+)?)\\s+\\w+`));
             if (matches && matches.length >= 3) {
                 originalValue = `${matches[1]}_${matches[2]}`;
             }
-        } else if (originalText.includes('胸圍')) {
+        } else if (originalText.includes(chestLabel)) {
             // 提取 "胸圍 66 cm" 中的數值
-            const match = originalText.match(/胸圍\s+(\d+(?:\.\d+)?)\s+\w+/);
+            const match = originalText.match(new RegExp(`${chestLabel}\\s+(\\d+(?:\\.\\d+)?)\\s+\\w+`));
             if (match && match[1]) {
                 originalValue = match[1];
             }
@@ -9497,66 +13083,62 @@ async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, u
     }
     
     // 驗證輸入值
-    if (!validateFieldValue(fieldName, newValue)) {
-        showNotification(`❌ ${fieldLabel}格式不正確，請重新輸入`, 'error');
+    if (!validateFieldValue(fieldName, newValue, userKey)) {
+        const range = InfMeasurementSchema.describe(fieldName, InfMeasurementSchema.getUserGender(userKey));
+        showNotification(range ? InfI18n.t('notify.invalidRange', { field: fieldLabel, range }) : InfI18n.t('notify.invalidFormat', { field: fieldLabel }), 'error');
         input.focus();
         return;
     }
     
     try {
         // 顯示保存中狀態
-        input.style.borderColor = '#10B981';
+        input.style.borderColor = 'var(--inf-color-success, #10B981)';
         input.style.boxShadow = '0 0 0 3px rgba(16, 185, 129, 0.1)';
         
         // 準備更新 payload
         const payload = await prepareUpdatePayload(fieldName, userKey, dataType, newValue);
 
-    // 發送 API 請求
-        const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) {
-            if (response.status === 401) {
-                throw new Error('憑證已過期，請重新登入');
-            } else {
-                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-            }
-        }
-        
-        const data = await response.json();
+        // 發送 API 請求（401 由 API 客戶端統一刷新／登出；離線時加入佇列，恢復連線後自動同步）
+        const { data, queued } = await InfBodyDataOutbox.getInstance().submit(payload.BodyData);
         
         // 更新顯示值
         let displayValue, displayColor;
         
         if (fieldName === 'Gender') {
             if (newValue === 'M') {
-                displayValue = '男性';
+                displayValue = InfI18n.t('gender.M');
                 displayColor = '#1E293B';
             } else if (newValue === 'F') {
-                displayValue = '女性';
+                displayValue = InfI18n.t('gender.F');
                 displayColor = '#1E293B';
             } else {
-                displayValue = '尚未提供';
+                displayValue = InfI18n.t('common.notProvided');
                 displayColor = '#9CA3AF';
             }
         } else {
-            displayValue = newValue ? `${newValue} ${unit}` : '尚未提供';
+            if (!newValue) {
+                displayValue = InfI18n.t('common.notProvided');
+            } else if (fieldName === 'CC') {
+                displayValue = InfUnits.formatChest(newValue);
+            } else {
+                displayValue = InfMeasurementSchema.isNumeric(fieldName) ? InfUnits.format(fieldName, newValue) : `${newValue} ${unit}`;
+            }
             displayColor = newValue ? '#1E293B' : '#9CA3AF';
         }
         
         valueElement.textContent = displayValue;
         valueElement.style.color = displayColor;
         
-        // 保存新的 API 回應到 localStorage
-        localStorage.setItem('inffits_api_response', JSON.stringify(data));
+        // 保存新的 API 回應，並通知其他分頁、iframe 與同頁組件
+        getInfTokenStore().setItem('inffits_api_response', JSON.stringify(data));
+        InfAuthBus.getInstance().publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: data });
         
         // 顯示成功訊息
-        showNotification(`✅ ${fieldLabel}更新成功！`, 'success');
+        if (queued) {
+            showNotification(InfI18n.t('notify.fieldQueued', { field: fieldLabel }), 'info');
+        } else {
+            showNotification(InfI18n.t('notify.fieldUpdated', { field: fieldLabel }), 'success');
+        }
         
         // 觸發更新事件
         document.dispatchEvent(new CustomEvent('bodydata-updated', {
@@ -9601,7 +13183,7 @@ async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, u
             if (editIcon) {
                 editIcon.style.setProperty('background', 'rgba(59, 130, 246, 0.1)', 'important');
                 editIcon.style.cursor = 'pointer';
-                editIcon.title = '點擊編輯';
+                editIcon.title = InfI18n.t('common.edit');
                 // 清除 hover 事件，防止覆蓋背景色
                 editIcon.onmouseenter = null;
                 editIcon.onmouseleave = null;
@@ -9622,13 +13204,13 @@ async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, u
         // console statement removed
         
         // 檢查是否為憑證問題
-        if (error.message.includes('401') || error.message.includes('憑證') || error.message.includes('認證')) {
-            showNotification('🔐 憑證已過期，已自動登出', 'warning');
+        if ((error instanceof InfFitsApiError && error.isCredentialExpired) || error.message.includes('憑證') || error.message.includes('認證')) {
+            showNotification(InfI18n.t('notify.credentialExpired'), 'warning');
             
             // 清除所有認證相關的 localStorage
-            localStorage.removeItem('google_auth_credential');
-            localStorage.removeItem('google_user_info');
-            localStorage.removeItem('inffits_api_response');
+            getInfTokenStore().removeItem('google_auth_credential');
+            getInfTokenStore().removeItem('google_user_info');
+            getInfTokenStore().removeItem('inffits_api_response');
             
             // 觸發登出事件
             window.dispatchEvent(new CustomEvent('google-logout', {
@@ -9645,7 +13227,7 @@ async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, u
             return;
         }
         
-        showNotification(`❌ ${fieldLabel}更新失敗，請稍後再試`, 'error');
+        showNotification(InfI18n.t('notify.fieldUpdateFailed', { field: fieldLabel }), 'error');
         
         // 先恢復編輯圖標狀態和欄位容器狀態
         if (fieldContainer) {
@@ -9658,7 +13240,7 @@ async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, u
             if (editIcon) {
                 editIcon.style.setProperty('background', 'rgba(59, 130, 246, 0.1)', 'important');
                 editIcon.style.cursor = 'pointer';
-                editIcon.title = '點擊編輯';
+                editIcon.title = InfI18n.t('common.edit');
                 // 清除 hover 事件，防止覆蓋背景色
                 editIcon.onmouseenter = null;
                 editIcon.onmouseleave = null;
@@ -9674,27 +13256,15 @@ async function saveFieldValue(input, fieldName, userKey, dataType, fieldLabel, u
 }
 
 // 驗證欄位值
-function validateFieldValue(fieldName, value) {
-    if (!value) return true; // 空值允許
-    
-    if (fieldName === 'HV') {
-        const height = parseFloat(value);
-        return !isNaN(height) && height >= 100 && height <= 250;
-    } else if (fieldName === 'WV') {
-        const weight = parseFloat(value);
-        return !isNaN(weight) && weight >= 20 && weight <= 200;
-    } else if (fieldName === 'CC') {
-        // 胸圍格式：數字+字母 (如 28A, 32B) 或 數字_數字 (舊格式)
-        return /^(\d+[A-G])$|^(\d+(\.\d+)?)(_\d+(\.\d+)?)?$/.test(value);
-    }
-    
-    return true;
+function validateFieldValue(fieldName, value, userKey) {
+    // 範圍與格式見 INF_MEASUREMENT_SCHEMA（空值允許）
+    return InfMeasurementSchema.validate(fieldName, value, userKey ? InfMeasurementSchema.getUserGender(userKey) : null);
 }
 
 // 準備更新 payload
 async function prepareUpdatePayload(fieldName, userKey, dataType, newValue) {
     // 獲取當前 API 回應
-    const currentApiResponse = JSON.parse(localStorage.getItem('inffits_api_response') || '{}');
+    const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
     
     // 構建新的 BodyData
     const newBodyData = { ...currentApiResponse.BodyData };
@@ -9708,26 +13278,8 @@ async function prepareUpdatePayload(fieldName, userKey, dataType, newValue) {
         newBodyData[userKey][fieldName] = newValue;
     }
     
-    // 獲取憑證
-    const credential = localStorage.getItem('google_auth_credential');
-    if (!credential) {
-        throw new Error('沒有可用的憑證');
-    }
-    
-    return {
-        BodyData: newBodyData,
-        update_bodydata: true,
-        credential: credential,
-        sub: (() => {
-            try {
-                const userInfo = JSON.parse(localStorage.getItem('google_user_info') || '{}');
-                return userInfo.sub || '';
-            } catch (e) {
-                return '';
-            }
-        })(),
-        IDTYPE: 'Google'
-    };
+    // 沒有憑證時會拋出「沒有可用的憑證」
+    return getInfFitsApiClient().buildUpdateBodyDataPayload(newBodyData);
 }
 
 // 取消編輯
@@ -9752,7 +13304,7 @@ function cancelEdit(inputElement, valueElement) {
         if (editIcon) {
             editIcon.style.setProperty('background', 'rgba(59, 130, 246, 0.1)', 'important');
             editIcon.style.cursor = 'pointer';
-            editIcon.title = '點擊編輯';
+            editIcon.title = InfI18n.t('common.edit');
             // 清除 hover 事件，防止覆蓋背景色
             editIcon.onmouseenter = null;
             editIcon.onmouseleave = null;
@@ -9771,6 +13323,9 @@ function showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.className = 'notification';
     notification.textContent = message;
+    // 畫面上的通知只供視覺顯示，螢幕閱讀器由即時通知區域朗讀（錯誤訊息立即朗讀）
+    notification.setAttribute('aria-hidden', 'true');
+    InfA11y.announce(message, type === 'error' ? 'assertive' : 'polite');
     
     const bgColor = type === 'success' ? '#10B981' : type === 'error' ? '#EF4444' : '#3B82F6';
     
@@ -9779,10 +13334,10 @@ function showNotification(message, type = 'info') {
         top: 20px;
         right: 20px;
         background: ${bgColor};
-        color: white;
+        color: var(--inf-color-on-primary, white);
         padding: 12px 20px;
-        border-radius: 8px;
-        font-size: 14px;
+        border-radius: var(--inf-radius, 8px);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         z-index: 10001;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
@@ -9792,7 +13347,7 @@ function showNotification(message, type = 'info') {
         word-wrap: break-word;
     `;
 
-    document.body.appendChild(notification);
+    document.body.appendChild(InfTheme.apply(notification));
 
     // 顯示動畫
     setTimeout(() => {
@@ -9820,22 +13375,22 @@ function showCustomConfirm(title, message, onConfirm, onCancel) {
 
         // 創建彈窗內容
         overlay.innerHTML = `
-            <div class="custom-confirm-modal">
+            <div class="custom-confirm-modal" role="alertdialog" aria-modal="true" aria-labelledby="custom-confirm-title" aria-describedby="custom-confirm-message">
                 <div class="custom-confirm-header">
-                    <h3 class="custom-confirm-title">${title}</h3>
+                    <h3 class="custom-confirm-title" id="custom-confirm-title">${title}</h3>
                 </div>
                 <div class="custom-confirm-content">
-                    <p class="custom-confirm-message">${message}</p>
+                    <p class="custom-confirm-message" id="custom-confirm-message">${message}</p>
                     <div class="custom-confirm-actions">
-                        <button class="custom-confirm-btn cancel" id="confirm-cancel-btn">取消</button>
-                        <button class="custom-confirm-btn confirm" id="confirm-confirm-btn">確認</button>
+                        <button class="custom-confirm-btn cancel" id="confirm-cancel-btn">${InfI18n.t('common.cancel')}</button>
+                        <button class="custom-confirm-btn confirm" id="confirm-confirm-btn">${InfI18n.t('common.confirm')}</button>
                     </div>
                 </div>
             </div>
         `;
 
         // 添加到頁面
-        document.body.appendChild(overlay);
+        document.body.appendChild(InfTheme.apply(overlay));
 
         // 顯示動畫
         setTimeout(() => {
@@ -9845,8 +13400,11 @@ function showCustomConfirm(title, message, onConfirm, onCancel) {
         // 綁定事件
         const cancelBtn = overlay.querySelector('#confirm-cancel-btn');
         const confirmBtn = overlay.querySelector('#confirm-confirm-btn');
+        const releaseFocus = InfA11y.trapFocus(overlay.querySelector('.custom-confirm-modal'), { initialFocus: cancelBtn });
 
         const closeModal = (result) => {
+            document.removeEventListener('keydown', handleEsc);
+            releaseFocus();
             overlay.classList.remove('show');
             setTimeout(() => {
                 if (overlay.parentNode) {
@@ -9881,7 +13439,6 @@ function showCustomConfirm(title, message, onConfirm, onCancel) {
             if (e.key === 'Escape') {
                 if (onCancel) onCancel();
                 closeModal(false);
-                document.removeEventListener('keydown', handleEsc);
             }
         };
         document.addEventListener('keydown', handleEsc);
@@ -9938,7 +13495,7 @@ function checkAndDeleteLocalDataIfSame(userKey, cloudUserData) {
     try {
         
         // 獲取本地資料
-        const localBodyData = localStorage.getItem('BodyID_size');
+        const localBodyData = getInfLocalBodyStore().getItem('BodyID_size');
         const localGender = localStorage.getItem('Gender_Last');
         
         if (!localBodyData || !localGender) {
@@ -9967,7 +13524,7 @@ function checkAndDeleteLocalDataIfSame(userKey, cloudUserData) {
         
         if (heightMatches && weightMatches && genderMatches) {
             // 資料相同，刪除本地資料
-            localStorage.removeItem('BodyID_size');
+            getInfLocalBodyStore().removeItem('BodyID_size');
             localStorage.removeItem('Gender_Last');
             
             // 觸發本地資料更新事件
@@ -9978,7 +13535,7 @@ function checkAndDeleteLocalDataIfSame(userKey, cloudUserData) {
                 }
             }));
             
-            showNotification('🗑️ 本地資料已同步刪除', 'info');
+            showNotification(InfI18n.t('notify.localDeleted'), 'info');
             return true;
         } else {
             return false;
@@ -9994,7 +13551,7 @@ function checkAndDeleteLocalFootDataIfSame(userKey, cloudUserData) {
     try {
         
         // 獲取本地腳部資料
-        const localFootData = localStorage.getItem('BodyID_Foot_size');
+        const localFootData = getInfLocalBodyStore().getItem('BodyID_Foot_size');
         const localGender = localStorage.getItem('Gender_Last');
         
         if (!localFootData || !localGender) {
@@ -10024,7 +13581,7 @@ function checkAndDeleteLocalFootDataIfSame(userKey, cloudUserData) {
         
         if (footLengthMatches && footWidthMatches && footCircumMatches && genderMatches) {
             // 資料相同，刪除本地腳部資料
-            localStorage.removeItem('BodyID_Foot_size');
+            getInfLocalBodyStore().removeItem('BodyID_Foot_size');
             localStorage.removeItem('Gender_Last');
             
             // 觸發本地資料更新事件
@@ -10035,7 +13592,7 @@ function checkAndDeleteLocalFootDataIfSame(userKey, cloudUserData) {
                 }
             }));
             
-            showNotification('🗑️ 本地腳部資料已同步刪除', 'info');
+            showNotification(InfI18n.t('notify.localFootDeleted'), 'info');
             return true;
         } else {
             return false;
@@ -10046,13 +13603,282 @@ function checkAndDeleteLocalFootDataIfSame(userKey, cloudUserData) {
     }
 }
 
+// 解決 BodyData 同步衝突（個人資訊畫面的衝突提示按鈕）
+async function resolveBodyDataConflict(choice) {
+    const outbox = InfBodyDataOutbox.getInstance();
+    await outbox.resolveConflict(choice);
+
+    // 重新顯示同步後的資料
+    const component = document.querySelector('inf-google-login');
+    if (component) {
+        component.updateBodyDataDisplay(component.getApiResponse());
+    }
+
+    if (outbox.state.status === 'synced') {
+        showNotification(choice === 'local' ? InfI18n.t('notify.conflictKeptLocal') : InfI18n.t('notify.conflictUsedRemote'), 'success');
+    } else if (outbox.state.status === 'pending') {
+        showNotification(InfI18n.t('notify.offlineQueued'), 'info');
+    }
+}
+
+// 還原 BodyData 歷史版本（個人資訊畫面的變更記錄，與手動編輯相同經由離線佇列更新）
+async function restoreBodyDataVersion(userKey, entryId) {
+    const entry = InfBodyDataHistory.getEntry(userKey, entryId);
+    if (!entry || !entry.values) {
+        showNotification(InfI18n.t('notify.versionNotFound'), 'error');
+        return;
+    }
+
+    try {
+        const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
+        const restoredValues = { ...entry.values };
+        if (restoredValues.TS !== undefined) {
+            restoredValues.TS = Date.now();
+        }
+        const newBodyData = { ...currentApiResponse.BodyData, [userKey]: restoredValues };
+
+        const { data, queued } = await InfBodyDataOutbox.getInstance().submit(newBodyData, null, {}, 'restore');
+
+        // 保存新的 API 回應，並通知其他分頁、iframe 與同頁組件
+        getInfTokenStore().setItem('inffits_api_response', JSON.stringify(data));
+        InfAuthBus.getInstance().publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: data });
+
+        // 同步本地尺寸資料（BodyID_size / BodyID_Foot_size）
+        updateLocalStorageFromAPI(userKey, 'HV', restoredValues.HV);
+
+        const component = document.querySelector('inf-google-login');
+        if (component) {
+            component.updateBodyDataDisplay(component.getApiResponse());
+        }
+
+        if (queued) {
+            showNotification(InfI18n.t('notify.restoreQueued'), 'info');
+        } else {
+            showNotification(InfI18n.t('notify.restored'), 'success');
+        }
+
+        document.dispatchEvent(new CustomEvent('bodydata-updated', {
+            detail: {
+                userKey: userKey,
+                restoredFrom: entry.at,
+                data: data,
+                timestamp: new Date().toISOString()
+            },
+            bubbles: true,
+            composed: true
+        }));
+    } catch (error) {
+        showNotification(InfI18n.t('notify.restoreFailed'), 'error');
+    }
+}
+
+// 切換單位偏好（個人資訊畫面的單位選單），所有組件重新顯示身體資料
+function setUnitPreference(preference) {
+    InfUnits.setPreference(preference);
+    document.querySelectorAll('inf-google-login').forEach(component => {
+        if (typeof component.updateBodyDataDisplay === 'function') {
+            component.updateBodyDataDisplay(component.getApiResponse());
+        }
+    });
+}
+
+// 家庭成員名稱與頭像顏色輸入彈窗，取消時回傳 null
+function showProfileDialog(title, profile) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'custom-confirm-overlay';
+        overlay.id = 'profile-dialog-overlay';
+
+        const swatches = INF_PROFILE_COLORS.map(color => `
+            <button type="button" class="profile-color" data-color="${color}" title="${color}" aria-label="${InfI18n.t('member.color', { color })}" aria-pressed="${color === profile.color}" style="
+                width: 28px;
+                height: 28px;
+                border-radius: 50%;
+                border: 3px solid ${color === profile.color ? 'var(--inf-color-primary, #1E293B)' : 'transparent'};
+                background: ${color};
+                cursor: pointer;
+            "></button>
+        `).join('');
+
+        overlay.innerHTML = `
+            <div class="custom-confirm-modal" role="dialog" aria-modal="true" aria-labelledby="profile-dialog-title">
+                <div class="custom-confirm-header">
+                    <h3 class="custom-confirm-title" id="profile-dialog-title">${title}</h3>
+                </div>
+                <div class="custom-confirm-content">
+                    <input id="profile-name-input" aria-label="${InfI18n.t('field.Profile_Name')}" type="text" maxlength="20" placeholder="${InfI18n.t('member.namePlaceholder')}" value="${InfHouseholdProfiles.escapeHTML(profile.name)}" style="
+                        width: 100%;
+                        box-sizing: border-box;
+                        padding: 10px 12px;
+                        border: 1px solid var(--inf-color-border, #D1D5DB);
+                        border-radius: var(--inf-radius, 8px);
+                        font-size: var(--inf-font-size, 14px);
+                        font-family: inherit;
+                    ">
+                    <div style="display: flex; gap: var(--inf-spacing-sm, 8px); flex-wrap: wrap; margin: 16px 0;">${swatches}</div>
+                    <div class="custom-confirm-actions">
+                        <button class="custom-confirm-btn cancel" id="profile-cancel-btn">${InfI18n.t('common.cancel')}</button>
+                        <button class="custom-confirm-btn confirm" id="profile-confirm-btn" style="background: var(--inf-color-primary, #1E293B);">${InfI18n.t('common.save')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(InfTheme.apply(overlay));
+        setTimeout(() => {
+            overlay.classList.add('show');
+        }, 10);
+
+        const input = overlay.querySelector('#profile-name-input');
+        let selectedColor = profile.color;
+        const releaseFocus = InfA11y.trapFocus(overlay.querySelector('.custom-confirm-modal'), { initialFocus: input });
+
+        const closeModal = (result) => {
+            document.removeEventListener('keydown', handleEsc);
+            releaseFocus();
+            overlay.classList.remove('show');
+            setTimeout(() => {
+                if (overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+                resolve(result);
+            }, 300);
+        };
+
+        const submit = () => {
+            const name = input.value.trim();
+            if (!name) {
+                input.style.borderColor = 'var(--inf-color-danger, #EF4444)';
+                input.focus();
+                return;
+            }
+            closeModal({ name: name, color: selectedColor });
+        };
+
+        overlay.querySelectorAll('.profile-color').forEach(button => {
+            button.addEventListener('click', () => {
+                selectedColor = button.dataset.color;
+                overlay.querySelectorAll('.profile-color').forEach(item => {
+                    item.style.borderColor = item === button ? '#1E293B' : 'transparent';
+                    item.setAttribute('aria-pressed', item === button ? 'true' : 'false');
+                });
+            });
+        });
+
+        overlay.querySelector('#profile-cancel-btn').addEventListener('click', () => closeModal(null));
+        overlay.querySelector('#profile-confirm-btn').addEventListener('click', submit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+
+        // 點擊遮罩層關閉
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                closeModal(null);
+            }
+        });
+
+        // ESC 鍵關閉
+        const handleEsc = (e) => {
+            if (e.key === 'Escape') {
+                closeModal(null);
+            }
+        };
+        document.addEventListener('keydown', handleEsc);
+    });
+}
+
+// 更新家庭成員資料（與手動編輯相同經由離線佇列更新）
+async function saveHouseholdBodyData(newBodyData, successMessage) {
+    const { data, queued } = await InfBodyDataOutbox.getInstance().submit(newBodyData, null, {}, 'profile');
+
+    // 保存新的 API 回應，並通知其他分頁、iframe 與同頁組件
+    getInfTokenStore().setItem('inffits_api_response', JSON.stringify(data));
+    InfAuthBus.getInstance().publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: data });
+
+    const component = document.querySelector('inf-google-login');
+    if (component) {
+        component.updateBodyDataDisplay(component.getApiResponse());
+    }
+
+    showNotification(queued ? InfI18n.t('notify.memberQueued') : successMessage, queued ? 'info' : 'success');
+    return data;
+}
+
+// 新增家庭成員
+async function createHouseholdProfile() {
+    const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
+    const bodyData = currentApiResponse.BodyData || {};
+
+    const profile = await showProfileDialog(InfI18n.t('member.addTitle'), { name: '', color: InfHouseholdProfiles.getNextColor(bodyData) });
+    if (!profile) return;
+
+    try {
+        const userKey = InfHouseholdProfiles.createKey(bodyData);
+        await saveHouseholdBodyData(
+            { ...bodyData, [userKey]: InfHouseholdProfiles.createProfile(profile.name, profile.color) },
+            InfI18n.t('notify.memberAdded', { name: profile.name })
+        );
+    } catch (error) {
+        showNotification(InfI18n.t('notify.memberAddFailed', { message: error.message }), 'error');
+    }
+}
+
+// 重新命名家庭成員（同時可更換頭像顏色）
+async function renameHouseholdProfile(userKey) {
+    const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
+    const bodyData = currentApiResponse.BodyData || {};
+    const record = bodyData[userKey];
+    if (!record) return;
+
+    const profile = await showProfileDialog(InfI18n.t('member.editTitle'), {
+        name: InfHouseholdProfiles.getDisplayName(userKey, record),
+        color: InfHouseholdProfiles.getColor(userKey, record)
+    });
+    if (!profile) return;
+
+    try {
+        await saveHouseholdBodyData(
+            { ...bodyData, [userKey]: { ...record, Profile_Name: profile.name, Profile_Color: profile.color } },
+            InfI18n.t('notify.memberUpdated', { name: profile.name })
+        );
+    } catch (error) {
+        showNotification(InfI18n.t('notify.memberUpdateFailed', { message: error.message }), 'error');
+    }
+}
+
+// 複製家庭成員（以現有資料建立新成員）
+async function duplicateHouseholdProfile(userKey) {
+    const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
+    const bodyData = currentApiResponse.BodyData || {};
+    const record = bodyData[userKey];
+    if (!record) return;
+
+    try {
+        const name = InfI18n.t('member.copyName', { name: InfHouseholdProfiles.getDisplayName(userKey, record) });
+        const newUserKey = InfHouseholdProfiles.createKey(bodyData);
+        await saveHouseholdBodyData(
+            {
+                ...bodyData,
+                [newUserKey]: { ...record, Profile_Name: name, Profile_Color: InfHouseholdProfiles.getNextColor(bodyData), TS: Date.now() }
+            },
+            InfI18n.t('notify.memberDuplicated', { name })
+        );
+    } catch (error) {
+        showNotification(InfI18n.t('notify.memberDuplicateFailed', { message: error.message }), 'error');
+    }
+}
+
 // 刪除使用者功能
 async function deleteUser(userKey) {
     try {
+        const storedApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
+        const displayName = InfHouseholdProfiles.escapeHTML(InfHouseholdProfiles.getDisplayName(userKey, (storedApiResponse.BodyData || {})[userKey]));
+
         // 顯示自定義確認彈窗
         const confirmed = await showCustomConfirm(
-            '刪除使用者',
-            `確定要刪除使用者 ${userKey} 嗎？<br>此操作無法復原，所有身體資料將被永久刪除。`,
+            InfI18n.t('member.delete'),
+            InfI18n.t('member.deleteConfirm', { name: displayName }),
             null, // onConfirm
             null  // onCancel
         );
@@ -10061,35 +13887,23 @@ async function deleteUser(userKey) {
 
         
         // 獲取當前 API 回應
-        const currentApiResponse = JSON.parse(localStorage.getItem('inffits_api_response') || '{}');
+        const currentApiResponse = JSON.parse(getInfTokenStore().getItem('inffits_api_response') || '{}');
         
         // 檢查使用者是否存在
         if (!currentApiResponse.BodyData || !currentApiResponse.BodyData[userKey]) {
-            showNotification(`❌ 使用者 ${userKey} 不存在`, 'error');
+            showNotification(InfI18n.t('notify.userNotFound', { name: displayName }), 'error');
             return;
         }
         
         // 檢查使用者數量（用於日誌記錄）
         const userKeys = Object.keys(currentApiResponse.BodyData);
         
-        // 獲取憑證資料
-        const storedCredential = localStorage.getItem('google_auth_credential');
-        const storedUserInfo = localStorage.getItem('google_user_info');
-        
-        if (!storedCredential) {
-            showNotification(`❌ 沒有可用的憑證，請重新登入`, 'error');
+        // 檢查憑證資料
+        if (!getInfTokenStore().getItem('google_auth_credential')) {
+            showNotification(InfI18n.t('notify.noCredential'), 'error');
             return;
         }
         
-        let subValue = '';
-        if (storedUserInfo) {
-            try {
-                const userInfo = JSON.parse(storedUserInfo);
-                subValue = userInfo.sub || '';
-            } catch (e) {
-            }
-        }
-        
         // 創建新的 BodyData，移除指定使用者
         const newBodyData = { ...currentApiResponse.BodyData };
         delete newBodyData[userKey];
@@ -10107,33 +13921,11 @@ async function deleteUser(userKey) {
             }
         }
         
-        // 準備 API 請求資料
-        const payload = {
-            BodyData_ptr: userKey, // 指定要刪除的使用者
-            delete_bodydata: true,
-            credential: storedCredential,
-            sub: subValue,
-            IDTYPE: 'Google'
-        };
-        
-        
-        // 調用 API 刪除使用者
-        const response = await fetch('https://api.inffits.com/inffits_account_register_and_retrieve_data/model?IDTYPE=Google', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error ${response.status}`);
-        }
-        
-        const data = await response.json();
+        // 調用 API 刪除使用者（BodyData_ptr 指定要刪除的使用者）
+        const data = await getInfFitsApiClient().deleteBodyData(userKey);
         
         // 檢查 API 是否成功（根據 message 欄位）
-        const isSuccess = data.message === "Existing user updated";
+        const isSuccess = InfFitsApiClient.isUpdateSuccess(data);
         
         if (isSuccess) {
             // 使用 API 回傳的資料更新本地儲存
@@ -10150,14 +13942,16 @@ async function deleteUser(userKey) {
                 BodyData: finalBodyData,
                 BodyData_ptr: finalBodyDataPtr
             };
-            localStorage.setItem('inffits_api_response', JSON.stringify(updatedApiResponse));
+            getInfTokenStore().setItem('inffits_api_response', JSON.stringify(updatedApiResponse));
+            InfAuthBus.getInstance().publish(INF_AUTH_MESSAGES.BODYDATA_UPDATED, { apiResponse: updatedApiResponse });
             
             // 顯示成功訊息
             const remainingCount = Object.keys(finalBodyData).length;
-            if (remainingCount === 0) {
-                showNotification(`✅ 使用者 ${userKey} 已成功刪除，所有使用者已清空`, 'success');
-            } else {
-                showNotification(`✅ 使用者 ${userKey} 已成功刪除，剩餘 ${remainingCount} 個使用者`, 'success');
+            showNotification(InfI18n.t('notify.userDeleted', { name: displayName, count: remainingCount }), 'success');
+
+            // 刪除使用中的成員時，尺寸推薦 iframe 改用新的預設成員
+            if (finalBodyDataPtr && finalBodyDataPtr !== currentApiResponse.BodyData_ptr && finalBodyData[finalBodyDataPtr]) {
+                updateLocalStorageFromAPI(finalBodyDataPtr, 'HV', finalBodyData[finalBodyDataPtr].HV);
             }
             
             // 觸發刪除事件
@@ -10183,7 +13977,7 @@ async function deleteUser(userKey) {
         }
         
     } catch (error) {
-        showNotification(`❌ 刪除使用者失敗: ${error.message}`, 'error');
+        showNotification(InfI18n.t('notify.userDeleteFailed', { message: error.message }), 'error');
     }
 }
 
@@ -10200,9 +13994,9 @@ function createHeightSelector(fieldContainer, valueElement, currentValue, userKe
         top: 0;
         left: 0;
         right: 0;
-        background: white;
+        background: var(--inf-color-surface, white);
         border: 1px solid #000;
-        border-radius: 8px;
+        border-radius: var(--inf-radius, 8px);
         padding: 16px;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         z-index: 1500;
@@ -10210,11 +14004,11 @@ function createHeightSelector(fieldContainer, valueElement, currentValue, userKe
     
     // 創建標題
     const title = document.createElement('div');
-    title.textContent = '選擇身高';
+    title.textContent = InfI18n.t('selector.title', { field: InfMeasurementSchema.getLabel('HV') });
     title.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         margin-bottom: 16px;
         text-align: center;
     `;
@@ -10231,11 +14025,11 @@ function createHeightSelector(fieldContainer, valueElement, currentValue, userKe
     selectElement.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
@@ -10244,19 +14038,17 @@ function createHeightSelector(fieldContainer, valueElement, currentValue, userKe
     // 添加預設選項
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = '請選擇身高';
+    defaultOption.textContent = InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('HV') });
     selectElement.appendChild(defaultOption);
     
-    // 生成身高選項 (145-195)
-    for (let height = 145; height <= 195; height++) {
+    // 選項值一律為公制，顯示文字依單位偏好換算
+    InfUnits.getSelectorOptions('HV', currentValue, InfMeasurementSchema.getUserGender(userKey)).forEach(item => {
         const option = document.createElement('option');
-        option.value = height.toString();
-        option.textContent = `${height} cm`;
-        if (currentValue === height.toString()) {
-            option.selected = true;
-        }
+        option.value = item.value;
+        option.textContent = item.label;
+        option.selected = !!item.selected;
         selectElement.appendChild(option);
-    }
+    });
     
     heightSection.appendChild(selectElement);
     selectorContainer.appendChild(heightSection);
@@ -10265,33 +14057,33 @@ function createHeightSelector(fieldContainer, valueElement, currentValue, userKe
     const buttonSection = document.createElement('div');
     buttonSection.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確認';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: none;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -10303,6 +14095,7 @@ function createHeightSelector(fieldContainer, valueElement, currentValue, userKe
     
     // 添加到容器
     fieldContainer.appendChild(selectorContainer);
+    InfA11y.setupSelector(selectorContainer, { label: title.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 取消按鈕事件
     cancelBtn.addEventListener('click', (e) => {
@@ -10331,10 +14124,10 @@ function createHeightSelector(fieldContainer, valueElement, currentValue, userKe
                 fieldContainer.querySelector('.edit-icon').style.display = 'flex';
             } catch (error) {
                 // console statement removed
-                showNotification('保存失敗，請重試', 'error');
+                showNotification(InfI18n.t('notify.saveFailed'), 'error');
             }
   } else {
-            showNotification('請選擇身高', 'error');
+            showNotification(InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('HV') }), 'error');
         }
     });
     
@@ -10373,9 +14166,9 @@ function createWeightSelector(fieldContainer, valueElement, currentValue, userKe
         top: 0;
         left: 0;
         right: 0;
-        background: white;
+        background: var(--inf-color-surface, white);
         border: 1px solid #000;
-        border-radius: 8px;
+        border-radius: var(--inf-radius, 8px);
         padding: 16px;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         z-index: 1500;
@@ -10383,11 +14176,11 @@ function createWeightSelector(fieldContainer, valueElement, currentValue, userKe
     
     // 創建標題
     const title = document.createElement('div');
-    title.textContent = '選擇體重';
+    title.textContent = InfI18n.t('selector.title', { field: InfMeasurementSchema.getLabel('WV') });
     title.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         margin-bottom: 16px;
         text-align: center;
     `;
@@ -10404,11 +14197,11 @@ function createWeightSelector(fieldContainer, valueElement, currentValue, userKe
     selectElement.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
@@ -10417,19 +14210,17 @@ function createWeightSelector(fieldContainer, valueElement, currentValue, userKe
     // 添加預設選項
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = '請選擇體重';
+    defaultOption.textContent = InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('WV') });
     selectElement.appendChild(defaultOption);
     
-    // 生成體重選項 (35-120)
-    for (let weight = 35; weight <= 120; weight++) {
+    // 選項值一律為公制，顯示文字依單位偏好換算
+    InfUnits.getSelectorOptions('WV', currentValue, InfMeasurementSchema.getUserGender(userKey)).forEach(item => {
         const option = document.createElement('option');
-        option.value = weight.toString();
-        option.textContent = `${weight} kg`;
-        if (currentValue === weight.toString()) {
-            option.selected = true;
-        }
+        option.value = item.value;
+        option.textContent = item.label;
+        option.selected = !!item.selected;
         selectElement.appendChild(option);
-    }
+    });
     
     weightSection.appendChild(selectElement);
     selectorContainer.appendChild(weightSection);
@@ -10438,33 +14229,33 @@ function createWeightSelector(fieldContainer, valueElement, currentValue, userKe
     const buttonSection = document.createElement('div');
     buttonSection.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確認';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: none;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -10476,6 +14267,7 @@ function createWeightSelector(fieldContainer, valueElement, currentValue, userKe
     
     // 添加到容器
     fieldContainer.appendChild(selectorContainer);
+    InfA11y.setupSelector(selectorContainer, { label: title.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 取消按鈕事件
     cancelBtn.addEventListener('click', (e) => {
@@ -10504,10 +14296,10 @@ function createWeightSelector(fieldContainer, valueElement, currentValue, userKe
                 fieldContainer.querySelector('.edit-icon').style.display = 'flex';
             } catch (error) {
                 // console statement removed
-                showNotification('保存失敗，請重試', 'error');
+                showNotification(InfI18n.t('notify.saveFailed'), 'error');
             }
         } else {
-            showNotification('請選擇體重', 'error');
+            showNotification(InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('WV') }), 'error');
         }
     });
     
@@ -10546,9 +14338,9 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
         top: 0;
         left: 0;
         right: 0;
-        background: white;
+        background: var(--inf-color-surface, white);
         border: 1px solid #000;
-        border-radius: 8px;
+        border-radius: var(--inf-radius, 8px);
         padding: 16px;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         z-index: 1500;
@@ -10556,11 +14348,11 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
     
     // 創建標題
     const title = document.createElement('div');
-    title.textContent = `選擇${fieldLabel}`;
+    title.textContent = InfI18n.t('selector.title', { field: fieldLabel });
     title.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         margin-bottom: 16px;
         text-align: center;
     `;
@@ -10586,22 +14378,22 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
     unitToggle.style.cssText = `
         display: flex;
         gap: 0;
-        border: 1px solid #E5E7EB;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
         border-radius: 20px;
         padding: 2px;
-        background: white;
+        background: var(--inf-color-surface, white);
         width: fit-content;
     `;
     
     const cmBtn = document.createElement('button');
-    cmBtn.textContent = '公分';
+    cmBtn.textContent = InfI18n.t('unit.cm');
     cmBtn.type = 'button';
     cmBtn.style.cssText = `
         padding: 6px 16px;
         border: none;
         border-radius: 18px;
-        background: white;
-        color: #374151;
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
         font-size: 12px;
         font-weight: 500;
         cursor: pointer;
@@ -10615,14 +14407,14 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
     `;
     
     const inchBtn = document.createElement('button');
-    inchBtn.textContent = '英吋';
+    inchBtn.textContent = InfI18n.t('unit.inch');
     inchBtn.type = 'button';
     inchBtn.style.cssText = `
         padding: 6px 16px;
         border: none;
         border-radius: 18px;
         background: transparent;
-        color: #9CA3AF;
+        color: var(--inf-color-text-muted, #9CA3AF);
         font-size: 12px;
         font-weight: 500;
         cursor: pointer;
@@ -10647,11 +14439,11 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
     `;
     
     const valueLabel = document.createElement('div');
-    valueLabel.textContent = '數值';
+    valueLabel.textContent = InfI18n.t('selector.value');
     valueLabel.style.cssText = `
         font-size: 12px;
         font-weight: 500;
-        color: #6B7280;
+        color: var(--inf-color-text-secondary, #6B7280);
         margin-bottom: 6px;
     `;
     valueSection.appendChild(valueLabel);
@@ -10660,55 +14452,44 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
     selectElement.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
     `;
     
-    // 當前選中的單位和數值（在創建按鈕之前定義）
-    let currentUnit = 'cm';
+    // 當前選中的單位（預設依單位偏好，切換按鈕只影響此選擇器）和數值（在創建按鈕之前定義）
+    let currentUnit = InfUnits.getPreference().length === 'in' ? 'inch' : 'cm';
     let currentValueNum = parseFloat(currentValue) || 0;
     
-    // 如果當前值存在，判斷單位
-    if (currentValue && currentValueNum > 0) {
-        // 根據數值範圍判斷單位
-        // 公分範圍：50-120 (上胸圍), 50-110 (下胸圍)
-        // 英吋範圍：20-48 (上胸圍), 20-44 (下胸圍)
-        if (currentValueNum >= 50) {
-            currentUnit = 'cm';
-        } else if (currentValueNum >= 20) {
-            currentUnit = 'inch';
-        } else {
-            currentUnit = 'cm'; // 預設為公分
-        }
-    }
+    // 保存值一律為公分；舊資料可能以英吋保存（20-48），換算後再比較
+    const currentValueCm = currentValueNum >= 50 ? currentValueNum : currentValueNum * INF_CM_PER_INCH;
     
     // 添加預設選項
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = `請選擇${fieldLabel}`;
+    defaultOption.textContent = InfI18n.t('selector.required', { field: fieldLabel });
     selectElement.appendChild(defaultOption);
     
     // 更新單位按鈕狀態
     function updateUnitButtons() {
         if (currentUnit === 'cm') {
-            cmBtn.style.background = 'white';
-            cmBtn.style.color = '#374151';
+            cmBtn.style.background = 'var(--inf-color-surface, white)';
+            cmBtn.style.color = 'var(--inf-color-text, #374151)';
             cmBtn.style.boxShadow = '0 0 0 1px #E5E7EB';
             inchBtn.style.background = 'transparent';
-            inchBtn.style.color = '#9CA3AF';
+            inchBtn.style.color = 'var(--inf-color-text-muted, #9CA3AF)';
             inchBtn.style.boxShadow = 'none';
         } else {
             cmBtn.style.background = 'transparent';
-            cmBtn.style.color = '#9CA3AF';
+            cmBtn.style.color = 'var(--inf-color-text-muted, #9CA3AF)';
             cmBtn.style.boxShadow = 'none';
-            inchBtn.style.background = 'white';
-            inchBtn.style.color = '#374151';
+            inchBtn.style.background = 'var(--inf-color-surface, white)';
+            inchBtn.style.color = 'var(--inf-color-text, #374151)';
             inchBtn.style.boxShadow = '0 0 0 1px #E5E7EB';
         }
     }
@@ -10718,60 +14499,27 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
         selectElement.innerHTML = '';
         const defaultOpt = document.createElement('option');
         defaultOpt.value = '';
-        defaultOpt.textContent = `請選擇${fieldLabel}`;
+        defaultOpt.textContent = InfI18n.t('selector.required', { field: fieldLabel });
         selectElement.appendChild(defaultOpt);
         
-        // 根據胸圍類型和單位生成選項
-        let minValue, maxValue;
-        if (chestType === 'up') {
-            // 上胸圍：50~120 (cm) / 20~48 (inch)
-            minValue = currentUnit === 'cm' ? 50 : 20;
-            maxValue = currentUnit === 'cm' ? 120 : 48;
-        } else {
-            // 下胸圍：50~110 (cm) / 20~44 (inch)
-            minValue = currentUnit === 'cm' ? 50 : 20;
-            maxValue = currentUnit === 'cm' ? 110 : 44;
-        }
-        
-        // 間隔0.5
-        const step = 0.5; // 統一使用0.5間隔
+        // 根據胸圍類型和單位生成選項（範圍見 INF_MEASUREMENT_SCHEMA，英吋由公分範圍換算）
+        const definition = InfMeasurementSchema.get(chestType === 'up' ? 'UpChest' : 'DnChest');
+        const step = currentUnit === 'cm' ? definition.step : definition.imperialStep;
+        const minValue = currentUnit === 'cm' ? definition.min : Math.ceil(definition.min / INF_CM_PER_INCH / step) * step;
+        const maxValue = currentUnit === 'cm' ? definition.max : Math.floor(definition.max / INF_CM_PER_INCH / step) * step;
         
         for (let value = minValue; value <= maxValue; value += step) {
             const option = document.createElement('option');
             const roundedValue = Math.round(value * 10) / 10; // 保留一位小數
-            option.value = roundedValue.toString();
+            // 選項值一律為公分，英吋只用於顯示
+            const cmValue = currentUnit === 'cm' ? roundedValue : Math.round(roundedValue * INF_CM_PER_INCH * 10) / 10;
+            option.value = cmValue.toString();
             option.textContent = `${roundedValue} ${currentUnit === 'cm' ? 'cm' : 'inch'}`;
             
-            // 檢查是否為當前選中值
-            if (currentValueNum > 0) {
-                let shouldSelect = false;
-                
-                // 根據當前值的範圍判斷原始單位
-                if (currentValueNum >= 50) {
-                    // 原始值是公分
-                    if (currentUnit === 'cm') {
-                        // 當前也是公分，直接比較
-                        shouldSelect = Math.abs(roundedValue - currentValueNum) < 0.1;
-                    } else {
-                        // 當前是英吋，需要轉換公分到英吋
-                        const inchValue = currentValueNum / 2.54;
-                        shouldSelect = Math.abs(roundedValue - inchValue) < 0.1;
-                    }
-                } else if (currentValueNum >= 20) {
-                    // 原始值是英吋
-                    if (currentUnit === 'inch') {
-                        // 當前也是英吋，直接比較
-                        shouldSelect = Math.abs(roundedValue - currentValueNum) < 0.1;
-                    } else {
-                        // 當前是公分，需要轉換英吋到公分
-                        const cmValue = currentValueNum * 2.54;
-                        shouldSelect = Math.abs(roundedValue - cmValue) < 0.1;
-                    }
-                }
-                
-                if (shouldSelect) {
-                    option.selected = true;
-                }
+            // 檢查是否為當前選中值（間隔的一半以內）
+            const tolerance = (currentUnit === 'cm' ? step : step * INF_CM_PER_INCH) / 2;
+            if (currentValueNum > 0 && Math.abs(cmValue - currentValueCm) < tolerance) {
+                option.selected = true;
             }
             
             selectElement.appendChild(option);
@@ -10807,33 +14555,33 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
     const buttonSection = document.createElement('div');
     buttonSection.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確認';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: none;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -10845,6 +14593,7 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
     
     // 添加到容器
     fieldContainer.appendChild(selectorContainer);
+    InfA11y.setupSelector(selectorContainer, { label: title.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 取消按鈕事件
     cancelBtn.addEventListener('click', (e) => {
@@ -10874,10 +14623,10 @@ function createChestSelector(fieldContainer, valueElement, currentValue, userKey
                 fieldContainer.querySelector('.edit-icon').style.display = 'flex';
             } catch (error) {
                 // console statement removed
-                showNotification('保存失敗，請重試', 'error');
+                showNotification(InfI18n.t('notify.saveFailed'), 'error');
             }
         } else {
-            showNotification(`請選擇${fieldLabel}`, 'error');
+            showNotification(InfI18n.t('selector.required', { field: fieldLabel }), 'error');
         }
     });
     
@@ -10918,9 +14667,9 @@ function createFootLengthSelector(fieldContainer, valueElement, currentValue, us
         top: 0;
         left: 0;
         right: 0;
-        background: white;
+        background: var(--inf-color-surface, white);
         border: 1px solid #000;
-        border-radius: 8px;
+        border-radius: var(--inf-radius, 8px);
         padding: 16px;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         z-index: 1500;
@@ -10928,11 +14677,11 @@ function createFootLengthSelector(fieldContainer, valueElement, currentValue, us
     
     // 創建標題
     const title = document.createElement('div');
-    title.textContent = '選擇腳長';
+    title.textContent = InfI18n.t('selector.title', { field: InfMeasurementSchema.getLabel('FH') });
     title.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         margin-bottom: 16px;
         text-align: center;
     `;
@@ -10949,11 +14698,11 @@ function createFootLengthSelector(fieldContainer, valueElement, currentValue, us
     selectElement.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
@@ -10962,20 +14711,17 @@ function createFootLengthSelector(fieldContainer, valueElement, currentValue, us
     // 添加預設選項
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = '請選擇腳長';
+    defaultOption.textContent = InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('FH') });
     selectElement.appendChild(defaultOption);
     
-    // 生成腳長選項 (22.0~27.0, 間隔 0.1)
-    for (let length = 22.0; length <= 27.0; length += 0.1) {
+    // 選項值一律為公制，顯示文字依單位偏好換算
+    InfUnits.getSelectorOptions('FH', currentValue, InfMeasurementSchema.getUserGender(userKey)).forEach(item => {
         const option = document.createElement('option');
-        const roundedLength = Math.round(length * 10) / 10; // 確保精確度
-        option.value = roundedLength.toString();
-        option.textContent = `${roundedLength.toFixed(1)} cm`;
-        if (currentValue === roundedLength.toString() || Math.abs(parseFloat(currentValue) - roundedLength) < 0.01) {
-            option.selected = true;
-        }
+        option.value = item.value;
+        option.textContent = item.label;
+        option.selected = !!item.selected;
         selectElement.appendChild(option);
-    }
+    });
     
     footLengthSection.appendChild(selectElement);
     selectorContainer.appendChild(footLengthSection);
@@ -10984,33 +14730,33 @@ function createFootLengthSelector(fieldContainer, valueElement, currentValue, us
     const buttonSection = document.createElement('div');
     buttonSection.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確定';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: 1px solid #000000;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -11022,6 +14768,7 @@ function createFootLengthSelector(fieldContainer, valueElement, currentValue, us
     
     // 添加到容器
     fieldContainer.appendChild(selectorContainer);
+    InfA11y.setupSelector(selectorContainer, { label: title.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 取消按鈕事件
     cancelBtn.addEventListener('click', (e) => {
@@ -11053,10 +14800,10 @@ function createFootLengthSelector(fieldContainer, valueElement, currentValue, us
                 fieldContainer.querySelector('.edit-icon').style.display = 'flex';
             } catch (error) {
                 // console statement removed
-                showNotification('保存失敗，請重試', 'error');
+                showNotification(InfI18n.t('notify.saveFailed'), 'error');
             }
         } else {
-            showNotification('請選擇腳長', 'error');
+            showNotification(InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('FH') }), 'error');
         }
     });
     
@@ -11098,9 +14845,9 @@ function createFootWidthSelector(fieldContainer, valueElement, currentValue, use
         top: 0;
         left: 0;
         right: 0;
-        background: white;
+        background: var(--inf-color-surface, white);
         border: 1px solid #000;
-        border-radius: 8px;
+        border-radius: var(--inf-radius, 8px);
         padding: 16px;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         z-index: 1500;
@@ -11108,11 +14855,11 @@ function createFootWidthSelector(fieldContainer, valueElement, currentValue, use
     
     // 創建標題
     const title = document.createElement('div');
-    title.textContent = '選擇腳寬';
+    title.textContent = InfI18n.t('selector.title', { field: InfMeasurementSchema.getLabel('FW') });
     title.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         margin-bottom: 16px;
         text-align: center;
     `;
@@ -11129,11 +14876,11 @@ function createFootWidthSelector(fieldContainer, valueElement, currentValue, use
     selectElement.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
@@ -11142,20 +14889,17 @@ function createFootWidthSelector(fieldContainer, valueElement, currentValue, use
     // 添加預設選項
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = '請選擇腳寬';
+    defaultOption.textContent = InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('FW') });
     selectElement.appendChild(defaultOption);
     
-    // 生成腳寬選項 (6.0~15.0, 間隔 0.1)
-    for (let width = 6.0; width <= 15.0; width += 0.1) {
+    // 選項值一律為公制，顯示文字依單位偏好換算
+    InfUnits.getSelectorOptions('FW', currentValue, InfMeasurementSchema.getUserGender(userKey)).forEach(item => {
         const option = document.createElement('option');
-        const roundedWidth = Math.round(width * 10) / 10; // 確保精確度
-        option.value = roundedWidth.toString();
-        option.textContent = `${roundedWidth.toFixed(1)} cm`;
-        if (currentValue === roundedWidth.toString() || Math.abs(parseFloat(currentValue) - roundedWidth) < 0.01) {
-            option.selected = true;
-        }
+        option.value = item.value;
+        option.textContent = item.label;
+        option.selected = !!item.selected;
         selectElement.appendChild(option);
-    }
+    });
     
     footWidthSection.appendChild(selectElement);
     selectorContainer.appendChild(footWidthSection);
@@ -11164,33 +14908,33 @@ function createFootWidthSelector(fieldContainer, valueElement, currentValue, use
     const buttonSection = document.createElement('div');
     buttonSection.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確定';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: 1px solid #000000;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -11202,6 +14946,7 @@ function createFootWidthSelector(fieldContainer, valueElement, currentValue, use
     
     // 添加到容器
     fieldContainer.appendChild(selectorContainer);
+    InfA11y.setupSelector(selectorContainer, { label: title.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 取消按鈕事件
     cancelBtn.addEventListener('click', (e) => {
@@ -11233,10 +14978,10 @@ function createFootWidthSelector(fieldContainer, valueElement, currentValue, use
                 fieldContainer.querySelector('.edit-icon').style.display = 'flex';
             } catch (error) {
                 // console statement removed
-                showNotification('保存失敗，請重試', 'error');
+                showNotification(InfI18n.t('notify.saveFailed'), 'error');
             }
         } else {
-            showNotification('請選擇腳寬', 'error');
+            showNotification(InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('FW') }), 'error');
         }
     });
     
@@ -11278,9 +15023,9 @@ function createFootCircumferenceSelector(fieldContainer, valueElement, currentVa
         top: 0;
         left: 0;
         right: 0;
-        background: white;
+        background: var(--inf-color-surface, white);
         border: 1px solid #000;
-        border-radius: 8px;
+        border-radius: var(--inf-radius, 8px);
         padding: 16px;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         z-index: 1500;
@@ -11288,11 +15033,11 @@ function createFootCircumferenceSelector(fieldContainer, valueElement, currentVa
     
     // 創建標題
     const title = document.createElement('div');
-    title.textContent = '選擇腳圍';
+    title.textContent = InfI18n.t('selector.title', { field: InfMeasurementSchema.getLabel('FCir') });
     title.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         margin-bottom: 16px;
         text-align: center;
     `;
@@ -11309,11 +15054,11 @@ function createFootCircumferenceSelector(fieldContainer, valueElement, currentVa
     selectElement.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
@@ -11322,20 +15067,17 @@ function createFootCircumferenceSelector(fieldContainer, valueElement, currentVa
     // 添加預設選項
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
-    defaultOption.textContent = '請選擇腳圍';
+    defaultOption.textContent = InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('FCir') });
     selectElement.appendChild(defaultOption);
     
-    // 生成腳圍選項 (18.0~39.9, 間隔 0.1)
-    for (let circumference = 18.0; circumference <= 39.9; circumference += 0.1) {
+    // 選項值一律為公制，顯示文字依單位偏好換算
+    InfUnits.getSelectorOptions('FCir', currentValue, InfMeasurementSchema.getUserGender(userKey)).forEach(item => {
         const option = document.createElement('option');
-        const roundedCircumference = Math.round(circumference * 10) / 10; // 確保精確度
-        option.value = roundedCircumference.toString();
-        option.textContent = `${roundedCircumference.toFixed(1)} cm`;
-        if (currentValue === roundedCircumference.toString() || Math.abs(parseFloat(currentValue) - roundedCircumference) < 0.01) {
-            option.selected = true;
-        }
+        option.value = item.value;
+        option.textContent = item.label;
+        option.selected = !!item.selected;
         selectElement.appendChild(option);
-    }
+    });
     
     footCircumSection.appendChild(selectElement);
     selectorContainer.appendChild(footCircumSection);
@@ -11344,33 +15086,33 @@ function createFootCircumferenceSelector(fieldContainer, valueElement, currentVa
     const buttonSection = document.createElement('div');
     buttonSection.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確定';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: 1px solid #000000;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -11382,6 +15124,7 @@ function createFootCircumferenceSelector(fieldContainer, valueElement, currentVa
     
     // 添加到容器
     fieldContainer.appendChild(selectorContainer);
+    InfA11y.setupSelector(selectorContainer, { label: title.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 取消按鈕事件
     cancelBtn.addEventListener('click', (e) => {
@@ -11413,10 +15156,10 @@ function createFootCircumferenceSelector(fieldContainer, valueElement, currentVa
                 fieldContainer.querySelector('.edit-icon').style.display = 'flex';
             } catch (error) {
                 // console statement removed
-                showNotification('保存失敗，請重試', 'error');
+                showNotification(InfI18n.t('notify.saveFailed'), 'error');
             }
         } else {
-            showNotification('請選擇腳圍', 'error');
+            showNotification(InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('FCir') }), 'error');
         }
     });
     
@@ -11460,9 +15203,9 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
          top: 0;
          left: 0;
          right: 0;
-         background: white;
+         background: var(--inf-color-surface, white);
          border: 1px solid #000;
-         border-radius: 8px;
+         border-radius: var(--inf-radius, 8px);
          padding: 16px;
          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
          z-index: 1500;
@@ -11513,11 +15256,11 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     `;
     
     const title = document.createElement('div');
-    title.textContent = '選擇胸圍尺寸';
+    title.textContent = InfI18n.t('selector.braTitle');
     title.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         flex: 1;
         text-align: center;
     `;
@@ -11527,14 +15270,15 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     toggleModeBtn.style.cssText = `
         cursor: pointer;
         padding: 8px;
-        border-radius: 6px;
+        border-radius: var(--inf-radius-sm, 6px);
         background: transparent;
         display: flex;
         align-items: center;
         justify-content: center;
         transition: all 0.2s ease;
     `;
-    toggleModeBtn.title = '切換到上胸圍/下胸圍編輯模式';
+    toggleModeBtn.title = InfI18n.t('selector.toMeasurement');
+    InfA11y.makeButton(toggleModeBtn, toggleModeBtn.title);
     toggleModeBtn.innerHTML = `
         <img src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAQAAAAAYLlVAAAABGdBTUEAALGPC/xhBQAAACBjSFJNAAB6JgAAgIQAAPoAAACA6AAAdTAAAOpgAAA6mAAAF3CculE8AAAAAmJLR0QA/4ePzL8AAAAJcEhZcwAAEuYAABLmAc2/QKgAAAAHdElNRQfpBgQOLjND9MctAAAE6klEQVRo3sWZ30+TZxTHP7y8tFUDXWkmSwYDAQuLynoBFxtLgGXgdoPJlsgS4w3ZnZqMLOwPkGTlZjfuFrlZSCbGcDG8QRO9GNEEJ52bCVTMZGNEnbRiYmlraXfRh4e2vG/7PrSU04uePD/OOc/znuc5z/meMtTIhQcvH9BKHW4OYgNivCbICov4mSdASEVgmYLqDnrppBkXusmYOC95xCw3mFMzIx81M8xdwiQt/sLcZZim4ihv5CKPDdVsEiVMmCibhv2PGaGxsE/g5CwX8GS0RVghQIAnPGWdKGDHSQ1H8OChFkfG6EV+5Cde7W7t7VwnnraiCHP4OEktdsPxNmrp43vm2EibFWeadnXlOoMsp4kJcYV+3JbmVtPPz4TSZi8zaOq4hlTJaJrLhZmkC5vSAiroYjJDho9Kq5PdjJOQU+cZyPquVsnBaealnATj1nbQzYScFGWMhl0p36J6xohKeRP5TahkXA4PMrTLtWfuwxBBKXOcqlyDdUbl5q8yULDyLRpgVX6I0VzuOCjdZpVTRVMPcEqaEGbQbFC7PHjBIq5+exeC8lAa3gtOrkvX+6bo6gGGpDtOG3nCeXnrjRXB9YzIwZi8Hc9ndzayKM99vYLQCioURjfIe2EhO1ZelC5yWkFgD1NM0aMwY0C6+Uh6c7MMuJMK21/DfZIkuU+N5TkOJmWwbt5u/k6GnC6F1ZzgBUmSvOCEwqwuGaaGATTAxReic4Y7CqLKDLj8dIcZwX2JK2VAB20ARJggpiBqdxRjgigAbXSkDOjlAAB/8uueqweY5Q8ADtALGi46RcdNgiUxYI2bguvEpeHhKAARbpdEPcBtIgA049Fw8hYAKzwsmQEPWQHAhVfDK8JjgOclM+A/HgGg49VoEY2BEpyALYqyKLgWjTrB/qUsZtOAs0pPxH+dLl5pCZ7lGF7D4R2XTYIWygEop5UytKz+JM9zyHxKAg2o1jkIQJx108E9/MB7Bu26iOpOLhM36P+bb7llInOdODbgEOINGDaNaRVMWU5Ks39TpsH6ExEVExr7TDox7EC5Sb4Hb7hEveknKAOSvDL8BMtc4o2JVJvwn5hOGDug4zQ18hafGzphK2M4gXW+ZlHRCZ3i9nmts4YL0HI+Kp4ZikqKdW+yoHyLviMMXtP4RzQdURSB2MRMzio1iP8VTd5JHsX8txCyy/t3QcMvNtLD4ZIZ8LZAXeL8ruEXeFYtx0pmwDHeBSCEXyPAEgAOuktmQLd4ey8R0AgxK5o/tQjBFEpuegU3S0gDbrABwHH5ONtb6uQ4ABvMpB6lczwAwMGZEpwEG2fErfuAeykDQlwTnX18qCAqacDlp4/oE9y1bTi3qaDU7DeFA+zgqtC0lJmebienKtBE0ZJTaGRBpucNCgJV03O/TM93oMjnSgpQnNvZXcW0hGiG9sSAPBDNvoNUsO8wHej40oDKr4q4eotAZSmg2ryYeTpYHSsYrG5QBatTJlxOqwL5C4DrB3YD1wNU4ssoNlylWzFM2QopWMDOks1LhZKNm36uFFaySVE7v2QVre7h4zPqTJIYO7WcxKdWtMoNsFVxlgvyBZuiCP8SYFGU7WKATZTtWjha3LJdihoZYckw9SxK4dIaNe1d6ValeN1OLx/nKV6HWFIrXquArCkzPHhp433qqOaQLN+vifK9X7V8/z/eIK2JvdrbcwAAACV0RVh0ZGF0ZTpjcmVhdGUAMjAyNS0wNi0wNFQxNDo0NjoyMSswMDowMArbUkoAAAAldEVYdGRhdGU6bW9kaWZ5ADIwMTktMDYtMTJUMDE6NTg6MTgrMDA6MDB4xjtKAAAAKHRFWHRkYXRlOnRpbWVzdGFtcAAyMDI1LTA2LTA0VDE0OjQ2OjUxKzAwOjAwJlbCMAAAABl0RVh0U29mdHdhcmUAd3d3Lmlua3NjYXBlLm9yZ5vuPBoAAAAASUVORK5CYII=" width="16" height="16" alt="+">
     `;
@@ -11578,11 +15322,11 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     `;
     
     const bandTitle = document.createElement('div');
-    bandTitle.textContent = '胸圍';
+    bandTitle.textContent = InfI18n.t('selector.band');
     bandTitle.style.cssText = `
-        font-size: 14px;
+        font-size: var(--inf-font-size, 14px);
         font-weight: 600;
-        color: #374151;
+        color: var(--inf-color-text, #374151);
     `;
     
     // 移動歐規/日規切換器到胸圍區域
@@ -11590,22 +15334,22 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     systemToggle.style.cssText = `
         display: flex;
         gap: 0;
-        border: 1px solid #E5E7EB;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
         border-radius: 20px;
         padding: 2px;
-        background: white;
+        background: var(--inf-color-surface, white);
         width: fit-content;
     `;
     
     const europeanBtn = document.createElement('button');
-    europeanBtn.textContent = '歐規';
+    europeanBtn.textContent = InfI18n.t('selector.european');
     europeanBtn.type = 'button';
     europeanBtn.style.cssText = `
         padding: 6px 16px;
         border: none;
         border-radius: 18px;
-        background: ${currentSystem === 'european' ? 'white' : 'transparent'};
-        color: ${currentSystem === 'european' ? '#374151' : '#9CA3AF'};
+        background: ${currentSystem === 'european' ? 'var(--inf-color-surface, white)' : 'transparent'};
+        color: ${currentSystem === 'european' ? 'var(--inf-color-text, #374151)' : 'var(--inf-color-text-muted, #9CA3AF)'};
         font-size: 12px;
         font-weight: 500;
         cursor: pointer;
@@ -11619,14 +15363,14 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     `;
     
     const japaneseBtn = document.createElement('button');
-    japaneseBtn.textContent = '日規';
+    japaneseBtn.textContent = InfI18n.t('selector.japanese');
     japaneseBtn.type = 'button';
     japaneseBtn.style.cssText = `
         padding: 6px 16px;
         border: none;
         border-radius: 18px;
-        background: ${currentSystem === 'japanese' ? 'white' : 'transparent'};
-        color: ${currentSystem === 'japanese' ? '#374151' : '#9CA3AF'};
+        background: ${currentSystem === 'japanese' ? 'var(--inf-color-surface, white)' : 'transparent'};
+        color: ${currentSystem === 'japanese' ? 'var(--inf-color-text, #374151)' : 'var(--inf-color-text-muted, #9CA3AF)'};
         font-size: 12px;
         font-weight: 500;
         cursor: pointer;
@@ -11666,6 +15410,7 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     
     function createBandButtons() {
         // console statement removed
+        const hadFocus = bandGrid.contains(document.activeElement);
         bandGrid.innerHTML = '';
         const sizes = bandSizes[currentSystem];
         
@@ -11675,10 +15420,10 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
                        button.style.cssText = `
                width: 32px;
                height: 32px;
-               border: 1px solid #E5E7EB;
+               border: 1px solid var(--inf-color-border, #E5E7EB);
                border-radius: 50%;
-               background: ${selectedBand === size.toString() ? '#000000' : 'white'};
-               color: ${selectedBand === size.toString() ? 'white' : '#374151'};
+               background: ${selectedBand === size.toString() ? 'var(--inf-color-primary, #000000)' : 'var(--inf-color-surface, white)'};
+               color: ${selectedBand === size.toString() ? 'var(--inf-color-on-primary, white)' : 'var(--inf-color-text, #374151)'};
                font-size: 12px;
                font-weight: 500;
                cursor: pointer;
@@ -11715,9 +15460,11 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
             
             bandGrid.appendChild(button);
         });
+        InfA11y.updateOptionGrid(bandGrid, text => text === selectedBand, hadFocus);
     }
     
     createBandButtons();
+    InfA11y.setupOptionGrid(bandGrid, InfI18n.t('selector.band'), 7);
     bandSection.appendChild(bandGrid);
     selectorContainer.appendChild(bandSection);
     
@@ -11728,11 +15475,11 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     `;
     
     const cupTitle = document.createElement('div');
-    cupTitle.textContent = '罩杯';
+    cupTitle.textContent = InfI18n.t('selector.cup');
     cupTitle.style.cssText = `
-        font-size: 14px;
+        font-size: var(--inf-font-size, 14px);
         font-weight: 600;
-        color: #374151;
+        color: var(--inf-color-text, #374151);
         margin-bottom: 8px;
     `;
     cupSection.appendChild(cupTitle);
@@ -11748,6 +15495,7 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     
     function createCupButtons() {
         // console statement removed
+        const hadFocus = cupGrid.contains(document.activeElement);
         cupGrid.innerHTML = '';
         
         cupSizes.forEach(cup => {
@@ -11756,10 +15504,10 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
                        button.style.cssText = `
                width: 32px;
                height: 32px;
-               border: 1px solid #E5E7EB;
+               border: 1px solid var(--inf-color-border, #E5E7EB);
                border-radius: 50%;
-               background: ${selectedCup === cup ? '#000000' : 'white'};
-               color: ${selectedCup === cup ? 'white' : '#374151'};
+               background: ${selectedCup === cup ? 'var(--inf-color-primary, #000000)' : 'var(--inf-color-surface, white)'};
+               color: ${selectedCup === cup ? 'var(--inf-color-on-primary, white)' : 'var(--inf-color-text, #374151)'};
                font-size: 12px;
                font-weight: 500;
                cursor: pointer;
@@ -11794,9 +15542,11 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
             
             cupGrid.appendChild(button);
         });
+        InfA11y.updateOptionGrid(cupGrid, text => text === selectedCup, hadFocus);
     }
     
     createCupButtons();
+    InfA11y.setupOptionGrid(cupGrid, InfI18n.t('selector.cup'), 7);
     cupSection.appendChild(cupGrid);
     selectorContainer.appendChild(cupSection);
     
@@ -11804,33 +15554,33 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     const buttonSection = document.createElement('div');
     buttonSection.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #D1D5DB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #D1D5DB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確認';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: none;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -11842,6 +15592,7 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
     
     // 添加到容器
     fieldContainer.appendChild(selectorContainer);
+    InfA11y.setupSelector(selectorContainer, { label: title.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 在 selectorContainer 上添加點擊事件監聽器並阻止冒泡
     selectorContainer.addEventListener('click', (e) => {
@@ -11907,7 +15658,7 @@ function createBraSizeSelector(fieldContainer, valueElement, currentValue, userK
             valueElement.style.display = 'block';
             fieldContainer.querySelector('.edit-icon').style.display = 'flex';
   } else {
-            showNotification('請選擇胸圍和罩杯', 'error');
+            showNotification(InfI18n.t('selector.braRequired'), 'error');
         }
     });
     
@@ -11960,9 +15711,9 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
         top: 0;
         left: 0;
         right: 0;
-        background: white;
+        background: var(--inf-color-surface, white);
         border: 1px solid #000;
-        border-radius: 8px;
+        border-radius: var(--inf-radius, 8px);
         padding: 16px;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         z-index: 1500;
@@ -11981,25 +15732,25 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     titleElement.style.cssText = `
         font-size: 16px;
         font-weight: 600;
-        color: #1E293B;
+        color: var(--inf-color-text, #1E293B);
         flex: 1;
         text-align: center;
     `;
-    titleElement.textContent = '胸圍測量';
+    titleElement.textContent = InfI18n.t('selector.chestTitle');
     
     // 創建切換模式按鈕
     const toggleModeBtn = document.createElement('div');
     toggleModeBtn.style.cssText = `
         cursor: pointer;
         padding: 8px;
-        border-radius: 6px;
+        border-radius: var(--inf-radius-sm, 6px);
         background: transparent;
         display: flex;
         align-items: center;
         justify-content: center;
         transition: all 0.2s ease;
     `;
-    toggleModeBtn.title = '切換到胸圍/罩杯編輯模式';
+    toggleModeBtn.title = InfI18n.t('selector.toBraSize');
     toggleModeBtn.innerHTML = `
         <img src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAQAAAAAYLlVAAAABGdBTUEAALGPC/xhBQAAACBjSFJNAAB6JgAAgIQAAPoAAACA6AAAdTAAAOpgAAA6mAAAF3CculE8AAAAAmJLR0QA/4ePzL8AAAAJcEhZcwAAEuYAABLmAc2/QKgAAAAHdElNRQfpBgQOLjND9MctAAAE6klEQVRo3sWZ30+TZxTHP7y8tFUDXWkmSwYDAQuLynoBFxtLgGXgdoPJlsgS4w3ZnZqMLOwPkGTlZjfuFrlZSCbGcDG8QRO9GNEEJ52bCVTMZGNEnbRiYmlraXfRh4e2vG/7PrSU04uePD/OOc/znuc5z/meMtTIhQcvH9BKHW4OYgNivCbICov4mSdASEVgmYLqDnrppBkXusmYOC95xCw3mFMzIx81M8xdwiQt/sLcZZim4ihv5CKPDdVsEiVMmCibhv2PGaGxsE/g5CwX8GS0RVghQIAnPGWdKGDHSQ1H8OChFkfG6EV+5Cde7W7t7VwnnraiCHP4OEktdsPxNmrp43vm2EibFWeadnXlOoMsp4kJcYV+3JbmVtPPz4TSZi8zaOq4hlTJaJrLhZmkC5vSAiroYjJDho9Kq5PdjJOQU+cZyPquVsnBaealnATj1nbQzYScFGWMhl0p36J6xohKeRP5TahkXA4PMrTLtWfuwxBBKXOcqlyDdUbl5q8yULDyLRpgVX6I0VzuOCjdZpVTRVMPcEqaEGbQbFC7PHjBIq5+exeC8lAa3gtOrkvX+6bo6gGGpDtOG3nCeXnrjRXB9YzIwZi8Hc9ndzayKM99vYLQCioURjfIe2EhO1ZelC5yWkFgD1NM0aMwY0C6+Uh6c7MMuJMK21/DfZIkuU+N5TkOJmWwbt5u/k6GnC6F1ZzgBUmSvOCEwqwuGaaGATTAxReic4Y7CqLKDLj8dIcZwX2JK2VAB20ARJggpiBqdxRjgigAbXSkDOjlAAB/8uueqweY5Q8ADtALGi46RcdNgiUxYI2bguvEpeHhKAARbpdEPcBtIgA049Fw8hYAKzwsmQEPWQHAhVfDK8JjgOclM+A/HgGg49VoEY2BEpyALYqyKLgWjTrB/qUsZtOAs0pPxH+dLl5pCZ7lGF7D4R2XTYIWygEop5UytKz+JM9zyHxKAg2o1jkIQJx108E9/MB7Bu26iOpOLhM36P+bb7llInOdODbgEOINGDaNaRVMWU5Ks39TpsH6ExEVExr7TDox7EC5Sb4Hb7hEveknKAOSvDL8BMtc4o2JVJvwn5hOGDug4zQ18hafGzphK2M4gXW+ZlHRCZ3i9nmts4YL0HI+Kp4ZikqKdW+yoHyLviMMXtP4RzQdURSB2MRMzio1iP8VTd5JHsX8txCyy/t3QcMvNtLD4ZIZ8LZAXeL8ruEXeFYtx0pmwDHeBSCEXyPAEgAOuktmQLd4ey8R0AgxK5o/tQjBFEpuegU3S0gDbrABwHH5ONtb6uQ4ABvMpB6lczwAwMGZEpwEG2fErfuAeykDQlwTnX18qCAqacDlp4/oE9y1bTi3qaDU7DeFA+zgqtC0lJmebienKtBE0ZJTaGRBpucNCgJV03O/TM93oMjnSgpQnNvZXcW0hGiG9sSAPBDNvoNUsO8wHej40oDKr4q4eotAZSmg2ryYeTpYHSsYrG5QBatTJlxOqwL5C4DrB3YD1wNU4ssoNlylWzFM2QopWMDOks1LhZKNm36uFFaySVE7v2QVre7h4zPqTJIYO7WcxKdWtMoNsFVxlgvyBZuiCP8SYFGU7WKATZTtWjha3LJdihoZYckw9SxK4dIaNe1d6ValeN1OLx/nKV6HWFIrXquArCkzPHhp433qqOaQLN+vifK9X7V8/z/eIK2JvdrbcwAAACV0RVh0ZGF0ZTpjcmVhdGUAMjAyNS0wNi0wNFQxNDo0NjoyMSswMDowMArbUkoAAAAldEVYdGRhdGU6bW9kaWZ5ADIwMTktMDYtMTJUMDE6NTg6MTgrMDA6MDB4xjtKAAAAKHRFWHRkYXRlOnRpbWVzdGFtcAAyMDI1LTA2LTA0VDE0OjQ2OjUxKzAwOjAwJlbCMAAAABl0RVh0U29mdHdhcmUAd3d3Lmlua3NjYXBlLm9yZ5vuPBoAAAAASUVORK5CYII=" width="16" height="16" alt="+">
     `;
@@ -12026,30 +15777,30 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     titleContainer.appendChild(toggleModeBtn);
     selectorContainer.appendChild(titleContainer);
     
-    // 當前選中的單位 - 從 localStorage 讀取上次的選擇，預設為 cm
-    let currentUnit = localStorage.getItem('chest_measurement_unit') || 'cm';
+    // 當前選中的單位 - 預設依單位偏好，切換按鈕只影響此選擇器
+    let currentUnit = InfUnits.getPreference().length === 'in' ? 'inch' : 'cm';
     
     // 創建單位切換器
     const unitToggle = document.createElement('div');
     unitToggle.style.cssText = `
         display: flex;
         gap: 0;
-        border: 1px solid #E5E7EB;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
         border-radius: 20px;
         padding: 2px;
-        background: white;
+        background: var(--inf-color-surface, white);
         width: fit-content;
     `;
     
     const cmBtn = document.createElement('button');
-    cmBtn.textContent = '公分';
+    cmBtn.textContent = InfI18n.t('unit.cm');
     cmBtn.type = 'button';
     cmBtn.style.cssText = `
         padding: 6px 16px;
         border: none;
         border-radius: 18px;
-        background: ${currentUnit === 'cm' ? 'white' : 'transparent'};
-        color: ${currentUnit === 'cm' ? '#374151' : '#9CA3AF'};
+        background: ${currentUnit === 'cm' ? 'var(--inf-color-surface, white)' : 'transparent'};
+        color: ${currentUnit === 'cm' ? 'var(--inf-color-text, #374151)' : 'var(--inf-color-text-muted, #9CA3AF)'};
         font-size: 12px;
         font-weight: 500;
         cursor: pointer;
@@ -12063,14 +15814,14 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     `;
     
     const inchBtn = document.createElement('button');
-    inchBtn.textContent = '英吋';
+    inchBtn.textContent = InfI18n.t('unit.inch');
     inchBtn.type = 'button';
     inchBtn.style.cssText = `
         padding: 6px 16px;
         border: none;
         border-radius: 18px;
-        background: ${currentUnit === 'inch' ? 'white' : 'transparent'};
-        color: ${currentUnit === 'inch' ? '#374151' : '#9CA3AF'};
+        background: ${currentUnit === 'inch' ? 'var(--inf-color-surface, white)' : 'transparent'};
+        color: ${currentUnit === 'inch' ? 'var(--inf-color-text, #374151)' : 'var(--inf-color-text-muted, #9CA3AF)'};
         font-size: 12px;
         font-weight: 500;
         cursor: pointer;
@@ -12103,11 +15854,11 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     
     const upChestLabel = document.createElement('div');
     upChestLabel.style.cssText = `
-        font-size: 14px;
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
-        color: #475569;
+        color: var(--inf-color-text-secondary, #475569);
     `;
-    upChestLabel.textContent = '上胸圍';
+    upChestLabel.textContent = InfMeasurementSchema.getLabel('UpChest');
     
     upChestLabelContainer.appendChild(upChestLabel);
     upChestLabelContainer.appendChild(unitToggle);
@@ -12117,11 +15868,11 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     upChestSelect.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
@@ -12137,23 +15888,23 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     
     const downChestLabel = document.createElement('div');
     downChestLabel.style.cssText = `
-        font-size: 14px;
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
-        color: #475569;
+        color: var(--inf-color-text-secondary, #475569);
         margin-bottom: 8px;
     `;
-    downChestLabel.textContent = '下胸圍';
+    downChestLabel.textContent = InfMeasurementSchema.getLabel('DnChest');
     downChestSection.appendChild(downChestLabel);
     
     const downChestSelect = document.createElement('select');
     downChestSelect.style.cssText = `
         width: 100%;
         padding: 8px 12px;
-        border: 1px solid #E5E7EB;
-        border-radius: 6px;
-        background: white;
-        color: #374151;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E5E7EB);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text, #374151);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         outline: none;
@@ -12165,43 +15916,43 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     const buttonContainer = document.createElement('div');
     buttonContainer.style.cssText = `
         display: flex;
-        gap: 8px;
+        gap: var(--inf-spacing-sm, 8px);
         justify-content: flex-end;
     `;
     
     // 取消按鈕
     const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = '取消';
+    cancelBtn.textContent = InfI18n.t('common.cancel');
     cancelBtn.style.cssText = `
         padding: 8px 16px;
-        border: 1px solid #E2E8F0;
-        border-radius: 6px;
-        background: white;
-        color: #64748B;
-        font-size: 14px;
+        border: 1px solid var(--inf-color-border, #E2E8F0);
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-surface, white);
+        color: var(--inf-color-text-muted, #64748B);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
     `;
     cancelBtn.addEventListener('mouseenter', () => {
-        cancelBtn.style.backgroundColor = '#F8FAFC';
+        cancelBtn.style.backgroundColor = 'var(--inf-color-surface-muted, #F8FAFC)';
         cancelBtn.style.borderColor = '#CBD5E1';
     });
     cancelBtn.addEventListener('mouseleave', () => {
-        cancelBtn.style.backgroundColor = 'white';
-        cancelBtn.style.borderColor = '#E2E8F0';
+        cancelBtn.style.backgroundColor = 'var(--inf-color-surface, white)';
+        cancelBtn.style.borderColor = 'var(--inf-color-border, #E2E8F0)';
     });
     
     // 確認按鈕
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = '確認';
+    confirmBtn.textContent = InfI18n.t('common.confirm');
     confirmBtn.style.cssText = `
         padding: 8px 16px;
         border: none;
-        border-radius: 6px;
-        background: #000000;
-        color: white;
-        font-size: 14px;
+        border-radius: var(--inf-radius-sm, 6px);
+        background: var(--inf-color-primary, #000000);
+        color: var(--inf-color-on-primary, white);
+        font-size: var(--inf-font-size, 14px);
         font-weight: 500;
         cursor: pointer;
         transition: all 0.2s ease;
@@ -12210,7 +15961,7 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
         confirmBtn.style.backgroundColor = '#333333';
     });
     confirmBtn.addEventListener('mouseleave', () => {
-        confirmBtn.style.backgroundColor = '#000000';
+        confirmBtn.style.backgroundColor = 'var(--inf-color-primary, #000000)';
     });
     
     buttonContainer.appendChild(cancelBtn);
@@ -12234,53 +15985,50 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
         // 添加空選項
         const upEmptyOption = document.createElement('option');
         upEmptyOption.value = '';
-        upEmptyOption.textContent = '請選擇上胸圍';
+        upEmptyOption.textContent = InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('UpChest') });
         upChestSelect.appendChild(upEmptyOption);
         
         const downEmptyOption = document.createElement('option');
         downEmptyOption.value = '';
-        downEmptyOption.textContent = '請選擇下胸圍';
+        downEmptyOption.textContent = InfI18n.t('selector.required', { field: InfMeasurementSchema.getLabel('DnChest') });
         downChestSelect.appendChild(downEmptyOption);
         
-        if (unit === 'cm') {
-            // 公分選項：上胸圍 65-120，下胸圍 60-110
-            for (let i = 65; i <= 120; i += 0.5) {
-                const option = document.createElement('option');
-                option.value = i.toString();
-                option.textContent = `${i} cm`;
-                upChestSelect.appendChild(option);
-            }
-            
-            for (let i = 60; i <= 110; i += 0.5) {
-                const option = document.createElement('option');
-                option.value = i.toString();
-                option.textContent = `${i} cm`;
-                downChestSelect.appendChild(option);
-            }
-        } else {
-            // 英吋選項：上胸圍 26-48，下胸圍 24-44
-            for (let i = 26; i <= 48; i += 0.5) {
-                const option = document.createElement('option');
-                option.value = inchToCm(i).toString();
-                option.textContent = `${i} inch`;
-                upChestSelect.appendChild(option);
-            }
-            
-            for (let i = 24; i <= 44; i += 0.5) {
-                const option = document.createElement('option');
-                option.value = inchToCm(i).toString();
-                option.textContent = `${i} inch`;
-                downChestSelect.appendChild(option);
+        // 範圍見 INF_MEASUREMENT_SCHEMA（UpChest / DnChest），英吋選項由公分範圍換算，選項值一律為公分
+        [['UpChest', upChestSelect], ['DnChest', downChestSelect]].forEach(([field, select]) => {
+            const definition = InfMeasurementSchema.get(field);
+            if (unit === 'cm') {
+                for (let i = definition.min; i <= definition.max + 1e-9; i += definition.step) {
+                    const value = Math.round(i * 10) / 10;
+                    const option = document.createElement('option');
+                    option.value = value.toString();
+                    option.textContent = `${value} cm`;
+                    select.appendChild(option);
+                }
+            } else {
+                const step = definition.imperialStep;
+                for (let i = Math.ceil(cmToInch(definition.min) / step) * step; i <= cmToInch(definition.max) + 1e-9; i += step) {
+                    const value = Math.round(i * 10) / 10;
+                    const option = document.createElement('option');
+                    option.value = inchToCm(value).toString();
+                    option.textContent = `${value} inch`;
+                    select.appendChild(option);
+                }
             }
-        }
+        });
         
-        // 設置當前值 - 只在相同單位時設置
-        if (currentUpChest && currentUnit === unit) {
-            upChestSelect.value = currentUpChest;
-        }
-        if (currentDownChest && currentUnit === unit) {
-            downChestSelect.value = currentDownChest;
-        }
+        // 設置當前值 - 選項值一律為公分，選取最接近保存值的選項
+        const selectClosest = (select, value) => {
+            const target = parseFloat(value);
+            if (isNaN(target)) return;
+            const closest = Array.from(select.options)
+                .filter(option => option.value !== '')
+                .reduce((best, option) => !best || Math.abs(parseFloat(option.value) - target) < Math.abs(parseFloat(best.value) - target) ? option : best, null);
+            if (closest && Math.abs(parseFloat(closest.value) - target) <= (unit === 'cm' ? 0.25 : 0.25 * INF_CM_PER_INCH)) {
+                select.value = closest.value;
+            }
+        };
+        selectClosest(upChestSelect, currentUpChest);
+        selectClosest(downChestSelect, currentDownChest);
     }
     
     // 單位切換事件
@@ -12288,16 +16036,14 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
         e.stopPropagation();
         if (currentUnit !== 'cm') {
             currentUnit = 'cm';
-            // 保存單位選擇到 localStorage
-            localStorage.setItem('chest_measurement_unit', 'cm');
             
             // 更新按鈕樣式 - 使用和歐規/日規一樣的樣式更新方式
-            cmBtn.style.background = 'white';
-            cmBtn.style.color = '#374151';
+            cmBtn.style.background = 'var(--inf-color-surface, white)';
+            cmBtn.style.color = 'var(--inf-color-text, #374151)';
             cmBtn.style.boxShadow = '0 0 0 1px #E5E7EB';
             
             inchBtn.style.background = 'transparent';
-            inchBtn.style.color = '#9CA3AF';
+            inchBtn.style.color = 'var(--inf-color-text-muted, #9CA3AF)';
             inchBtn.style.boxShadow = 'none';
             
             populateSelects('cm');
@@ -12311,16 +16057,14 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
         e.stopPropagation();
         if (currentUnit !== 'inch') {
             currentUnit = 'inch';
-            // 保存單位選擇到 localStorage
-            localStorage.setItem('chest_measurement_unit', 'inch');
             
             // 更新按鈕樣式 - 使用和歐規/日規一樣的樣式更新方式
-            inchBtn.style.background = 'white';
-            inchBtn.style.color = '#374151';
+            inchBtn.style.background = 'var(--inf-color-surface, white)';
+            inchBtn.style.color = 'var(--inf-color-text, #374151)';
             inchBtn.style.boxShadow = '0 0 0 1px #E5E7EB';
             
             cmBtn.style.background = 'transparent';
-            cmBtn.style.color = '#9CA3AF';
+            cmBtn.style.color = 'var(--inf-color-text-muted, #9CA3AF)';
             cmBtn.style.boxShadow = 'none';
             
             populateSelects('inch');
@@ -12335,25 +16079,28 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
     
     // 根據 currentUnit 設置初始按鈕狀態
     if (currentUnit === 'inch') {
-        inchBtn.style.background = 'white';
-        inchBtn.style.color = '#374151';
+        inchBtn.style.background = 'var(--inf-color-surface, white)';
+        inchBtn.style.color = 'var(--inf-color-text, #374151)';
         inchBtn.style.boxShadow = '0 0 0 1px #E5E7EB';
         
         cmBtn.style.background = 'transparent';
-        cmBtn.style.color = '#9CA3AF';
+        cmBtn.style.color = 'var(--inf-color-text-muted, #9CA3AF)';
         cmBtn.style.boxShadow = 'none';
     } else {
-        cmBtn.style.background = 'white';
-        cmBtn.style.color = '#374151';
+        cmBtn.style.background = 'var(--inf-color-surface, white)';
+        cmBtn.style.color = 'var(--inf-color-text, #374151)';
         cmBtn.style.boxShadow = '0 0 0 1px #E5E7EB';
         
         inchBtn.style.background = 'transparent';
-        inchBtn.style.color = '#9CA3AF';
+        inchBtn.style.color = 'var(--inf-color-text-muted, #9CA3AF)';
         inchBtn.style.boxShadow = 'none';
     }
     
     // 將選擇器添加到欄位容器
     fieldContainer.appendChild(selectorContainer);
+    upChestSelect.setAttribute('aria-label', InfMeasurementSchema.getLabel('UpChest'));
+    downChestSelect.setAttribute('aria-label', InfMeasurementSchema.getLabel('DnChest'));
+    InfA11y.setupSelector(selectorContainer, { label: titleElement.textContent, fieldContainer: fieldContainer, cancelButton: cancelBtn });
     
     // 取消按鈕事件
     cancelBtn.addEventListener('click', (e) => {
@@ -12395,8 +16142,8 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
         // console statement removed
         
         // 檢查憑證和用戶信息
-        const credential = localStorage.getItem('google_auth_credential');
-        const userInfo = JSON.parse(localStorage.getItem('google_user_info') || '{}');
+        const credential = getInfTokenStore().getItem('google_auth_credential');
+        const userInfo = JSON.parse(getInfTokenStore().getItem('google_user_info') || '{}');
         // console statement removed
         
         // 保存值 - 等待 API 調用完成
@@ -12406,19 +16153,7 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
             // console statement removed
             
             // API 成功後更新顯示
-            let displayValue = '';
-            if (newValue) {
-                if (newValue.includes('_')) {
-                    const parts = newValue.split('_');
-                    const unit = currentUnit === 'cm' ? 'cm' : 'inch';
-                    displayValue = `上胸圍 ${parts[0]} ${unit} / 下胸圍 ${parts[1]} ${unit}`;
-                } else {
-                    const unit = currentUnit === 'cm' ? 'cm' : 'inch';
-                    displayValue = `${newValue} ${unit}`;
-                }
-            } else {
-                displayValue = '尚未提供';
-            }
+            const displayValue = newValue ? InfUnits.formatChest(newValue) : InfI18n.t('common.notProvided');
             
             valueElement.textContent = displayValue;
             valueElement.style.display = '';
@@ -12431,19 +16166,7 @@ function createChestMeasurementSelector(fieldContainer, valueElement, currentVal
             // console statement removed
             
             // API 失敗時也要更新顯示和關閉選擇器
-            let displayValue = '';
-            if (newValue) {
-                if (newValue.includes('_')) {
-                    const parts = newValue.split('_');
-                    const unit = currentUnit === 'cm' ? 'cm' : 'inch';
-                    displayValue = `上胸圍 ${parts[0]} ${unit} / 下胸圍 ${parts[1]} ${unit}`;
-                } else {
-                    const unit = currentUnit === 'cm' ? 'cm' : 'inch';
-                    displayValue = `${newValue} ${unit}`;
-                }
-            } else {
-                displayValue = '尚未提供';
-            }
+            const displayValue = newValue ? InfUnits.formatChest(newValue) : InfI18n.t('common.notProvided');
             
             valueElement.textContent = displayValue;
             valueElement.style.display = '';
@@ -0,0 +1,518 @@
+/**
+ * infFITS 跨視窗訊息協定（商家頁面 ↔ iframe）
+ * no-media/js/iframe.js、尺寸頁與商家頁面共用同一份訊息格式與來源檢查。
+ *
+ * 訊息格式（第 1 版）：
+ *   { inffits: { version: 1, type, id, replyTo, expectsReply, payload, error } }
+ * 尚未升級的頁面使用舊格式（type / header / MsgHeader 欄位）：
+ * - 送出時預設在同一則訊息附上舊格式欄位（legacy: false 可關閉）
+ * - 接收時轉換為同一種訊息（id 為 null，無法回覆）
+ *
+ * 允許的來源（allow-list，優先順序由高到低）：
+ * 1. InfFitsMessaging.configure({ allowedOrigins: ['https://shop.example.com', 'https://*.inffits.com'] })
+ * 2. 全域設定（需在此腳本之前定義）：
+ *    window.INFFITS_MESSAGING = { allowedOrigins: ['https://shop.example.com'] }
+ * 3. 載入此腳本的 <script> 屬性（以空白分隔）：
+ *    <script src="/inf-messaging.js" data-allowed-origins="https://shop.example.com https://*.inffits.com"></script>
+ * 同源永遠允許。商家頁面另外信任 iframe src 的來源；iframe 只與同源、列在 allow-list 中
+ * （或由程式以 connectParent({ targetOrigin }) 明確指定）的嵌入頁面往來。
+ * 不接受 "*"，也不會以 "*" 送出訊息。
+ *
+ * 相容模式：iframe 頁面尚未設定任何 allow-list 時，信任偵測到的嵌入頁面來源（ancestorOrigins / referrer），
+ * 既有的商家嵌入不需修改即可運作，並在 console 提示。設定 allow-list 後即改為只信任清單中的來源；
+ * 不設定 allow-list 也要停用相容模式時使用 strictParent：
+ *   window.INFFITS_MESSAGING = { strictParent: true } 或 <script src="/inf-messaging.js" data-strict-parent></script>
+ *
+ * 商家頁面 SDK：
+ *   const frame = InfFitsHost.attach(document.getElementById('inffits_tryon_window'));
+ *   frame.on('closeModal', () => { ... });
+ *   frame.send('startRoute', { id: '1734582962432', brand: 'JERSCY' });
+ *   frame.request('requestHeight').then(({ height }) => { ... });
+ *
+ * 登入會話分享（opt-in）：
+ * 登入組件開啟 share-session 後，以 session 訊息送出 { scope, sub, profile, issuedAt }（登出時為 null）。
+ * 商家頁面只在以 { shareSession: true } 連接、且來源為同源或列在 allow-list 中的 iframe 之間轉送會話，
+ * 記住最後收到的會話並回應它們的 sessionRequest；未開啟分享的 iframe 送出的 session 訊息一律忽略：
+ *   InfFitsHost.attach(loginFrame, { shareSession: true });  // 會話來源（例如尺寸頁）
+ *   InfFitsHost.attach(quizFrame, { shareSession: true });   // 會話接收者（例如推薦問答）
+ *   InfFitsHost.onSession((session) => { ... });
+ */
+(function () {
+    const PROTOCOL_KEY = 'inffits';
+    const PROTOCOL_VERSION = 1;
+    const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+    // 訊息類型
+    const MESSAGE_TYPES = {
+        // iframe → 商家頁面
+        READY: 'ready',
+        CLOSE_MODAL: 'closeModal',
+        LOADING_BAR: 'loadingBar',
+        RESULT: 'result',
+        RESULT_STORE: 'resultStore',
+        ROUTE_LOADED: 'routeLoaded',
+        FETCH_DONE: 'fetchDone',
+        SET_HEIGHT: 'setHeight',
+        // 商家頁面 → iframe
+        START_ROUTE: 'startRoute',
+        REQUEST_HEIGHT: 'requestHeight',
+        // 尺寸頁
+        SIZE_READY: 'sizeReady',
+        SIZE_INIT: 'sizeInit',
+        SIZE_LOADED: 'sizeLoaded',
+        SIZE_TOGGLE_READY: 'sizeToggleReady',
+        SIZE_FAST_RESULT: 'sizeFastResult',
+        SIZE_FAST_PASS: 'sizeFastPass',
+        SIZE_REMOVE_WAIST_FLOW: 'sizeRemoveWaistFlow',
+        // 登入會話分享（雙向，無舊格式）
+        SESSION: 'session',
+        SESSION_REQUEST: 'sessionRequest'
+    };
+
+    // 舊格式對照：以 key 欄位的值 name 識別，其餘欄位即 payload
+    const LEGACY_MESSAGES = {
+        closeModal: { key: 'type', name: 'closeModal' },
+        loadingBar: { key: 'type', name: 'loadingBar' },
+        result: { key: 'type', name: 'result' },
+        resultStore: {
+            key: 'type',
+            name: 'result_store',
+            // 舊格式以 `${Brand}_${Route}` 作為欄位名稱
+            toLegacy: (payload) => ({ [payload.key || `${payload.brand}_${payload.route}`]: payload.tags }),
+            fromLegacy: (fields) => {
+                const key = Object.keys(fields)[0];
+                return { key: key, tags: key ? fields[key] : null };
+            }
+        },
+        routeLoaded: { key: 'type', name: 'run_routeproduct_success' },
+        fetchDone: { key: 'MsgHeader', name: 'fetchDone' },
+        setHeight: { key: 'type', name: 'setHeight' },
+        requestHeight: { key: 'type', name: 'requestHeight' },
+        startRoute: { key: 'header', name: 'from_preview' },
+        sizeReady: { key: 'MsgHeader', name: 'IDRxReady' },
+        sizeInit: { key: 'MsgHeader', name: 'IDRxGet' },
+        sizeLoaded: { key: 'MsgHeader', name: 'onloadS_Done' },
+        sizeToggleReady: { key: 'MsgHeader', name: 'ToggleReady' },
+        sizeFastResult: { key: 'MsgHeader', name: 'SizeAI_Fast' },
+        sizeFastPass: { key: 'MsgHeader', name: 'SizeAI_Fast_pass' },
+        sizeRemoveWaistFlow: { key: 'MsgHeader', name: 'RemoveWaistFlow' }
+    };
+
+    const allowedOrigins = [];
+    let strictParent = false;
+
+    // 讀取全域設定與 <script> 屬性
+    function readInitialConfig() {
+        const globalConfig = window.INFFITS_MESSAGING || {};
+        configure({ allowedOrigins: globalConfig.allowedOrigins, strictParent: globalConfig.strictParent });
+
+        const script = document.currentScript;
+        if (script && script.hasAttribute('data-allowed-origins')) {
+            configure({ allowedOrigins: script.getAttribute('data-allowed-origins').split(/\s+/) });
+        }
+        if (script && script.hasAttribute('data-strict-parent')) {
+            configure({ strictParent: true });
+        }
+    }
+
+    // 新增允許的來源（allowedOrigins: null 清空設定）；strictParent 停用相容模式
+    function configure(options) {
+        if (!options) {
+            return;
+        }
+        if (options.strictParent !== undefined) {
+            strictParent = !!options.strictParent;
+        }
+        if (options.allowedOrigins === undefined) {
+            return;
+        }
+        if (options.allowedOrigins === null) {
+            allowedOrigins.length = 0;
+            return;
+        }
+        [].concat(options.allowedOrigins).forEach((origin) => {
+            const value = (origin || '').trim().replace(/\/$/, '');
+            if (!value || value === '*') {
+                console.warn('⚠️ InfFitsMessaging 不接受空白或 "*" 來源');
+                return;
+            }
+            if (allowedOrigins.indexOf(value) === -1) {
+                allowedOrigins.push(value);
+            }
+        });
+    }
+
+    // 比對來源，支援子網域萬用字元（https://*.inffits.com）
+    function matchOrigin(pattern, origin) {
+        if (pattern.indexOf('*') === -1) {
+            return pattern === origin;
+        }
+        const source = pattern.split('*.')
+            .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('([a-z0-9-]+\\.)+');
+        return new RegExp(`^${source}$`, 'i').test(origin);
+    }
+
+    // 來源是否在 allow-list 中（同源永遠允許）
+    function isAllowedOrigin(origin) {
+        if (!origin || origin === 'null') {
+            return false;
+        }
+        return origin === window.location.origin || allowedOrigins.some((pattern) => matchOrigin(pattern, origin));
+    }
+
+    // 取得網址的來源，無法解析時回傳 null
+    function originOf(url) {
+        try {
+            const origin = new URL(url, window.location.href).origin;
+            return origin === 'null' ? null : origin;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function createMessageId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // 建立第 1 版訊息
+    function createMessage(type, payload, options) {
+        return {
+            version: PROTOCOL_VERSION,
+            type: type,
+            id: createMessageId(),
+            replyTo: (options && options.replyTo) || null,
+            expectsReply: !!(options && options.expectsReply),
+            payload: payload === undefined ? null : payload,
+            error: (options && options.error) || null
+        };
+    }
+
+    // 轉為實際送出的資料，legacy 時附上舊格式欄位
+    function toWire(message, legacy) {
+        const wire = {};
+        const legacyMessage = LEGACY_MESSAGES[message.type];
+        if (legacy && legacyMessage && !message.replyTo) {
+            const payload = message.payload || {};
+            Object.assign(wire, legacyMessage.toLegacy ? legacyMessage.toLegacy(payload) : payload);
+            wire[legacyMessage.key] = legacyMessage.name;
+        }
+        wire[PROTOCOL_KEY] = message;
+        return wire;
+    }
+
+    // 解析收到的資料，無法辨識時回傳 null（舊格式的 version 為 0）
+    function parse(data) {
+        if (!data || typeof data !== 'object') {
+            return null;
+        }
+        const message = data[PROTOCOL_KEY];
+        if (message && typeof message === 'object') {
+            if (message.version !== PROTOCOL_VERSION || typeof message.type !== 'string') {
+                return null;
+            }
+            return message;
+        }
+
+        const type = Object.keys(LEGACY_MESSAGES).find((name) => {
+            const legacyMessage = LEGACY_MESSAGES[name];
+            return data[legacyMessage.key] === legacyMessage.name;
+        });
+        if (!type) {
+            return null;
+        }
+        const legacyMessage = LEGACY_MESSAGES[type];
+        const fields = Object.assign({}, data);
+        delete fields[legacyMessage.key];
+        return {
+            version: 0,
+            type: type,
+            id: null,
+            replyTo: null,
+            expectsReply: false,
+            payload: legacyMessage.fromLegacy ? legacyMessage.fromLegacy(fields) : fields,
+            error: null
+        };
+    }
+
+    /**
+     * 建立訊息通道
+     * options.target()：對方視窗；options.targetOrigin()：送出時使用的來源（null 時不送出）
+     * options.trustedOrigins()：除 allow-list 外額外信任的來源
+     * options.legacy：送出時附上舊格式欄位（預設 true）；options.acceptLegacy：接受舊格式訊息（預設 true）
+     */
+    function createChannel(options) {
+        const listeners = new Map();
+        const pending = new Map();
+        const legacy = options.legacy !== false;
+        const acceptLegacy = options.acceptLegacy !== false;
+
+        function isTrusted(event) {
+            const target = options.target();
+            if (!target || event.source !== target) {
+                return false;
+            }
+            const trusted = options.trustedOrigins ? options.trustedOrigins() : [];
+            return trusted.indexOf(event.origin) !== -1 || isAllowedOrigin(event.origin);
+        }
+
+        function post(message) {
+            const target = options.target();
+            const targetOrigin = options.targetOrigin();
+            if (!target || !targetOrigin) {
+                return false;
+            }
+            target.postMessage(toWire(message, legacy), targetOrigin);
+            return true;
+        }
+
+        function reply(message, payload, error) {
+            post(createMessage(message.type, payload, {
+                replyTo: message.id,
+                error: error ? { message: error.message || String(error) } : null
+            }));
+        }
+
+        function handleMessage(event) {
+            if (!isTrusted(event)) {
+                return;
+            }
+            const message = parse(event.data);
+            if (!message || (message.version === 0 && !acceptLegacy)) {
+                return;
+            }
+
+            // 回應先前的 request
+            if (message.replyTo) {
+                const request = pending.get(message.replyTo);
+                if (request) {
+                    pending.delete(message.replyTo);
+                    clearTimeout(request.timer);
+                    if (message.error) {
+                        request.reject(new Error(message.error.message));
+                    } else {
+                        request.resolve(message.payload);
+                    }
+                }
+                return;
+            }
+
+            // 第一個處理函數的回傳值作為回應
+            let result;
+            let handled = false;
+            (listeners.get(message.type) || new Set()).forEach((handler) => {
+                try {
+                    const value = handler(message.payload, message, event);
+                    if (!handled) {
+                        result = value;
+                        handled = true;
+                    }
+                } catch (error) {
+                    if (!handled) {
+                        result = Promise.reject(error);
+                        handled = true;
+                    }
+                }
+            });
+            if (message.expectsReply && message.id) {
+                if (!handled) {
+                    reply(message, null, new Error(`沒有處理 ${message.type} 的對象`));
+                    return;
+                }
+                Promise.resolve(result).then(
+                    (payload) => reply(message, payload === undefined ? null : payload),
+                    (error) => reply(message, null, error)
+                );
+            }
+        }
+
+        window.addEventListener('message', handleMessage);
+
+        return {
+            // 送出訊息（無法送出時回傳 false，例如對方來源不在 allow-list 中）
+            send: (type, payload) => post(createMessage(type, payload)),
+
+            // 送出訊息並等待對方回應
+            request: (type, payload, requestOptions) => new Promise((resolve, reject) => {
+                const message = createMessage(type, payload, { expectsReply: true });
+                const timeout = (requestOptions && requestOptions.timeout) || DEFAULT_REQUEST_TIMEOUT;
+                const timer = setTimeout(() => {
+                    pending.delete(message.id);
+                    reject(new Error(`${type} 請求逾時`));
+                }, timeout);
+                pending.set(message.id, { resolve: resolve, reject: reject, timer: timer });
+                if (!post(message)) {
+                    pending.delete(message.id);
+                    clearTimeout(timer);
+                    reject(new Error(`無法傳送 ${type}：對方來源不在允許清單中`));
+                }
+            }),
+
+            // 監聽訊息類型（handler(payload, message, event)），回傳取消監聽的函數
+            on: (type, handler) => {
+                if (!listeners.has(type)) {
+                    listeners.set(type, new Set());
+                }
+                listeners.get(type).add(handler);
+                return () => listeners.get(type).delete(handler);
+            },
+
+            // 停止監聽並拒絕尚未回應的請求
+            destroy: () => {
+                window.removeEventListener('message', handleMessage);
+                listeners.clear();
+                pending.forEach((request) => {
+                    clearTimeout(request.timer);
+                    request.reject(new Error('訊息通道已關閉'));
+                });
+                pending.clear();
+            }
+        };
+    }
+
+    // 偵測嵌入此頁面的上層頁面來源
+    function detectParentOrigin() {
+        if (window.location.ancestorOrigins && window.location.ancestorOrigins.length > 0) {
+            return window.location.ancestorOrigins[0];
+        }
+        return document.referrer ? originOf(document.referrer) : null;
+    }
+
+    // 相容模式：尚未設定 allow-list 且未指定 strictParent
+    function isCompatibilityMode() {
+        return !strictParent && allowedOrigins.length === 0;
+    }
+
+    // iframe 端：與上層頁面的通道（只信任同源、allow-list 或程式明確指定的 targetOrigin；相容模式另信任偵測到的來源）
+    function connectParent(options) {
+        const settings = options || {};
+        const parentOrigin = settings.targetOrigin || detectParentOrigin();
+        const trusted = settings.targetOrigin ? [settings.targetOrigin] : [];
+        if (!settings.targetOrigin && parentOrigin && window.parent !== window && !isAllowedOrigin(parentOrigin) && isCompatibilityMode()) {
+            console.warn('⚠️ 尚未設定允許清單，以相容模式與嵌入頁面往來:', parentOrigin);
+            trusted.push(parentOrigin);
+        }
+        const targetOrigin = parentOrigin && (trusted.indexOf(parentOrigin) !== -1 || isAllowedOrigin(parentOrigin)) ? parentOrigin : null;
+
+        if (window.parent === window) {
+            return createChannel(Object.assign({}, settings, { target: () => null, targetOrigin: () => null }));
+        }
+        if (!targetOrigin) {
+            console.warn('⚠️ 嵌入頁面的來源不在允許清單中，不會傳送訊息:', parentOrigin);
+        }
+        return createChannel(Object.assign({}, settings, {
+            target: () => window.parent,
+            targetOrigin: () => targetOrigin,
+            trustedOrigins: () => trusted
+        }));
+    }
+
+    // 商家頁面端：與 iframe 的通道（信任 iframe src 的來源）
+    function connectFrame(iframe, options) {
+        const settings = options || {};
+        const frameOrigin = () => settings.origin || originOf(iframe.src);
+        return createChannel(Object.assign({}, settings, {
+            target: () => iframe.contentWindow,
+            targetOrigin: frameOrigin,
+            trustedOrigins: () => [frameOrigin()].filter(Boolean)
+        }));
+    }
+
+    readInitialConfig();
+
+    window.InfFitsMessaging = {
+        VERSION: PROTOCOL_VERSION,
+        TYPES: MESSAGE_TYPES,
+        configure: configure,
+        isAllowedOrigin: isAllowedOrigin,
+        isCompatibilityMode: isCompatibilityMode,
+        matchOrigin: matchOrigin,
+        getParentOrigin: detectParentOrigin,
+        parse: parse,
+        connectParent: connectParent,
+        connectFrame: connectFrame
+    };
+
+    // 商家頁面收到的登入會話（undefined 表示尚未收到）與接收會話的 iframe
+    let hostSession;
+    const sessionFrames = new Set();
+    const sessionListeners = new Set();
+
+    function announceSession(session, sourceChannel) {
+        hostSession = session;
+        sessionFrames.forEach((channel) => {
+            if (channel !== sourceChannel) {
+                channel.send(MESSAGE_TYPES.SESSION, session);
+            }
+        });
+        sessionListeners.forEach((listener) => {
+            try {
+                listener(session);
+            } catch (error) {
+                // 單一監聽者錯誤不影響其他監聽者
+            }
+        });
+    }
+
+    /**
+     * 商家頁面 SDK：包裝 iframe 通道，省去自行撰寫 message 監聽
+     * InfFitsHost.attach(iframe, { origin, legacy, acceptLegacy, shareSession }) 回傳：
+     * - on(type, handler) / send(type, payload) / request(type, payload, { timeout }) / destroy()
+     * - ready：收到 iframe 的 ready 訊息後 resolve
+     * - startRoute({ id, brand })、requestHeight()：常用訊息的捷徑
+     * shareSession: true 時此 iframe 可送出登入會話，也會收到其他分享 iframe 的會話並可用 sessionRequest 取得（iframe 來源需為同源或在 allow-list 中）
+     */
+    window.InfFitsHost = {
+        TYPES: MESSAGE_TYPES,
+        configure: configure,
+        getSession: () => (hostSession === undefined ? null : hostSession),
+        onSession: (listener) => {
+            sessionListeners.add(listener);
+            return () => sessionListeners.delete(listener);
+        },
+        attach: (iframe, options) => {
+            const settings = options || {};
+            const channel = connectFrame(iframe, settings);
+
+            // 會話含身體測量資料，只在開啟分享且為同源或列在 allow-list 中的 iframe 之間轉送
+            const frameOrigin = settings.origin || originOf(iframe.src);
+            const shareSession = settings.shareSession && isAllowedOrigin(frameOrigin);
+            if (settings.shareSession && !shareSession) {
+                console.warn('⚠️ iframe 來源不在允許清單中，不轉送登入會話:', frameOrigin);
+            }
+            if (shareSession) {
+                sessionFrames.add(channel);
+                // 只接受此 iframe 本身送出的會話，其他視窗無法假冒
+                channel.on(MESSAGE_TYPES.SESSION, (session, message, event) => {
+                    if (event.source === iframe.contentWindow) {
+                        announceSession(session || null, channel);
+                    }
+                });
+                channel.on(MESSAGE_TYPES.SESSION_REQUEST, () => (hostSession === undefined ? null : hostSession));
+                if (hostSession !== undefined) {
+                    channel.send(MESSAGE_TYPES.SESSION, hostSession);
+                }
+            }
+
+            const frame = Object.assign({}, channel, {
+                iframe: iframe,
+                ready: new Promise((resolve) => {
+                    const unsubscribe = channel.on(MESSAGE_TYPES.READY, (payload) => {
+                        unsubscribe();
+                        resolve(payload);
+                    });
+                }),
+                startRoute: (route) => channel.send(MESSAGE_TYPES.START_ROUTE, route),
+                requestHeight: (requestOptions) => channel.request(MESSAGE_TYPES.REQUEST_HEIGHT, null, requestOptions),
+                destroy: () => {
+                    sessionFrames.delete(channel);
+                    channel.destroy();
+                }
+            });
+            return frame;
+        }
+    };
+})();
@@ -0,0 +1,255 @@
+/**
+ * infFITS 本機 Mock Server（離線開發用，無需安裝任何套件）
+ *
+ * 啟動：node mock-server/server.js [port]      （預設 8787，也可用環境變數 PORT）
+ * 開啟：http://localhost:8787/no-media/iframe_container_module.html?inf_mock=1
+ *
+ * - 提供 inf-endpoints.js 中所有端點的假資料（mock-server/fixtures/*.json）
+ * - 帳號 API 在記憶體中保存 BodyData 與路線問答進度（RouteProgress），可完整測試更新、刪除與重新登入流程
+ * - credential 為 "expired" 時回傳 401，用於測試憑證失效處理
+ * - /api/auth/* 模擬授權碼交換與 HttpOnly refresh cookie（回傳未簽章的測試 id_token）
+ * - 其餘 GET 請求直接提供專案根目錄的靜態檔案
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const ROOT_DIR = path.resolve(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+// 讀取 fixture（每次重新讀取，修改後不需重啟）
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+// 記憶體中的帳號資料（依 sub 區分）
+const accounts = {};
+
+function getAccount(sub) {
+    const key = sub || 'mock-user-0001';
+    if (!accounts[key]) {
+        accounts[key] = loadFixture('account');
+        accounts[key].sub = key;
+    }
+    return accounts[key];
+}
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...CORS_HEADERS
+    });
+    res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', (chunk) => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+// 帳號 API：與 inffits_account_register_and_retrieve_data/model 相同的請求格式
+function handleAccount(payload, res) {
+    if (!payload.credential) {
+        return sendJson(res, 400, { message: 'Missing credential' });
+    }
+    if (payload.credential === 'expired') {
+        return sendJson(res, 401, { message: 'Unauthorized' });
+    }
+
+    const account = getAccount(payload.sub);
+
+    if (payload.delete_user) {
+        delete accounts[account.sub];
+        return sendJson(res, 200, { success: true, message: 'User deleted' });
+    }
+
+    if (payload.delete_bodydata) {
+        delete account.BodyData[payload.BodyData_ptr];
+        if (account.BodyData_ptr === payload.BodyData_ptr) {
+            account.BodyData_ptr = Object.keys(account.BodyData)[0] || '';
+        }
+        return sendJson(res, 200, { success: true, ...account });
+    }
+
+    if (payload.update_route_progress) {
+        account.RouteProgress = { ...(account.RouteProgress || {}), ...(payload.RouteProgress || {}) };
+        return sendJson(res, 200, { message: 'Existing user updated', ...account });
+    }
+
+    if (payload.update_bodydata) {
+        account.BodyData = payload.BodyData || {};
+        if (payload.BodyData_ptr !== undefined) {
+            account.BodyData_ptr = payload.BodyData_ptr;
+        }
+        return sendJson(res, 200, { message: 'Existing user updated', ...account });
+    }
+
+    return sendJson(res, 200, account);
+}
+
+// 產生未簽章的測試 id_token（前端只解析 payload，不驗證簽章）
+function createMockIdToken() {
+    const account = loadFixture('account');
+    const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        iss: 'http://localhost',
+        sub: account.sub,
+        name: account.name,
+        email: account.email,
+        email_verified: true,
+        iat: now,
+        exp: now + 3600
+    };
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`;
+}
+
+function sendAuthTokens(res, cookie) {
+    const idToken = createMockIdToken();
+    res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Set-Cookie': cookie
+    });
+    res.end(JSON.stringify({
+        success: true,
+        access_token: `mock-access-${Date.now()}`,
+        id_token: idToken,
+        expires_in: 3600,
+        user: JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'))
+    }));
+}
+
+const MOCK_REFRESH_COOKIE = 'inf_google_rt=mock-refresh-token; Path=/api/auth; HttpOnly; SameSite=Lax; Max-Age=86400';
+
+// 路由表：路徑需與 inf-endpoints.js 的 path 一致
+const ROUTES = {
+    'POST /inffits_account_register_and_retrieve_data/model': handleAccount,
+    'POST /http_mkt_extensions_recom/recom_product': (payload, res) => sendJson(res, 200, loadFixture('recom_product')),
+    'POST /HTTP_inf_bhv_cdp_product_recommendation/extension/recom_product': (payload, res) => sendJson(res, 200, loadFixture('bhv_recom_product')),
+    'POST /mkt_brand_config_proc/GetItems': (payload, res) => sendJson(res, 200, loadFixture('brand_config')),
+    'GET /v0/extension/run_routeproduct': (query, res) => {
+        const data = loadFixture('run_routeproduct');
+        if (query.Route) {
+            data.Product.Route = query.Route;
+        }
+        sendJson(res, 200, data);
+    },
+    'POST /v0/extension/recom_product': (payload, res) => sendJson(res, 200, loadFixture('embedded_recom_product')),
+    'POST /api/auth/google': (payload, res) => {
+        if (!payload.code || !payload.code_verifier) {
+            return sendJson(res, 400, { success: false, error: 'Missing code or code_verifier' });
+        }
+        sendAuthTokens(res, MOCK_REFRESH_COOKIE);
+    },
+    'POST /api/auth/refresh': (payload, res, req) => {
+        if (!(req.headers.cookie || '').includes('inf_google_rt=')) {
+            return sendJson(res, 401, { success: false, error: 'No refresh session' });
+        }
+        sendAuthTokens(res, MOCK_REFRESH_COOKIE);
+    },
+    'POST /api/auth/logout': (payload, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Set-Cookie': 'inf_google_rt=; Path=/api/auth; HttpOnly; SameSite=Lax; Max-Age=0'
+        });
+        res.end(JSON.stringify({ success: true }));
+    }
+};
+
+// 提供專案根目錄的靜態檔案
+function serveStatic(pathname, res) {
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(pathname);
+    } catch (error) {
+        // 格式錯誤的百分比編碼（例如 /%E0%A4%A）
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        return res.end('Bad Request');
+    }
+    let filePath = path.normalize(path.join(ROOT_DIR, decodedPath));
+    if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR + path.sep)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end('Not Found');
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+        });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        return res.end();
+    }
+
+    const handler = ROUTES[`${req.method} ${url.pathname}`];
+    if (handler) {
+        console.log(`🧪 ${req.method} ${url.pathname}`);
+        try {
+            const input = req.method === 'GET'
+                ? Object.fromEntries(url.searchParams)
+                : await readBody(req);
+            return handler(input, res, req);
+        } catch (error) {
+            console.error('❌ Mock 處理失敗:', error);
+            return sendJson(res, 500, { message: error.message });
+        }
+    }
+
+    if (req.method === 'GET') {
+        return serveStatic(url.pathname, res);
+    }
+
+    sendJson(res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+});
+
+server.listen(PORT, () => {
+    console.log(`✅ infFITS mock server: http://localhost:${PORT}`);
+    console.log(`   範例頁面: http://localhost:${PORT}/no-media/iframe_container_module.html?inf_mock=1`);
+});
@@ -1,4 +1,329 @@
 (function () {
+  /**
+   * 電商平台轉接器（platform adapters）
+   * Product_Recommendation({ platform }) 指定平台，預設 "auto" 依序偵測頁面；都不符合時使用 generic。
+   * 每個轉接器提供：
+   * - detect()：目前頁面是否為此平台
+   * - getMemberId()：會員 ID（未登入時為空字串）
+   * - getSku()：目前商品頁的商品編號（非商品頁時為空字串）
+   * - getCart()：Promise，購物車商品 [{ sku, quantity }]；平台不提供時為 null
+   * - onAddToCart(handler)：監聽加入購物車，handler({ sku, quantity })，回傳取消監聽的函數
+   * 其他平台可用 window.InfFitsPlatforms.register(name, adapter) 新增，未提供的方法沿用 generic。
+   */
+  const PLATFORM_ADAPTERS = {};
+  // 各容器的加入購物車取消監聽函數，重新初始化時先取消上一次的監聽
+  const addToCartUnsubscribes = {};
+  // 各容器的尺寸標籤更新監聽，重新初始化時先移除上一次的監聽
+  const sizeTagRefreshListeners = {};
+
+  // 讀取頁面上的 schema.org Product（JSON-LD）
+  function getJsonLdProduct() {
+    const scripts = document.querySelectorAll(
+      'script[type="application/ld+json"]'
+    );
+    for (let i = 0; i < scripts.length; i++) {
+      try {
+        const data = JSON.parse(scripts[i].textContent);
+        const product = []
+          .concat(data["@graph"] || data)
+          .find((item) => item && item["@type"] === "Product");
+        if (product) return product;
+      } catch (e) {
+        // 格式錯誤的 JSON-LD 略過
+      }
+    }
+    return null;
+  }
+
+  function getMetaContent(selector) {
+    const meta = document.querySelector(selector);
+    return meta ? meta.getAttribute("content") || "" : "";
+  }
+
+  // 由 GTM dataLayer 取得會員 ID（91APP 商品頁的 Product-Detail 事件帶有 Uid）
+  function getDataLayerMemberId(action) {
+    if (typeof dataLayer === "undefined") return "";
+    const item = dataLayer.find(
+      (entry) => entry && (!action || entry.Action === action) && entry.Uid
+    );
+    if (item) return String(item.Uid);
+    const userItem = dataLayer.find((entry) => entry && entry.user_id);
+    return userItem ? String(userItem.user_id) : "";
+  }
+
+  // 監聽 dataLayer 的加入購物車事件（GA4 add_to_cart 與 Universal Analytics addToCart）
+  // dataLayer.push 只包裝一次，所有監聽共用同一組 handler
+  const dataLayerCartHandlers = new Set();
+
+  function notifyDataLayerAddToCart(entries) {
+    entries.forEach((entry) => {
+      if (
+        !entry ||
+        (entry.event !== "add_to_cart" && entry.event !== "addToCart")
+      ) {
+        return;
+      }
+      const ecommerce = entry.ecommerce || {};
+      const items =
+        ecommerce.items || (ecommerce.add && ecommerce.add.products) || [];
+      items.forEach((item) => {
+        const cartItem = {
+          sku: String(item.item_id || item.id || ""),
+          quantity: Number(item.quantity) || 1,
+        };
+        dataLayerCartHandlers.forEach((handler) => handler(cartItem));
+      });
+    });
+  }
+
+  function watchDataLayerAddToCart(handler) {
+    window.dataLayer = window.dataLayer || [];
+    if (!window.dataLayer.push.infFitsCartWatcher) {
+      const originalPush = window.dataLayer.push;
+      const push = function (...entries) {
+        notifyDataLayerAddToCart(entries);
+        return originalPush.apply(this, entries);
+      };
+      push.infFitsCartWatcher = true;
+      window.dataLayer.push = push;
+    }
+    dataLayerCartHandlers.add(handler);
+    return () => dataLayerCartHandlers.delete(handler);
+  }
+
+  // 監聽加入購物車表單的送出（matches(form) 判斷是否為加入購物車表單）
+  function watchCartForms(matches, getItem, handler) {
+    const listener = (event) => {
+      const form = event.target;
+      if (form && form.tagName === "FORM" && matches(form)) {
+        handler(getItem(form));
+      }
+    };
+    document.addEventListener("submit", listener, true);
+    return () => document.removeEventListener("submit", listener, true);
+  }
+
+  // 未偵測到平台時使用：JSON-LD、og:sku 與 dataLayer
+  const genericAdapter = {
+    name: "generic",
+    detect: () => true,
+    getMemberId: () => getDataLayerMemberId(),
+    getSku: () => {
+      const product = getJsonLdProduct();
+      return (
+        (product && String(product.sku || product.productID || "")) ||
+        getMetaContent('meta[property="og:sku"]') ||
+        getMetaContent('meta[property="product:retailer_item_id"]')
+      );
+    },
+    getCart: () => Promise.resolve(null),
+    onAddToCart: (handler) => watchDataLayerAddToCart(handler),
+  };
+
+  function registerPlatform(name, adapter) {
+    const key = String(name || "").toLowerCase();
+    if (!key || !adapter || typeof adapter.detect !== "function") {
+      throw new Error("平台轉接器必須包含名稱與 detect()");
+    }
+    PLATFORM_ADAPTERS[key] = Object.assign({}, genericAdapter, adapter, {
+      name: key,
+    });
+    return PLATFORM_ADAPTERS[key];
+  }
+
+  // 取得指定的轉接器，"auto" 或未註冊的名稱時自動偵測
+  function getPlatform(name) {
+    const key = String(name || "auto").toLowerCase();
+    if (key !== "auto" && PLATFORM_ADAPTERS[key]) {
+      return PLATFORM_ADAPTERS[key];
+    }
+    if (key !== "auto") {
+      console.warn("未註冊的平台轉接器，改為自動偵測:", name);
+    }
+    return detectPlatform();
+  }
+
+  function detectPlatform() {
+    const adapter = Object.keys(PLATFORM_ADAPTERS)
+      .map((key) => PLATFORM_ADAPTERS[key])
+      .find((item) => {
+        try {
+          return item.detect();
+        } catch (e) {
+          return false;
+        }
+      });
+    return adapter || genericAdapter;
+  }
+
+  registerPlatform("91app", {
+    detect: () =>
+      /\/SalePage\/Index\//i.test(document.location.pathname) ||
+      typeof window.nineyi !== "undefined",
+    getMemberId: () => getDataLayerMemberId("Product-Detail"),
+    getSku: () =>
+      document.location.href.split("?")[0].split("/SalePage/Index/")[1] || "",
+  });
+
+  registerPlatform("shopline", {
+    detect: () =>
+      typeof window.mainConfig !== "undefined" ||
+      !!document.querySelector(
+        'link[href*="shoplineapp.com"], script[src*="shoplineapp.com"]'
+      ),
+    getMemberId: () => {
+      const config = window.mainConfig || {};
+      if (config.currentUser && config.currentUser._id) {
+        return String(config.currentUser._id);
+      }
+      // 已登入時頁首有 /users/<id>/edit 的連結
+      const link = document.querySelector('a[href^="/users/"][href$="/edit"]');
+      return link ? link.getAttribute("href").split("/")[2] : "";
+    },
+    getSku: () => {
+      const config = window.mainConfig || {};
+      if (config.product && config.product._id) {
+        return String(config.product._id);
+      }
+      return genericAdapter.getSku();
+    },
+  });
+
+  registerPlatform("shopify", {
+    detect: () => !!(window.Shopify && window.Shopify.shop),
+    getMemberId: () => {
+      const meta = window.ShopifyAnalytics && window.ShopifyAnalytics.meta;
+      const customerId =
+        (meta && meta.page && meta.page.customerId) ||
+        (window.__st && window.__st.cid);
+      return customerId ? String(customerId) : "";
+    },
+    getSku: () => {
+      const meta = window.ShopifyAnalytics && window.ShopifyAnalytics.meta;
+      return meta && meta.product && meta.product.id
+        ? String(meta.product.id)
+        : genericAdapter.getSku();
+    },
+    getCart: () =>
+      fetch("/cart.js", { headers: { accept: "application/json" } })
+        .then((response) => response.json())
+        .then((cart) =>
+          (cart.items || []).map((item) => ({
+            sku: String(item.product_id),
+            quantity: item.quantity,
+          }))
+        ),
+    onAddToCart: (handler) =>
+      watchCartForms(
+        (form) => /\/cart\/add/.test(form.action),
+        (form) => {
+          const meta = window.ShopifyAnalytics && window.ShopifyAnalytics.meta;
+          const quantity = form.querySelector('[name="quantity"]');
+          return {
+            sku:
+              meta && meta.product && meta.product.id
+                ? String(meta.product.id)
+                : "",
+            quantity: quantity ? Number(quantity.value) || 1 : 1,
+          };
+        },
+        handler
+      ),
+  });
+
+  registerPlatform("cyberbiz", {
+    detect: () =>
+      /cyberbiz/i.test(getMetaContent('meta[name="generator"]')) ||
+      /\.cyberbiz\.co$/i.test(document.location.hostname),
+    getSku: () => {
+      const product = getJsonLdProduct();
+      if (product && (product.sku || product.productID)) {
+        return String(product.sku || product.productID);
+      }
+      // 商品網址為 /products/<handle>
+      const match = document.location.pathname.match(/\/products\/([^/?#]+)/);
+      return match ? decodeURIComponent(match[1]) : "";
+    },
+  });
+
+  registerPlatform("woocommerce", {
+    detect: () =>
+      document.body.classList.contains("woocommerce") ||
+      typeof window.wc_add_to_cart_params !== "undefined",
+    getMemberId: () => {
+      const settings = window.wcSettings || {};
+      return settings.currentUserId ? String(settings.currentUserId) : "";
+    },
+    getSku: () => {
+      const sku = document.querySelector(".product_meta .sku");
+      if (sku && sku.textContent.trim()) {
+        return sku.textContent.trim();
+      }
+      const button = document.querySelector('form.cart [name="add-to-cart"]');
+      return button ? String(button.value) : genericAdapter.getSku();
+    },
+    getCart: () =>
+      fetch("/wp-json/wc/store/v1/cart", { credentials: "same-origin" })
+        .then((response) => response.json())
+        .then((cart) =>
+          (cart.items || []).map((item) => ({
+            sku: item.sku || String(item.id),
+            quantity: item.quantity,
+          }))
+        ),
+    // 商品頁表單送出，以及列表頁 AJAX 加入購物車（WooCommerce 以 jQuery 觸發 added_to_cart）
+    onAddToCart: (handler) => {
+      const unwatchForms = watchCartForms(
+        (form) => form.classList.contains("cart"),
+        (form) => {
+          const quantity = form.querySelector('[name="quantity"]');
+          const button = form.querySelector('[name="add-to-cart"]');
+          return {
+            sku: button ? String(button.value) : "",
+            quantity: quantity ? Number(quantity.value) || 1 : 1,
+          };
+        },
+        handler
+      );
+      const ajaxListener = (event, fragments, hash, $button) => {
+        if (!$button) return;
+        handler({
+          sku: String(
+            $button.data("product_sku") || $button.data("product_id") || ""
+          ),
+          quantity: Number($button.data("quantity")) || 1,
+        });
+      };
+      if (window.jQuery) {
+        window.jQuery(document.body).on("added_to_cart", ajaxListener);
+      }
+      return () => {
+        unwatchForms();
+        if (window.jQuery) {
+          window.jQuery(document.body).off("added_to_cart", ajaxListener);
+        }
+      };
+    },
+  });
+
+  // plain me 客製頁面（無法自動偵測，需指定 platform: "plain_me"）
+  registerPlatform("plain_me", {
+    detect: () => false,
+    getMemberId: () => getDataLayerMemberId("Product-Detail"),
+    getSku: () => {
+      const sku = getMetaContent('meta[property="og:sku"]');
+      if (sku) return sku.split("-")[0];
+      const prodno = document.querySelector(".prodnoBox");
+      return prodno ? prodno.innerText.split(":")[1].split("-")[0] : "";
+    },
+  });
+
+  window.InfFitsPlatforms = {
+    register: registerPlatform,
+    get: getPlatform,
+    detect: detectPlatform,
+  };
+
   function Product_Recommendation(config = {}) {
     // 解構參數並設置預設值
     const defaultConfig = {
@@ -12,6 +337,8 @@
       autoplay: true, // 默認開啓輪播
       hide_discount: false, // 默認不隱藏折扣
       hide_size: false, // 默認不隱藏尺寸
+      platform: "auto", // 電商平台轉接器，默認自動偵測
+      sku: null, // 指定商品編號，默認由平台轉接器取得
       bid: {
         HV: "163",
         WV: "50",
@@ -74,7 +401,8 @@
       customEdm,
       hide_discount,
       hide_size,
-      bid,
+      platform,
+      sku,
       backgroundColor,
       title,
       autoplay,
@@ -93,89 +421,89 @@
     ////Global////
     var Brand = brand;
     // var link_included = ['inffits', 'localhost', 'personalizedpage', 'product']
-    var skuContent = shopline_sku(); //plain_me_sku()
+    var platformAdapter = getPlatform(platform);
+    var skuContent = sku || platformAdapter.getSku();
     var show_up_position_before = "#" + containerId;
     var test = "A";
     var GA4Key = "";
 
     // 移除全局模块注册代码
 
-    function member_id_91APP() {
-      let i;
-      // 檢查 dataLayer 是否定義
-      if (typeof dataLayer !== "undefined") {
-        for (let i = 0; i < dataLayer.length; i++) {
-          if (dataLayer[i].Action === "Product-Detail") {
-            // 找到了符合條件的項目，執行後續動作
-            console.log('找到了符合 "gtm.load" 的事件，執行後續動作');
-            console.log("FOUND!!");
-            if (dataLayer[i].Uid !== "") member_id = dataLayer[i].Uid;
-            else member_id = "";
-
-            // 進行其他操作（如果需要的話）
-            break;
-          } else member_id = "";
-        }
+    // 以身體資料組出 SIZEAI 的 bid，沒有身高體重時回傳 null（其餘欄位沿用預設 bid）
+    function toBid(bodyData, gender) {
+      if (!bodyData || !bodyData.HV || !bodyData.WV) {
+        return null;
       }
-      return member_id;
-    }
-    function member_id_Shopline() {
-      //Fake data
-      let member_id = "";
-      // let chklog1 = '"currentUser\\"';
-      // let chklog2 = ':null';
-      // if (!document.documentElement.innerHTML.includes(chklog1 + chklog2)) {
-      //     member_id = document.documentElement.innerHTML.split('href="/users/')[1].split('",')[0].split('/edit"')[0];
-      // }
-      return member_id;
+      const fitP =
+        bodyData.Pattern_Prefer !== undefined
+          ? bodyData.Pattern_Prefer
+          : bodyData.FitP;
+      return {
+        ...defaultConfig.bid,
+        HV: String(bodyData.HV),
+        WV: String(bodyData.WV),
+        CC: !bodyData.CC || bodyData.CC === "null_null" ? "" : bodyData.CC,
+        Gender: bodyData.Gender || gender || defaultConfig.bid.Gender,
+        FitP:
+          fitP !== undefined && fitP !== ""
+            ? String(fitP)
+            : defaultConfig.bid.FitP,
+        Brand: brand,
+      };
     }
-    function member_id_plain_me() {
-      let member_id;
-      // 檢查 dataLayer 是否定義
-      if (typeof dataLayer !== "undefined") {
-        for (let i = 0; i < dataLayer.length; i++) {
-          if (dataLayer[i].Action === "Product-Detail") {
-            // 找到了符合條件的項目，執行後續動作
-            console.log('找到了符合 "gtm.load" 的事件，執行後續動作');
-            console.log("FOUND!!");
-            if (dataLayer[i].Uid !== "") member_id = dataLayer[i].Uid;
-            else member_id = "";
-
-            // 進行其他操作（如果需要的話）
-            break;
-          } else member_id = "";
+
+    // 已登入的 inf-google-login 預設成員（inffits_api_response 的 BodyData[BodyData_ptr]）
+    async function getProfileBid() {
+      let apiResponse = null;
+      try {
+        if (typeof window.getInfTokenStore === "function") {
+          // 登入組件以加密存儲保存，需等待解密完成
+          const store = window.getInfTokenStore();
+          await store.ready;
+          apiResponse = JSON.parse(
+            store.getItem("inffits_api_response") || "null"
+          );
+        } else {
+          apiResponse = JSON.parse(
+            localStorage.getItem("inffits_api_response") || "null"
+          );
         }
+      } catch (e) {
+        apiResponse = null;
       }
-      return member_id;
-    }
-    function plain_me_sku() {
-      var metaTag = document.querySelector('meta[property="og:sku"]');
-      if (metaTag) {
-        var skuContent = metaTag.getAttribute("content").split("-")[0];
-        console.log(skuContent); // 輸出 "FRP99153"
-      } else if (document.querySelector(".prodnoBox") !== null) {
-        var skuContent = document
-          .querySelector(".prodnoBox")
-          .innerText.split(":")[1]
-          .split("-")[0];
-      } else {
-        console.log("Meta tag not found");
+      if (!apiResponse || !apiResponse.BodyData || !apiResponse.BodyData_ptr) {
+        return null;
       }
-      return skuContent;
+      const userKey = apiResponse.BodyData_ptr;
+      const gender =
+        userKey === "bodyF" ? "F" : userKey === "bodyM" ? "M" : undefined;
+      return toBid(apiResponse.BodyData[userKey], gender);
     }
-    function app91_sku() {
-      var skuContent = document.location.href
-        .split("?")[0]
-        .split("/SalePage/Index/")[1];
 
-      return skuContent;
+    // 尺寸推薦 iframe 保存在本地的身體資料（BodyID_size / Gender_Last）
+    // 開啟本地身體資料加密時 BodyID_size 為密文，經 InfFitsLocalBodyData 解密讀取
+    async function getLocalBid() {
+      try {
+        const bodySize = window.InfFitsLocalBodyData
+          ? await window.InfFitsLocalBodyData.get("BodyID_size")
+          : localStorage.getItem("BodyID_size");
+        return toBid(
+          JSON.parse(bodySize || "null"),
+          localStorage.getItem("Gender_Last")
+        );
+      } catch (e) {
+        return null;
+      }
     }
-    function shopline_sku() {
-      //var data = document.documentElement.innerHTML
-      //var skuContent = data.split('"sku":"')[1].split('"')[0].split(':')[0]
-      //Fake data
-      skuContent = "627b5ab044a027000fde0add";
-      return skuContent;
+
+    // 依序使用：呼叫端指定的 bid、登入使用者的預設成員、本地身體資料、預設 bid
+    async function resolveBid() {
+      if (config.bid) {
+        return config.bid;
+      }
+      return (
+        (await getProfileBid()) || (await getLocalBid()) || defaultConfig.bid
+      );
     }
 
     ////Main////
@@ -963,6 +1291,32 @@
             event_value: link,
           });
         });
+        // 平台的加入購物車事件：記錄到 GA，並以 inf-add-to-cart 事件通知頁面
+        function handleAddToCart(item) {
+          if (typeof gtag === "function") {
+            gtag("event", "embedded_add_to_cart" + test, {
+              send_to: GA4Key,
+              event_category: "embedded",
+              event_label: item.sku,
+              value: item.quantity,
+            });
+          }
+          document.dispatchEvent(
+            new CustomEvent("inf-add-to-cart", {
+              detail: {
+                ...item,
+                platform: platformAdapter.name,
+                brand: Brand,
+                containerId: containerId,
+              },
+            })
+          );
+        }
+        if (addToCartUnsubscribes[containerId]) {
+          addToCartUnsubscribes[containerId]();
+        }
+        addToCartUnsubscribes[containerId] =
+          platformAdapter.onAddToCart(handleAddToCart);
         $(document).on("click", `#${containerId} .a-left`, function () {
           // 觸發 Google Analytics 的事件追蹤
           if (typeof gtag === "function") {
@@ -1095,7 +1449,7 @@
           var member_id = "";
           var lgiven_id = "";
 
-          member_id = member_id_Shopline();
+          member_id = platformAdapter.getMemberId();
           // console.log(member_id);
 
           // Always Generate a pair of LGVID
@@ -1121,7 +1475,7 @@
             skuContent: skuContent,
           };
         }
-        function getEmbeddedAds(ids) {
+        async function getEmbeddedAds(ids) {
           const requestData = {
             Brand: Brand,
             LGVID: ids.lgiven_id,
@@ -1133,8 +1487,9 @@
           };
           if (!hide_size) {
             requestData.SIZEAI = "True";
-            requestData.bid = bid;
+            requestData.bid = await resolveBid();
           }
+          embeddedAdsRequest = requestData;
           const options = {
             method: "POST",
             headers: {
@@ -1157,23 +1512,17 @@
 
             return result;
           }
+          // API 端點由 /inf-endpoints.js 提供，未載入時使用正式環境位址
           fetch(
-            "https://gha6kqf5ff.execute-api.ap-northeast-1.amazonaws.com/v0/extension/recom_product",
+            window.InfFitsEndpoints
+              ? window.InfFitsEndpoints.url("embeddedRecomProduct")
+              : "https://gha6kqf5ff.execute-api.ap-northeast-1.amazonaws.com/v0/extension/recom_product",
             options
           )
             .then((response) => response.json())
             .then((response) => {
-              let size_tag = {};
-
               if (response["SIZEAI_result"]) {
-                size_tag = response["SIZEAI_result"].reduce((acc, item) => {
-                  const itemScores = JSON.parse(item.ITEM);
-                  const bestSize = Object.entries(itemScores)
-                    .map(([size, percent]) => [size, parseFloat(percent)])
-                    .sort((a, b) => b[1] - a[1])[0][0];
-                  acc[item.productid] = bestSize;
-                  return acc;
-                }, {});
+                const size_tag = getSizeTags(response);
                 
                 // 檢查 bhv 是否為空陣列，如果是則使用 sp_atc
                 const dataSource = (response["bhv"] && response["bhv"].length > 0) ? response["bhv"] : response["sp_atc"];
@@ -1324,6 +1673,82 @@
             });
         }
 
+        // 由 SIZEAI_result 取出各商品機率最高的尺寸
+        function getSizeTags(response) {
+          return (response["SIZEAI_result"] || []).reduce((acc, item) => {
+            const itemScores = JSON.parse(item.ITEM);
+            const bestSize = Object.entries(itemScores)
+              .map(([size, percent]) => [size, parseFloat(percent)])
+              .sort((a, b) => b[1] - a[1])[0][0];
+            acc[item.productid] = bestSize;
+            return acc;
+          }, {});
+        }
+
+        // 預設成員或身體資料變更後，以新的 bid 重新取得尺寸並更新已顯示商品的尺寸標籤
+        let embeddedAdsRequest = null;
+        let sizeTagRefreshTimer = null;
+        function refreshSizeTags() {
+          if (hide_size || !embeddedAdsRequest) {
+            return;
+          }
+          clearTimeout(sizeTagRefreshTimer);
+          sizeTagRefreshTimer = setTimeout(async () => {
+            const requestData = {
+              ...embeddedAdsRequest,
+              bid: await resolveBid(),
+            };
+            embeddedAdsRequest = requestData;
+            fetch(
+              window.InfFitsEndpoints
+                ? window.InfFitsEndpoints.url("embeddedRecomProduct")
+                : "https://gha6kqf5ff.execute-api.ap-northeast-1.amazonaws.com/v0/extension/recom_product",
+              {
+                method: "POST",
+                headers: {
+                  accept: "application/json",
+                  "content-type": "application/json",
+                },
+                body: JSON.stringify(requestData),
+              }
+            )
+              .then((response) => response.json())
+              .then((response) => {
+                const size_tag = getSizeTags(response);
+                $(`#${containerId} .embeddedItem[data-id]`).each(function () {
+                  const $imgBox = $(this).find(".embeddedItem__imgBox");
+                  const tag = size_tag[$(this).attr("data-id")];
+                  let $sizeTag = $imgBox.find(".embeddedItem__sizeTag");
+                  if (!tag) {
+                    $sizeTag.remove();
+                    return;
+                  }
+                  if (!$sizeTag.length) {
+                    $sizeTag = $('<div class="embeddedItem__sizeTag"></div>');
+                    $imgBox.prepend($sizeTag);
+                  }
+                  $sizeTag.text(tag);
+                });
+              })
+              .catch((err) => {
+                console.error(err);
+              });
+          }, 300);
+        }
+        if (sizeTagRefreshListeners[containerId]) {
+          document.removeEventListener(
+            "default-user-updated",
+            sizeTagRefreshListeners[containerId]
+          );
+          document.removeEventListener(
+            "bodydata-updated",
+            sizeTagRefreshListeners[containerId]
+          );
+        }
+        sizeTagRefreshListeners[containerId] = refreshSizeTags;
+        document.addEventListener("default-user-updated", refreshSizeTags);
+        document.addEventListener("bodydata-updated", refreshSizeTags);
+
         function updatePopAd(images, corr_bool) {
           const items = images
             .map(
@@ -1331,7 +1756,7 @@
                 `
     <a class="embeddedItem swiper-slide" href="${
       img.link
-    }" target="_blank" data-title="${img.title}" data-link="${img.link}">
+    }" target="_blank" data-id="${img.id || ""}" data-title="${img.title}" data-link="${img.link}">
       <div class="embeddedItem__img" style="position:relative;">
       <div class="embeddedItem__imgBox" style="background-color:#efefef;">
       ${
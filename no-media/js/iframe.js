@@ -13,14 +13,193 @@ let isFirst = true;
 let throttleTimer = null;
 let formatTagGroupMap = {};
 let isFetchCouponCalled = false;
-let isForPreview = true || window.location.href
+// 後台預覽（myinffits）不保存作答進度
+let isForPreview = window.location.href
   .toLocaleLowerCase()
-  .includes("myinffits")
+  .includes("myinffits");
 
 let isForReferral = window.location.href
   .toLocaleLowerCase()
   .includes("referral");
 let firstResult = {};
+let editingRoute = null; // 從結果頁修改單一答案時的 TagGroup
+let routeProgressSyncTimer = null;
+
+// 取得 API 端點（由 /inf-endpoints.js 提供，未載入時使用正式環境位址）
+function getInfEndpoint(name, fallback, query) {
+  if (window.InfFitsEndpoints) {
+    return window.InfFitsEndpoints.url(name, query);
+  }
+  if (!query) return fallback;
+  return (
+    fallback +
+    "?" +
+    Object.keys(query)
+      .map((key) => key + "=" + query[key])
+      .join("&")
+  );
+}
+
+// 與商家頁面的訊息通道（由 /inf-messaging.js 提供，只與允許的嵌入頁面來源往來）
+const hostChannel = window.InfFitsMessaging
+  ? window.InfFitsMessaging.connectParent()
+  : null;
+
+// 傳送訊息給商家頁面（未載入 /inf-messaging.js 時不傳送，避免以 "*" 傳給任意來源）
+function postToHost(type, payload) {
+  if (hostChannel) {
+    hostChannel.send(type, payload);
+  }
+}
+
+// 登入組件分享的會話 { scope, sub, profile, issuedAt }（未分享或未登入時為 null）
+let sharedSession = null;
+
+// 取得會話：同頁的登入組件（window.InfFitsSession）優先，否則向商家頁面請求
+const getSharedSession = async () => {
+  try {
+    if (window.InfFitsSession) {
+      sharedSession = await window.InfFitsSession.get();
+    } else if (hostChannel) {
+      sharedSession = await hostChannel.request("sessionRequest", null, {
+        timeout: 1500,
+      });
+    }
+  } catch (err) {
+    // 商家頁面未開啟分享或未回應時，使用預設身形
+    sharedSession = null;
+  }
+  return sharedSession;
+};
+
+// 同頁的登入組件可能晚於此腳本載入，以事件接收會話變更，不依賴載入順序
+window.addEventListener("inf-session-changed", (event) => {
+  sharedSession = (event.detail && event.detail.session) || null;
+});
+if (hostChannel) {
+  hostChannel.on("session", (session) => {
+    sharedSession = session || null;
+  });
+}
+
+// 由會話的預設成員組出推薦 API 的 bid，沒有身高體重時回傳 null
+function getSessionBid(session) {
+  const profile = session && session.profile;
+  if (!profile || !profile.HV || !profile.WV) {
+    return null;
+  }
+  return {
+    HV: String(profile.HV),
+    WV: String(profile.WV),
+    CC: profile.CC || "",
+    DataItem: "0100",
+    Shoulder: "",
+    UpChest: "",
+    DnChest: "",
+    Waist: "",
+    Hip: "",
+    Brand: Brand,
+    ClothID: "",
+    Sizes: "",
+    FitP: "0,0,0,0",
+    Gender: profile.Gender || "M",
+    FMLpath: "FMLSep",
+    BUS: "0",
+    GVID: "",
+    LGVID: "",
+    MRID: "INF",
+    ga_id: "x",
+    Pattern_Prefer: "1",
+  };
+}
+
+// 路線問答進度：INFS_ROUTE_ORDER_${Brand} 為作答中的路線，INFS_ROUTE_RES_${Brand} 為已取得結果的路線
+// 預覽模式不保存；已登入時同步到 infFITS 帳號（window.InfFitsRouteProgress，由 inf-google-login.js 提供）
+function loadRouteProgress(type) {
+  if (isForPreview) return [];
+  try {
+    return (
+      JSON.parse(localStorage.getItem(`INFS_ROUTE_${type}_${Brand}`)) || []
+    );
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveRouteProgress(type, routes) {
+  if (isForPreview) return;
+  localStorage.setItem(`INFS_ROUTE_${type}_${Brand}`, JSON.stringify(routes));
+  localStorage.setItem(`INFS_ROUTE_UPDATED_${Brand}`, String(Date.now()));
+  syncRouteProgress();
+}
+
+// 更新目前路線的作答紀錄（作答中與已完成的紀錄都更新）
+function saveRouteRecord() {
+  ["ORDER", "RES"].forEach((type) => {
+    const routes = loadRouteProgress(type);
+    let changed = false;
+    routes.forEach((item, index) => {
+      if (deepEqualWithoutKey(item, current_route_path, ["Record"])) {
+        routes[index] = {
+          ...item,
+          Record: tags_chosen, // 修改 Record
+        };
+        changed = true;
+      }
+    });
+    if (changed) {
+      saveRouteProgress(type, routes);
+    }
+  });
+}
+
+// 將本機進度上傳到登入帳號（連續作答時合併為一次請求）
+function syncRouteProgress() {
+  if (!window.InfFitsRouteProgress || isForPreview) return;
+  const brand = Brand;
+  const progress = {
+    ORDER: loadRouteProgress("ORDER"),
+    RES: loadRouteProgress("RES"),
+    UpdatedAt: Number(localStorage.getItem(`INFS_ROUTE_UPDATED_${Brand}`)) || 0,
+  };
+  clearTimeout(routeProgressSyncTimer);
+  routeProgressSyncTimer = setTimeout(() => {
+    window.InfFitsRouteProgress.save(brand, progress).catch((err) => {
+      // 離線或伺服器不支援時只保留本機進度，下次作答或開始問答時再上傳
+      console.warn("作答進度同步失敗:", err);
+    });
+  }, 1000);
+}
+
+// 開始問答前取回登入帳號的進度，較本機新時覆蓋本機（換裝置繼續作答）
+const restoreRouteProgress = async () => {
+  if (!window.InfFitsRouteProgress || isForPreview) return;
+  let remote = null;
+  try {
+    remote = await window.InfFitsRouteProgress.load(Brand);
+  } catch (err) {
+    return;
+  }
+  const localUpdatedAt =
+    Number(localStorage.getItem(`INFS_ROUTE_UPDATED_${Brand}`)) || 0;
+  if (remote && remote.UpdatedAt > localUpdatedAt) {
+    localStorage.setItem(
+      `INFS_ROUTE_ORDER_${Brand}`,
+      JSON.stringify(remote.ORDER || [])
+    );
+    localStorage.setItem(
+      `INFS_ROUTE_RES_${Brand}`,
+      JSON.stringify(remote.RES || [])
+    );
+    localStorage.setItem(
+      `INFS_ROUTE_UPDATED_${Brand}`,
+      String(remote.UpdatedAt)
+    );
+  } else if (localUpdatedAt > ((remote && remote.UpdatedAt) || 0)) {
+    // 本機較新（例如登入前已作答）時上傳
+    syncRouteProgress();
+  }
+};
 
 function throttle(fn, delay) {
   let isFirstCall = true; // 用來判斷是否是第一次調用
@@ -62,15 +241,11 @@ $(document).ready(function () {
     if ($(e.target).closest(".intro-content").length) {
       return; // 如果點擊在 .intro-content 內，則不執行後續操作
     }
-    const messageData = {
-      type: "closeModal",
-      value: true,
-    };
     $(".icon-reminder").removeClass("open");
     $(".text-reminder").removeClass("visible");
     $(".icon-inffits").removeClass("open");
     $(".text-inffits").removeClass("visible");
-    window.parent.postMessage(messageData, "*");
+    postToHost("closeModal", { value: true });
   });
   $(".intro-content").on("pointerdown", function (e) {
     $(".icon-reminder").removeClass("open");
@@ -86,11 +261,7 @@ const get_recom_res = () => {
   isFetching = true;
   $("#loadingbar_recom").show();
   if (isForReferral) {
-    const messageData = {
-      type: "loadingBar",
-      value: true,
-    };
-    window.parent.postMessage(messageData, "*");
+    postToHost("loadingBar", { value: true });
   }
 
   const formatTags = Object.fromEntries(
@@ -101,30 +272,33 @@ const get_recom_res = () => {
       ])
       .filter(([_, value]) => value.length > 0) // 移除值為空陣列的鍵
   );
+  const requestData = {
+    Brand: Brand,
+    Tags: tags_chosen,
+    NUM: 12,
+    SpecifyTags: SpecifyTags,
+    SpecifyKeywords: SpecifyKeywords,
+  };
+  // 已登入且分享會話時，以使用者的身形取代預設值
+  const sessionBid = getSessionBid(sharedSession);
+  if (sessionBid) {
+    requestData.bid = sessionBid;
+  }
   let options = {
     method: "POST",
     headers: { accept: "application/json", "content-type": "application/json" },
-    body: JSON.stringify({
-      Brand: Brand,
-      Tags: tags_chosen,
-      NUM: 12,
-      SpecifyTags: SpecifyTags,
-      SpecifyKeywords: SpecifyKeywords,
-    }),
+    body: JSON.stringify(requestData),
   };
   if (isForReferral) {
-    const messageData = {
-      type: "result_store",
-      [`${Brand}_${current_route_path.Route}`]: tags_chosen,
-    };
-    window.parent.postMessage(messageData, "*");
-    // console.error("messageData", messageData);
+    postToHost("resultStore", {
+      brand: Brand,
+      route: current_route_path.Route,
+      tags: tags_chosen,
+    });
   }
 
   // console.warn("tags chosen:", tags_chosen);
-  var INFS_ROUTE_ORDER = !isForPreview
-    ? JSON.parse(localStorage.getItem(`INFS_ROUTE_ORDER_${Brand}`)) || []
-    : [];
+  var INFS_ROUTE_ORDER = loadRouteProgress("ORDER");
   INFS_ROUTE_ORDER.forEach((item, index) => {
     if (deepEqualWithoutKey(item, current_route_path, ["Record"])) {
       INFS_ROUTE_ORDER[index] = {
@@ -133,9 +307,7 @@ const get_recom_res = () => {
       };
     }
   });
-  var INFS_ROUTE_RES = !isForPreview
-    ? JSON.parse(localStorage.getItem(`INFS_ROUTE_RES_${Brand}`)) || []
-    : [];
+  var INFS_ROUTE_RES = loadRouteProgress("RES");
 
   const matchIndex = INFS_ROUTE_ORDER.findIndex((item) =>
     deepEqualWithoutKey(item, current_route_path, ["Record"])
@@ -149,32 +321,26 @@ const get_recom_res = () => {
     INFS_ROUTE_RES.push(matchedItem); // 將物件推到 RES 陣列
 
     // 更新 localStorage
-    if (!isForPreview) {
-      localStorage.setItem(
-        `INFS_ROUTE_ORDER_${Brand}`,
-        JSON.stringify(INFS_ROUTE_ORDER)
-      );
-      localStorage.setItem(
-        `INFS_ROUTE_RES_${Brand}`,
-        JSON.stringify(INFS_ROUTE_RES)
-      );
-    }
+    saveRouteProgress("ORDER", INFS_ROUTE_ORDER);
+    saveRouteProgress("RES", INFS_ROUTE_RES);
+  } else {
+    // 已完成的路線（例如從結果頁修改單一答案）直接更新紀錄
+    saveRouteRecord();
   }
   // tags_chosen = {};
 
   fetch(
-    "https://api.inffits.com/http_mkt_extensions_recom/recom_product",
+    getInfEndpoint(
+      "recomProduct",
+      "https://api.inffits.com/http_mkt_extensions_recom/recom_product"
+    ),
     // "https://ldiusfc4ib.execute-api.ap-northeast-1.amazonaws.com/v0/extension/recom_product",
     options
   )
     .then((response) => response.json())
     .then(async (response) => {
       // setTimeout(() => {
-      const messageData = {
-        type: "result",
-        value: true,
-      };
-      window.parent.postMessage(messageData, "*");
+      postToHost("result", { value: true });
       // console.error("Message", response);
       firstResult = response;
       await show_results(response, true);
@@ -185,11 +351,7 @@ const get_recom_res = () => {
     })
     .finally(() => {
       if (isForReferral) {
-        const messageData = {
-          type: "loadingBar",
-          value: false,
-        };
-        window.parent.postMessage(messageData, "*");
+        postToHost("loadingBar", { value: false });
       }
       setTimeout(() => {
         // $("#loadingbar_recom").fadeOut(500);
@@ -218,7 +380,10 @@ const getEmbedded = async () => {
 
   try {
     const response = await fetch(
-      "https://api.inffits.com/HTTP_inf_bhv_cdp_product_recommendation/extension/recom_product",
+      getInfEndpoint(
+        "bhvRecomProduct",
+        "https://api.inffits.com/HTTP_inf_bhv_cdp_product_recommendation/extension/recom_product"
+      ),
       options
     );
     const data = await response.json();
@@ -310,7 +475,10 @@ const getEmbeddedForBackup = () => {
     body: JSON.stringify(requestData),
   };
   fetch(
-    "https://api.inffits.com/HTTP_inf_bhv_cdp_product_recommendation/extension/recom_product",
+    getInfEndpoint(
+      "bhvRecomProduct",
+      "https://api.inffits.com/HTTP_inf_bhv_cdp_product_recommendation/extension/recom_product"
+    ),
     options
   )
     .then((response) => response.json())
@@ -369,10 +537,7 @@ const getEmbeddedForBackup = () => {
       $("#recommend-btn").text("刷新推薦");
       show_results(formatData);
       $("#container-recom").show();
-      localStorage.setItem(
-        `INFS_ROUTE_RES_${Brand}`,
-        JSON.stringify([])
-      );
+      saveRouteProgress("RES", []);
     })
     .catch((err) => {
       console.error(err);
@@ -411,13 +576,11 @@ const show_results = (response, isFirst = false) => {
 
   if (itemCount === 0 || !response) {
     getEmbedded();
-    localStorage.setItem(
-      `INFS_ROUTE_RES_${Brand}`,
-      JSON.stringify([])
-    );
+    saveRouteProgress("RES", []);
     return;
   } else {
     $("#container-recom").show();
+    renderAnswerSummary();
   }
   // const finalitem = getRandomNumbers(itemCount - 1, 3);
   const finalitem = isFirst
@@ -570,7 +733,10 @@ const fetchCoupon = async () => {
     body: JSON.stringify(requestData),
   };
   const response = await fetch(
-    "https://api.inffits.com/mkt_brand_config_proc/GetItems",
+    getInfEndpoint(
+      "brandConfig",
+      "https://api.inffits.com/mkt_brand_config_proc/GetItems"
+    ),
     options
   );
   const responseData = await response.json();
@@ -695,6 +861,7 @@ const fetchCoupon = async () => {
         })
         .join("")
     );
+    const sessionBid = getSessionBid(await getSharedSession());
     window.Product_Recommendation({
       brand: Brand,
       containerId: "hot-sale",
@@ -706,29 +873,9 @@ const fetchCoupon = async () => {
       autoplay: false,
       hide_discount: true, // 隱藏折扣
       hide_size: true, // 隱藏尺寸
-      bid: {
-        HV: "165",
-        WV: "45",
-        CC: "97.5_97.5",
-        DataItem: "0100",
-        Shoulder: "",
-        UpChest: "",
-        DnChest: "",
-        Waist: "",
-        Hip: "",
-        Brand: Brand,
-        ClothID: "",
-        Sizes: "",
-        FitP: "0,0,0,0",
-        Gender: "M",
-        FMLpath: "FMLSep",
-        BUS: "0",
-        GVID: "",
-        LGVID: "",
-        MRID: "INF",
-        ga_id: "x",
-        Pattern_Prefer: "1",
-      },
+      sku: "627b5ab044a027000fde0add", // 問答頁不是商品頁，固定以示範商品推薦
+      // 沒有分享的會話時，由 Product_Recommendation 讀取登入成員或本地身體資料
+      ...(sessionBid ? { bid: sessionBid } : {}),
       breakpoints: {
         480: {
           slidesPerView: 3.5,
@@ -754,38 +901,17 @@ const fetchCoupon = async () => {
         },
       },
     });
-    // 响应父页面的高度请求
-    window.addEventListener(
-      "message",
-      function (event) {
-        if (event.data && event.data.type === "requestHeight") {
-          // 获取当前文档高度
-          const height =
-            document.documentElement.offsetHeight || document.body.offsetHeight;
-          // 发送高度信息给父页面
-          window.parent.postMessage(
-            {
-              type: "setHeight",
-              height: height,
-            },
-            "*"
-          );
-        }
-      },
-      false
-    );
-
     // 页面加载和内容变化时也发送高度
     function sendHeight() {
       const height =
         document.documentElement.offsetHeight || document.body.offsetHeight;
-      window.parent.postMessage(
-        {
-          type: "setHeight",
-          height: height,
-        },
-        "*"
-      );
+      postToHost("setHeight", { height: height });
+      return { height: height };
+    }
+
+    // 响应父页面的高度请求（舊版父頁面只接收 setHeight，新版可直接取得回應）
+    if (hostChannel) {
+      hostChannel.on("requestHeight", sendHeight);
     }
 
     // 页面加载完成后发送高度
@@ -1052,22 +1178,21 @@ const fetchData = async () => {
     var obj;
     // 塞空值
     const response = await fetch(
-      "https://xjsoc4o2ci.execute-api.ap-northeast-1.amazonaws.com/v0/extension/run_routeproduct?Brand=" +
-        Brand +
-        "&Route=" +
-        Route,
+      getInfEndpoint(
+        "routeProduct",
+        "https://xjsoc4o2ci.execute-api.ap-northeast-1.amazonaws.com/v0/extension/run_routeproduct",
+        { Brand: Brand, Route: Route }
+      ),
       options
     );
     
     // 檢查狀態碼，如果是 200 則發送 postMessage
     if (response.status == 200) {
-      const messageData = {
-        type: "run_routeproduct_success",
+      postToHost("routeLoaded", {
         status: response.status,
         brand: Brand,
         route: Route
-      };
-      window.parent.postMessage(messageData, "*");
+      });
     }
     
     const data = await response.json();
@@ -1131,12 +1256,8 @@ const fetchData = async () => {
       }, {});
     })();
     // 比較當前路線是否已存在
-    var INFS_ROUTE_ORDER = !isForPreview
-      ? JSON.parse(localStorage.getItem(`INFS_ROUTE_ORDER_${Brand}`)) || []
-      : [];
-    var INFS_ROUTE_RES = !isForPreview
-      ? JSON.parse(localStorage.getItem(`INFS_ROUTE_RES_${Brand}`)) || []
-      : [];
+    var INFS_ROUTE_ORDER = loadRouteProgress("ORDER");
+    var INFS_ROUTE_RES = loadRouteProgress("RES");
     // 當前路線
     current_route_path = {
       Route: current_Route,
@@ -1160,12 +1281,7 @@ const fetchData = async () => {
         tags_chosen = match.Record;
       } else {
         INFS_ROUTE_ORDER.push(current_route_path);
-        if (!isForPreview) {
-          localStorage.setItem(
-            `INFS_ROUTE_ORDER_${Brand}`,
-            JSON.stringify(INFS_ROUTE_ORDER)
-          );
-        }
+        saveRouteProgress("ORDER", INFS_ROUTE_ORDER);
       }
     }
 
@@ -1258,6 +1374,7 @@ const fetchData = async () => {
           `container-${r.replaceAll(" ", "")}-backarrow`
         )
         $(backarrow).on(tap, function () {
+          if (editingRoute) return; // 修改單一答案時由 bind() 返回結果頁
           $("#intro-page").show();
           $("#container-" + all_Route[0]).hide();
           tags_chosen = {};
@@ -1302,9 +1419,7 @@ const fetchData = async () => {
 
     function bind() {
       // 檢查是否所有問題都已完成，如果是則直接跳到結果頁面
-      var INFS_ROUTE_ORDER = !isForPreview
-        ? JSON.parse(localStorage.getItem(`INFS_ROUTE_ORDER_${Brand}`)) || []
-        : [];
+      var INFS_ROUTE_ORDER = loadRouteProgress("ORDER");
       const match = INFS_ROUTE_ORDER.find((item) =>
         deepEqualWithoutKey(item, current_route_path, ["Record"])
       );
@@ -1338,10 +1453,7 @@ const fetchData = async () => {
         (function (fs) {
           const currentRoute = all_Route[fs].replaceAll(" ", "");
           // 檢查並設定預設值
-          var INFS_ROUTE_ORDER = !isForPreview
-            ? JSON.parse(localStorage.getItem(`INFS_ROUTE_ORDER_${Brand}`)) ||
-              []
-            : [];
+          var INFS_ROUTE_ORDER = loadRouteProgress("ORDER");
           const match = INFS_ROUTE_ORDER.find((item) =>
             deepEqualWithoutKey(item, current_route_path, ["Record"])
           );
@@ -1420,25 +1532,11 @@ const fetchData = async () => {
                   TagGroup: all_Route[fs],
                 },
               ];
-              // 修改符合條件的物件後更新 INFS_ROUTE_ORDER
-              var INFS_ROUTE_ORDER = !isForPreview
-                ? JSON.parse(
-                    localStorage.getItem(`INFS_ROUTE_ORDER_${Brand}`)
-                  ) || []
-                : [];
-              INFS_ROUTE_ORDER.forEach((item, index) => {
-                if (deepEqualWithoutKey(item, current_route_path, ["Record"])) {
-                  INFS_ROUTE_ORDER[index] = {
-                    ...item,
-                    Record: tags_chosen, // 修改 Record
-                  };
-                }
-              });
-              if (!isForPreview) {
-                localStorage.setItem(
-                  `INFS_ROUTE_ORDER_${Brand}`,
-                  JSON.stringify(INFS_ROUTE_ORDER)
-                );
+              // 修改符合條件的物件後更新作答紀錄
+              saveRouteRecord();
+              if (editingRoute === all_Route[fs]) {
+                finishAnswerEdit(currentRoute);
+                return;
               }
               // console.error("error skip add", tags_chosen);
               // }
@@ -1481,6 +1579,25 @@ const fetchData = async () => {
               var tag = `c-${all_Route[fs]}`;
               $(`.${tag}.tag-selected`).removeClass("tag-selected");
               $(this).addClass("tag-selected");
+              if (editingRoute === all_Route[fs]) {
+                // 從結果頁修改單一答案：更新後直接回到推薦結果
+                tags_chosen[all_Route[fs].replaceAll(" ", "")] = [
+                  {
+                    Description: $(
+                      `#container-${all_Route[fs]} .desc-container`
+                    )
+                      .first()
+                      .text(),
+                    Imgsrc: $(this).find("img").attr("src"),
+                    Name: $(this).find("p").text(),
+                    Tag: tagid,
+                    TagGroup: all_Route[fs],
+                  },
+                ];
+                saveRouteRecord();
+                finishAnswerEdit(currentRoute);
+                return;
+              }
               if (fs == all_Route.length - 1) {
                 $("#container-" + currentRoute).hide();
 
@@ -1524,28 +1641,18 @@ const fetchData = async () => {
                   },
                 ];
               }
-              // 修改符合條件的物件後更新 INFS_ROUTE_ORDER
-              var INFS_ROUTE_ORDER =
-                JSON.parse(localStorage.getItem(`INFS_ROUTE_ORDER_${Brand}`)) ||
-                [];
-              INFS_ROUTE_ORDER.forEach((item, index) => {
-                if (deepEqualWithoutKey(item, current_route_path, ["Record"])) {
-                  INFS_ROUTE_ORDER[index] = {
-                    ...item,
-                    Record: tags_chosen, // 修改 Record
-                  };
-                }
-              });
-              if (!isForPreview) {
-                localStorage.setItem(
-                  `INFS_ROUTE_ORDER_${Brand}`,
-                  JSON.stringify(INFS_ROUTE_ORDER)
-                );
-              }
+              // 修改符合條件的物件後更新作答紀錄
+              saveRouteRecord();
             });
           $(`#container-${all_Route[fs].replaceAll(" ", "")}-backarrow`).on(
             mytap,
             function (e) {
+              if (editingRoute) {
+                // 同一個返回鍵綁定了多次，取消修改後不再執行其他處理函數
+                e.stopImmediatePropagation();
+                cancelAnswerEdit();
+                return;
+              }
               if (fs != 0) {
                 $("#container-" + currentRoute).hide();
                 $("#container-" + all_Route[fs - 1].replaceAll(" ", "")).show();
@@ -1557,21 +1664,9 @@ const fetchData = async () => {
 
           if (fs == 0) {
             reset = async function () {
-              const message = {
-                header: "from_preview",
-                id: Route,
-                brand: Brand,
-              };
-
-              // 發送消息到接收窗口
-              window.dispatchEvent(
-                new MessageEvent("message", { data: message })
-              );
-              const messageData = {
-                type: "result",
-                value: false,
-              };
-              window.parent.postMessage(messageData, "*");
+              // 重新開始目前的路線
+              startRoute({ id: Route, brand: Brand });
+              postToHost("result", { value: false });
               tags_chosen = {};
             };
           }
@@ -1580,10 +1675,7 @@ const fetchData = async () => {
     }
     bind();
 
-    var pass_data = {
-      MsgHeader: "fetchDone",
-    };
-    window.parent.postMessage(pass_data, "*");
+    postToHost("fetchDone");
   } catch (error) {
     console.error("Fetch error:", error);
   }
@@ -1639,9 +1731,7 @@ $(document).on(tap, "#start-button", function () {
   $("#recommend-btn").text("刷新推薦");
   
   // 檢查是否所有問題都已完成
-  var INFS_ROUTE_ORDER = !isForPreview
-    ? JSON.parse(localStorage.getItem(`INFS_ROUTE_ORDER_${Brand}`)) || []
-    : [];
+  var INFS_ROUTE_ORDER = loadRouteProgress("ORDER");
   const match = INFS_ROUTE_ORDER.find((item) =>
     deepEqualWithoutKey(item, current_route_path, ["Record"])
   );
@@ -1702,11 +1792,7 @@ $("#recommend-btn").on(tap, async function () {
     `rgba(255, 255, 255, 0.9) url('${backgroundImage}') no-repeat center center / contain`
   );
 
-  const messageData = {
-    type: "result",
-    value: true,
-  };
-  window.parent.postMessage(messageData, "*");
+  postToHost("result", { value: true });
   if (firstResult.Item?.length <= 3) {
     await getEmbedded().finally(() => {
       setTimeout(() => {
@@ -1739,19 +1825,80 @@ const Initial = () => {
   $("#container-recom").hide();
 
   tags_chosen = {};
+  editingRoute = null;
 };
 
-window.addEventListener("message", async (event) => {
-  // console.warn("message", event);
-  if (event.data.header == "from_preview") {
-    await Initial();
-
-    Route = event.data.id;
-    Brand = event.data.brand;
-
-    fetchData();
-    fetchCoupon();
+// 結果頁列出每一題的答案，點擊後只修改該題
+function renderAnswerSummary() {
+  const $answers = $("#recom-answers");
+  if (!all_Route || all_Route.length === 0) {
+    $answers.empty();
+    return;
+  }
+  // 路線名稱與選項名稱來自後端資料，以 text() 寫入避免被當成 HTML 解析
+  $answers.empty().append(
+    all_Route.map((route, index) => {
+      const answer = (tags_chosen[route.replaceAll(" ", "")] || [])[0];
+      const name = answer && answer.Name !== "example" ? answer.Name : "略過";
+      return $('<button class="recom-answer"></button>')
+        .attr("data-route-index", index)
+        .append($('<span class="recom-answer__group"></span>').text(route))
+        .append($('<span class="recom-answer__name"></span>').text(name));
+    })
+  );
+}
 
-    $("#intro-page").fadeIn(800);
+$(document).on(tap, "#recom-answers .recom-answer", function () {
+  const route = all_Route[$(this).data("route-index")];
+  const routeKey = route.replaceAll(" ", "");
+  const answer = (tags_chosen[routeKey] || [])[0];
+  const $container = $("#container-" + routeKey);
+
+  editingRoute = route;
+  $container.find(".tag-selected").removeClass("tag-selected");
+  if (answer && answer.Name !== "example") {
+    $container
+      .find(`.c-${routeKey}.tagId-${answer.Tag}`)
+      .addClass("tag-selected");
   }
+  $("#container-recom").hide();
+  $container.show();
+  startTypewriterEffect(route);
 });
+
+// 修改完成：重新取得推薦結果
+function finishAnswerEdit(routeKey) {
+  $("#container-" + routeKey).hide();
+  editingRoute = null;
+  $("#container-recom .update_delete").remove();
+  get_recom_res();
+}
+
+// 取消修改：回到原本的推薦結果
+function cancelAnswerEdit() {
+  $("#container-" + editingRoute.replaceAll(" ", "")).hide();
+  editingRoute = null;
+  $("#container-recom").show();
+}
+
+// 開始路線問答（商家頁面傳送 startRoute，或 reset 重新開始目前的路線）
+const startRoute = async ({ id, brand }) => {
+  await Initial();
+
+  Route = id;
+  Brand = brand;
+
+  getSharedSession();
+  await restoreRouteProgress();
+  fetchData();
+  fetchCoupon();
+
+  $("#intro-page").fadeIn(800);
+};
+
+if (hostChannel) {
+  hostChannel.on("startRoute", startRoute);
+}
+
+// 通知商家頁面可以開始傳送訊息
+postToHost("ready");
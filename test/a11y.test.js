@@ -0,0 +1,199 @@
+// inf-google-login.js 無障礙：以 axe-core 檢查登入組件與對話框，並驗證焦點鎖定與 ARIA 語意
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const axe = require('axe-core');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const LOGIN_SOURCE = fs.readFileSync(path.join(__dirname, '../inf-google-login.js'), 'utf8');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="zh-TW">
+<head><title>尺寸推薦</title></head>
+<body>
+  <main>
+    <div id="intro-content-simple"><p>輸入身高體重，找到合適的尺寸</p></div>
+    <inf-google-login></inf-google-login>
+  </main>
+</body>
+</html>`;
+
+const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 建立載入登入組件的頁面；測試結束時關閉視窗，停止組件的計時器
+async function setup(t) {
+    // jsdom 不實作 canvas，axe 的色彩對比檢查會回報 not implemented，略過此類訊息
+    const virtualConsole = new VirtualConsole();
+    const dom = new JSDOM(PAGE, {
+        url: 'https://shop.example.com/size',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    t.after(() => window.close());
+    // jsdom 沒有版面配置，getClientRects() 一律為空；視已連接的元素為可見，讓 InfA11y.getFocusable 可運作
+    window.Element.prototype.getClientRects = function () {
+        return this.isConnected ? [{}] : [];
+    };
+    // 以 <script> 載入，與頁面相同共用全域的 class 宣告（window.eval 會把 class 限制在 eval 內）
+    const script = window.document.createElement('script');
+    script.textContent = LOGIN_SOURCE;
+    window.document.head.appendChild(script);
+    window.eval(axe.source);
+    await wait(50);
+    const component = window.document.querySelector('inf-google-login');
+    return { window, component, InfA11y: window.eval('InfA11y') };
+}
+
+// 回傳 axe 違規項目的摘要，方便失敗時閱讀（轉為測試環境的陣列，才能與 [] 比較）
+async function axeViolations(window, context) {
+    const results = await window.axe.run(context, { resultTypes: ['violations'] });
+    return Array.from(results.violations, violation => ({
+        id: violation.id,
+        nodes: Array.from(violation.nodes, node => node.html.slice(0, 120))
+    }));
+}
+
+function pressKey(window, target, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+test('登入組件頁面沒有 axe 違規', async (t) => {
+    const { window } = await setup(t);
+    assert.deepEqual(await axeViolations(window, window.document), []);
+});
+
+test('頭像是可用鍵盤開啟對話框的按鈕', async (t) => {
+    const { component } = await setup(t);
+    const avatar = component.shadowRoot.getElementById('avatar-container');
+    assert.equal(avatar.getAttribute('role'), 'button');
+    assert.equal(avatar.getAttribute('tabindex'), '0');
+    assert.equal(avatar.getAttribute('aria-haspopup'), 'dialog');
+    assert.ok(avatar.getAttribute('aria-label'));
+});
+
+test('登入畫面是 modal 對話框且沒有 axe 違規', async (t) => {
+    const { window, component } = await setup(t);
+    component.showLoginModal();
+    const container = window.document.getElementById('intro-content-simple');
+    const dialog = container.querySelector('[role="dialog"]');
+
+    assert.ok(dialog, '登入畫面應標示為 role="dialog"');
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    assert.ok(dialog.getAttribute('aria-label'));
+    assert.ok(dialog.getAttribute('lang'));
+    assert.deepEqual(await axeViolations(window, container), []);
+});
+
+test('登入畫面鎖定焦點，Tab 與 Shift+Tab 在對話框內循環', async (t) => {
+    const { window, component, InfA11y } = await setup(t);
+    component.showLoginModal();
+    const dialog = window.document.querySelector('#intro-content-simple [role="dialog"]');
+    await wait();
+
+    const focusable = InfA11y.getFocusable(dialog);
+    assert.ok(focusable.length > 0, '登入畫面應有可聚焦的元素');
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    assert.equal(window.document.activeElement, first, '開啟時焦點應移到第一個可聚焦元素');
+
+    last.focus();
+    assert.ok(pressKey(window, last, 'Tab').defaultPrevented);
+    assert.equal(window.document.activeElement, first);
+
+    assert.ok(pressKey(window, first, 'Tab', { shiftKey: true }).defaultPrevented);
+    assert.equal(window.document.activeElement, last);
+});
+
+test('Escape 關閉登入畫面，焦點回到頭像', async (t) => {
+    const { window, component } = await setup(t);
+    const avatar = component.shadowRoot.getElementById('avatar-container');
+    component.showLoginModal();
+    const container = window.document.getElementById('intro-content-simple');
+    const dialog = container.querySelector('[role="dialog"]');
+    await wait();
+
+    pressKey(window, window.document.activeElement, 'Escape');
+    assert.equal(container.querySelector('[role="dialog"]'), null);
+    assert.equal(component.shadowRoot.activeElement, avatar);
+    assert.equal(dialog.isConnected, false);
+});
+
+test('確認彈窗是 alertdialog，焦點預設在取消鍵並鎖定在彈窗內', async (t) => {
+    const { window, InfA11y } = await setup(t);
+    const result = window.showCustomConfirm('刪除成員', '確定要刪除此成員嗎？');
+    const dialog = window.document.querySelector('.custom-confirm-modal');
+    await wait();
+
+    assert.equal(dialog.getAttribute('role'), 'alertdialog');
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    assert.equal(window.document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, '刪除成員');
+    assert.equal(window.document.getElementById(dialog.getAttribute('aria-describedby')).textContent, '確定要刪除此成員嗎？');
+    assert.equal(window.document.activeElement.id, 'confirm-cancel-btn');
+    assert.deepEqual(await axeViolations(window, dialog), []);
+
+    const focusable = InfA11y.getFocusable(dialog);
+    focusable[focusable.length - 1].focus();
+    pressKey(window, window.document.activeElement, 'Tab');
+    assert.equal(window.document.activeElement, focusable[0]);
+
+    window.document.getElementById('confirm-cancel-btn').click();
+    assert.equal(await result, false);
+});
+
+test('通知透過 aria-live 區域朗讀', async (t) => {
+    const { window, InfA11y } = await setup(t);
+    InfA11y.announce('已儲存');
+    InfA11y.announce('儲存失敗', 'assertive');
+    await wait(200);
+
+    const regions = Array.from(window.document.querySelectorAll('[aria-live]'));
+    const polite = regions.find(region => region.getAttribute('aria-live') === 'polite');
+    const assertive = regions.find(region => region.getAttribute('aria-live') === 'assertive');
+    assert.ok(polite && polite.textContent.includes('已儲存'));
+    assert.ok(assertive && assertive.textContent.includes('儲存失敗'));
+});
+
+test('執行期間變更 target-container-id 時，開啟中的對話框移到新容器', async (t) => {
+    const { window, component } = await setup(t);
+    const oldContainer = window.document.getElementById('intro-content-simple');
+    const newContainer = window.document.createElement('div');
+    newContainer.id = 'size-panel';
+    newContainer.innerHTML = '<p>尺寸面板</p>';
+    window.document.body.appendChild(newContainer);
+    component.showLoginModal();
+
+    component.setAttribute('target-container-id', 'size-panel');
+    const dialog = newContainer.querySelector('[role="dialog"]');
+    assert.ok(dialog, '登入畫面應移到新容器');
+    assert.equal(oldContainer.querySelector('[role="dialog"]'), null);
+    assert.equal(oldContainer.textContent, '輸入身高體重，找到合適的尺寸');
+    assert.equal(component.observedContainers[1], newContainer);
+
+    await wait();
+    pressKey(window, window.document.activeElement, 'Escape');
+    assert.equal(newContainer.querySelector('[role="dialog"]'), null);
+    assert.equal(newContainer.textContent, '尺寸面板');
+});
+
+test('執行期間變更 provider 時重新讀取 client id 並更新開啟中的登入按鈕', async (t) => {
+    const { window, component } = await setup(t);
+    const container = window.document.getElementById('intro-content-simple');
+    component.showLoginModal();
+    assert.ok(component.clientId, 'Google 使用預設的 client id');
+
+    component.setAttribute('provider', 'mock');
+    assert.equal(component.providerName, 'mock');
+    assert.equal(component.clientId, null);
+    assert.equal(component.isGoogleLoaded, true, 'mock 提供者載入後應標示為已載入');
+
+    const dialogs = container.querySelectorAll('[role="dialog"]');
+    assert.equal(dialogs.length, 1);
+    const buttonText = dialogs[0].querySelector('.login-modal__button-text').textContent;
+    assert.equal(buttonText, window.eval("InfI18n.t('login.button.mock', {}, '使用測試帳號登入')"));
+    assert.deepEqual(await axeViolations(window, container), []);
+});
@@ -0,0 +1,183 @@
+// inf-google-login.js 靜態加密：本地身體資料、合併同步基準與離線佇列紀錄不以明文寫入存儲；切換存儲後端時移動登入資料
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { webcrypto } = require('node:crypto');
+const { TextEncoder, TextDecoder } = require('node:util');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+
+const LOGIN_SOURCE = fs.readFileSync(path.join(__dirname, '../inf-google-login.js'), 'utf8');
+
+const BODY_SIZE = JSON.stringify({ HV: '170', WV: '62', CC: '', TS: 1700000000000 });
+
+const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 建立頁面並載入登入組件腳本；storage 為載入前已存在的 localStorage 內容，encryptLocalBody 開啟本地身體資料加密，
+// indexedDB: false 模擬 IndexedDB 無法使用
+function setup(t, storage = {}, { encryptLocalBody = false, indexedDB = true } = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: 'https://size.example.com/',
+        runScripts: 'dangerously',
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    t.after(() => window.close());
+    // jsdom 沒有 WebCrypto 的 subtle、TextEncoder 與 IndexedDB，使用 Node 的實作與 fake-indexeddb
+    Object.defineProperty(window, 'crypto', { value: webcrypto });
+    Object.assign(window, { TextEncoder, TextDecoder });
+    if (indexedDB) {
+        window.indexedDB = new IDBFactory();
+    }
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    const script = window.document.createElement('script');
+    script.textContent = LOGIN_SOURCE;
+    window.document.head.appendChild(script);
+    if (encryptLocalBody) {
+        window.InfFitsLocalBodyData.enableEncryption();
+    }
+    return window;
+}
+
+// 等待非同步加密寫入完成
+async function waitForEncrypted(window, key) {
+    for (let i = 0; i < 50; i++) {
+        const value = window.localStorage.getItem(key);
+        if (value && value.indexOf('inf_enc:v1:') === 0) {
+            return value;
+        }
+        await wait(10);
+    }
+    return window.localStorage.getItem(key);
+}
+
+test('未開啟加密時本地身體資料維持明文，inf_main 可直接讀取', async (t) => {
+    const window = setup(t, { BodyID_size: BODY_SIZE });
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_size'), BODY_SIZE);
+    window.InfFitsLocalBodyData.set('BodyID_Foot_size', '{"FH":"24"}');
+    await wait(50);
+    assert.equal(window.localStorage.getItem('BodyID_size'), BODY_SIZE);
+    assert.equal(window.localStorage.getItem('BodyID_Foot_size'), '{"FH":"24"}');
+});
+
+test('開啟加密後既有的明文 BodyID_size 加密，InfFitsLocalBodyData.get() 回傳明文', async (t) => {
+    const window = setup(t, { BodyID_size: BODY_SIZE }, { encryptLocalBody: true });
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_size'), BODY_SIZE);
+
+    const stored = await waitForEncrypted(window, 'BodyID_size');
+    assert.match(stored, /^inf_enc:v1:/);
+    assert.ok(!stored.includes('170'));
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_size'), BODY_SIZE);
+});
+
+test('開啟加密後其他腳本（inf_main）直接寫入的明文會被採用並加密', async (t) => {
+    const window = setup(t, { BodyID_Foot_size: '{"FH":"24"}' }, { encryptLocalBody: true });
+    await window.InfFitsLocalBodyData.get('BodyID_Foot_size');
+    await waitForEncrypted(window, 'BodyID_Foot_size');
+
+    window.localStorage.setItem('BodyID_Foot_size', '{"FH":"25"}');
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_Foot_size'), '{"FH":"25"}');
+    assert.match(await waitForEncrypted(window, 'BodyID_Foot_size'), /^inf_enc:v1:/);
+});
+
+test('InfFitsLocalBodyData.set() 不保留明文，remove() 清除資料', async (t) => {
+    const window = setup(t, { BodyID_size: '{"HV":"160"}' }, { encryptLocalBody: true });
+    window.InfFitsLocalBodyData.set('BodyID_size', BODY_SIZE);
+    assert.equal(window.localStorage.getItem('BodyID_size'), null, '加密完成前不應留下舊的明文');
+    assert.match(await waitForEncrypted(window, 'BodyID_size'), /^inf_enc:v1:/);
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_size'), BODY_SIZE);
+
+    window.InfFitsLocalBodyData.remove('BodyID_size');
+    assert.equal(window.localStorage.getItem('BodyID_size'), null);
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_size'), null);
+});
+
+test('flush() 等待加密寫入完成，重新整理前不遺失資料', async (t) => {
+    const window = setup(t, {}, { encryptLocalBody: true });
+    const store = window.eval('getInfLocalBodyStore()');
+    store.setItem('BodyID_size', BODY_SIZE);
+    assert.equal(window.localStorage.getItem('BodyID_size'), null);
+
+    await store.flush();
+    assert.match(window.localStorage.getItem('BodyID_size'), /^inf_enc:v1:/);
+});
+
+test('IndexedDB 無法使用時 local 金鑰無法保存，本地身體資料維持明文', async (t) => {
+    const window = setup(t, { BodyID_size: BODY_SIZE }, { encryptLocalBody: true, indexedDB: false });
+    window.InfFitsLocalBodyData.set('BodyID_Foot_size', '{"FH":"24"}');
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_size'), BODY_SIZE);
+    await wait(50);
+    assert.equal(window.localStorage.getItem('BodyID_size'), BODY_SIZE);
+    assert.equal(window.localStorage.getItem('BodyID_Foot_size'), '{"FH":"24"}');
+    assert.equal(await window.InfFitsLocalBodyData.get('BodyID_Foot_size'), '{"FH":"24"}');
+});
+
+test('合併同步基準經 TokenStore 加密保存', async (t) => {
+    const window = setup(t);
+    const store = window.eval('getInfTokenStore()');
+    await store.ready;
+    store.setItem('inf_bodydata_sync_base', JSON.stringify({ sub: 'u1', gender: 'F', base: { body: { HV: '160' } } }));
+
+    assert.match(await waitForEncrypted(window, 'inf_bodydata_sync_base'), /^inf_enc:v1:/);
+    assert.equal(JSON.parse(store.getItem('inf_bodydata_sync_base')).base.body.HV, '160');
+});
+
+test('離線佇列紀錄除 id 外皆以 local 金鑰加密，關閉瀏覽器後仍可解密', async (t) => {
+    const window = setup(t);
+    const InfBodyDataOutbox = window.eval('InfBodyDataOutbox');
+    const InfEncryption = window.eval('InfEncryption');
+    const mutation = { sub: 'u1', patch: { bodyF: { HV: '160' } }, base: {}, createdAt: 1, conflict: null };
+
+    const encoded = await InfBodyDataOutbox.encodeRecord({ ...mutation, id: 7 });
+    assert.deepEqual(Object.keys(encoded).sort(), ['data', 'id']);
+    assert.equal(encoded.id, 7);
+    assert.ok(!encoded.data.includes('160'));
+    assert.deepEqual(JSON.parse(JSON.stringify(await InfBodyDataOutbox.decodeRecord(encoded))), { ...mutation, id: 7 });
+
+    // 關閉瀏覽器後 session 金鑰已更換，local 金鑰不變
+    InfEncryption.keyPromises.session = InfEncryption.generateKey();
+    assert.deepEqual(JSON.parse(JSON.stringify(await InfBodyDataOutbox.decodeRecord(encoded))), { ...mutation, id: 7 });
+
+    // 金鑰遺失時無法解密
+    InfEncryption.keyPromises.local = InfEncryption.generateKey();
+    assert.equal(await InfBodyDataOutbox.decodeRecord(encoded), null);
+});
+
+test('無法解密的離線佇列紀錄移除時通知使用者', async (t) => {
+    const window = setup(t);
+    const outbox = window.eval('InfBodyDataOutbox.getInstance()');
+    const InfEncryption = window.eval('InfEncryption');
+    await outbox.ready;
+    await outbox.addMutation({ sub: '', patch: { bodyF: { HV: '160' } }, base: {}, createdAt: 1, conflict: null });
+    assert.equal((await outbox.getMutations()).length, 1);
+
+    InfEncryption.keyPromises.local = InfEncryption.generateKey();
+    assert.deepEqual(Array.from(await outbox.getMutations()), []);
+    const message = window.eval("InfI18n.t('notify.outboxUnreadable', { count: 1 })");
+    assert.equal(window.document.querySelector('.notification').textContent, message);
+});
+
+test('執行期間切換 storage 時登入資料移到新的後端', async (t) => {
+    const window = setup(t, {
+        google_access_token: 'access-token',
+        google_user_info: JSON.stringify({ sub: 'u1', email: 'user@example.com' })
+    });
+    const component = window.document.createElement('inf-google-login');
+    window.document.body.appendChild(component);
+    await component.tokenStore.ready;
+    assert.equal(component.tokenStore.type, 'local');
+
+    component.setAttribute('storage', 'session');
+    await component.tokenStore.ready;
+    assert.equal(component.tokenStore.type, 'session');
+    assert.equal(component.tokenStore.getItem('google_access_token'), 'access-token');
+    assert.equal(JSON.parse(component.tokenStore.getItem('google_user_info')).sub, 'u1');
+    assert.equal(window.localStorage.getItem('google_access_token'), null);
+    assert.equal(window.localStorage.getItem('google_user_info'), null);
+
+    await component.tokenStore.flush();
+    assert.equal(window.sessionStorage.getItem('google_access_token'), 'access-token');
+    assert.match(window.sessionStorage.getItem('google_user_info'), /^inf_enc:v1:/);
+});
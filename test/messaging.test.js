@@ -0,0 +1,126 @@
+// inf-messaging.js 跨視窗訊息：iframe 與嵌入頁面的來源檢查、相容模式與商家頁面的會話轉送
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const MESSAGING_SOURCE = fs.readFileSync(path.join(__dirname, '../inf-messaging.js'), 'utf8');
+
+const SHOP_ORIGIN = 'https://shop.example.com';
+
+// 模擬另一個視窗：記錄收到的訊息與 targetOrigin
+function createFakeWindow() {
+    const sent = [];
+    return {
+        sent: sent,
+        postMessage: (data, targetOrigin) => sent.push({ data: JSON.parse(JSON.stringify(data)), targetOrigin })
+    };
+}
+
+// 建立被嵌入的 iframe 頁面並載入 inf-messaging.js；attributes 為 <script> 的屬性
+function setupFrame(t, { attributes = {}, config } = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: 'https://size.inffits.com/size/index.html',
+        referrer: `${SHOP_ORIGIN}/products/shirt`,
+        runScripts: 'dangerously',
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    t.after(() => window.close());
+    const parent = createFakeWindow();
+    Object.defineProperty(window, 'parent', { value: parent, configurable: true });
+    if (config) {
+        window.INFFITS_MESSAGING = config;
+    }
+
+    const script = window.document.createElement('script');
+    Object.entries(attributes).forEach(([name, value]) => script.setAttribute(name, value));
+    script.textContent = MESSAGING_SOURCE;
+    window.document.head.appendChild(script);
+    return { window, parent };
+}
+
+// 建立商家頁面並載入 inf-messaging.js
+function setupHost(t) {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: `${SHOP_ORIGIN}/products/shirt`,
+        runScripts: 'dangerously',
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    t.after(() => window.close());
+    window.eval(MESSAGING_SOURCE);
+    return window;
+}
+
+// 建立 iframe，以假視窗作為 contentWindow
+function attachFrame(window, src, options) {
+    const iframe = window.document.createElement('iframe');
+    iframe.src = src;
+    const contentWindow = createFakeWindow();
+    Object.defineProperty(iframe, 'contentWindow', { value: contentWindow });
+    return { frame: window.InfFitsHost.attach(iframe, options), contentWindow };
+}
+
+function receive(window, source, origin, data) {
+    window.dispatchEvent(new window.MessageEvent('message', { data, origin, source }));
+}
+
+function sessionMessage(session) {
+    return { inffits: { version: 1, type: 'session', id: 'm1', replyTo: null, expectsReply: false, payload: session, error: null } };
+}
+
+test('未設定允許清單時以相容模式與跨網域的嵌入頁面往來', (t) => {
+    const { window, parent } = setupFrame(t);
+    assert.equal(window.InfFitsMessaging.isCompatibilityMode(), true);
+    const channel = window.InfFitsMessaging.connectParent();
+    const received = [];
+    channel.on('startRoute', payload => received.push(payload));
+
+    assert.equal(channel.send('closeModal', { value: true }), true);
+    assert.equal(parent.sent[0].targetOrigin, SHOP_ORIGIN);
+    assert.equal(parent.sent[0].data.type, 'closeModal');
+
+    receive(window, parent, SHOP_ORIGIN, { header: 'from_preview', id: '1', brand: 'JERSCY' });
+    receive(window, parent, 'https://evil.example.net', { header: 'from_preview', id: '2', brand: 'EVIL' });
+    assert.deepEqual(JSON.parse(JSON.stringify(received)), [{ id: '1', brand: 'JERSCY' }]);
+});
+
+test('設定允許清單後停用相容模式，不在清單中的嵌入頁面不傳送訊息', (t) => {
+    const { window, parent } = setupFrame(t, { config: { allowedOrigins: ['https://other.example.com'] } });
+    assert.equal(window.InfFitsMessaging.isCompatibilityMode(), false);
+    const channel = window.InfFitsMessaging.connectParent();
+    assert.equal(channel.send('closeModal', { value: true }), false);
+    assert.deepEqual(parent.sent, []);
+});
+
+test('data-strict-parent 不設定允許清單也停用相容模式', (t) => {
+    const { window, parent } = setupFrame(t, { attributes: { 'data-strict-parent': '' } });
+    assert.equal(window.InfFitsMessaging.isCompatibilityMode(), false);
+    assert.equal(window.InfFitsMessaging.connectParent().send('closeModal', { value: true }), false);
+    assert.deepEqual(parent.sent, []);
+});
+
+test('商家頁面只轉送開啟分享的 iframe 本身送出的會話', (t) => {
+    const window = setupHost(t);
+    const sizeFrame = attachFrame(window, `${SHOP_ORIGIN}/size/`, { shareSession: true });
+    const quizFrame = attachFrame(window, `${SHOP_ORIGIN}/quiz/`, { shareSession: true });
+    const adFrame = attachFrame(window, `${SHOP_ORIGIN}/ad/`);
+    const session = { scope: 'bodydata:default', sub: 'u1', profile: { HV: '170' }, issuedAt: 1 };
+
+    // 未開啟分享的 iframe 無法送出會話
+    receive(window, adFrame.contentWindow, SHOP_ORIGIN, sessionMessage({ ...session, sub: 'fake' }));
+    assert.equal(window.InfFitsHost.getSession(), null);
+    assert.deepEqual(quizFrame.contentWindow.sent, []);
+
+    // 其他視窗以相同來源假冒開啟分享的 iframe 也會被拒絕
+    receive(window, createFakeWindow(), SHOP_ORIGIN, sessionMessage({ ...session, sub: 'fake' }));
+    assert.equal(window.InfFitsHost.getSession(), null);
+
+    receive(window, sizeFrame.contentWindow, SHOP_ORIGIN, sessionMessage(session));
+    assert.deepEqual(JSON.parse(JSON.stringify(window.InfFitsHost.getSession())), session);
+    assert.deepEqual(quizFrame.contentWindow.sent.map(item => item.data.inffits.payload), [session]);
+    assert.deepEqual(sizeFrame.contentWindow.sent, []);
+    assert.deepEqual(adFrame.contentWindow.sent, []);
+});
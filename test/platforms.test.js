@@ -0,0 +1,189 @@
+// no-media/js/embedded.js 電商平台轉接器：以 test/fixtures/platforms 的商品頁快照驗證偵測與讀取
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const EMBEDDED_SOURCE = fs.readFileSync(path.join(__dirname, '../no-media/js/embedded.js'), 'utf8');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures/platforms');
+
+// 載入快照並執行 embedded.js；responses 為 fetch 網址對應的 JSON 回應
+function loadFixture(name, url, responses = {}) {
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, `${name}.html`), 'utf8');
+    const dom = new JSDOM(html, { url, runScripts: 'dangerously' });
+    const { window } = dom;
+    window.fetch = (input) => {
+        const pathname = new window.URL(input, window.location.href).pathname;
+        if (!(pathname in responses)) {
+            return Promise.reject(new Error(`unexpected fetch: ${pathname}`));
+        }
+        return Promise.resolve({ json: () => Promise.resolve(responses[pathname]) });
+    };
+    window.eval(EMBEDDED_SOURCE);
+    return window;
+}
+
+// jsdom 視窗內建立的物件與測試的 Object 原型不同，比較前轉為一般物件
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// 監聽加入購物車後執行 action，回傳收到的商品並取消監聽
+function collectAddToCart(adapter, action) {
+    const items = [];
+    const unsubscribe = adapter.onAddToCart(item => items.push(item));
+    action();
+    unsubscribe();
+    return plain(items);
+}
+
+function submitForm(window, form) {
+    form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+}
+
+function pushAddToCart(window, sku, quantity) {
+    window.dataLayer.push({
+        event: 'add_to_cart',
+        ecommerce: { items: [{ item_id: sku, quantity }] }
+    });
+}
+
+const CASES = [
+    {
+        name: '91app',
+        url: 'https://www.example91.com.tw/SalePage/Index/8123456?utm_source=line',
+        memberId: '20240815001',
+        sku: '8123456',
+        cart: null,
+        addToCart: window => pushAddToCart(window, '8123456', 1),
+        added: [{ sku: '8123456', quantity: 1 }]
+    },
+    {
+        name: 'shopline',
+        url: 'https://shop.example.com/products/cardigan',
+        memberId: '64f0a1b2c3d4e5f600112233',
+        sku: '65a1b2c3d4e5f60011223344',
+        cart: null,
+        addToCart: window => pushAddToCart(window, '65a1b2c3d4e5f60011223344', 2),
+        added: [{ sku: '65a1b2c3d4e5f60011223344', quantity: 2 }]
+    },
+    {
+        name: 'shopify',
+        url: 'https://demo-store.myshopify.com/products/relaxed-linen-shirt',
+        memberId: '6543210987',
+        sku: '7712345678901',
+        responses: {
+            '/cart.js': { items: [{ product_id: 7712345678901, quantity: 1 }] }
+        },
+        cart: [{ sku: '7712345678901', quantity: 1 }],
+        addToCart: window => submitForm(window, window.document.getElementById('product-form')),
+        added: [{ sku: '7712345678901', quantity: 2 }]
+    },
+    {
+        name: 'cyberbiz',
+        url: 'https://demo.cyberbiz.co/products/linen-pants',
+        memberId: 'cyb-88001',
+        sku: 'CB-PANTS-0021',
+        cart: null,
+        addToCart: window => pushAddToCart(window, 'CB-PANTS-0021', 1),
+        added: [{ sku: 'CB-PANTS-0021', quantity: 1 }]
+    },
+    {
+        name: 'woocommerce',
+        url: 'https://woo.example.com/product/wool-scarf/',
+        memberId: '42',
+        sku: 'WOOL-SCARF-GR',
+        responses: {
+            '/wp-json/wc/store/v1/cart': { items: [{ id: 1187, sku: 'WOOL-SCARF-GR', quantity: 3 }] }
+        },
+        cart: [{ sku: 'WOOL-SCARF-GR', quantity: 3 }],
+        addToCart: window => submitForm(window, window.document.querySelector('form.cart')),
+        added: [{ sku: '1187', quantity: 3 }]
+    },
+    {
+        name: 'plain_me',
+        url: 'https://www.plain-me.com/product/PM24A031',
+        // plain me 無法自動偵測，需指定 platform: "plain_me"
+        detected: 'generic',
+        memberId: 'pm-556677',
+        sku: 'PM24A031',
+        cart: null,
+        addToCart: window => pushAddToCart(window, 'PM24A031', 1),
+        added: [{ sku: 'PM24A031', quantity: 1 }]
+    },
+    {
+        name: 'generic',
+        url: 'https://denim.example.org/jacket',
+        memberId: '99102',
+        sku: 'DENIM-JK-07',
+        cart: null,
+        addToCart: window => pushAddToCart(window, 'DENIM-JK-07', 4),
+        added: [{ sku: 'DENIM-JK-07', quantity: 4 }]
+    }
+];
+
+for (const item of CASES) {
+    test(`${item.name}：偵測平台`, () => {
+        const window = loadFixture(item.name, item.url, item.responses);
+        assert.equal(window.InfFitsPlatforms.detect().name, item.detected || item.name);
+        assert.equal(window.InfFitsPlatforms.get(item.name).name, item.name);
+    });
+
+    test(`${item.name}：getMemberId 與 getSku`, () => {
+        const window = loadFixture(item.name, item.url, item.responses);
+        const adapter = window.InfFitsPlatforms.get(item.name);
+        assert.equal(adapter.getMemberId(), item.memberId);
+        assert.equal(adapter.getSku(), item.sku);
+    });
+
+    test(`${item.name}：getCart`, async () => {
+        const window = loadFixture(item.name, item.url, item.responses);
+        const cart = await window.InfFitsPlatforms.get(item.name).getCart();
+        assert.deepEqual(plain(cart), item.cart);
+    });
+
+    test(`${item.name}：onAddToCart 與取消監聽`, () => {
+        const window = loadFixture(item.name, item.url, item.responses);
+        const adapter = window.InfFitsPlatforms.get(item.name);
+        assert.deepEqual(collectAddToCart(adapter, () => item.addToCart(window)), item.added);
+
+        // 取消監聽後不再收到事件
+        const items = [];
+        adapter.onAddToCart(added => items.push(added))();
+        item.addToCart(window);
+        assert.deepEqual(items, []);
+    });
+}
+
+test('非商品頁的 91APP 頁面回傳空的商品編號', () => {
+    const window = loadFixture('91app', 'https://www.example91.com.tw/v2/official/SalePageCategory/0');
+    assert.equal(window.InfFitsPlatforms.get('91app').getSku(), '');
+});
+
+test('重複監聽 dataLayer 只包裝一次 push', () => {
+    const window = loadFixture('generic', 'https://denim.example.org/jacket');
+    const adapter = window.InfFitsPlatforms.get('generic');
+    const items = [];
+    adapter.onAddToCart(() => items.push('first'))();
+    const push = window.dataLayer.push;
+    const unsubscribe = adapter.onAddToCart(() => items.push('second'));
+    assert.equal(window.dataLayer.push, push);
+
+    pushAddToCart(window, 'DENIM-JK-07', 1);
+    unsubscribe();
+    assert.deepEqual(items, ['second']);
+    assert.equal(window.dataLayer.length, 2);
+});
+
+test('register() 新增的平台沿用 generic 未提供的方法', () => {
+    const window = loadFixture('generic', 'https://denim.example.org/jacket');
+    const adapter = window.InfFitsPlatforms.register('Custom', {
+        detect: () => true,
+        getSku: () => 'CUSTOM-1'
+    });
+    assert.equal(adapter.name, 'custom');
+    assert.equal(adapter.getSku(), 'CUSTOM-1');
+    assert.equal(adapter.getMemberId(), '99102');
+    assert.throws(() => window.InfFitsPlatforms.register('broken', {}));
+});